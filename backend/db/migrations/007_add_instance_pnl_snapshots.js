@@ -0,0 +1,36 @@
+/**
+ * Migration: Add Instance P&L Snapshots
+ *
+ * Creates the instance_pnl_snapshots table used to keep intraday P&L history.
+ * A row is written by updateInstancesData on every poll.
+ */
+
+export const version = '007';
+export const name = 'add_instance_pnl_snapshots';
+
+export async function up(db) {
+  console.log('  📝 Creating instance_pnl_snapshots table...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS instance_pnl_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      current_balance REAL DEFAULT 0,
+      realized_pnl REAL DEFAULT 0,
+      unrealized_pnl REAL DEFAULT 0,
+      total_pnl REAL DEFAULT 0,
+      captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created instance_pnl_snapshots table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_pnl_snapshots_instance_time ON instance_pnl_snapshots(instance_id, captured_at)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS instance_pnl_snapshots');
+  console.log('  ✅ Dropped instance_pnl_snapshots table');
+}
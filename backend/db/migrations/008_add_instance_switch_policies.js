@@ -0,0 +1,44 @@
+/**
+ * Migration: Add Instance Safe-Switch Policies
+ *
+ * Creates the instance_switch_policies table holding per-instance auto safe-switch
+ * rules (trailing profit lock, time cutoff, max trades, max consecutive losses)
+ * along with the intraday peak and the last rule that fired.
+ */
+
+export const version = '008';
+export const name = 'add_instance_switch_policies';
+
+export async function up(db) {
+  console.log('  📝 Creating instance_switch_policies table...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS instance_switch_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL UNIQUE,
+      trailing_lock_enabled BOOLEAN DEFAULT 0,
+      trailing_lock_activation REAL DEFAULT 0,
+      trailing_lock_giveback_pct REAL,
+      cutoff_enabled BOOLEAN DEFAULT 0,
+      cutoff_time TEXT,
+      timezone TEXT DEFAULT 'Asia/Kolkata',
+      max_trades INTEGER,
+      max_consecutive_losses INTEGER,
+      intraday_peak_pnl REAL,
+      peak_date TEXT,
+      last_triggered_rule TEXT,
+      last_triggered_reason TEXT,
+      last_triggered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created instance_switch_policies table');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS instance_switch_policies');
+  console.log('  ✅ Dropped instance_switch_policies table');
+}
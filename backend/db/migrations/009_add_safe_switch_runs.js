@@ -0,0 +1,42 @@
+/**
+ * Migration: Add Safe-Switch Audit Log
+ *
+ * Creates the safe_switch_runs table. Every autoSwitchToAnalyzer run is recorded
+ * with its trigger, the P&L at the time, and per-step status/payloads/timings.
+ */
+
+export const version = '009';
+export const name = 'add_safe_switch_runs';
+
+export async function up(db) {
+  console.log('  📝 Creating safe_switch_runs table...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS safe_switch_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      reason TEXT,
+      trigger_rule TEXT,
+      trigger_pnl REAL,
+      trigger_details_json TEXT DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'running',
+      failed_step TEXT,
+      error_message TEXT,
+      steps_json TEXT DEFAULT '[]',
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      duration_ms INTEGER,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created safe_switch_runs table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_safe_switch_runs_instance ON safe_switch_runs(instance_id, started_at)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS safe_switch_runs');
+  console.log('  ✅ Dropped safe_switch_runs table');
+}
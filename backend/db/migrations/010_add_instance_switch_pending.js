@@ -0,0 +1,33 @@
+/**
+ * Migration: Add Instance Switch-Pending State
+ *
+ * Adds switch_pending flags to instances. An instance is marked switch-pending
+ * while the auto safe-switch is still trying to flatten leftover positions;
+ * OrderPlacementService refuses new orders for it until the switch completes.
+ */
+
+export const version = '010';
+export const name = 'add_instance_switch_pending';
+
+export async function up(db) {
+  console.log('  📝 Adding switch-pending columns to instances...');
+
+  const columns = await db.all('PRAGMA table_info(instances)');
+  if (!columns.some(col => col.name === 'switch_pending')) {
+    await db.run('ALTER TABLE instances ADD COLUMN switch_pending BOOLEAN DEFAULT 0');
+    console.log('  ✅ Added switch_pending column to instances');
+  }
+  if (!columns.some(col => col.name === 'switch_pending_since')) {
+    await db.run('ALTER TABLE instances ADD COLUMN switch_pending_since DATETIME');
+    console.log('  ✅ Added switch_pending_since column to instances');
+  }
+  if (!columns.some(col => col.name === 'switch_pending_reason')) {
+    await db.run('ALTER TABLE instances ADD COLUMN switch_pending_reason TEXT');
+    console.log('  ✅ Added switch_pending_reason column to instances');
+  }
+}
+
+export async function down() {
+  console.log('  📝 Rolling back...');
+  console.log('  ⚠️  Cannot drop columns in SQLite - switch_pending columns remain in instances');
+}
@@ -0,0 +1,73 @@
+/**
+ * Migration: Add Instance Schedules
+ *
+ * Creates instance_schedules (per-instance go-live / switch-to-analyzer times),
+ * instance_schedule_runs (execution history) and market_holidays (dates on which
+ * schedules with skip_holidays are not executed).
+ */
+
+export const version = '011';
+export const name = 'add_instance_schedules';
+
+export async function up(db) {
+  console.log('  📝 Creating instance schedule tables...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS instance_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('LIVE', 'ANALYZER')),
+      time_of_day TEXT NOT NULL,
+      days_of_week TEXT NOT NULL DEFAULT 'MON,TUE,WED,THU,FRI',
+      timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+      exchange TEXT NOT NULL DEFAULT 'NSE',
+      skip_holidays BOOLEAN DEFAULT 1,
+      is_enabled BOOLEAN DEFAULT 1,
+      last_run_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created instance_schedules table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS instance_schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id INTEGER,
+      instance_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      scheduled_for TEXT NOT NULL,
+      status TEXT NOT NULL,
+      message TEXT,
+      executed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (schedule_id) REFERENCES instance_schedules (id) ON DELETE SET NULL,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created instance_schedule_runs table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS market_holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      exchange TEXT NOT NULL,
+      holiday_date TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (exchange, holiday_date)
+    )
+  `);
+  console.log('  ✅ Created market_holidays table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_instance_schedules_instance ON instance_schedules(instance_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_schedule_runs_instance ON instance_schedule_runs(instance_id, executed_at)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS instance_schedule_runs');
+  await db.run('DROP TABLE IF EXISTS instance_schedules');
+  await db.run('DROP TABLE IF EXISTS market_holidays');
+  console.log('  ✅ Dropped instance schedule tables');
+}
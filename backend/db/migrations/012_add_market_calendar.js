@@ -0,0 +1,43 @@
+/**
+ * Migration: Add Market Calendar
+ *
+ * Creates market_special_sessions (e.g. Muhurat trading) and adds a session
+ * column to market_holidays so partial holidays (such as an MCX holiday where
+ * only the evening session trades) can be expressed.
+ */
+
+export const version = '012';
+export const name = 'add_market_calendar';
+
+export async function up(db) {
+  console.log('  📝 Adding market calendar tables...');
+
+  const holidayColumns = await db.all('PRAGMA table_info(market_holidays)');
+  if (!holidayColumns.some(col => col.name === 'session')) {
+    await db.run('ALTER TABLE market_holidays ADD COLUMN session TEXT');
+    console.log('  ✅ Added session column to market_holidays');
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS market_special_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      exchange TEXT NOT NULL,
+      session_date TEXT NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('  ✅ Created market_special_sessions table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_market_special_sessions_date ON market_special_sessions(exchange, session_date)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS market_special_sessions');
+  console.log('  ✅ Dropped market_special_sessions table');
+  console.log('  ⚠️  Cannot drop columns in SQLite - session remains in market_holidays');
+}
@@ -0,0 +1,64 @@
+/**
+ * Migration: Add Strategy Positions
+ *
+ * Creates strategy_positions, which groups the legs of a multi-leg options
+ * strategy (iron condor, spreads, ...) so they are monitored and exited together,
+ * and links watchlist_positions rows to their strategy.
+ */
+
+export const version = '013';
+export const name = 'add_strategy_positions';
+
+export async function up(db) {
+  console.log('  📝 Adding strategy positions...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS strategy_positions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      instance_id INTEGER NOT NULL,
+      watchlist_id INTEGER,
+      strategy TEXT NOT NULL,
+      underlying TEXT,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      net_premium REAL DEFAULT 0,
+      current_mtm REAL DEFAULT 0,
+      peak_mtm REAL,
+      target_pnl REAL,
+      stop_loss_pnl REAL,
+      trailing_activation_pnl REAL,
+      trailing_giveback_pnl REAL,
+      trailing_activated INTEGER DEFAULT 0,
+      exit_reason TEXT,
+      closed_by TEXT,
+      entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      exited_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created strategy_positions table');
+
+  const positionColumns = await db.all('PRAGMA table_info(watchlist_positions)');
+  if (positionColumns.length > 0) {
+    if (!positionColumns.some(col => col.name === 'strategy_position_id')) {
+      await db.run('ALTER TABLE watchlist_positions ADD COLUMN strategy_position_id INTEGER');
+      console.log('  ✅ Added strategy_position_id column to watchlist_positions');
+    }
+    if (!positionColumns.some(col => col.name === 'strategy_leg')) {
+      await db.run('ALTER TABLE watchlist_positions ADD COLUMN strategy_leg TEXT');
+      console.log('  ✅ Added strategy_leg column to watchlist_positions');
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_watchlist_positions_strategy ON watchlist_positions(strategy_position_id)');
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_strategy_positions_status ON strategy_positions(status)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_strategy_positions_instance ON strategy_positions(instance_id)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS strategy_positions');
+  console.log('  ✅ Dropped strategy_positions table');
+  console.log('  ⚠️  Cannot drop columns in SQLite - strategy_position_id and strategy_leg remain in watchlist_positions');
+}
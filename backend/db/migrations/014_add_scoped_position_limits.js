@@ -0,0 +1,73 @@
+/**
+ * Migration: Add Scoped Position Limits
+ *
+ * Creates scoped_position_limits, which holds per-instance and per-watchlist
+ * risk limits (position counts, capital, daily loss cap, trades per day)
+ * enforced on top of the global position_limits, and adds the scope to
+ * position_limit_violations so each violation records which limit tripped.
+ */
+
+export const version = '014';
+export const name = 'add_scoped_position_limits';
+
+export async function up(db) {
+  console.log('  📝 Adding scoped position limits...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS scoped_position_limits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL CHECK (scope IN ('INSTANCE', 'WATCHLIST')),
+      scope_id INTEGER NOT NULL,
+      max_open_positions INTEGER,
+      max_positions_per_symbol INTEGER,
+      max_capital_per_position REAL,
+      max_total_capital_deployed REAL,
+      max_daily_loss REAL,
+      max_trades_per_day INTEGER,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(scope, scope_id)
+    )
+  `);
+  console.log('  ✅ Created scoped_position_limits table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS position_limit_violations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      violation_type TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'GLOBAL',
+      scope_id INTEGER,
+      instance_id INTEGER,
+      symbol_id INTEGER,
+      watchlist_id INTEGER,
+      attempted_quantity INTEGER,
+      attempted_capital REAL,
+      current_positions INTEGER,
+      limit_value REAL,
+      details_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const violationColumns = await db.all('PRAGMA table_info(position_limit_violations)');
+  if (!violationColumns.some(col => col.name === 'scope')) {
+    await db.run("ALTER TABLE position_limit_violations ADD COLUMN scope TEXT NOT NULL DEFAULT 'GLOBAL'");
+    console.log('  ✅ Added scope column to position_limit_violations');
+  }
+  if (!violationColumns.some(col => col.name === 'scope_id')) {
+    await db.run('ALTER TABLE position_limit_violations ADD COLUMN scope_id INTEGER');
+    console.log('  ✅ Added scope_id column to position_limit_violations');
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_position_limit_violations_scope ON position_limit_violations(scope, scope_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_position_limit_violations_created ON position_limit_violations(created_at)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS scoped_position_limits');
+  console.log('  ✅ Dropped scoped_position_limits table');
+  console.log('  ⚠️  Cannot drop columns in SQLite - scope and scope_id remain in position_limit_violations');
+}
@@ -0,0 +1,38 @@
+/**
+ * Migration: Add Broker Exit Orders
+ *
+ * Adds exit_mode to symbol_configs so a symbol's target and stop-loss can be
+ * placed at the broker (SL-M stop + LIMIT target, one-cancels-other) when the
+ * entry fills, instead of being polled locally, and records the broker order
+ * ids of that pair on watchlist_positions.
+ */
+
+export const version = '015';
+export const name = 'add_broker_exit_orders';
+
+export async function up(db) {
+  console.log('  📝 Adding broker exit orders...');
+
+  const configColumns = await db.all('PRAGMA table_info(symbol_configs)');
+  if (configColumns.length > 0 && !configColumns.some(col => col.name === 'exit_mode')) {
+    await db.run("ALTER TABLE symbol_configs ADD COLUMN exit_mode TEXT DEFAULT 'LOCAL'");
+    console.log('  ✅ Added exit_mode column to symbol_configs');
+  }
+
+  const positionColumns = await db.all('PRAGMA table_info(watchlist_positions)');
+  if (positionColumns.length > 0) {
+    if (!positionColumns.some(col => col.name === 'sl_order_id')) {
+      await db.run('ALTER TABLE watchlist_positions ADD COLUMN sl_order_id TEXT');
+      console.log('  ✅ Added sl_order_id column to watchlist_positions');
+    }
+    if (!positionColumns.some(col => col.name === 'target_order_id')) {
+      await db.run('ALTER TABLE watchlist_positions ADD COLUMN target_order_id TEXT');
+      console.log('  ✅ Added target_order_id column to watchlist_positions');
+    }
+  }
+}
+
+export async function down() {
+  console.log('  📝 Rolling back...');
+  console.log('  ⚠️  Cannot drop columns in SQLite - exit_mode, sl_order_id and target_order_id remain');
+}
@@ -0,0 +1,46 @@
+/**
+ * Migration: Add Order Slicing
+ *
+ * Adds freeze-quantity metadata to symbol_configs (orders above freeze_qty are
+ * split into slices, optionally slice_interval_ms apart) and parent/child
+ * columns to watchlist_orders so the slices are tracked as one parent order
+ * with aggregated fill status.
+ */
+
+export const version = '016';
+export const name = 'add_order_slicing';
+
+export async function up(db) {
+  console.log('  📝 Adding order slicing...');
+
+  const configColumns = await db.all('PRAGMA table_info(symbol_configs)');
+  if (configColumns.length > 0) {
+    if (!configColumns.some(col => col.name === 'freeze_qty')) {
+      await db.run('ALTER TABLE symbol_configs ADD COLUMN freeze_qty INTEGER');
+      console.log('  ✅ Added freeze_qty column to symbol_configs');
+    }
+    if (!configColumns.some(col => col.name === 'slice_interval_ms')) {
+      await db.run('ALTER TABLE symbol_configs ADD COLUMN slice_interval_ms INTEGER DEFAULT 0');
+      console.log('  ✅ Added slice_interval_ms column to symbol_configs');
+    }
+  }
+
+  const orderColumns = await db.all('PRAGMA table_info(watchlist_orders)');
+  if (orderColumns.length > 0) {
+    if (!orderColumns.some(col => col.name === 'parent_order_id')) {
+      await db.run('ALTER TABLE watchlist_orders ADD COLUMN parent_order_id INTEGER');
+      console.log('  ✅ Added parent_order_id column to watchlist_orders');
+    }
+    if (!orderColumns.some(col => col.name === 'slice_count')) {
+      await db.run('ALTER TABLE watchlist_orders ADD COLUMN slice_count INTEGER');
+      console.log('  ✅ Added slice_count column to watchlist_orders');
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_watchlist_orders_parent ON watchlist_orders(parent_order_id)');
+  }
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP INDEX IF EXISTS idx_watchlist_orders_parent');
+  console.log('  ⚠️  Cannot drop columns in SQLite - slicing columns remain in symbol_configs and watchlist_orders');
+}
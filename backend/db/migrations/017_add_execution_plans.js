@@ -0,0 +1,57 @@
+/**
+ * Migration: Add Execution Plans
+ *
+ * Creates execution_plans for TWAP-style entries: a parent order in
+ * watchlist_orders is filled over a time window by child orders placed one
+ * slice at a time, pausing while the price strays too far from the start price.
+ */
+
+export const version = '017';
+export const name = 'add_execution_plans';
+
+export async function up(db) {
+  console.log('  📝 Adding execution plans...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS execution_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      parent_order_id INTEGER NOT NULL,
+      instance_id INTEGER NOT NULL,
+      watchlist_id INTEGER,
+      symbol_id INTEGER,
+      position_id INTEGER,
+      symbol TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      action TEXT NOT NULL,
+      product_type TEXT NOT NULL DEFAULT 'MIS',
+      total_quantity INTEGER NOT NULL,
+      lot_size INTEGER NOT NULL DEFAULT 1,
+      slice_count INTEGER NOT NULL,
+      interval_ms INTEGER NOT NULL,
+      slices_placed INTEGER NOT NULL DEFAULT 0,
+      placed_quantity INTEGER NOT NULL DEFAULT 0,
+      max_deviation_pct REAL,
+      start_price REAL,
+      status TEXT NOT NULL DEFAULT 'RUNNING',
+      pause_reason TEXT,
+      last_error TEXT,
+      next_slice_at DATETIME,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (instance_id) REFERENCES instances (id) ON DELETE CASCADE
+    )
+  `);
+  console.log('  ✅ Created execution_plans table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_execution_plans_status ON execution_plans(status)');
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_execution_plans_parent ON execution_plans(parent_order_id)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS execution_plans');
+  console.log('  ✅ Dropped execution_plans table');
+}
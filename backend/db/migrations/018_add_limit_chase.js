@@ -0,0 +1,50 @@
+/**
+ * Migration: Add Limit Order Chasing
+ *
+ * Adds per-symbol chase settings to symbol_configs (reprice unfilled LIMIT
+ * orders toward LTP or the best bid/ask, then convert to MARKET or cancel after
+ * the last attempt) and the chase bookkeeping columns to watchlist_orders.
+ */
+
+export const version = '018';
+export const name = 'add_limit_chase';
+
+const CONFIG_COLUMNS = [
+  ['chase_enabled', 'INTEGER DEFAULT 0'],
+  ['chase_after_seconds', 'INTEGER DEFAULT 10'],
+  ['chase_ticks', 'INTEGER DEFAULT 1'],
+  ['chase_max_attempts', 'INTEGER DEFAULT 5'],
+  ['chase_price_source', "TEXT DEFAULT 'LTP'"],
+  ['chase_final_action', "TEXT DEFAULT 'MARKET'"]
+];
+
+const ORDER_COLUMNS = [
+  ['chase_attempts', 'INTEGER DEFAULT 0'],
+  ['last_repriced_at', 'DATETIME']
+];
+
+async function addColumns(db, table, columns) {
+  const existing = await db.all(`PRAGMA table_info(${table})`);
+  if (existing.length === 0) {
+    return;
+  }
+
+  for (const [column, definition] of columns) {
+    if (!existing.some(col => col.name === column)) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`  ✅ Added ${column} column to ${table}`);
+    }
+  }
+}
+
+export async function up(db) {
+  console.log('  📝 Adding limit order chasing...');
+
+  await addColumns(db, 'symbol_configs', CONFIG_COLUMNS);
+  await addColumns(db, 'watchlist_orders', ORDER_COLUMNS);
+}
+
+export async function down() {
+  console.log('  📝 Rolling back...');
+  console.log('  ⚠️  Cannot drop columns in SQLite - chase columns remain in symbol_configs and watchlist_orders');
+}
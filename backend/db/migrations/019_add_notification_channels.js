@@ -0,0 +1,57 @@
+/**
+ * Migration: Add Notification Channels
+ *
+ * Creates notification_channels (webhook, Telegram, Slack and SMS gateway
+ * destinations for system alerts, optionally limited to severities and alert
+ * types) and notification_deliveries (one row per delivery attempt).
+ */
+
+export const version = '019';
+export const name = 'add_notification_channels';
+
+export async function up(db) {
+  console.log('  📝 Adding notification channel tables...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      channel_type TEXT NOT NULL,
+      config_json TEXT NOT NULL,
+      severities_json TEXT,
+      alert_types_json TEXT,
+      is_enabled INTEGER DEFAULT 1,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('  ✅ Created notification_channels table');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel_id INTEGER,
+      alert_id INTEGER,
+      channel_type TEXT NOT NULL,
+      attempt INTEGER DEFAULT 1,
+      status TEXT NOT NULL,
+      http_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('  ✅ Created notification_deliveries table');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries(channel_id, attempted_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_alert ON notification_deliveries(alert_id)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS notification_deliveries');
+  await db.run('DROP TABLE IF EXISTS notification_channels');
+  console.log('  ✅ Dropped notification tables');
+}
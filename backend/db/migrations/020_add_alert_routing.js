@@ -0,0 +1,95 @@
+/**
+ * Migration: Add Alert Routing
+ *
+ * Creates alert_routing_rules (dedup key fields, suppression window and
+ * escalation per alert type, seeded for the noisiest alerts) and
+ * alert_subscriptions (per-user channel subscriptions with quiet hours), and
+ * adds the dedup bookkeeping columns to system_alerts.
+ */
+
+export const version = '020';
+export const name = 'add_alert_routing';
+
+const ALERT_COLUMNS = [
+  ['dedup_key', 'TEXT'],
+  ['occurrence_count', 'INTEGER DEFAULT 1'],
+  ['last_occurred_at', 'DATETIME'],
+  ['escalated_at', 'DATETIME']
+];
+
+// [alert_type, dedup_fields, suppress_window_seconds, escalate_after_count, escalate_after_seconds, escalate_to_severity]
+const DEFAULT_RULES = [
+  ['WEBSOCKET_RECONNECT', 'instance_id', 300, 5, null, 'ERROR'],
+  ['WEBSOCKET_HEARTBEAT_TIMEOUT', 'instance_id', 300, null, null, null],
+  ['RATE_LIMIT_APPROACHING', 'instance_id,endpoint', 60, null, null, null],
+  ['RATE_LIMIT_EXCEEDED', 'instance_id,endpoint', 60, null, 600, 'ERROR'],
+  ['MARKET_DATA_STALE', 'watchlist_id', 300, null, 900, 'ERROR']
+];
+
+export async function up(db) {
+  console.log('  📝 Adding alert routing...');
+
+  const alertColumns = await db.all('PRAGMA table_info(system_alerts)');
+  if (alertColumns.length > 0) {
+    for (const [column, definition] of ALERT_COLUMNS) {
+      if (!alertColumns.some(col => col.name === column)) {
+        await db.run(`ALTER TABLE system_alerts ADD COLUMN ${column} ${definition}`);
+        console.log(`  ✅ Added ${column} column to system_alerts`);
+      }
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_system_alerts_dedup ON system_alerts(dedup_key, is_resolved)');
+  }
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS alert_routing_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_type TEXT NOT NULL UNIQUE,
+      dedup_fields TEXT DEFAULT 'instance_id,watchlist_id',
+      suppress_window_seconds INTEGER DEFAULT 0,
+      escalate_after_count INTEGER,
+      escalate_after_seconds INTEGER,
+      escalate_to_severity TEXT,
+      is_enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  console.log('  ✅ Created alert_routing_rules table');
+
+  for (const rule of DEFAULT_RULES) {
+    await db.run(`
+      INSERT OR IGNORE INTO alert_routing_rules (
+        alert_type, dedup_fields, suppress_window_seconds, escalate_after_count,
+        escalate_after_seconds, escalate_to_severity
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `, rule);
+  }
+  console.log(`  ✅ Seeded ${DEFAULT_RULES.length} default routing rules`);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS alert_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_email TEXT NOT NULL,
+      channel_id INTEGER NOT NULL,
+      min_severity TEXT DEFAULT 'WARNING',
+      alert_types_json TEXT,
+      watchlist_id INTEGER,
+      quiet_hours_start TEXT,
+      quiet_hours_end TEXT,
+      timezone TEXT DEFAULT 'Asia/Kolkata',
+      is_enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_user ON alert_subscriptions(user_email)');
+  console.log('  ✅ Created alert_subscriptions table');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS alert_subscriptions');
+  await db.run('DROP TABLE IF EXISTS alert_routing_rules');
+  console.log('  ✅ Dropped alert routing tables');
+  console.log('  ⚠️  Cannot drop columns in SQLite - dedup columns remain in system_alerts');
+}
@@ -0,0 +1,45 @@
+/**
+ * Migration: Add Alert Resolution Columns
+ *
+ * AlertService.resolveAlert has always written resolved_at / resolved_by /
+ * resolution_notes, but system_alerts was created without them. Adds those
+ * (and the acknowledgement columns, for databases created before they existed)
+ * ahead of the alerts API.
+ */
+
+export const version = '021';
+export const name = 'add_alert_resolution_columns';
+
+const ALERT_COLUMNS = [
+  ['is_acknowledged', 'BOOLEAN DEFAULT 0'],
+  ['acknowledged_by', 'TEXT'],
+  ['acknowledged_at', 'DATETIME'],
+  ['resolved_at', 'DATETIME'],
+  ['resolved_by', 'TEXT'],
+  ['resolution_notes', 'TEXT']
+];
+
+export async function up(db) {
+  console.log('  📝 Adding alert resolution columns...');
+
+  const columns = await db.all('PRAGMA table_info(system_alerts)');
+  if (columns.length === 0) {
+    return;
+  }
+
+  for (const [column, definition] of ALERT_COLUMNS) {
+    if (!columns.some(col => col.name === column)) {
+      await db.run(`ALTER TABLE system_alerts ADD COLUMN ${column} ${definition}`);
+      console.log(`  ✅ Added ${column} column to system_alerts`);
+    }
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_system_alerts_status ON system_alerts(is_resolved, is_acknowledged)');
+  console.log('  ✅ Created indexes');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP INDEX IF EXISTS idx_system_alerts_status');
+  console.log('  ⚠️  Cannot drop columns in SQLite - resolution columns remain in system_alerts');
+}
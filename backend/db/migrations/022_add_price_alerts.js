@@ -0,0 +1,50 @@
+/**
+ * Migration: Add Price Alerts
+ *
+ * Creates price_alerts: user-defined conditions on a watchlist symbol (price
+ * crossing a level, % change from previous close, volume spike, gap at open)
+ * evaluated on every market tick, either one-shot or recurring.
+ */
+
+export const version = '022';
+export const name = 'add_price_alerts';
+
+export async function up(db) {
+  console.log('  📝 Adding price alerts...');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS price_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      watchlist_id INTEGER NOT NULL,
+      symbol_id INTEGER NOT NULL,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      condition_type TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      threshold REAL NOT NULL,
+      window_seconds INTEGER,
+      trigger_mode TEXT NOT NULL DEFAULT 'ONE_SHOT',
+      cooldown_seconds INTEGER DEFAULT 300,
+      severity TEXT DEFAULT 'WARNING',
+      note TEXT,
+      is_active INTEGER DEFAULT 1,
+      trigger_count INTEGER DEFAULT 0,
+      last_triggered_at DATETIME,
+      last_triggered_price REAL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (watchlist_id) REFERENCES watchlists (id) ON DELETE CASCADE,
+      FOREIGN KEY (symbol_id) REFERENCES watchlist_symbols (id) ON DELETE CASCADE
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_price_alerts_symbol ON price_alerts(symbol_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(is_active, exchange, symbol)');
+  console.log('  ✅ Created price_alerts table');
+}
+
+export async function down(db) {
+  console.log('  📝 Rolling back...');
+  await db.run('DROP TABLE IF EXISTS price_alerts');
+  console.log('  ✅ Dropped price_alerts table');
+}
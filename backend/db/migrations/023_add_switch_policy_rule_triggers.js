@@ -0,0 +1,29 @@
+/**
+ * Migration: Add Per-Rule Safe-Switch Trigger Dates
+ *
+ * last_triggered_rule only remembers the most recent rule to fire, so a
+ * once-per-day rule could fire again after a different rule overwrote it.
+ * Adds rule_trigger_dates, a JSON map of rule -> trading date it last fired.
+ */
+
+export const version = '023';
+export const name = 'add_switch_policy_rule_triggers';
+
+export async function up(db) {
+  console.log('  📝 Adding rule_trigger_dates to instance_switch_policies...');
+
+  const columns = await db.all('PRAGMA table_info(instance_switch_policies)');
+  if (columns.length === 0) {
+    return;
+  }
+
+  if (!columns.some(col => col.name === 'rule_trigger_dates')) {
+    await db.run('ALTER TABLE instance_switch_policies ADD COLUMN rule_trigger_dates TEXT');
+    console.log('  ✅ Added rule_trigger_dates column to instance_switch_policies');
+  }
+}
+
+export async function down() {
+  console.log('  📝 Rolling back...');
+  console.log('  ⚠️  Cannot drop columns in SQLite - rule_trigger_dates remains in instance_switch_policies');
+}
@@ -39,7 +39,7 @@ export async function getAccountPnL(instance, makeRequest) {
       total_pnl: totalRealized + totalUnrealized
     };
 
-    return { perSymbol, accountTotals };
+    return { perSymbol, accountTotals, trades };
   } catch (error) {
     // Fallback: try getting only positions
     try {
@@ -51,6 +51,7 @@ export async function getAccountPnL(instance, makeRequest) {
 
       return {
         perSymbol: [],
+        trades: [],
         accountTotals: {
           realized_pnl: 0,
           unrealized_pnl: fallbackPnL,
@@ -60,6 +61,7 @@ export async function getAccountPnL(instance, makeRequest) {
     } catch (fallbackError) {
       return {
         perSymbol: [],
+        trades: [],
         accountTotals: { realized_pnl: 0, unrealized_pnl: 0, total_pnl: 0 }
       };
     }
@@ -0,0 +1,322 @@
+/**
+ * Alert Router
+ * Deduplication and escalation for system alerts, driven by alert_routing_rules.
+ *
+ * A rule gives an alert type (or '*' for all types) a dedup key built from
+ * `dedup_fields` (instance_id, watchlist_id or any key of the alert details)
+ * and a suppression window. A repeat of an unresolved alert with the same key
+ * inside the window is folded into it (occurrence_count / last_occurred_at)
+ * instead of creating a new row and notification. When the condition persists
+ * for escalate_after_count occurrences or escalate_after_seconds, the alert is
+ * raised once to escalate_to_severity and notified again. The window runs from
+ * the last notification, so a condition that keeps recurring is notified again
+ * once per window rather than suppressed for as long as it repeats.
+ */
+
+import { ValidationError } from '../middleware/error-handler.js';
+import { ALERT_SEVERITIES } from './notification-service.js';
+
+export const WILDCARD_ALERT_TYPE = '*';
+
+const DEFAULT_DEDUP_FIELDS = ['instance_id', 'watchlist_id'];
+const CACHE_TTL_MS = 30 * 1000;
+
+function severityRank(severity) {
+  return ALERT_SEVERITIES.indexOf(String(severity || '').toUpperCase());
+}
+
+function parseSqliteDate(value) {
+  return value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null;
+}
+
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function parseOptionalPositiveInt(value, key) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new ValidationError(`${key} must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate a routing rule create/update request (omitted fields keep existing values)
+ */
+export function sanitizeRoutingRuleInput(input = {}, existing = null) {
+  const alertType = String(input.alert_type ?? existing?.alert_type ?? '').trim().toUpperCase();
+  if (!alertType || (alertType !== WILDCARD_ALERT_TYPE && !/^[A-Z0-9_]+$/.test(alertType))) {
+    throw new ValidationError('alert_type must be an alert type such as MARKET_DATA_STALE, or * for all types');
+  }
+
+  let dedupFields = existing?.dedup_fields ?? DEFAULT_DEDUP_FIELDS;
+  if (input.dedup_fields !== undefined) {
+    const list = Array.isArray(input.dedup_fields) ? input.dedup_fields : String(input.dedup_fields || '').split(',');
+    dedupFields = list.map(field => String(field).trim()).filter(Boolean);
+    if (dedupFields.some(field => !/^[a-z0-9_]+$/i.test(field))) {
+      throw new ValidationError('dedup_fields must be field names such as instance_id, watchlist_id or symbol');
+    }
+  }
+
+  const pick = (key) => (input[key] !== undefined ? input[key] : existing?.[key]);
+
+  const suppressWindow = pick('suppress_window_seconds');
+  const parsedWindow = suppressWindow === undefined || suppressWindow === null || suppressWindow === ''
+    ? 0
+    : Number(suppressWindow);
+  if (!Number.isInteger(parsedWindow) || parsedWindow < 0) {
+    throw new ValidationError('suppress_window_seconds must be a non-negative integer');
+  }
+
+  const escalateAfterCount = parseOptionalPositiveInt(pick('escalate_after_count'), 'escalate_after_count');
+  const escalateAfterSeconds = parseOptionalPositiveInt(pick('escalate_after_seconds'), 'escalate_after_seconds');
+
+  const escalateTo = pick('escalate_to_severity');
+  const escalateToSeverity = escalateTo ? String(escalateTo).toUpperCase() : null;
+  if (escalateToSeverity && !ALERT_SEVERITIES.includes(escalateToSeverity)) {
+    throw new ValidationError(`escalate_to_severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  }
+  if (escalateToSeverity && !escalateAfterCount && !escalateAfterSeconds) {
+    throw new ValidationError('escalate_after_count or escalate_after_seconds is required with escalate_to_severity');
+  }
+  if (!escalateToSeverity && (escalateAfterCount || escalateAfterSeconds)) {
+    throw new ValidationError('escalate_to_severity is required to escalate');
+  }
+
+  const isEnabled = input.is_enabled !== undefined
+    ? (input.is_enabled === true || input.is_enabled === 1 || input.is_enabled === 'true')
+    : (existing ? Boolean(existing.is_enabled) : true);
+
+  return {
+    alert_type: alertType,
+    dedup_fields: dedupFields,
+    suppress_window_seconds: parsedWindow,
+    escalate_after_count: escalateAfterCount,
+    escalate_after_seconds: escalateAfterSeconds,
+    escalate_to_severity: escalateToSeverity,
+    is_enabled: isEnabled
+  };
+}
+
+class AlertRouter {
+  constructor(dbAsync) {
+    this.dbAsync = dbAsync;
+    this.rules = null;
+    this.loadedAt = 0;
+  }
+
+  parseRule(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      dedup_fields: String(row.dedup_fields || '').split(',').map(field => field.trim()).filter(Boolean),
+      is_enabled: row.is_enabled ? 1 : 0
+    };
+  }
+
+  async getRules() {
+    const rows = await this.dbAsync.all('SELECT * FROM alert_routing_rules ORDER BY alert_type');
+    return rows.map(row => this.parseRule(row));
+  }
+
+  async getRuleById(ruleId) {
+    return this.parseRule(await this.dbAsync.get('SELECT * FROM alert_routing_rules WHERE id = ?', [ruleId]));
+  }
+
+  /**
+   * Enabled rule for an alert type, falling back to the '*' rule
+   */
+  async getRuleFor(alertType) {
+    if (!this.rules || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      this.rules = new Map();
+      for (const rule of await this.getRules()) {
+        if (rule.is_enabled) {
+          this.rules.set(rule.alert_type, rule);
+        }
+      }
+      this.loadedAt = Date.now();
+    }
+    return this.rules.get(alertType) || this.rules.get(WILDCARD_ALERT_TYPE) || null;
+  }
+
+  invalidate() {
+    this.rules = null;
+  }
+
+  async saveRule(ruleId, rule) {
+    const params = [
+      rule.alert_type,
+      rule.dedup_fields.join(','),
+      rule.suppress_window_seconds,
+      rule.escalate_after_count,
+      rule.escalate_after_seconds,
+      rule.escalate_to_severity,
+      rule.is_enabled ? 1 : 0
+    ];
+
+    try {
+      if (ruleId) {
+        await this.dbAsync.run(`
+          UPDATE alert_routing_rules
+          SET
+            alert_type = ?,
+            dedup_fields = ?,
+            suppress_window_seconds = ?,
+            escalate_after_count = ?,
+            escalate_after_seconds = ?,
+            escalate_to_severity = ?,
+            is_enabled = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [...params, ruleId]);
+        return ruleId;
+      }
+
+      const result = await this.dbAsync.run(`
+        INSERT INTO alert_routing_rules (
+          alert_type, dedup_fields, suppress_window_seconds, escalate_after_count,
+          escalate_after_seconds, escalate_to_severity, is_enabled
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, params);
+      return result.lastID;
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) {
+        throw new ValidationError(`A routing rule for ${rule.alert_type} already exists`);
+      }
+      throw error;
+    } finally {
+      this.invalidate();
+    }
+  }
+
+  async createRule(input) {
+    const ruleId = await this.saveRule(null, sanitizeRoutingRuleInput(input));
+    return await this.getRuleById(ruleId);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - Updated rule, or null if it does not exist
+   */
+  async updateRule(ruleId, input) {
+    const existing = await this.getRuleById(ruleId);
+    if (!existing) {
+      return null;
+    }
+    await this.saveRule(ruleId, sanitizeRoutingRuleInput(input, existing));
+    return await this.getRuleById(ruleId);
+  }
+
+  async deleteRule(ruleId) {
+    const result = await this.dbAsync.run('DELETE FROM alert_routing_rules WHERE id = ?', [ruleId]);
+    this.invalidate();
+    return result.changes > 0;
+  }
+
+  /**
+   * Dedup key: alert type plus the rule's fields, read from the alert or its details
+   */
+  buildDedupKey(rule, alert) {
+    const parts = rule.dedup_fields.map(field => {
+      const value = alert[field] !== undefined ? alert[field] : alert.details?.[field];
+      return `${field}=${value ?? ''}`;
+    });
+    return [alert.alert_type, ...parts].join('|');
+  }
+
+  /**
+   * Decide what to do with a new alert.
+   * A repeat after a quiet gap of a full window starts a new alert; otherwise it is
+   * folded in until the window since the last notification (creation or
+   * escalation) has passed, when it is created again as a reminder.
+   *
+   * @param {Object} alert - { alert_type, severity, message, details, instance_id, watchlist_id }
+   * @param {Date} now
+   * @returns {Promise<Object>} - { action: 'CREATE', dedup_key } for a new row, or
+   *   { action: 'SUPPRESS' | 'ESCALATE', alert_id, occurrence_count, severity } when folded into an open alert
+   */
+  async route(alert, now = new Date()) {
+    const rule = await this.getRuleFor(alert.alert_type);
+    if (!rule || rule.suppress_window_seconds <= 0) {
+      return { action: 'CREATE', dedup_key: null };
+    }
+
+    const dedupKey = this.buildDedupKey(rule, alert);
+    const existing = await this.dbAsync.get(`
+      SELECT id, severity, created_at, last_occurred_at, occurrence_count, escalated_at
+      FROM system_alerts
+      WHERE dedup_key = ? AND is_resolved = 0
+      ORDER BY id DESC
+      LIMIT 1
+    `, [dedupKey]);
+
+    const windowMs = rule.suppress_window_seconds * 1000;
+    const lastSeen = parseSqliteDate(existing?.last_occurred_at || existing?.created_at);
+    if (!existing || !lastSeen || now - lastSeen >= windowMs) {
+      return { action: 'CREATE', dedup_key: dedupKey };
+    }
+
+    const occurrenceCount = (existing.occurrence_count || 1) + 1;
+    const firstSeen = parseSqliteDate(existing.created_at) || lastSeen;
+    const shouldEscalate = Boolean(rule.escalate_to_severity)
+      && !existing.escalated_at
+      && severityRank(rule.escalate_to_severity) > severityRank(existing.severity)
+      && ((rule.escalate_after_count && occurrenceCount >= rule.escalate_after_count)
+        || (rule.escalate_after_seconds && now - firstSeen >= rule.escalate_after_seconds * 1000));
+
+    const lastNotified = parseSqliteDate(existing.escalated_at) || firstSeen;
+    if (!shouldEscalate && now - lastNotified >= windowMs) {
+      return { action: 'CREATE', dedup_key: dedupKey };
+    }
+
+    const severity = shouldEscalate ? rule.escalate_to_severity : existing.severity;
+
+    // Keep the latest message/details so the open alert shows the current state
+    await this.dbAsync.run(`
+      UPDATE system_alerts
+      SET
+        occurrence_count = ?,
+        last_occurred_at = ?,
+        message = ?,
+        details_json = ?,
+        severity = ?,
+        escalated_at = ${shouldEscalate ? '?' : 'escalated_at'}
+      WHERE id = ?
+    `, [
+      occurrenceCount,
+      toSqliteDate(now),
+      alert.message,
+      JSON.stringify(alert.details || {}),
+      severity,
+      ...(shouldEscalate ? [toSqliteDate(now)] : []),
+      existing.id
+    ]);
+
+    return {
+      action: shouldEscalate ? 'ESCALATE' : 'SUPPRESS',
+      alert_id: existing.id,
+      occurrence_count: occurrenceCount,
+      severity
+    };
+  }
+
+  /**
+   * Stamp a newly created alert with its dedup key so repeats can find it
+   */
+  async recordCreated(alertId, dedupKey, now = new Date()) {
+    if (!dedupKey) {
+      return;
+    }
+    await this.dbAsync.run(
+      'UPDATE system_alerts SET dedup_key = ?, occurrence_count = 1, last_occurred_at = ? WHERE id = ?',
+      [dedupKey, toSqliteDate(now), alertId]
+    );
+  }
+}
+
+export default AlertRouter;
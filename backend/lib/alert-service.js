@@ -1,15 +1,104 @@
 /**
  * Alert Service
- * Manages system alerts and notifications for watchlist operations
+ * Manages system alerts and notifications for watchlist operations.
+ * Emits 'alert_created' for every new or escalated alert and 'alerts_updated'
+ * when alerts are acknowledged or resolved (forwarded to the dashboard over Socket.IO).
  */
 
+import { EventEmitter } from 'events';
 import nodemailer from 'nodemailer';
+import { ValidationError } from '../middleware/error-handler.js';
+import { ALERT_SEVERITIES } from './notification-service.js';
 
-class AlertService {
+export const ALERT_STATUS_FILTERS = ['unresolved', 'unacknowledged', 'acknowledged', 'resolved', 'all'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BULK_IDS = 500;
+
+function toSqliteDate(value, key) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${key} must be a valid date`);
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function parseOptionalId(value, key) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new ValidationError(`${key} must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate alert list filters from the query string
+ */
+export function sanitizeAlertQuery(query = {}) {
+  const status = String(query.status || 'unresolved').toLowerCase();
+  if (!ALERT_STATUS_FILTERS.includes(status)) {
+    throw new ValidationError(`status must be one of ${ALERT_STATUS_FILTERS.join(', ')}`);
+  }
+
+  const severities = query.severity
+    ? String(query.severity).split(',').map(value => value.trim().toUpperCase()).filter(Boolean)
+    : [];
+  if (severities.some(severity => !ALERT_SEVERITIES.includes(severity))) {
+    throw new ValidationError(`severity must be drawn from ${ALERT_SEVERITIES.join(', ')}`);
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ValidationError('page must be a positive integer');
+  }
+  const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new ValidationError(`page_size must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    status,
+    severities,
+    alert_type: query.alert_type ? String(query.alert_type).trim().toUpperCase() : null,
+    instance_id: parseOptionalId(query.instance_id, 'instance_id'),
+    watchlist_id: parseOptionalId(query.watchlist_id, 'watchlist_id'),
+    since: query.since ? toSqliteDate(query.since, 'since') : null,
+    until: query.until ? toSqliteDate(query.until, 'until') : null,
+    search: query.search ? String(query.search).trim() : null,
+    page,
+    page_size: pageSize
+  };
+}
+
+/**
+ * Validate the ids of a bulk acknowledge/resolve request
+ */
+export function sanitizeAlertIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new ValidationError('ids must be a non-empty array of alert ids');
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    throw new ValidationError(`At most ${MAX_BULK_IDS} alerts can be updated at once`);
+  }
+  const parsed = ids.map(Number);
+  if (parsed.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ValidationError('ids must be positive integers');
+  }
+  return [...new Set(parsed)];
+}
+
+class AlertService extends EventEmitter {
   constructor(dbAsync, emailConfig = null) {
+    super();
     this.dbAsync = dbAsync;
     this.emailConfig = emailConfig;
     this.emailTransporter = null;
+    this.notificationService = null;
+    this.alertRouter = null;
 
     // Initialize email transporter if config provided
     if (emailConfig && emailConfig.enabled) {
@@ -30,6 +119,14 @@ class AlertService {
     }
   }
 
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  setAlertRouter(alertRouter) {
+    this.alertRouter = alertRouter;
+  }
+
   /**
    * Create a system alert
    * @param {string} alertType - Type of alert (WEBSOCKET_DISCONNECT, ORDER_FAILED, etc.)
@@ -65,6 +162,33 @@ class AlertService {
         titleText = typeof type === 'string' ? type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : String(type);
       }
 
+      // Repeats of an open alert inside its rule's window are folded into it
+      let routing = null;
+      if (this.alertRouter) {
+        routing = await this.alertRouter.route({
+          alert_type: type,
+          severity: sev,
+          message: msg,
+          details: ctx,
+          instance_id: instId,
+          watchlist_id: wlId
+        });
+
+        if (routing.action === 'SUPPRESS') {
+          return routing.alert_id;
+        }
+
+        if (routing.action === 'ESCALATE') {
+          const escalatedMessage = `Escalated after ${routing.occurrence_count} occurrences: ${msg}`;
+          console.log(`[AlertService] Escalated alert ${routing.alert_id} to ${routing.severity}: ${type}`);
+          await this.notify(routing.alert_id, type, routing.severity, titleText, escalatedMessage, ctx, instId, wlId, {
+            escalated: true,
+            occurrence_count: routing.occurrence_count
+          });
+          return routing.alert_id;
+        }
+      }
+
       const result = await this.dbAsync.run(`
         INSERT INTO system_alerts (
           alert_type,
@@ -88,11 +212,12 @@ class AlertService {
 
       const alertId = result.lastID;
 
-      // Send email notification for critical alerts
-      if (sev === 'CRITICAL' && this.emailTransporter) {
-        await this.sendEmailNotification(alertId, type, sev, msg, ctx);
+      if (routing?.dedup_key) {
+        await this.alertRouter.recordCreated(alertId, routing.dedup_key);
       }
 
+      await this.notify(alertId, type, sev, titleText, msg, ctx, instId, wlId);
+
       console.log(`[AlertService] Created ${sev} alert: ${type} - ${msg}`);
 
       return alertId;
@@ -102,6 +227,37 @@ class AlertService {
     }
   }
 
+  /**
+   * Send a new (or escalated) alert out: email for CRITICAL, the 'alert_created'
+   * event, then the notification channels
+   */
+  async notify(alertId, type, sev, titleText, msg, ctx, instId, wlId, extra = {}) {
+    if (sev === 'CRITICAL' && this.emailTransporter) {
+      await this.sendEmailNotification(alertId, type, sev, msg, ctx);
+    }
+
+    const alert = {
+      id: alertId,
+      alert_type: type,
+      severity: sev,
+      title: titleText,
+      message: msg,
+      details: ctx,
+      instance_id: instId,
+      watchlist_id: wlId,
+      created_at: new Date().toISOString(),
+      ...extra
+    };
+
+    this.emit('alert_created', alert);
+
+    // Not awaited: a slow or unreachable channel must not hold up the caller
+    if (this.notificationService) {
+      this.notificationService.dispatch(alert)
+        .catch(error => console.error('[AlertService] Failed to dispatch notifications:', error.message));
+    }
+  }
+
   /**
    * WebSocket specific alerts
    */
@@ -362,6 +518,27 @@ class AlertService {
     );
   }
 
+  async alertSafeSwitchRetriesExhausted(instanceId, instanceName, details = {}) {
+    // CRITICAL so createAlert routes it through sendEmailNotification
+    return await this.createAlert(
+      'SAFE_SWITCH_RETRIES_EXHAUSTED',
+      'CRITICAL',
+      `Auto safe-switch could not flatten instance "${instanceName}" after ${details.retries} retries; still open: ${(details.open_symbols || []).join(', ')}. Instance is switch-pending and blocked for new orders.`,
+      { instance_name: instanceName, ...details },
+      instanceId
+    );
+  }
+
+  async alertSafeSwitchFailed(instanceId, instanceName, details = {}) {
+    return await this.createAlert(
+      'SAFE_SWITCH_FAILED',
+      'ERROR',
+      `Auto safe-switch failed for instance "${instanceName}" at step "${details.failed_step}": ${details.error}`,
+      { instance_name: instanceName, ...details },
+      instanceId
+    );
+  }
+
   /**
    * Query alerts
    */
@@ -437,6 +614,141 @@ class AlertService {
     `, [watchlistId, limit]);
   }
 
+  /**
+   * Filtered, paginated alert list (recurring alerts sort by their latest occurrence)
+   *
+   * @param {Object} filters - Output of sanitizeAlertQuery
+   * @returns {Promise<Object>} - { alerts, total, page, page_size }
+   */
+  async queryAlerts(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status === 'unresolved') {
+      conditions.push('a.is_resolved = 0');
+    } else if (filters.status === 'unacknowledged') {
+      conditions.push('a.is_resolved = 0 AND COALESCE(a.is_acknowledged, 0) = 0');
+    } else if (filters.status === 'acknowledged') {
+      conditions.push('a.is_resolved = 0 AND a.is_acknowledged = 1');
+    } else if (filters.status === 'resolved') {
+      conditions.push('a.is_resolved = 1');
+    }
+    if (filters.severities?.length > 0) {
+      conditions.push(`a.severity IN (${filters.severities.map(() => '?').join(', ')})`);
+      params.push(...filters.severities);
+    }
+    if (filters.alert_type) {
+      conditions.push('a.alert_type = ?');
+      params.push(filters.alert_type);
+    }
+    if (filters.instance_id) {
+      conditions.push('a.instance_id = ?');
+      params.push(filters.instance_id);
+    }
+    if (filters.watchlist_id) {
+      conditions.push('a.watchlist_id = ?');
+      params.push(filters.watchlist_id);
+    }
+    if (filters.since) {
+      conditions.push('a.created_at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push('a.created_at < ?');
+      params.push(filters.until);
+    }
+    if (filters.search) {
+      conditions.push('(a.title LIKE ? OR a.message LIKE ?)');
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const page = filters.page || 1;
+    const pageSize = filters.page_size || DEFAULT_PAGE_SIZE;
+
+    const { total } = await this.dbAsync.get(`SELECT COUNT(*) as total FROM system_alerts a ${where}`, params);
+    const alerts = await this.dbAsync.all(`
+      SELECT
+        a.*,
+        i.name as instance_name,
+        w.name as watchlist_name
+      FROM system_alerts a
+      LEFT JOIN instances i ON i.id = a.instance_id
+      LEFT JOIN watchlists w ON w.id = a.watchlist_id
+      ${where}
+      ORDER BY COALESCE(a.last_occurred_at, a.created_at) DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, (page - 1) * pageSize]);
+
+    return { alerts, total, page, page_size: pageSize };
+  }
+
+  async getAlert(alertId) {
+    return await this.dbAsync.get(`
+      SELECT
+        a.*,
+        i.name as instance_name,
+        w.name as watchlist_name
+      FROM system_alerts a
+      LEFT JOIN instances i ON i.id = a.instance_id
+      LEFT JOIN watchlists w ON w.id = a.watchlist_id
+      WHERE a.id = ?
+    `, [alertId]);
+  }
+
+  /**
+   * Open alerts nobody has acknowledged yet (the dashboard bell count)
+   */
+  async getUnacknowledgedCount() {
+    const row = await this.dbAsync.get(`
+      SELECT COUNT(*) as count
+      FROM system_alerts
+      WHERE is_resolved = 0 AND COALESCE(is_acknowledged, 0) = 0
+    `);
+    return row.count;
+  }
+
+  /**
+   * Acknowledge several alerts at once
+   */
+  async acknowledgeAlerts(alertIds, acknowledgedBy = null) {
+    const result = await this.dbAsync.run(`
+      UPDATE system_alerts
+      SET
+        is_acknowledged = 1,
+        acknowledged_by = ?,
+        acknowledged_at = datetime('now')
+      WHERE id IN (${alertIds.map(() => '?').join(', ')})
+        AND COALESCE(is_acknowledged, 0) = 0
+    `, [acknowledgedBy, ...alertIds]);
+
+    this.emit('alerts_updated', { action: 'acknowledged', ids: alertIds });
+    return result.changes;
+  }
+
+  /**
+   * Resolve several alerts at once; unacknowledged ones are acknowledged too
+   */
+  async resolveAlerts(alertIds, resolvedBy = null, resolution = null) {
+    const result = await this.dbAsync.run(`
+      UPDATE system_alerts
+      SET
+        is_resolved = 1,
+        resolved_at = datetime('now'),
+        resolved_by = ?,
+        resolution_notes = ?,
+        is_acknowledged = 1,
+        acknowledged_by = COALESCE(acknowledged_by, ?),
+        acknowledged_at = COALESCE(acknowledged_at, datetime('now'))
+      WHERE id IN (${alertIds.map(() => '?').join(', ')})
+        AND is_resolved = 0
+    `, [resolvedBy, resolution, resolvedBy, ...alertIds]);
+
+    this.emit('alerts_updated', { action: 'resolved', ids: alertIds });
+    console.log(`[AlertService] Resolved ${result.changes} alerts`);
+    return result.changes;
+  }
+
   /**
    * Resolve alerts
    */
@@ -532,7 +844,9 @@ class AlertService {
         SUM(CASE WHEN severity = 'CRITICAL' AND is_resolved = 0 THEN 1 ELSE 0 END) as critical_unresolved,
         SUM(CASE WHEN severity = 'ERROR' AND is_resolved = 0 THEN 1 ELSE 0 END) as error_unresolved,
         SUM(CASE WHEN severity = 'WARNING' AND is_resolved = 0 THEN 1 ELSE 0 END) as warning_unresolved,
-        SUM(CASE WHEN severity = 'INFO' AND is_resolved = 0 THEN 1 ELSE 0 END) as info_unresolved
+        SUM(CASE WHEN severity = 'INFO' AND is_resolved = 0 THEN 1 ELSE 0 END) as info_unresolved,
+        SUM(COALESCE(occurrence_count, 1) - 1) as suppressed_count,
+        SUM(CASE WHEN escalated_at IS NOT NULL THEN 1 ELSE 0 END) as escalated_count
       FROM system_alerts
       WHERE created_at > datetime('now', '-7 days')
     `);
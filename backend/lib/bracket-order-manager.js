@@ -0,0 +1,353 @@
+/**
+ * Bracket Order Manager
+ * Broker-side exits for symbols configured with exit_mode = 'BROKER'. When the
+ * entry fills, an SL-M stop and a LIMIT target are placed at the broker and
+ * managed as a one-cancels-other (OCO) pair, so the position stays protected
+ * even if this server stalls. Trailing stop moves are pushed to the stop order
+ * with modifyorder.
+ *
+ * A leg that cannot be placed (or is rejected) is left to local monitoring by
+ * RuleEvaluator, which only skips levels that have a resting broker order.
+ */
+
+const DEFAULT_TICK_SIZE = 0.05;
+
+// Only orders still resting at the broker can be cancelled or modified
+const WORKING_ORDER_STATUSES = ['pending', 'open'];
+
+class BracketOrderManager {
+  constructor(dbAsync, orderPlacementService, alertService) {
+    this.dbAsync = dbAsync;
+    this.orderService = orderPlacementService;
+    this.alertService = alertService;
+  }
+
+  /**
+   * Position with its symbol and exit mode
+   */
+  async getPosition(positionId) {
+    return await this.dbAsync.get(`
+      SELECT
+        p.*,
+        ws.symbol,
+        ws.exchange,
+        sc.exit_mode
+      FROM watchlist_positions p
+      JOIN watchlist_symbols ws ON ws.id = p.symbol_id
+      LEFT JOIN symbol_configs sc ON sc.symbol_id = ws.id
+      WHERE p.id = ?
+    `, [positionId]);
+  }
+
+  /**
+   * Round a price to the exchange tick grid
+   */
+  roundToTick(price, tickSize) {
+    const tick = tickSize > 0 ? tickSize : DEFAULT_TICK_SIZE;
+    return Number((Math.round(price / tick) * tick).toFixed(6));
+  }
+
+  /**
+   * Stop trigger for the position: the tighter of the stop-loss and an active trailing stop
+   */
+  getStopPrice(position) {
+    const levels = [position.sl_price];
+    if (position.trailing_activated) {
+      levels.push(position.trailing_stop_price);
+    }
+
+    const valid = levels.map(Number).filter(level => Number.isFinite(level) && level > 0);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    return position.direction === 'SHORT' ? Math.min(...valid) : Math.max(...valid);
+  }
+
+  /**
+   * Place the stop/target pair for a position whose entry just filled
+   *
+   * @param {number} positionId - watchlist_positions.id
+   * @returns {Promise<Object|null>} - { sl_order_id, target_order_id, errors }, or null when not applicable
+   */
+  async placeBracket(positionId) {
+    const position = await this.getPosition(positionId);
+
+    if (!position || position.exit_mode !== 'BROKER' || position.status !== 'OPEN') {
+      return null;
+    }
+
+    // Already placed (e.g. a second fill report for the same entry)
+    if (position.sl_order_id || position.target_order_id) {
+      return null;
+    }
+
+    const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [position.instance_id]);
+    if (!instance) {
+      throw new Error(`Instance ${position.instance_id} not found`);
+    }
+
+    const tickSize = await this.orderService.getTickSize(position.symbol, position.exchange);
+    const base = {
+      symbol: position.symbol,
+      exchange: position.exchange,
+      action: position.direction === 'SHORT' ? 'BUY' : 'SELL',
+      quantity: position.quantity,
+      product: position.product_type || 'MIS',
+      strategy: 'Watchlist'
+    };
+    const options = {
+      position_id: position.id,
+      order_type: 'EXIT',
+      watchlist_id: position.watchlist_id,
+      symbol_id: position.symbol_id
+    };
+
+    const legs = { sl_order_id: null, target_order_id: null };
+    const errors = [];
+
+    const stopPrice = this.getStopPrice(position);
+    if (stopPrice) {
+      try {
+        const result = await this.orderService.placeRegularOrder(instance, {
+          ...base,
+          pricetype: 'SL-M',
+          trigger_price: this.roundToTick(stopPrice, tickSize)
+        }, options);
+        legs.sl_order_id = result.order_id;
+      } catch (error) {
+        errors.push(`stop: ${error.message}`);
+      }
+    }
+
+    if (position.target_price) {
+      try {
+        const result = await this.orderService.placeRegularOrder(instance, {
+          ...base,
+          pricetype: 'LIMIT',
+          price: this.roundToTick(Number(position.target_price), tickSize)
+        }, options);
+        legs.target_order_id = result.order_id;
+      } catch (error) {
+        errors.push(`target: ${error.message}`);
+      }
+    }
+
+    await this.dbAsync.run(
+      'UPDATE watchlist_positions SET sl_order_id = ?, target_order_id = ? WHERE id = ?',
+      [legs.sl_order_id, legs.target_order_id, position.id]
+    );
+
+    if (errors.length > 0) {
+      await this.alertService.createAlert(
+        'BRACKET_FAILED',
+        'ERROR',
+        `Broker exit orders for ${position.symbol} failed (${errors.join('; ')}); falling back to local monitoring`,
+        { position_id: position.id, symbol: position.symbol, ...legs, errors },
+        position.instance_id,
+        position.watchlist_id
+      );
+    } else if (legs.sl_order_id || legs.target_order_id) {
+      await this.alertService.createAlert(
+        'BRACKET_PLACED',
+        'INFO',
+        `Broker exit orders placed for ${position.symbol}` +
+          (legs.sl_order_id ? ` | stop ₹${this.roundToTick(stopPrice, tickSize)}` : '') +
+          (legs.target_order_id ? ` | target ₹${this.roundToTick(Number(position.target_price), tickSize)}` : ''),
+        { position_id: position.id, symbol: position.symbol, ...legs },
+        position.instance_id,
+        position.watchlist_id
+      );
+    }
+
+    console.log(`[BracketOrderManager] Position ${position.id} bracket: stop=${legs.sl_order_id || '-'} target=${legs.target_order_id || '-'}`);
+
+    return { ...legs, errors };
+  }
+
+  /**
+   * One leg filled: cancel the other (OCO) and mark the position closed by the broker.
+   * The exit price and P&L are recorded by OrderStatusTracker from the fill.
+   *
+   * @param {Object} order - Completed watchlist_orders row
+   * @returns {Promise<Object|null>} - { leg, exit_reason, cancelled }, or null if not a bracket leg
+   */
+  async handleExitFill(order) {
+    const position = order.position_id ? await this.getPosition(order.position_id) : null;
+    if (!position || !order.order_id) {
+      return null;
+    }
+
+    let leg = null;
+    if (order.order_id === position.sl_order_id) {
+      leg = 'STOP';
+    } else if (order.order_id === position.target_order_id) {
+      leg = 'TARGET';
+    } else {
+      return null;
+    }
+
+    const siblingId = leg === 'STOP' ? position.target_order_id : position.sl_order_id;
+    let cancelled = null;
+
+    if (siblingId) {
+      try {
+        await this.orderService.cancelOrder(position.instance_id, siblingId);
+        cancelled = siblingId;
+      } catch (error) {
+        // A sibling left working would open a new position when it fills
+        await this.alertService.createAlert(
+          'BRACKET_OCO_FAILED',
+          'CRITICAL',
+          `Failed to cancel ${leg === 'STOP' ? 'target' : 'stop'} order ${siblingId} for ${position.symbol}: ${error.message}. Cancel it manually.`,
+          { position_id: position.id, order_id: siblingId, filled_order_id: order.order_id },
+          position.instance_id,
+          position.watchlist_id
+        );
+      }
+    }
+
+    const exitReason = leg === 'TARGET'
+      ? 'TARGET_HIT'
+      : (position.trailing_activated ? 'TRAILING_STOP' : 'STOP_LOSS');
+
+    await this.dbAsync.run(`
+      UPDATE watchlist_positions
+      SET
+        is_closed = 1,
+        exit_reason = ?,
+        closed_by = 'BROKER_BRACKET',
+        sl_order_id = NULL,
+        target_order_id = NULL
+      WHERE id = ?
+    `, [exitReason, position.id]);
+
+    console.log(`[BracketOrderManager] Position ${position.id} ${leg.toLowerCase()} filled (${exitReason}), cancelled ${cancelled || 'nothing'}`);
+
+    return { leg, exit_reason: exitReason, cancelled };
+  }
+
+  /**
+   * A leg was rejected by the broker: hand that level back to local monitoring
+   */
+  async handleLegRejected(order) {
+    const position = order.position_id ? await this.getPosition(order.position_id) : null;
+    if (!position || !order.order_id) {
+      return null;
+    }
+
+    const column = order.order_id === position.sl_order_id
+      ? 'sl_order_id'
+      : (order.order_id === position.target_order_id ? 'target_order_id' : null);
+
+    if (!column) {
+      return null;
+    }
+
+    await this.dbAsync.run(`UPDATE watchlist_positions SET ${column} = NULL WHERE id = ?`, [position.id]);
+
+    await this.alertService.createAlert(
+      'BRACKET_FAILED',
+      'ERROR',
+      `Broker ${column === 'sl_order_id' ? 'stop' : 'target'} order for ${position.symbol} was rejected; falling back to local monitoring`,
+      { position_id: position.id, order_id: order.order_id },
+      position.instance_id,
+      position.watchlist_id
+    );
+
+    return { cleared: column };
+  }
+
+  /**
+   * Move the broker stop to the position's current stop (after a trailing stop update)
+   *
+   * @param {Object} position - Position with updated sl_price / trailing_stop_price
+   * @returns {Promise<Object|null>} - modifyOrder result, or null when nothing changed
+   */
+  async syncStopOrder(position) {
+    if (!position.sl_order_id) {
+      return null;
+    }
+
+    const stopPrice = this.getStopPrice(position);
+    if (!stopPrice) {
+      return null;
+    }
+
+    const order = await this.dbAsync.get(`
+      SELECT id, symbol, exchange, trigger_price, status
+      FROM watchlist_orders
+      WHERE order_id = ?
+    `, [position.sl_order_id]);
+
+    if (!order || !WORKING_ORDER_STATUSES.includes(order.status)) {
+      return null;
+    }
+
+    const tickSize = await this.orderService.getTickSize(order.symbol, order.exchange);
+    const triggerPrice = this.roundToTick(stopPrice, tickSize);
+
+    if (Number(order.trigger_price) === triggerPrice) {
+      return null;
+    }
+
+    try {
+      return await this.orderService.modifyOrder(order.id, { trigger_price: triggerPrice });
+    } catch (error) {
+      console.error(`[BracketOrderManager] Failed to move stop ${position.sl_order_id} to ₹${triggerPrice}:`, error.message);
+      await this.alertService.createAlert(
+        'BRACKET_STOP_NOT_MOVED',
+        'WARNING',
+        `Failed to trail broker stop for ${position.symbol} to ₹${triggerPrice}: ${error.message}`,
+        { position_id: position.id, order_id: position.sl_order_id, trigger_price: triggerPrice },
+        position.instance_id,
+        position.watchlist_id
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Cancel any resting stop/target before the position is closed some other way
+   *
+   * @param {Object} position - Position with sl_order_id / target_order_id
+   * @returns {Promise<Array<string>>} - Broker order ids cancelled
+   */
+  async cancelBracket(position) {
+    const cancelled = [];
+    const remaining = { sl_order_id: null, target_order_id: null };
+
+    for (const column of Object.keys(remaining)) {
+      const orderId = position[column];
+      if (!orderId) continue;
+
+      const order = await this.dbAsync.get('SELECT status FROM watchlist_orders WHERE order_id = ?', [orderId]);
+      if (order && !WORKING_ORDER_STATUSES.includes(order.status)) continue;
+
+      try {
+        await this.orderService.cancelOrder(position.instance_id, orderId);
+        cancelled.push(orderId);
+      } catch (error) {
+        // Keep the id so the leg is still recognised (and OCO-handled) if it fills
+        remaining[column] = orderId;
+        await this.alertService.createAlert(
+          'BRACKET_OCO_FAILED',
+          'CRITICAL',
+          `Failed to cancel bracket order ${orderId} for ${position.symbol}: ${error.message}. Cancel it manually.`,
+          { position_id: position.id, order_id: orderId },
+          position.instance_id,
+          position.watchlist_id
+        );
+      }
+    }
+
+    await this.dbAsync.run(
+      'UPDATE watchlist_positions SET sl_order_id = ?, target_order_id = ? WHERE id = ?',
+      [remaining.sl_order_id, remaining.target_order_id, position.id]
+    );
+
+    return cancelled;
+  }
+}
+
+export default BracketOrderManager;
@@ -0,0 +1,482 @@
+/**
+ * Execution Scheduler
+ *
+ * TWAP-style entries: a quantity is worked into the market over a time window
+ * in equal lot-rounded slices instead of all at once. The plan is persisted in
+ * execution_plans and the order as a parent row in watchlist_orders, with one
+ * child order per slice placed through OrderPlacementService. OrderStatusTracker
+ * rolls the child fills up into the parent as it does for freeze-quantity slices.
+ *
+ * Plans are picked up from the database on every tick, so a restart resumes
+ * them where they left off (one overdue slice per tick, never a burst).
+ */
+
+import { validateLotSize } from './order-validators.js';
+import { NotFoundError, ValidationError } from '../middleware/error-handler.js';
+
+const ACTIVE_PLAN_STATUSES = ['RUNNING', 'PAUSED'];
+const ORDER_ACTIONS = ['BUY', 'SELL', 'SHORT', 'COVER'];
+const PRODUCT_TYPES = ['MIS', 'CNC', 'NRML'];
+const MAX_SLICES = 500;
+const MAX_DURATION_MINUTES = 6 * 60 + 15;
+
+function parsePositiveInteger(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new ValidationError(`${field} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Validate a TWAP request from the API.
+ * @param {Object} input - request body
+ */
+export function sanitizeTwapInput(input) {
+  const body = input || {};
+  const sanitized = {
+    instance_id: parsePositiveInteger(body.instance_id, 'instance_id'),
+    watchlist_id: body.watchlist_id ? parsePositiveInteger(body.watchlist_id, 'watchlist_id') : null,
+    symbol_id: body.symbol_id ? parsePositiveInteger(body.symbol_id, 'symbol_id') : null,
+    position_id: body.position_id ? parsePositiveInteger(body.position_id, 'position_id') : null,
+    quantity: parsePositiveInteger(body.quantity, 'quantity'),
+    slices: parsePositiveInteger(body.slices, 'slices')
+  };
+
+  if (!sanitized.symbol_id) {
+    sanitized.symbol = String(body.symbol || '').trim().toUpperCase();
+    sanitized.exchange = String(body.exchange || '').trim().toUpperCase();
+    if (!sanitized.symbol || !sanitized.exchange) {
+      throw new ValidationError('symbol_id, or symbol and exchange, are required');
+    }
+  }
+
+  sanitized.action = String(body.action || '').toUpperCase();
+  if (!ORDER_ACTIONS.includes(sanitized.action)) {
+    throw new ValidationError(`action must be one of ${ORDER_ACTIONS.join(', ')}`);
+  }
+
+  sanitized.product = String(body.product || 'MIS').toUpperCase();
+  if (!PRODUCT_TYPES.includes(sanitized.product)) {
+    throw new ValidationError(`product must be one of ${PRODUCT_TYPES.join(', ')}`);
+  }
+
+  if (sanitized.slices < 2 || sanitized.slices > MAX_SLICES) {
+    throw new ValidationError(`slices must be between 2 and ${MAX_SLICES}`);
+  }
+
+  const duration = Number(body.duration_minutes);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_DURATION_MINUTES) {
+    throw new ValidationError(`duration_minutes must be greater than 0 and at most ${MAX_DURATION_MINUTES}`);
+  }
+  sanitized.duration_minutes = duration;
+
+  sanitized.max_deviation_pct = null;
+  if (body.max_deviation_pct !== undefined && body.max_deviation_pct !== null && body.max_deviation_pct !== '') {
+    const deviation = Number(body.max_deviation_pct);
+    if (!Number.isFinite(deviation) || deviation <= 0) {
+      throw new ValidationError('max_deviation_pct must be a positive number');
+    }
+    sanitized.max_deviation_pct = deviation;
+  }
+
+  return sanitized;
+}
+
+class ExecutionScheduler {
+  constructor(dbAsync, orderPlacementService, alertService, marketCalendar = null) {
+    this.dbAsync = dbAsync;
+    this.orderService = orderPlacementService;
+    this.alertService = alertService;
+    this.marketCalendar = marketCalendar;
+    this.pollingInterval = parseInt(process.env.EXECUTION_SCHEDULER_INTERVAL_MS || '1000');
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isTicking = false;
+  }
+
+  /**
+   * Start running due plan slices
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('[ExecutionScheduler] Already running');
+      return;
+    }
+
+    this.isRunning = true;
+
+    this.intervalId = setInterval(async () => {
+      try {
+        await this.runDuePlans();
+      } catch (error) {
+        console.error('[ExecutionScheduler] Error in scheduling loop:', error.message);
+      }
+    }, this.pollingInterval);
+
+    console.log(`[ExecutionScheduler] Started (checking every ${this.pollingInterval}ms)`);
+  }
+
+  /**
+   * Stop running plan slices (plans stay persisted and resume on the next start)
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      console.log('[ExecutionScheduler] Stopped');
+    }
+  }
+
+  /**
+   * Default price source: last LTP stored by MarketDataRefreshService
+   */
+  async getLtp(exchange, symbol) {
+    const row = await this.dbAsync.get('SELECT ltp FROM market_data WHERE exchange = ? AND symbol = ?', [exchange, symbol]);
+    return row && row.ltp ? parseFloat(row.ltp) : null;
+  }
+
+  async getPlan(planId) {
+    return await this.dbAsync.get('SELECT * FROM execution_plans WHERE id = ?', [planId]);
+  }
+
+  /**
+   * Create a TWAP plan and its parent order. The first slice goes out on the next tick.
+   *
+   * @param {Object} input - Request body (see sanitizeTwapInput)
+   * @param {string|null} createdBy - User email
+   * @param {Date} now
+   * @returns {Promise<Object>} - execution_plans row
+   */
+  async createPlan(input, createdBy = null, now = new Date()) {
+    const params = sanitizeTwapInput(input);
+
+    const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [params.instance_id]);
+    if (!instance) {
+      throw new NotFoundError('Instance');
+    }
+
+    let lotSize = 1;
+    if (params.symbol_id) {
+      const symbol = await this.dbAsync.get(
+        'SELECT id, watchlist_id, symbol, exchange, lot_size FROM watchlist_symbols WHERE id = ?',
+        [params.symbol_id]
+      );
+      if (!symbol) {
+        throw new NotFoundError('Symbol');
+      }
+      params.symbol = symbol.symbol;
+      params.exchange = symbol.exchange;
+      params.watchlist_id = params.watchlist_id || symbol.watchlist_id;
+      lotSize = Math.max(parseInt(symbol.lot_size) || 1, 1);
+    }
+
+    const lotError = validateLotSize(params.quantity, lotSize);
+    if (lotError) {
+      throw new ValidationError(lotError);
+    }
+    if (params.slices > params.quantity / lotSize) {
+      throw new ValidationError(`Cannot split ${params.quantity / lotSize} lots into ${params.slices} slices`);
+    }
+
+    const orderParams = {
+      symbol: params.symbol,
+      exchange: params.exchange,
+      action: params.action,
+      quantity: params.quantity,
+      product: params.product,
+      pricetype: 'MARKET'
+    };
+
+    // Checked once for the whole quantity up front; each slice is checked again when placed
+    try {
+      await this.orderService.performPreflightChecks(instance, orderParams);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const normalized = this.orderService.normalizeOrderParams(orderParams);
+    const parent = await this.orderService.logOrder(instance.id, normalized.metadata, null, {
+      watchlist_id: params.watchlist_id,
+      symbol_id: params.symbol_id,
+      position_id: params.position_id
+    });
+    await this.dbAsync.run('UPDATE watchlist_orders SET slice_count = ? WHERE id = ?', [params.slices, parent.id]);
+
+    const intervalMs = Math.round(params.duration_minutes * 60000 / params.slices);
+    const result = await this.dbAsync.run(`
+      INSERT INTO execution_plans (
+        parent_order_id, instance_id, watchlist_id, symbol_id, position_id, symbol, exchange, action,
+        product_type, total_quantity, lot_size, slice_count, interval_ms, max_deviation_pct,
+        start_price, next_slice_at, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      parent.id,
+      instance.id,
+      params.watchlist_id,
+      params.symbol_id,
+      params.position_id,
+      params.symbol,
+      params.exchange,
+      params.action,
+      params.product,
+      params.quantity,
+      lotSize,
+      params.slices,
+      intervalMs,
+      params.max_deviation_pct,
+      await this.getLtp(params.exchange, params.symbol),
+      now.toISOString(),
+      createdBy
+    ]);
+
+    console.log(`[ExecutionScheduler] Plan ${result.lastID}: ${params.action} ${params.quantity} ${params.symbol} in ${params.slices} slices every ${intervalMs}ms`);
+
+    return await this.getPlan(result.lastID);
+  }
+
+  /**
+   * Quantity of the next slice: remaining lots spread evenly over the remaining slices
+   */
+  getNextSliceQuantity(plan) {
+    const lotSize = Math.max(parseInt(plan.lot_size) || 1, 1);
+    const remainingLots = (plan.total_quantity - plan.placed_quantity) / lotSize;
+    const remainingSlices = plan.slice_count - plan.slices_placed;
+    return Math.ceil(remainingLots / remainingSlices) * lotSize;
+  }
+
+  /**
+   * Place the next slice of every running plan that is due at `now`.
+   * Plans paused for price deviation are re-checked and resume once back in range.
+   */
+  async runDuePlans(now = new Date()) {
+    if (this.isTicking) {
+      return [];
+    }
+    this.isTicking = true;
+
+    const results = [];
+    try {
+      const plans = await this.dbAsync.all(`
+        SELECT * FROM execution_plans
+        WHERE status = 'RUNNING' OR (status = 'PAUSED' AND pause_reason = 'PRICE_DEVIATION')
+        ORDER BY id
+      `);
+
+      for (const plan of plans) {
+        if (plan.next_slice_at && new Date(plan.next_slice_at) > now) continue;
+
+        try {
+          results.push(await this.executeSlice(plan, now));
+        } catch (error) {
+          console.error(`[ExecutionScheduler] Plan ${plan.id} slice failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[ExecutionScheduler] Failed to run plans:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Place one slice of a plan, unless the market is closed or the price has strayed
+   */
+  async executeSlice(plan, now = new Date()) {
+    if (this.marketCalendar) {
+      const marketStatus = await this.marketCalendar.isMarketOpen(plan.exchange, now);
+      if (!marketStatus.open) {
+        return { plan_id: plan.id, status: 'waiting', reason: marketStatus.reason };
+      }
+    }
+
+    const ltp = await this.getLtp(plan.exchange, plan.symbol);
+    let startPrice = plan.start_price;
+
+    if (plan.max_deviation_pct && startPrice && ltp) {
+      const deviation = Math.abs(ltp - startPrice) / startPrice * 100;
+
+      if (deviation > plan.max_deviation_pct) {
+        if (plan.status === 'RUNNING') {
+          await this.setPaused(plan, 'PRICE_DEVIATION', null,
+            `TWAP ${plan.action} ${plan.symbol} paused: LTP ₹${ltp} is ${deviation.toFixed(2)}% from start ₹${startPrice} (max ${plan.max_deviation_pct}%)`);
+        }
+        return { plan_id: plan.id, status: 'paused', deviation };
+      }
+
+      if (plan.status === 'PAUSED') {
+        await this.dbAsync.run(`
+          UPDATE execution_plans
+          SET status = 'RUNNING', pause_reason = NULL, updated_at = datetime('now')
+          WHERE id = ?
+        `, [plan.id]);
+        await this.alertService.createAlert(
+          'TWAP_RESUMED',
+          'INFO',
+          `TWAP ${plan.action} ${plan.symbol} resumed: LTP ₹${ltp} back within ${plan.max_deviation_pct}% of start`,
+          { plan_id: plan.id, order_record_id: plan.parent_order_id, ltp },
+          plan.instance_id,
+          plan.watchlist_id
+        );
+      }
+    }
+
+    // No price when the plan was created: anchor the deviation check at the first slice
+    if (!startPrice && ltp) {
+      startPrice = ltp;
+      await this.dbAsync.run('UPDATE execution_plans SET start_price = ? WHERE id = ?', [ltp, plan.id]);
+    }
+
+    const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [plan.instance_id]);
+    const parent = await this.dbAsync.get('SELECT * FROM watchlist_orders WHERE id = ?', [plan.parent_order_id]);
+    const quantity = this.getNextSliceQuantity(plan);
+
+    try {
+      if (!instance || !parent) {
+        throw new Error(`${instance ? 'Parent order' : 'Instance'} not found`);
+      }
+      const result = await this.orderService.placeChildOrder(instance, parent, quantity);
+
+      const slicesPlaced = plan.slices_placed + 1;
+      const finished = slicesPlaced >= plan.slice_count;
+      await this.dbAsync.run(`
+        UPDATE execution_plans
+        SET
+          slices_placed = ?,
+          placed_quantity = placed_quantity + ?,
+          status = ?,
+          last_error = NULL,
+          next_slice_at = ?,
+          completed_at = ${finished ? "datetime('now')" : 'NULL'},
+          updated_at = datetime('now')
+        WHERE id = ?
+      `, [
+        slicesPlaced,
+        quantity,
+        finished ? 'COMPLETED' : 'RUNNING',
+        finished ? null : new Date(now.getTime() + plan.interval_ms).toISOString(),
+        plan.id
+      ]);
+
+      console.log(`[ExecutionScheduler] Plan ${plan.id} slice ${slicesPlaced}/${plan.slice_count}: ${quantity} ${plan.symbol} (${result.order_id})`);
+
+      if (finished) {
+        await this.alertService.createAlert(
+          'TWAP_COMPLETED',
+          'INFO',
+          `TWAP ${plan.action} ${plan.total_quantity} ${plan.symbol}: all ${plan.slice_count} slices placed`,
+          { plan_id: plan.id, order_record_id: plan.parent_order_id },
+          plan.instance_id,
+          plan.watchlist_id
+        );
+      }
+
+      return { plan_id: plan.id, status: 'placed', slice: slicesPlaced, quantity, order_id: result.order_id };
+    } catch (error) {
+      await this.setPaused(plan, 'ORDER_FAILED', error.message,
+        `TWAP ${plan.action} ${plan.symbol} paused after slice ${plan.slices_placed + 1} failed: ${error.message}`);
+      return { plan_id: plan.id, status: 'failed', error: error.message };
+    }
+  }
+
+  async setPaused(plan, reason, lastError, message) {
+    await this.dbAsync.run(`
+      UPDATE execution_plans
+      SET status = 'PAUSED', pause_reason = ?, last_error = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [reason, lastError, plan.id]);
+
+    await this.alertService.createAlert(
+      'TWAP_PAUSED',
+      reason === 'PRICE_DEVIATION' ? 'WARNING' : 'ERROR',
+      message,
+      { plan_id: plan.id, order_record_id: plan.parent_order_id, reason },
+      plan.instance_id,
+      plan.watchlist_id
+    );
+
+    console.log(`[ExecutionScheduler] Plan ${plan.id} paused (${reason})`);
+  }
+
+  async getActivePlan(planId) {
+    const plan = await this.getPlan(planId);
+    if (!plan) {
+      throw new NotFoundError('Execution plan');
+    }
+    if (!ACTIVE_PLAN_STATUSES.includes(plan.status)) {
+      throw new ValidationError(`Execution plan is ${plan.status.toLowerCase()}`);
+    }
+    return plan;
+  }
+
+  /**
+   * Pause a plan by hand; it stays paused until resumed
+   */
+  async pausePlan(planId) {
+    const plan = await this.getActivePlan(planId);
+    await this.dbAsync.run(`
+      UPDATE execution_plans
+      SET status = 'PAUSED', pause_reason = 'MANUAL', updated_at = datetime('now')
+      WHERE id = ?
+    `, [plan.id]);
+    return await this.getPlan(plan.id);
+  }
+
+  /**
+   * Resume a paused plan; the next slice goes out on the next tick
+   */
+  async resumePlan(planId, now = new Date()) {
+    const plan = await this.getActivePlan(planId);
+    if (plan.status !== 'PAUSED') {
+      throw new ValidationError('Execution plan is not paused');
+    }
+    await this.dbAsync.run(`
+      UPDATE execution_plans
+      SET status = 'RUNNING', pause_reason = NULL, last_error = NULL, next_slice_at = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [now.toISOString(), plan.id]);
+    return await this.getPlan(plan.id);
+  }
+
+  /**
+   * Stop placing slices and cancel the ones still working at the broker.
+   * The parent then settles on what was filled.
+   *
+   * @returns {Promise<Object>} - { plan, slices } with per-slice cancel results
+   */
+  async cancelPlan(planId) {
+    const plan = await this.getActivePlan(planId);
+
+    await this.dbAsync.run(`
+      UPDATE execution_plans
+      SET status = 'CANCELLED', next_slice_at = NULL, completed_at = datetime('now'), updated_at = datetime('now')
+      WHERE id = ?
+    `, [plan.id]);
+
+    // No more slices are coming, so the tracker can settle the parent on the placed ones
+    await this.dbAsync.run('UPDATE watchlist_orders SET slice_count = ? WHERE id = ?', [plan.slices_placed, plan.parent_order_id]);
+
+    let slices = [];
+    if (plan.slices_placed === 0) {
+      await this.dbAsync.run(
+        "UPDATE watchlist_orders SET status = 'cancelled', updated_at = datetime('now') WHERE id = ?",
+        [plan.parent_order_id]
+      );
+    } else {
+      slices = (await this.orderService.cancelSlicedOrder(plan.parent_order_id)).slices;
+    }
+
+    console.log(`[ExecutionScheduler] Plan ${plan.id} cancelled after ${plan.slices_placed}/${plan.slice_count} slices`);
+
+    return { plan: await this.getPlan(plan.id), slices };
+  }
+
+  async getPlanByParentOrder(parentOrderId) {
+    return await this.dbAsync.get('SELECT * FROM execution_plans WHERE parent_order_id = ?', [parentOrderId]);
+  }
+}
+
+export default ExecutionScheduler;
@@ -0,0 +1,291 @@
+/**
+ * Instance Scheduler
+ *
+ * Runs per-instance schedules that take an instance live or move it to analyzer
+ * mode at a given wall-clock time (e.g. live at 09:15, analyzer at 15:20 IST).
+ * Ticked every minute by node-cron in server.js. Analyzer switches go through the
+ * audited autoSwitchToAnalyzer workflow so positions are flattened first.
+ */
+
+import { autoSwitchToAnalyzer } from './instance-updater.js';
+import MarketCalendar from './market-calendar.js';
+import { DEFAULT_TIMEZONE, getZonedDateTime, isValidTimezone } from './switch-policies.js';
+import { ValidationError } from '../middleware/error-handler.js';
+
+export const SCHEDULE_ACTIONS = ['LIVE', 'ANALYZER'];
+export const WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate schedule fields from the API.
+ * @param {Object} input - request body
+ * @param {boolean} partial - true for updates (only provided fields are validated)
+ */
+export function sanitizeScheduleInput(input, partial = false) {
+  const sanitized = {};
+  const body = input || {};
+
+  if (!partial || body.action !== undefined) {
+    const action = String(body.action || '').toUpperCase();
+    if (!SCHEDULE_ACTIONS.includes(action)) {
+      throw new ValidationError('action must be LIVE or ANALYZER');
+    }
+    sanitized.action = action;
+  }
+
+  if (!partial || body.time_of_day !== undefined) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(body.time_of_day || '').trim());
+    if (!match) {
+      throw new ValidationError('time_of_day must be in HH:MM (24h) format');
+    }
+    sanitized.time_of_day = match[0];
+  }
+
+  if (body.days_of_week !== undefined) {
+    const days = (Array.isArray(body.days_of_week) ? body.days_of_week : String(body.days_of_week).split(','))
+      .map(day => String(day).trim().toUpperCase())
+      .filter(Boolean);
+    if (days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+      throw new ValidationError(`days_of_week must be a list of ${WEEKDAYS.join(', ')}`);
+    }
+    sanitized.days_of_week = WEEKDAYS.filter(day => days.includes(day)).join(',');
+  }
+
+  if (body.timezone !== undefined) {
+    const timezone = typeof body.timezone === 'string' ? body.timezone.trim() : '';
+    if (!timezone || !isValidTimezone(timezone)) {
+      throw new ValidationError('timezone must be a valid IANA timezone (e.g. Asia/Kolkata)');
+    }
+    sanitized.timezone = timezone;
+  }
+
+  if (body.exchange !== undefined) {
+    const exchange = String(body.exchange || '').trim().toUpperCase();
+    if (!exchange) {
+      throw new ValidationError('exchange cannot be empty');
+    }
+    sanitized.exchange = exchange;
+  }
+
+  if (body.skip_holidays !== undefined) {
+    sanitized.skip_holidays = body.skip_holidays ? 1 : 0;
+  }
+
+  if (body.is_enabled !== undefined) {
+    sanitized.is_enabled = body.is_enabled ? 1 : 0;
+  }
+
+  return sanitized;
+}
+
+class InstanceScheduler {
+  constructor(dbAsync, makeOpenAlgoRequest, alertService = null, marketCalendar = null) {
+    this.dbAsync = dbAsync;
+    this.makeOpenAlgoRequest = makeOpenAlgoRequest;
+    this.alertService = alertService;
+    this.marketCalendar = marketCalendar || new MarketCalendar(dbAsync);
+    // A schedule missed by a slow tick still runs if we are within this many minutes
+    this.graceMinutes = parseInt(process.env.SCHEDULE_GRACE_MINUTES || '5', 10);
+    this.isTicking = false;
+  }
+
+  // Segment aliases (NFO -> NSE) and partial/special sessions come from the market calendar
+  async isHoliday(exchange, date) {
+    return !!(await this.marketCalendar.getHoliday(exchange, date));
+  }
+
+  /**
+   * Execute every enabled schedule that is due at `now`.
+   * Each schedule runs at most once per local day.
+   */
+  async runDueSchedules(now = new Date()) {
+    if (this.isTicking) {
+      return [];
+    }
+    this.isTicking = true;
+
+    const results = [];
+    try {
+      const schedules = await this.dbAsync.all('SELECT * FROM instance_schedules WHERE is_enabled = 1');
+
+      for (const schedule of schedules) {
+        const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+        const { date, time, weekday } = getZonedDateTime(now, timezone);
+
+        if (schedule.last_run_date === date) continue;
+        if (!schedule.days_of_week.split(',').includes(weekday)) continue;
+
+        const lateBy = toMinutes(time) - toMinutes(schedule.time_of_day);
+        if (lateBy < 0 || lateBy > this.graceMinutes) continue;
+
+        // Claim the run before executing so an overlapping tick cannot run it twice
+        await this.dbAsync.run(
+          'UPDATE instance_schedules SET last_run_date = ? WHERE id = ?',
+          [date, schedule.id]
+        );
+
+        const scheduledFor = `${date} ${schedule.time_of_day}`;
+
+        if (schedule.skip_holidays && await this.isHoliday(schedule.exchange, date)) {
+          results.push(await this.recordRun(schedule, scheduledFor, 'skipped', `${schedule.exchange} holiday`));
+          continue;
+        }
+
+        results.push(await this.executeSchedule(schedule, scheduledFor));
+      }
+    } catch (error) {
+      console.error('[InstanceScheduler] Failed to run schedules:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+
+    return results;
+  }
+
+  async executeSchedule(schedule, scheduledFor) {
+    try {
+      const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [schedule.instance_id]);
+      if (!instance) {
+        return await this.recordRun(schedule, scheduledFor, 'failed', 'Instance not found');
+      }
+
+      console.log(`[InstanceScheduler] Running ${schedule.action} schedule ${schedule.id} for instance ${instance.id}`);
+
+      if (schedule.action === 'ANALYZER') {
+        if (instance.is_analyzer_mode) {
+          return await this.recordRun(schedule, scheduledFor, 'skipped', 'Already in analyzer mode');
+        }
+
+        const result = await autoSwitchToAnalyzer(
+          instance,
+          `Scheduled switch to analyzer at ${schedule.time_of_day} (${schedule.timezone})`,
+          this.dbAsync,
+          this.makeOpenAlgoRequest,
+          {
+            alertService: this.alertService,
+            trigger: { rule: 'schedule', schedule_id: schedule.id, scheduled_for: scheduledFor }
+          }
+        );
+
+        return result.success
+          ? await this.recordRun(schedule, scheduledFor, 'success', 'Switched to analyzer mode')
+          : await this.recordRun(schedule, scheduledFor, 'failed', result.error);
+      }
+
+      // LIVE
+      if (!instance.is_analyzer_mode) {
+        return await this.recordRun(schedule, scheduledFor, 'skipped', 'Already in live mode');
+      }
+      if (instance.switch_pending) {
+        return await this.recordRun(schedule, scheduledFor, 'skipped', 'Instance is switch-pending');
+      }
+
+      const result = await this.makeOpenAlgoRequest(instance, 'analyzer/toggle', 'POST', { mode: false });
+      if (result.status !== 'success') {
+        throw new Error(result.message || 'Failed to disable analyzer mode');
+      }
+
+      await this.dbAsync.run(
+        'UPDATE instances SET is_analyzer_mode = 0, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+        [instance.id]
+      );
+
+      return await this.recordRun(schedule, scheduledFor, 'success', 'Switched to live mode');
+    } catch (error) {
+      console.error(`[InstanceScheduler] Schedule ${schedule.id} failed:`, error.message);
+      if (this.alertService) {
+        try {
+          await this.alertService.createAlert(
+            'SCHEDULE_FAILED',
+            'ERROR',
+            `Scheduled ${schedule.action} switch failed for instance ${schedule.instance_id}: ${error.message}`,
+            { schedule_id: schedule.id, scheduled_for: scheduledFor },
+            schedule.instance_id
+          );
+        } catch (alertError) {
+          console.error('[InstanceScheduler] Failed to create alert:', alertError.message);
+        }
+      }
+      return await this.recordRun(schedule, scheduledFor, 'failed', error.message);
+    }
+  }
+
+  async recordRun(schedule, scheduledFor, status, message) {
+    await this.dbAsync.run(
+      `INSERT INTO instance_schedule_runs (schedule_id, instance_id, action, scheduled_for, status, message)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [schedule.id, schedule.instance_id, schedule.action, scheduledFor, status, message]
+    );
+    return { schedule_id: schedule.id, instance_id: schedule.instance_id, action: schedule.action, scheduled_for: scheduledFor, status, message };
+  }
+
+  /**
+   * Next occurrences of enabled schedules (holidays and off-days excluded).
+   * @param {Object} options - { instanceId, limit, days, now }
+   */
+  async getUpcomingRuns({ instanceId = null, limit = 20, days = 7, now = new Date() } = {}) {
+    const params = [];
+    let sql = `
+      SELECT s.*, i.name as instance_name
+      FROM instance_schedules s
+      JOIN instances i ON i.id = s.instance_id
+      WHERE s.is_enabled = 1
+    `;
+    if (instanceId) {
+      sql += ' AND s.instance_id = ?';
+      params.push(instanceId);
+    }
+    const schedules = await this.dbAsync.all(sql, params);
+
+    const upcoming = [];
+    for (const schedule of schedules) {
+      const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+      const today = getZonedDateTime(now, timezone);
+
+      for (let offset = 0; offset <= days; offset++) {
+        const { date, weekday } = getZonedDateTime(new Date(now.getTime() + offset * DAY_MS), timezone);
+
+        if (offset === 0 && (schedule.last_run_date === date || schedule.time_of_day < today.time)) continue;
+        if (!schedule.days_of_week.split(',').includes(weekday)) continue;
+        if (schedule.skip_holidays && await this.isHoliday(schedule.exchange, date)) continue;
+
+        upcoming.push({
+          schedule_id: schedule.id,
+          instance_id: schedule.instance_id,
+          instance_name: schedule.instance_name,
+          action: schedule.action,
+          scheduled_for: `${date} ${schedule.time_of_day}`,
+          timezone
+        });
+      }
+    }
+
+    return upcoming
+      .sort((a, b) => a.scheduled_for.localeCompare(b.scheduled_for))
+      .slice(0, limit);
+  }
+
+  async getPastRuns({ instanceId = null, limit = 20 } = {}) {
+    const params = [];
+    let sql = `
+      SELECT r.*, i.name as instance_name
+      FROM instance_schedule_runs r
+      LEFT JOIN instances i ON i.id = r.instance_id
+    `;
+    if (instanceId) {
+      sql += ' WHERE r.instance_id = ?';
+      params.push(instanceId);
+    }
+    sql += ' ORDER BY r.executed_at DESC, r.id DESC LIMIT ?';
+    params.push(limit);
+    return this.dbAsync.all(sql, params);
+  }
+}
+
+export default InstanceScheduler;
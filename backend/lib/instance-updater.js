@@ -1,56 +1,245 @@
 import getAccountPnL from './account-pnl.js';
+import { recordPnlSnapshot } from './pnl-history.js';
+import {
+  DEFAULT_SWITCH_POLICY,
+  getSwitchPolicy,
+  updateIntradayPeak,
+  evaluateSwitchPolicies,
+  recordPolicyTrigger
+} from './switch-policies.js';
+import {
+  startSafeSwitchRun,
+  buildStepRecord,
+  saveSafeSwitchSteps,
+  finishSafeSwitchRun
+} from './safe-switch-audit.js';
 
 // These functions are dependency-injected: callers must provide `dbAsync` and `makeRequest`.
 // This keeps logic pure and easy to unit-test.
 
-export async function autoSwitchToAnalyzer(instance, reason, dbAsync, makeRequest) {
+const DEFAULT_CLOSE_RETRIES = parseInt(process.env.SAFE_SWITCH_CLOSE_RETRIES || '3', 10);
+const DEFAULT_CLOSE_RETRY_DELAY_MS = parseInt(process.env.SAFE_SWITCH_CLOSE_RETRY_DELAY_MS || '2000', 10);
+
+// Instances with a safe-switch currently running; a slow retry loop must not be
+// started a second time by the next poll.
+const switchesInProgress = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getOpenPositions(positionResponse) {
+  if (!positionResponse || positionResponse.status !== 'success' || !positionResponse.data) {
+    return [];
+  }
+  const positions = Array.isArray(positionResponse.data)
+    ? positionResponse.data
+    : (positionResponse.data.positions || []);
+  return positions.filter(pos => parseFloat(pos.netqty || 0) !== 0);
+}
+
+async function setSwitchPending(dbAsync, instanceId, pending, reason = null) {
+  try {
+    if (pending) {
+      await dbAsync.run(
+        'UPDATE instances SET switch_pending = 1, switch_pending_since = CURRENT_TIMESTAMP, switch_pending_reason = ? WHERE id = ?',
+        [reason, instanceId]
+      );
+    } else {
+      await dbAsync.run(
+        'UPDATE instances SET switch_pending = 0, switch_pending_since = NULL, switch_pending_reason = NULL WHERE id = ?',
+        [instanceId]
+      );
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to update switch-pending state for instance ${instanceId}:`, error.message);
+  }
+}
+
+/**
+ * Flatten an instance and move it to analyzer mode.
+ * Every run is written to safe_switch_runs with per-step status, payloads and timings.
+ * Exhausted close retries alert once per switch-pending episode: a run that resumes
+ * an instance already switch-pending does not alert again.
+ * @param {Object} options - { alertService, trigger } where trigger carries the fired rule and P&L
+ */
+export async function autoSwitchToAnalyzer(instance, reason, dbAsync, makeRequest, options = {}) {
+  const {
+    alertService = null,
+    trigger = null,
+    maxCloseRetries = DEFAULT_CLOSE_RETRIES,
+    retryBaseDelayMs = DEFAULT_CLOSE_RETRY_DELAY_MS
+  } = options;
+
+  if (switchesInProgress.has(instance.id)) {
+    console.log(`⏳ Auto Safe-Switch already in progress for instance ${instance.id}, skipping`);
+    return { success: false, error: 'Safe-switch already in progress', in_progress: true };
+  }
+  switchesInProgress.add(instance.id);
+
+  const runStartedAt = Date.now();
+  const runId = await startSafeSwitchRun(dbAsync, instance.id, reason, trigger);
+  const steps = [];
+  let currentStep = null;
+
+  // Execute one API step and append its audit record; `check` throws to fail the step
+  const runStep = async (name, endpoint, method, payload, check) => {
+    currentStep = name;
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await makeRequest(instance, endpoint, method, payload);
+      if (check) {
+        check(response);
+      }
+      steps.push(buildStepRecord(steps.length + 1, name, { request: payload, response, startedAt, status: 'success' }));
+      await saveSafeSwitchSteps(dbAsync, runId, steps);
+      return response;
+    } catch (error) {
+      steps.push(buildStepRecord(steps.length + 1, name, { request: payload, response, error: error.message, startedAt, status: 'failed' }));
+      throw error;
+    }
+  };
+
   try {
     // Step 1: Close all open positions
     const closePayload = {};
     if (instance.strategy_tag && instance.strategy_tag.trim() !== '') {
       closePayload.strategy = instance.strategy_tag;
     }
-    await makeRequest(instance, 'closeposition', 'POST', closePayload);
+    await runStep('closeposition', 'closeposition', 'POST', closePayload);
 
     // Step 2: Cancel all pending orders
     const cancelPayload = {};
     if (instance.strategy_tag && instance.strategy_tag.trim() !== '') {
       cancelPayload.strategy = instance.strategy_tag;
     }
-    await makeRequest(instance, 'cancelallorder', 'POST', cancelPayload);
+    await runStep('cancelallorder', 'cancelallorder', 'POST', cancelPayload);
+
+    // Step 3: Confirm no open positions, retrying closeposition per leftover symbol with backoff
+    let openPositions = getOpenPositions(await runStep('verify_positions', 'positionbook', 'POST', undefined));
+
+    if (openPositions.length > 0) {
+      console.warn(`⚠️  ${openPositions.length} positions still open on instance ${instance.id}, entering switch-pending state`);
+      await setSwitchPending(dbAsync, instance.id, true, reason);
+
+      for (let attempt = 1; attempt <= maxCloseRetries && openPositions.length > 0; attempt++) {
+        await sleep(retryBaseDelayMs * Math.pow(2, attempt - 1));
+
+        for (const position of openPositions) {
+          const symbolPayload = { ...closePayload, symbol: position.symbol, exchange: position.exchange, product: position.product };
+          try {
+            await runStep(`close_retry_${attempt}:${position.symbol}`, 'closeposition', 'POST', symbolPayload);
+          } catch (retryError) {
+            // Recorded in the audit steps; the verify below decides whether we are done
+          }
+        }
+
+        openPositions = getOpenPositions(await runStep(`verify_positions_retry_${attempt}`, 'positionbook', 'POST', undefined));
+      }
 
-    // Step 3: Confirm no open positions
-    const positionCheck = await makeRequest(instance, 'positionbook');
-    if (positionCheck.status === 'success' && positionCheck.data && positionCheck.data.positions) {
-      const openPositions = positionCheck.data.positions.filter(pos => parseFloat(pos.netqty || 0) !== 0);
       if (openPositions.length > 0) {
-        throw new Error(`${openPositions.length} positions still open after close attempt`);
+        const symbols = openPositions.map(pos => pos.symbol);
+        currentStep = 'verify_positions';
+        const retryError = new Error(`${openPositions.length} positions still open after ${maxCloseRetries} close retries`);
+        retryError.retriesExhausted = true;
+        retryError.openSymbols = symbols;
+        throw retryError;
       }
     }
 
     // Step 4: Toggle analyzer mode
-    const toggleResult = await makeRequest(instance, 'analyzer/toggle', 'POST', { mode: true });
-    if (toggleResult.status !== 'success') {
-      throw new Error('Failed to enable analyzer mode');
-    }
+    await runStep('analyzer_toggle', 'analyzer/toggle', 'POST', { mode: true }, (toggleResult) => {
+      if (toggleResult.status !== 'success') {
+        throw new Error('Failed to enable analyzer mode');
+      }
+    });
 
     // Step 5: Verify analyzer mode
-    const verifyResult = await makeRequest(instance, 'analyzer');
-    if (verifyResult.status !== 'success' || verifyResult.data?.mode !== 'analyze') {
-      throw new Error('Failed to verify analyzer mode activation');
-    }
+    await runStep('verify_analyzer', 'analyzer', 'POST', undefined, (verifyResult) => {
+      if (verifyResult.status !== 'success' || verifyResult.data?.mode !== 'analyze') {
+        throw new Error('Failed to verify analyzer mode activation');
+      }
+    });
 
     // Update DB
+    currentStep = 'update_instance';
     await dbAsync.run('UPDATE instances SET is_analyzer_mode = 1, last_updated = CURRENT_TIMESTAMP WHERE id = ?', [instance.id]);
+    await setSwitchPending(dbAsync, instance.id, false);
+
+    await finishSafeSwitchRun(dbAsync, runId, {
+      status: 'success',
+      steps,
+      durationMs: Date.now() - runStartedAt
+    });
 
-    return { success: true, reason };
+    return { success: true, reason, run_id: runId };
   } catch (error) {
     console.error(`❌ Auto Safe-Switch failed for instance ${instance.id}:`, error.message);
-    return { success: false, error: error.message };
+
+    await finishSafeSwitchRun(dbAsync, runId, {
+      status: 'failed',
+      steps,
+      failedStep: currentStep,
+      errorMessage: error.message,
+      durationMs: Date.now() - runStartedAt
+    });
+
+    if (alertService) {
+      const alertDetails = {
+        run_id: runId,
+        failed_step: currentStep,
+        error: error.message,
+        reason,
+        trigger
+      };
+      try {
+        if (error.retriesExhausted) {
+          if (instance.switch_pending) {
+            console.warn(`⚠️  Instance ${instance.id} still switch-pending (${error.openSymbols.join(', ')}), already alerted`);
+          } else {
+            await alertService.alertSafeSwitchRetriesExhausted(instance.id, instance.name, {
+              ...alertDetails,
+              open_symbols: error.openSymbols,
+              retries: maxCloseRetries
+            });
+          }
+        } else {
+          await alertService.alertSafeSwitchFailed(instance.id, instance.name, alertDetails);
+        }
+      } catch (alertError) {
+        console.error(`⚠️  Failed to raise safe-switch alert for instance ${instance.id}:`, alertError.message);
+      }
+    }
+
+    return { success: false, error: error.message, failed_step: currentStep, run_id: runId };
+  } finally {
+    switchesInProgress.delete(instance.id);
+  }
+}
+
+/**
+ * Start a safe-switch beside the poll loop: close retries back off for seconds,
+ * and must not hold up P&L polling and rule checks for the other instances.
+ * @returns {Promise<Object>|null} - The switch result, or null when one is already running
+ */
+function startSafeSwitch(instance, reason, dbAsync, makeRequest, options) {
+  if (switchesInProgress.has(instance.id)) {
+    return null;
   }
+  return autoSwitchToAnalyzer(instance, reason, dbAsync, makeRequest, options)
+    .catch(error => {
+      console.error(`❌ Auto Safe-Switch crashed for instance ${instance.id}:`, error.message);
+      return { success: false, error: error.message };
+    });
 }
 
-export async function updateInstancesData(dbAsync, makeRequest) {
+/**
+ * Poll funds and P&L for every active instance and apply the safe-switch rules.
+ * @param {Object} options - { alertService } forwarded to autoSwitchToAnalyzer
+ * @returns {Promise<Array<Promise>>} - Safe-switches started by this poll, still running
+ */
+export async function updateInstancesData(dbAsync, makeRequest, options = {}) {
+  const { alertService = null } = options;
+  const switches = [];
   try {
     const instances = await dbAsync.all('SELECT * FROM instances WHERE is_active = 1');
 
@@ -63,19 +252,73 @@ export async function updateInstancesData(dbAsync, makeRequest) {
           const pnlData = await getAccountPnL(instance, makeRequest);
           const { realized_pnl, unrealized_pnl, total_pnl } = pnlData.accountTotals;
 
-          const targetProfit = parseFloat(instance.target_profit) || 5000;
-          const targetLoss = parseFloat(instance.target_loss) || 2000;
+          // Policy storage problems must never stop the fixed profit/loss targets from firing
+          let policy = { ...DEFAULT_SWITCH_POLICY, instance_id: instance.id };
+          let peakPnl = total_pnl;
+          try {
+            policy = await getSwitchPolicy(dbAsync, instance.id);
+            peakPnl = await updateIntradayPeak(dbAsync, policy, total_pnl);
+          } catch (policyError) {
+            console.error(`⚠️  Failed to load safe-switch policy for instance ${instance.id}:`, policyError.message);
+          }
+
+          if (!instance.is_analyzer_mode) {
+            const decision = evaluateSwitchPolicies(instance, policy, {
+              total_pnl,
+              peak_pnl: peakPnl,
+              trades: pnlData.trades || []
+            });
 
-          if (total_pnl >= targetProfit && !instance.is_analyzer_mode) {
-            await autoSwitchToAnalyzer(instance, 'Target profit reached', dbAsync, makeRequest);
-          } else if (total_pnl <= -Math.abs(targetLoss) && !instance.is_analyzer_mode) {
-            await autoSwitchToAnalyzer(instance, 'Max loss reached', dbAsync, makeRequest);
+            if (decision) {
+              console.log(`🛑 Safe-switch rule "${decision.rule}" fired for instance ${instance.id}: ${decision.reason}`);
+              const started = startSafeSwitch(instance, decision.reason, dbAsync, makeRequest, {
+                alertService,
+                trigger: {
+                  rule: decision.rule,
+                  total_pnl,
+                  realized_pnl,
+                  unrealized_pnl,
+                  peak_pnl: peakPnl,
+                  ...decision.details
+                }
+              });
+              // Recorded only once the switch went through, so a failed switch is retried
+              // instead of a once-per-day rule being spent
+              switches.push(started && started.then(async (result) => {
+                if (result.success) {
+                  try {
+                    await recordPolicyTrigger(dbAsync, instance.id, decision, policy.timezone);
+                  } catch (recordError) {
+                    console.error(`⚠️  Failed to record safe-switch trigger for instance ${instance.id}:`, recordError.message);
+                  }
+                }
+                return result;
+              }));
+            } else if (instance.switch_pending) {
+              // A previous switch ran out of close retries; keep trying until it completes
+              switches.push(startSafeSwitch(instance, instance.switch_pending_reason || 'Resuming pending safe-switch', dbAsync, makeRequest, {
+                alertService,
+                trigger: { rule: 'switch_pending', total_pnl, realized_pnl, unrealized_pnl }
+              }));
+            }
           }
 
           await dbAsync.run(
             'UPDATE instances SET current_balance = ?, current_pnl = ?, realized_pnl = ?, unrealized_pnl = ?, total_pnl = ?, is_active = 1, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
             [balance, total_pnl, realized_pnl, unrealized_pnl, total_pnl, instance.id]
           );
+
+          // Keep intraday history; a failed snapshot must not deactivate the instance
+          try {
+            await recordPnlSnapshot(dbAsync, instance.id, {
+              current_balance: balance,
+              realized_pnl,
+              unrealized_pnl,
+              total_pnl
+            });
+          } catch (snapshotError) {
+            console.error(`⚠️  Failed to record P&L snapshot for instance ${instance.id}:`, snapshotError.message);
+          }
         }
       } catch (error) {
         console.error(`❌ Error updating instance ${instance.id}:`, error.message);
@@ -85,6 +328,7 @@ export async function updateInstancesData(dbAsync, makeRequest) {
   } catch (error) {
     console.error('❌ Error in updateInstancesData:', error);
   }
+  return switches.filter(Boolean);
 }
 
 export async function performHealthChecks(dbAsync, makeRequest) {
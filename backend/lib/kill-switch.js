@@ -0,0 +1,284 @@
+/**
+ * Kill Switch
+ * Emergency "stop everything": in parallel across instances, blocks new orders,
+ * cancels open orders, closes all positions and optionally moves the instance
+ * to analyzer mode. Every step runs even if an earlier one failed, and the
+ * outcome of each is reported.
+ *
+ * Scoped to a watchlist, only that watchlist's own orders and positions are
+ * cancelled and closed; the instances keep trading for other watchlists.
+ *
+ * Dependency-injected like instance-updater: callers pass `dbAsync` and `makeRequest`.
+ */
+
+export const KILL_SWITCH_CONFIRMATION = 'KILL SWITCH';
+
+function strategyPayload(instance) {
+  return instance.strategy_tag && instance.strategy_tag.trim() !== ''
+    ? { strategy: instance.strategy_tag }
+    : {};
+}
+
+/**
+ * Instances the kill switch applies to: all, or those assigned to one watchlist
+ */
+export async function getKillSwitchInstances(dbAsync, watchlistId = null) {
+  if (watchlistId) {
+    return await dbAsync.all(`
+      SELECT i.*
+      FROM instances i
+      INNER JOIN watchlist_instances wi ON i.id = wi.instance_id
+      WHERE wi.watchlist_id = ?
+      ORDER BY i.id
+    `, [watchlistId]);
+  }
+
+  return await dbAsync.all('SELECT * FROM instances ORDER BY id');
+}
+
+/**
+ * Mark local positions closed once the broker side has been flattened
+ */
+async function markPositionsClosed(dbAsync, positionIds, closedBy) {
+  if (positionIds.length === 0) {
+    return;
+  }
+  await dbAsync.run(`
+    UPDATE watchlist_positions
+    SET
+      status = 'CLOSED',
+      is_closed = 1,
+      exit_reason = 'KILL_SWITCH',
+      exited_at = datetime('now'),
+      closed_by = ?
+    WHERE id IN (${positionIds.map(() => '?').join(', ')})
+  `, [closedBy, ...positionIds]);
+}
+
+/**
+ * Cancel one watchlist's working orders on an instance, order by order
+ */
+async function cancelWatchlistOrders(instance, dbAsync, makeRequest, watchlistId) {
+  const orders = await dbAsync.all(`
+    SELECT id, order_id FROM watchlist_orders
+    WHERE watchlist_id = ? AND instance_id = ? AND status IN ('pending', 'open') AND order_id IS NOT NULL
+  `, [watchlistId, instance.id]);
+
+  const failed = [];
+  for (const order of orders) {
+    try {
+      const response = await makeRequest(instance, 'cancelorder', 'POST', { ...strategyPayload(instance), orderid: order.order_id });
+      if (response.status !== 'success') {
+        throw new Error(response.message || 'cancelorder failed');
+      }
+      await dbAsync.run(
+        "UPDATE watchlist_orders SET status = 'cancelled', cancelled_at = datetime('now'), cancelled_by = 'KILL_SWITCH' WHERE id = ?",
+        [order.id]
+      );
+    } catch (error) {
+      failed.push(`${order.order_id}: ${error.message}`);
+    }
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.length}/${orders.length} orders not cancelled (${failed.join('; ')})`);
+  }
+  return { status: 'success', cancelled: orders.length };
+}
+
+/**
+ * Close one watchlist's open positions on an instance with offsetting MARKET orders
+ */
+async function closeWatchlistPositions(instance, dbAsync, makeRequest, watchlistId, closedBy) {
+  const positions = await dbAsync.all(`
+    SELECT p.*, ws.symbol, ws.exchange
+    FROM watchlist_positions p
+    JOIN watchlist_symbols ws ON ws.id = p.symbol_id
+    WHERE p.watchlist_id = ? AND p.instance_id = ? AND p.status = 'OPEN'
+  `, [watchlistId, instance.id]);
+
+  const closed = [];
+  const failed = [];
+  for (const position of positions) {
+    try {
+      const response = await makeRequest(instance, 'placeorder', 'POST', {
+        ...strategyPayload(instance),
+        symbol: position.symbol,
+        exchange: position.exchange,
+        action: position.direction === 'SHORT' ? 'BUY' : 'SELL',
+        quantity: String(position.quantity),
+        pricetype: 'MARKET',
+        product: position.product_type || 'MIS'
+      });
+      if (response.status !== 'success') {
+        throw new Error(response.message || 'placeorder failed');
+      }
+      closed.push(position.id);
+    } catch (error) {
+      failed.push(`${position.symbol}: ${error.message}`);
+    }
+  }
+
+  await markPositionsClosed(dbAsync, closed, closedBy);
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.length}/${positions.length} positions not closed (${failed.join('; ')})`);
+  }
+  return { status: 'success', positions_closed: closed.length };
+}
+
+/**
+ * Flatten one instance (or one watchlist's share of it); steps are recorded rather than thrown
+ */
+export async function killInstance(instance, dbAsync, makeRequest, options = {}) {
+  const { enableAnalyzer = false, watchlistId = null, closedBy = 'KILL_SWITCH' } = options;
+  const steps = [];
+
+  const runStep = async (name, action) => {
+    const startedAt = Date.now();
+    try {
+      const response = await action();
+      if (response && response.status && response.status !== 'success') {
+        throw new Error(response.message || `${name} failed`);
+      }
+      steps.push({ step: name, status: 'success', duration_ms: Date.now() - startedAt, response: response ?? null });
+    } catch (error) {
+      steps.push({ step: name, status: 'failed', duration_ms: Date.now() - startedAt, error: error.message });
+    }
+  };
+
+  if (watchlistId) {
+    // Other watchlists share the instance: leave it enabled and touch only this watchlist's book
+    await runStep('cancel_orders', () => cancelWatchlistOrders(instance, dbAsync, makeRequest, watchlistId));
+    await runStep('close_positions', () => closeWatchlistPositions(instance, dbAsync, makeRequest, watchlistId, closedBy));
+
+    return {
+      instance_id: instance.id,
+      instance: instance.name,
+      success: steps.every(step => step.status === 'success'),
+      steps
+    };
+  }
+
+  // Block new orders first so nothing is placed while the instance is flattened
+  await runStep('disable_order_placement', () => dbAsync.run(
+    'UPDATE instances SET order_placement_enabled = 0, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+    [instance.id]
+  ).then(() => null));
+
+  // Cancel pending orders before closing so they cannot fill afterwards
+  await runStep('cancel_orders', () => makeRequest(instance, 'cancelallorder', 'POST', strategyPayload(instance)));
+  await runStep('close_positions', () => makeRequest(instance, 'closeposition', 'POST', strategyPayload(instance)));
+
+  // The broker book is flat: close the local position rows to match
+  if (steps[steps.length - 1].status === 'success') {
+    await runStep('reconcile_positions', async () => {
+      const positions = await dbAsync.all(
+        "SELECT id FROM watchlist_positions WHERE instance_id = ? AND status = 'OPEN'",
+        [instance.id]
+      );
+      await markPositionsClosed(dbAsync, positions.map(position => position.id), closedBy);
+      return { status: 'success', positions_closed: positions.length };
+    });
+  }
+
+  if (enableAnalyzer) {
+    await runStep('enable_analyzer', async () => {
+      const response = await makeRequest(instance, 'analyzer/toggle', 'POST', { mode: true });
+      if (response.status === 'success') {
+        await dbAsync.run(
+          'UPDATE instances SET is_analyzer_mode = 1, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+          [instance.id]
+        );
+      }
+      return response;
+    });
+  }
+
+  return {
+    instance_id: instance.id,
+    instance: instance.name,
+    success: steps.every(step => step.status === 'success'),
+    steps
+  };
+}
+
+/**
+ * Run the kill switch across all instances (or one watchlist's instances)
+ *
+ * @param {Object} options
+ * @param {number} options.watchlistId - Only this watchlist's orders and positions (also deactivates it)
+ * @param {boolean} options.enableAnalyzer - Switch each instance to analyzer mode afterwards (global only)
+ * @param {string} options.triggeredBy - Email of the admin who fired it
+ * @param {Object} options.alertService - Raises a CRITICAL alert with the summary
+ * @returns {Promise<Object>} - Consolidated report
+ */
+export async function executeKillSwitch(dbAsync, makeRequest, options = {}) {
+  const { watchlistId = null, enableAnalyzer = false, triggeredBy = null, alertService = null } = options;
+  const startedAt = Date.now();
+  const scope = watchlistId ? 'WATCHLIST' : 'GLOBAL';
+
+  console.warn(`🛑 Kill switch (${scope}${watchlistId ? ` ${watchlistId}` : ''}) triggered by ${triggeredBy || 'unknown'}`);
+
+  if (watchlistId) {
+    // Stops the rule engine from opening new positions on this watchlist
+    await dbAsync.run('UPDATE watchlists SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [watchlistId]);
+  }
+
+  // Analyzer mode is instance-wide, so it is never switched for a single watchlist
+  const analyzer = enableAnalyzer && !watchlistId;
+  const instances = await getKillSwitchInstances(dbAsync, watchlistId);
+  const results = await Promise.all(
+    instances.map(instance => killInstance(instance, dbAsync, makeRequest, {
+      enableAnalyzer: analyzer,
+      watchlistId,
+      closedBy: triggeredBy || 'KILL_SWITCH'
+    }))
+  );
+
+  const failed = results.filter(result => !result.success);
+  const report = {
+    status: failed.length === 0 ? 'completed' : 'partial',
+    scope,
+    watchlist_id: watchlistId,
+    triggered_by: triggeredBy,
+    started_at: new Date(startedAt).toISOString(),
+    elapsed_ms: Date.now() - startedAt,
+    summary: {
+      instances: results.length,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      positions_closed: results.reduce((total, result) => total + result.steps
+        .reduce((sum, step) => sum + (step.response?.positions_closed || 0), 0), 0),
+      analyzer_enabled: analyzer
+    },
+    instances: results
+  };
+
+  if (alertService) {
+    try {
+      await alertService.createAlert(
+        'KILL_SWITCH',
+        'CRITICAL',
+        `Kill switch (${scope.toLowerCase()}) triggered by ${triggeredBy || 'unknown'}: ${report.summary.succeeded}/${results.length} instances flattened`,
+        {
+          ...report.summary,
+          scope,
+          watchlist_id: watchlistId,
+          failed_instances: failed.map(result => ({
+            instance_id: result.instance_id,
+            failed_steps: result.steps.filter(step => step.status === 'failed').map(step => `${step.step}: ${step.error}`)
+          }))
+        },
+        null,
+        watchlistId
+      );
+    } catch (alertError) {
+      console.error('⚠️  Failed to raise kill switch alert:', alertError.message);
+    }
+  }
+
+  return report;
+}
+
+export default executeKillSwitch;
@@ -0,0 +1,194 @@
+/**
+ * Margin Checker
+ * Pre-trade affordability check. Asks OpenAlgo's margin calculator what an
+ * order (or a whole basket, so hedge benefit is counted) requires and compares
+ * it with the instance's funds.availablecash.
+ *
+ * If the calculator is unavailable, the last margin quoted for the same
+ * contracts is scaled to the new quantity. With neither, the check is skipped
+ * and the broker has the final say.
+ *
+ * Both calls take a general_api rate limit token; funds are reused for a few
+ * seconds so a burst of orders does not fetch them once per order. While a
+ * funds entry is reused, margin approved against it is reserved, so orders
+ * checked back-to-back cannot together spend more than the account has.
+ */
+
+const DEFAULT_CACHE_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_FUNDS_TTL_MS = 5000;
+
+// UI actions map onto the broker's BUY/SELL
+const MARGIN_ACTIONS = {
+  BUY: 'BUY',
+  COVER: 'BUY',
+  SELL: 'SELL',
+  SHORT: 'SELL'
+};
+
+const formatAmount = (value) => `₹${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+class MarginChecker {
+  /**
+   * @param {Function} makeOpenAlgoRequest - OpenAlgo request helper
+   * @param {Object} options - { cacheTtlMs, fundsTtlMs, enabled, rateLimiters }
+   */
+  constructor(makeOpenAlgoRequest, options = {}) {
+    this.makeOpenAlgoRequest = makeOpenAlgoRequest;
+    this.rateLimiters = options.rateLimiters || null;
+    this.cacheTtlMs = options.cacheTtlMs ?? parseInt(process.env.ORDER_MARGIN_CACHE_TTL_MS || DEFAULT_CACHE_TTL_MS);
+    this.fundsTtlMs = options.fundsTtlMs ?? parseInt(process.env.ORDER_MARGIN_FUNDS_TTL_MS || DEFAULT_FUNDS_TTL_MS);
+    this.enabled = options.enabled ?? process.env.ORDER_MARGIN_CHECK !== 'false';
+
+    // Margin per unit of quantity, keyed by the set of contracts priced together
+    this.marginCache = new Map();
+
+    // Last availablecash by instance id, with the margin approved against it
+    this.fundsCache = new Map();
+  }
+
+  /**
+   * Wait for the instance's general_api rate limit
+   */
+  async acquireToken(instance) {
+    if (this.rateLimiters) {
+      await this.rateLimiters.acquireToken(instance.id, 'general_api');
+    }
+  }
+
+  /**
+   * Convert an order into an OpenAlgo margin calculator position
+   */
+  toMarginPosition(order) {
+    const pricetype = (order.pricetype || 'MARKET').toUpperCase();
+    return {
+      symbol: order.symbol,
+      exchange: order.exchange,
+      action: MARGIN_ACTIONS[String(order.action).toUpperCase()] || String(order.action).toUpperCase(),
+      product: order.product || order.product_type || 'MIS',
+      pricetype,
+      quantity: String(parseInt(order.quantity)),
+      price: String(pricetype === 'MARKET' ? 0 : Number(order.price) || 0),
+      trigger_price: String(Number(order.trigger_price) || 0)
+    };
+  }
+
+  /**
+   * Cache key for a set of contracts (order-independent)
+   */
+  getCacheKey(positions) {
+    return positions
+      .map(position => `${position.exchange}:${position.symbol}:${position.product}:${position.action}`)
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Margin required for one order or a basket
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Array<Object>} orders - Orders priced together
+   * @returns {Promise<Object>} - { required, source: API | CACHE | UNAVAILABLE, error }
+   */
+  async getRequiredMargin(instance, orders) {
+    const positions = orders.map(order => this.toMarginPosition(order));
+    const cacheKey = this.getCacheKey(positions);
+    const totalQuantity = positions.reduce((sum, position) => sum + Number(position.quantity), 0);
+
+    try {
+      await this.acquireToken(instance);
+      const response = await this.makeOpenAlgoRequest(instance, 'margin', 'POST', { positions });
+      const required = Number(response.data?.total_margin_required);
+
+      if (response.status !== 'success' || !Number.isFinite(required)) {
+        throw new Error(response.message || 'Margin calculator returned no total_margin_required');
+      }
+
+      if (totalQuantity > 0) {
+        this.marginCache.set(cacheKey, { perUnit: required / totalQuantity, cachedAt: Date.now() });
+      }
+
+      return { required, source: 'API' };
+    } catch (error) {
+      const cached = this.marginCache.get(cacheKey);
+      if (cached && Date.now() - cached.cachedAt <= this.cacheTtlMs) {
+        return { required: cached.perUnit * totalQuantity, source: 'CACHE', error: error.message };
+      }
+
+      return { required: null, source: 'UNAVAILABLE', error: error.message };
+    }
+  }
+
+  /**
+   * Cash available for new orders (null if funds could not be fetched)
+   */
+  async getAvailableCash(instance) {
+    const cached = this.fundsCache.get(instance.id);
+    if (cached && Date.now() - cached.cachedAt < this.fundsTtlMs) {
+      return cached.available;
+    }
+
+    try {
+      await this.acquireToken(instance);
+      const response = await this.makeOpenAlgoRequest(instance, 'funds', 'POST', {});
+      const available = Number(response.data?.availablecash);
+
+      if (response.status === 'success' && Number.isFinite(available)) {
+        this.fundsCache.set(instance.id, { available, reserved: 0, cachedAt: Date.now() });
+        return available;
+      }
+      return null;
+    } catch (error) {
+      console.log(`[MarginChecker] Failed to fetch funds for instance ${instance.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check that the instance can afford an order or basket
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Array<Object>} orders - Orders placed together
+   * @returns {Promise<Object>} - { allowed, required, available, source, reason }
+   */
+  async checkMargin(instance, orders) {
+    if (!this.enabled || orders.length === 0) {
+      return { allowed: true, required: null, available: null, source: 'DISABLED' };
+    }
+
+    const [margin, cash] = await Promise.all([
+      this.getRequiredMargin(instance, orders),
+      this.getAvailableCash(instance)
+    ]);
+
+    // Read and reserve in the same tick so concurrent checks see each other
+    const funds = this.fundsCache.get(instance.id);
+    const reserved = cash !== null && funds ? funds.reserved : 0;
+    const available = cash === null ? null : cash - reserved;
+
+    if (margin.required === null || available === null) {
+      const missing = margin.required === null ? `margin unavailable (${margin.error})` : 'funds unavailable';
+      console.log(`[MarginChecker] Skipping margin check for instance ${instance.id}: ${missing}`);
+      return { allowed: true, required: margin.required, available, source: margin.source, skipped: true };
+    }
+
+    if (margin.required > available) {
+      return {
+        allowed: false,
+        required: margin.required,
+        available,
+        source: margin.source,
+        reason: `Insufficient margin: requires ${formatAmount(margin.required)}, available ${formatAmount(available)}`
+          + (reserved > 0 ? ` after ${formatAmount(reserved)} reserved by orders just checked` : '')
+          + (margin.source === 'CACHE' ? ' (cached margin estimate)' : '')
+      };
+    }
+
+    if (funds) {
+      funds.reserved += margin.required;
+    }
+
+    return { allowed: true, required: margin.required, available, source: margin.source };
+  }
+}
+
+export default MarginChecker;
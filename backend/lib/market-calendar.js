@@ -0,0 +1,329 @@
+/**
+ * Market Calendar
+ *
+ * Knows the regular trading sessions of each exchange (IST), exchange holidays
+ * (market_holidays) and special sessions such as Muhurat trading
+ * (market_special_sessions). Background services use it to pause polling
+ * outside market hours and OrderPlacementService uses it to reject orders
+ * while the market is closed.
+ */
+
+import { getZonedDateTime } from './switch-policies.js';
+import { ValidationError } from '../middleware/error-handler.js';
+
+export const MARKET_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Whether US daylight saving is in effect on a 'YYYY-MM-DD' date (New York at noon UTC)
+ */
+export function isUsDaylightSaving(date) {
+  const offset = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', timeZoneName: 'shortOffset' })
+    .formatToParts(new Date(`${date}T12:00:00Z`))
+    .find(part => part.type === 'timeZoneName')?.value;
+  return offset === 'GMT-4';
+}
+
+// MCX evening trading tracks the US markets: 23:30 during US daylight saving, 23:55 otherwise
+export function getMcxEveningEnd(date) {
+  return isUsDaylightSaving(date) ? '23:30' : '23:55';
+}
+
+// Regular sessions per calendar exchange (IST, end exclusive); `end` may depend on the date
+export const EXCHANGE_SESSIONS = {
+  NSE: [{ name: 'REGULAR', start: '09:15', end: '15:30' }],
+  BSE: [{ name: 'REGULAR', start: '09:15', end: '15:30' }],
+  CDS: [{ name: 'REGULAR', start: '09:00', end: '17:00' }],
+  MCX: [
+    { name: 'DAY', start: '09:00', end: '17:00' },
+    { name: 'EVENING', start: '17:00', end: getMcxEveningEnd }
+  ]
+};
+
+// Segments that share another exchange's sessions and holidays
+const EXCHANGE_ALIASES = {
+  NFO: 'NSE',
+  NSE_INDEX: 'NSE',
+  BFO: 'BSE',
+  BSE_INDEX: 'BSE',
+  BCD: 'CDS',
+  MCX_INDEX: 'MCX'
+};
+
+const DEFAULT_EXCHANGES = ['NSE', 'BSE', 'CDS', 'MCX'];
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function getCalendarExchange(exchange) {
+  const upper = String(exchange || '').toUpperCase();
+  return EXCHANGE_ALIASES[upper] || upper;
+}
+
+/**
+ * Parse a holiday list for import.
+ * Accepts an array of { exchange, date, description, session } or CSV text with
+ * a header row containing exchange,date[,description][,session].
+ */
+export function parseHolidayList(input) {
+  let entries = input;
+
+  if (typeof input === 'string') {
+    const lines = input.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) {
+      throw new ValidationError('CSV must contain a header row and at least one holiday');
+    }
+    const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+    entries = lines.slice(1).map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return Object.fromEntries(header.map((col, index) => [col, values[index]]));
+    });
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError('holidays must be a non-empty array or CSV text');
+  }
+
+  return entries.map((entry, index) => {
+    const exchange = getCalendarExchange(entry.exchange);
+    const date = String(entry.date || entry.holiday_date || '').trim();
+    const session = entry.session ? String(entry.session).trim().toUpperCase() : null;
+
+    if (!EXCHANGE_SESSIONS[exchange]) {
+      throw new ValidationError(`Row ${index + 1}: unknown exchange "${entry.exchange}"`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new ValidationError(`Row ${index + 1}: date must be YYYY-MM-DD`);
+    }
+    if (session && !EXCHANGE_SESSIONS[exchange].some(s => s.name === session)) {
+      throw new ValidationError(`Row ${index + 1}: ${exchange} has no "${session}" session`);
+    }
+
+    return { exchange, date, description: entry.description || null, session };
+  });
+}
+
+class MarketCalendar {
+  constructor(dbAsync, options = {}) {
+    this.dbAsync = dbAsync;
+    this.sessions = options.sessions || EXCHANGE_SESSIONS;
+    this.enforce = options.enforce ?? process.env.MARKET_CALENDAR_ENFORCE !== 'false';
+    this.holidays = new Map();
+    this.specialSessions = [];
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Reload holidays and special sessions from the database
+   */
+  async refresh() {
+    const [holidays, specialSessions] = await Promise.all([
+      this.dbAsync.all('SELECT * FROM market_holidays'),
+      this.dbAsync.all('SELECT * FROM market_special_sessions')
+    ]);
+
+    this.holidays = new Map(holidays.map(h => [`${h.exchange}:${h.holiday_date}`, h]));
+    this.specialSessions = specialSessions;
+    this.loadedAt = Date.now();
+  }
+
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        // Keep the previous cache; regular sessions still apply
+        console.error('[MarketCalendar] Failed to load calendar:', error.message);
+        this.loadedAt = Date.now();
+      }
+    }
+  }
+
+  /**
+   * An exchange's regular sessions on a 'YYYY-MM-DD' IST date, with date-dependent ends resolved
+   */
+  getSessionsOn(exchange, date) {
+    return (this.sessions[exchange] || []).map(session => (
+      typeof session.end === 'function' ? { ...session, end: session.end(date) } : session
+    ));
+  }
+
+  /**
+   * Whether an exchange is open at `now`.
+   * @param {Object} options - { graceMinutes } keeps the market "open" for a while after the close
+   * @returns {Promise<Object>} { open, exchange, session, reason }
+   */
+  async isMarketOpen(exchange, now = new Date(), options = {}) {
+    const { graceMinutes = 0 } = options;
+    const calendarExchange = getCalendarExchange(exchange);
+
+    if (!this.enforce) {
+      return { open: true, exchange: calendarExchange, session: null, reason: 'Market calendar enforcement disabled' };
+    }
+
+    if (!this.sessions[calendarExchange]) {
+      return { open: true, exchange: calendarExchange, session: null, reason: 'Unknown exchange, hours not enforced' };
+    }
+
+    await this.ensureLoaded();
+
+    const { date, time, weekday } = getZonedDateTime(now, MARKET_TIMEZONE);
+    const sessions = this.getSessionsOn(calendarExchange, date);
+    const minutes = toMinutes(time);
+    const inWindow = (start, end) => minutes >= toMinutes(start) && minutes < toMinutes(end) + graceMinutes;
+
+    // Special sessions (Muhurat etc.) open the market even on weekends and holidays
+    const special = this.specialSessions.find(s =>
+      s.exchange === calendarExchange && s.session_date === date && inWindow(s.start_time, s.end_time)
+    );
+    if (special) {
+      return { open: true, exchange: calendarExchange, session: special.description || 'SPECIAL', reason: null };
+    }
+
+    if (weekday === 'SAT' || weekday === 'SUN') {
+      return { open: false, exchange: calendarExchange, session: null, reason: 'Weekend' };
+    }
+
+    const holiday = this.holidays.get(`${calendarExchange}:${date}`);
+
+    for (const session of sessions) {
+      if (holiday && (!holiday.session || holiday.session === session.name)) {
+        continue;
+      }
+      if (inWindow(session.start, session.end)) {
+        return { open: true, exchange: calendarExchange, session: session.name, reason: null };
+      }
+    }
+
+    return {
+      open: false,
+      exchange: calendarExchange,
+      session: null,
+      reason: holiday ? `Holiday${holiday.description ? `: ${holiday.description}` : ''}` : 'Outside market hours'
+    };
+  }
+
+  /**
+   * Full-day holiday of an exchange (or its alias) on a 'YYYY-MM-DD' IST date, or null.
+   * Closures of a single session and days with a special session are trading days.
+   */
+  async getHoliday(exchange, date) {
+    const calendarExchange = getCalendarExchange(exchange);
+    await this.ensureLoaded();
+
+    const holiday = this.holidays.get(`${calendarExchange}:${date}`);
+    if (!holiday || holiday.session) {
+      return null;
+    }
+    if (this.specialSessions.some(s => s.exchange === calendarExchange && s.session_date === date)) {
+      return null;
+    }
+    return holiday;
+  }
+
+  /**
+   * True if any of the given exchanges is open (defaults to all known exchanges)
+   */
+  async isAnyMarketOpen(exchanges = DEFAULT_EXCHANGES, now = new Date(), options = {}) {
+    for (const exchange of exchanges) {
+      if ((await this.isMarketOpen(exchange, now, options)).open) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async getStatus(now = new Date()) {
+    const { date } = getZonedDateTime(now, MARKET_TIMEZONE);
+    const statuses = [];
+    for (const exchange of Object.keys(this.sessions)) {
+      statuses.push({
+        ...(await this.isMarketOpen(exchange, now)),
+        sessions: this.getSessionsOn(exchange, date)
+      });
+    }
+    return statuses;
+  }
+
+  async getHolidays({ exchange = null, year = null } = {}) {
+    const params = [];
+    const conditions = [];
+    if (exchange) {
+      conditions.push('exchange = ?');
+      params.push(getCalendarExchange(exchange));
+    }
+    if (year) {
+      conditions.push("substr(holiday_date, 1, 4) = ?");
+      params.push(String(year));
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.dbAsync.all(`SELECT * FROM market_holidays ${where} ORDER BY holiday_date ASC, exchange ASC`, params);
+  }
+
+  /**
+   * Import (upsert) a holiday list
+   * @param {Array|string} input - see parseHolidayList
+   */
+  async importHolidays(input) {
+    const holidays = parseHolidayList(input);
+
+    for (const holiday of holidays) {
+      await this.dbAsync.run(
+        `INSERT INTO market_holidays (exchange, holiday_date, description, session)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(exchange, holiday_date) DO UPDATE SET description = excluded.description, session = excluded.session`,
+        [holiday.exchange, holiday.date, holiday.description, holiday.session]
+      );
+    }
+
+    await this.refresh();
+    console.log(`[MarketCalendar] Imported ${holidays.length} holidays`);
+    return holidays.length;
+  }
+
+  async deleteHoliday(id) {
+    const result = await this.dbAsync.run('DELETE FROM market_holidays WHERE id = ?', [id]);
+    await this.refresh();
+    return result.changes > 0;
+  }
+
+  async getSpecialSessions() {
+    return this.dbAsync.all('SELECT * FROM market_special_sessions ORDER BY session_date DESC, start_time ASC');
+  }
+
+  async addSpecialSession({ exchange, session_date, start_time, end_time, description = null }) {
+    const calendarExchange = getCalendarExchange(exchange);
+    const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+    if (!this.sessions[calendarExchange]) {
+      throw new ValidationError(`Unknown exchange "${exchange}"`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(session_date || ''))) {
+      throw new ValidationError('session_date must be YYYY-MM-DD');
+    }
+    if (!timePattern.test(String(start_time || '')) || !timePattern.test(String(end_time || ''))) {
+      throw new ValidationError('start_time and end_time must be in HH:MM (24h) format');
+    }
+    if (start_time >= end_time) {
+      throw new ValidationError('start_time must be before end_time');
+    }
+
+    const result = await this.dbAsync.run(
+      `INSERT INTO market_special_sessions (exchange, session_date, start_time, end_time, description)
+       VALUES (?, ?, ?, ?, ?)`,
+      [calendarExchange, session_date, start_time, end_time, description]
+    );
+    await this.refresh();
+    return this.dbAsync.get('SELECT * FROM market_special_sessions WHERE id = ?', [result.lastID]);
+  }
+
+  async deleteSpecialSession(id) {
+    const result = await this.dbAsync.run('DELETE FROM market_special_sessions WHERE id = ?', [id]);
+    await this.refresh();
+    return result.changes > 0;
+  }
+}
+
+export default MarketCalendar;
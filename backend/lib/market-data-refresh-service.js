@@ -6,15 +6,24 @@
  */
 
 class MarketDataRefreshService {
-  constructor(dbAsync, makeOpenAlgoRequest, alertService) {
+  constructor(dbAsync, makeOpenAlgoRequest, alertService, marketCalendar = null) {
     this.dbAsync = dbAsync;
     this.makeOpenAlgoRequest = makeOpenAlgoRequest;
     this.alertService = alertService;
+    this.marketCalendar = marketCalendar;
     this.refreshInterval = parseInt(process.env.LTP_REFRESH_INTERVAL_MS || '30000'); // 30 seconds default
     this.isRunning = false;
     this.refreshTimer = null;
     this.errorCount = 0;
     this.maxErrors = 10;
+    this.marketDataRouter = null;
+  }
+
+  /**
+   * Set market data router (polled quotes are merged with the WebSocket stream)
+   */
+  setMarketDataRouter(marketDataRouter) {
+    this.marketDataRouter = marketDataRouter;
   }
 
   /**
@@ -76,6 +85,23 @@ class MarketDataRefreshService {
     console.log('[MarketDataRefresh] Service stopped');
   }
 
+  /**
+   * Drop symbols whose exchange is currently closed
+   */
+  async filterOpenExchanges(symbols) {
+    if (!this.marketCalendar) {
+      return symbols;
+    }
+
+    const openByExchange = new Map();
+    for (const { exchange } of symbols) {
+      if (!openByExchange.has(exchange)) {
+        openByExchange.set(exchange, (await this.marketCalendar.isMarketOpen(exchange)).open);
+      }
+    }
+    return symbols.filter(({ exchange }) => openByExchange.get(exchange));
+  }
+
   /**
    * Get admin instance for API calls
    */
@@ -96,7 +122,7 @@ class MarketDataRefreshService {
 
     try {
       // Get all unique symbols from watchlists with their exchange
-      const symbols = await this.dbAsync.all(`
+      const watchlistSymbols = await this.dbAsync.all(`
         SELECT DISTINCT
           ws.exchange,
           ws.symbol,
@@ -107,8 +133,13 @@ class MarketDataRefreshService {
         ORDER BY ws.exchange, ws.symbol
       `);
 
+      // Pause polling for exchanges that are closed
+      const symbols = await this.filterOpenExchanges(watchlistSymbols);
+
       if (symbols.length === 0) {
-        console.log('[MarketDataRefresh] No symbols to refresh');
+        console.log(watchlistSymbols.length > 0
+          ? '[MarketDataRefresh] Markets closed, skipping refresh'
+          : '[MarketDataRefresh] No symbols to refresh');
         return;
       }
 
@@ -238,6 +269,24 @@ class MarketDataRefreshService {
           askQty
         ]);
 
+        if (this.marketDataRouter) {
+          this.marketDataRouter.ingest({
+            exchange: symbol.exchange,
+            symbol: symbol.symbol,
+            token: symbol.token,
+            ltp,
+            open,
+            high,
+            low,
+            close,
+            volume,
+            bid_price: bidPrice,
+            bid_qty: bidQty,
+            ask_price: askPrice,
+            ask_qty: askQty
+          }, 'API_POLL', adminInstance.id);
+        }
+
         return true;
       } else {
         throw new Error(response.message || 'API returned failure status');
@@ -0,0 +1,280 @@
+/**
+ * Market Data Router
+ * Merges the WebSocket stream and API quote polling into one view of the
+ * latest price per symbol, with its source and how fresh it is.
+ *
+ * Every symbol tracks the age of its last update. Freshness is 1 up to
+ * MARKET_DATA_FRESH_MS, falls linearly to 0 at MARKET_DATA_STALE_MS, and the
+ * symbol is stale beyond that. A periodic sweep re-subscribes stale symbols on
+ * the next market-data instance (active primary/secondary admins), one symbol
+ * at a time, instead of waiting for the whole socket to drop.
+ */
+
+import { EventEmitter } from 'events';
+
+export const MARKET_DATA_SOURCES = ['WEBSOCKET', 'API_POLL'];
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class MarketDataRouter extends EventEmitter {
+  constructor(dbAsync, wsManager, alertService, marketCalendar = null, options = {}) {
+    super();
+    this.dbAsync = dbAsync;
+    this.wsManager = wsManager;
+    this.alertService = alertService;
+    this.marketCalendar = marketCalendar;
+    this.freshWithinMs = options.freshWithinMs ?? parseInt(process.env.MARKET_DATA_FRESH_MS || '5000');
+    this.staleAfterMs = options.staleAfterMs ?? parseInt(process.env.MARKET_DATA_STALE_MS || '60000');
+    this.sweepIntervalMs = options.sweepIntervalMs ?? parseInt(process.env.MARKET_DATA_SWEEP_INTERVAL_MS || '15000');
+    this.sweepTimer = null;
+    this.isSweeping = false;
+
+    // EXCHANGE:SYMBOL -> { exchange, symbol, data, source, instance_id, received_at, sources, tracked_since,
+    //                      assigned_instance_id, failover_count, last_failover_at }
+    this.symbols = new Map();
+  }
+
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('[MarketDataRouter] Stale sweep failed:', error.message));
+    }, this.sweepIntervalMs);
+    console.log(`[MarketDataRouter] Started (fresh ${this.freshWithinMs}ms, stale ${this.staleAfterMs}ms)`);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  getEntry(exchange, symbol, now = Date.now()) {
+    const key = `${exchange}:${symbol}`;
+    let entry = this.symbols.get(key);
+    if (!entry) {
+      entry = {
+        exchange,
+        symbol,
+        data: null,
+        source: null,
+        instance_id: null,
+        received_at: null,
+        sources: {},
+        tracked_since: now,
+        assigned_instance_id: null,
+        failover_count: 0,
+        last_failover_at: null
+      };
+      this.symbols.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Record a price update from either source; the most recent update wins
+   */
+  ingest(data, source, instanceId = null, now = Date.now()) {
+    if (!data?.exchange || !data?.symbol) {
+      return;
+    }
+    const entry = this.getEntry(data.exchange, data.symbol, now);
+    entry.sources[source] = { instance_id: instanceId, received_at: now };
+    if (entry.received_at === null || now >= entry.received_at) {
+      entry.data = data;
+      entry.source = source;
+      entry.instance_id = instanceId;
+      entry.received_at = now;
+    }
+  }
+
+  getFreshness(ageMs) {
+    if (ageMs === null) {
+      return 0;
+    }
+    if (ageMs <= this.freshWithinMs) {
+      return 1;
+    }
+    if (ageMs >= this.staleAfterMs) {
+      return 0;
+    }
+    return roundScore(1 - (ageMs - this.freshWithinMs) / (this.staleAfterMs - this.freshWithinMs));
+  }
+
+  /**
+   * Latest merged quote with { source, source_instance_id, age_ms, freshness, is_stale }
+   */
+  getLatestMarketData(exchange, symbol, now = Date.now()) {
+    const entry = this.symbols.get(`${exchange}:${symbol}`);
+    if (!entry?.data) {
+      return null;
+    }
+    const ageMs = now - entry.received_at;
+    return {
+      ...entry.data,
+      source: entry.source,
+      source_instance_id: entry.instance_id,
+      age_ms: ageMs,
+      freshness: this.getFreshness(ageMs),
+      is_stale: ageMs > this.staleAfterMs
+    };
+  }
+
+  /**
+   * Per-symbol freshness for monitoring, stalest first
+   */
+  getFreshnessReport(now = Date.now()) {
+    return Array.from(this.symbols.values())
+      .map(entry => {
+        const ageMs = entry.received_at === null ? null : now - entry.received_at;
+        return {
+          exchange: entry.exchange,
+          symbol: entry.symbol,
+          source: entry.source,
+          source_instance_id: entry.instance_id,
+          age_ms: ageMs,
+          freshness: this.getFreshness(ageMs),
+          is_stale: ageMs === null || ageMs > this.staleAfterMs,
+          sources: Object.fromEntries(Object.entries(entry.sources).map(([source, info]) => [
+            source,
+            { instance_id: info.instance_id, age_ms: now - info.received_at }
+          ])),
+          assigned_instance_id: entry.assigned_instance_id,
+          failover_count: entry.failover_count
+        };
+      })
+      .sort((a, b) => a.freshness - b.freshness);
+  }
+
+  /**
+   * Active instances that can stream market data, primary admin first
+   */
+  async getMarketDataInstances() {
+    return await this.dbAsync.all(`
+      SELECT * FROM instances
+      WHERE is_active = 1
+        AND (is_primary_admin = 1 OR is_secondary_admin = 1)
+      ORDER BY is_primary_admin DESC, id ASC
+    `);
+  }
+
+  /**
+   * Re-subscribe stale symbols on the next market-data instance
+   *
+   * @returns {Promise<Object[]>} - [{ exchange, symbol, from_instance_id, to_instance_id }]
+   */
+  async sweep(now = Date.now()) {
+    if (this.isSweeping) {
+      return [];
+    }
+    this.isSweeping = true;
+
+    try {
+      // Symbols subscribed on the stream but never ticked are tracked from now on
+      const subscribed = new Set();
+      for (const instrument of this.wsManager.getSubscribedInstruments()) {
+        this.getEntry(instrument.exchange, instrument.symbol, now);
+        subscribed.add(`${instrument.exchange}:${instrument.symbol}`);
+      }
+
+      const stale = [];
+      const openByExchange = new Map();
+      for (const [key, entry] of this.symbols) {
+        const ageMs = now - (entry.received_at ?? entry.tracked_since);
+        // Only watchlist symbols are failed over; stale leftovers are forgotten
+        if (!subscribed.has(key)) {
+          if (ageMs > this.staleAfterMs) {
+            this.symbols.delete(key);
+          }
+          continue;
+        }
+        // Give a failover one full stale window to start delivering
+        if (ageMs <= this.staleAfterMs || (entry.last_failover_at && now - entry.last_failover_at <= this.staleAfterMs)) {
+          continue;
+        }
+        if (this.marketCalendar) {
+          if (!openByExchange.has(entry.exchange)) {
+            openByExchange.set(entry.exchange, (await this.marketCalendar.isMarketOpen(entry.exchange)).open);
+          }
+          if (!openByExchange.get(entry.exchange)) {
+            continue;
+          }
+        }
+        stale.push(entry);
+      }
+
+      if (stale.length === 0) {
+        return [];
+      }
+
+      const instances = await this.getMarketDataInstances();
+      if (instances.length === 0) {
+        return [];
+      }
+
+      const moved = [];
+      for (const entry of stale) {
+        const currentId = entry.assigned_instance_id ?? entry.instance_id ?? this.wsManager.currentInstance?.id ?? null;
+        const currentIndex = instances.findIndex(instance => instance.id === currentId);
+        const target = instances[(currentIndex + 1) % instances.length];
+
+        entry.last_failover_at = now;
+        try {
+          await this.wsManager.subscribeOnInstance(target, [this.wsManager.getInstrument(entry.exchange, entry.symbol)]);
+          entry.assigned_instance_id = target.id;
+          entry.failover_count++;
+          moved.push({
+            exchange: entry.exchange,
+            symbol: entry.symbol,
+            from_instance_id: currentId,
+            to_instance_id: target.id,
+            to_instance_name: target.name
+          });
+        } catch (error) {
+          console.error(`[MarketDataRouter] Failed to re-subscribe ${entry.exchange}:${entry.symbol} on ${target.name}:`, error.message);
+        }
+      }
+
+      if (moved.length > 0) {
+        this.emit('symbols_failed_over', moved);
+        await this.alertFailover(moved);
+      }
+      return moved;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  async alertFailover(moved) {
+    const byInstance = new Map();
+    for (const item of moved) {
+      if (!byInstance.has(item.to_instance_id)) {
+        byInstance.set(item.to_instance_id, []);
+      }
+      byInstance.get(item.to_instance_id).push(item);
+    }
+
+    for (const [instanceId, items] of byInstance) {
+      const symbols = items.map(item => `${item.exchange}:${item.symbol}`);
+      const preview = symbols.slice(0, 5).join(', ') + (symbols.length > 5 ? ` and ${symbols.length - 5} more` : '');
+      try {
+        await this.alertService.createAlert({
+          type: 'MARKET_DATA_SYMBOL_FAILOVER',
+          severity: 'WARNING',
+          title: 'Stale Symbols Re-subscribed',
+          message: `No market data for ${this.staleAfterMs / 1000}s; re-subscribed ${preview} on ${items[0].to_instance_name}`,
+          instance_id: instanceId,
+          details: { symbols, stale_after_ms: this.staleAfterMs }
+        });
+      } catch (error) {
+        console.error('[MarketDataRouter] Failed to create failover alert:', error.message);
+      }
+    }
+  }
+}
+
+export default MarketDataRouter;
@@ -0,0 +1,582 @@
+/**
+ * Notification Service
+ * Fans system alerts out to the configured notification channels
+ * (notification_channels) through the notifier adapters in ./notifiers.js.
+ * Each channel can be limited to a set of severities and alert types, and
+ * every delivery attempt, including retries and test sends, is recorded in
+ * notification_deliveries.
+ *
+ * Users can subscribe to a channel (alert_subscriptions) with a minimum
+ * severity, alert types, a watchlist and quiet hours. A channel with
+ * subscriptions only receives alerts at least one subscription wants, and
+ * nothing but CRITICAL alerts while every such subscriber is in quiet hours.
+ */
+
+import { NotFoundError, ValidationError } from '../middleware/error-handler.js';
+import { getNotifierClass, getNotifierTypes } from './notifiers.js';
+import { DEFAULT_TIMEZONE, getZonedDateTime, isValidTimezone } from './switch-policies.js';
+
+export const ALERT_SEVERITIES = ['INFO', 'WARNING', 'ERROR', 'CRITICAL'];
+
+const MASK = '••••';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function parseList(value, key) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const cleaned = list.map(item => String(item).trim().toUpperCase()).filter(Boolean);
+  if (cleaned.length === 0) {
+    return null;
+  }
+  if (cleaned.some(item => !/^[A-Z0-9_]+$/.test(item))) {
+    throw new ValidationError(`${key} must be a list of names such as ORDER_FAILED`);
+  }
+  return [...new Set(cleaned)];
+}
+
+function maskValue(value) {
+  const text = String(value);
+  return text.length > 8 ? `${MASK}${text.slice(-4)}` : MASK;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether `now` falls inside a daily quiet window ('HH:MM', end exclusive,
+ * may wrap past midnight) in the given timezone
+ */
+export function isWithinQuietHours(start, end, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  if (!start || !end || start === end) {
+    return false;
+  }
+  const { time } = getZonedDateTime(now, timezone || DEFAULT_TIMEZONE);
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+/**
+ * Validate a subscription create/update request (omitted fields keep existing values)
+ */
+export function sanitizeSubscriptionInput(input = {}, existing = null) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : existing?.[key]);
+
+  const channelId = Number(pick('channel_id'));
+  if (!Number.isInteger(channelId) || channelId <= 0) {
+    throw new ValidationError('channel_id is required');
+  }
+
+  const minSeverity = String(pick('min_severity') || 'WARNING').toUpperCase();
+  if (!ALERT_SEVERITIES.includes(minSeverity)) {
+    throw new ValidationError(`min_severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  }
+
+  const alertTypes = input.alert_types !== undefined
+    ? parseList(input.alert_types, 'alert_types')
+    : existing?.alert_types ?? null;
+
+  const watchlist = pick('watchlist_id');
+  const watchlistId = watchlist === undefined || watchlist === null || watchlist === '' ? null : Number(watchlist);
+  if (watchlistId !== null && (!Number.isInteger(watchlistId) || watchlistId <= 0)) {
+    throw new ValidationError('watchlist_id must be a positive integer');
+  }
+
+  const quietStart = pick('quiet_hours_start') || null;
+  const quietEnd = pick('quiet_hours_end') || null;
+  if (Boolean(quietStart) !== Boolean(quietEnd)) {
+    throw new ValidationError('quiet_hours_start and quiet_hours_end must be set together');
+  }
+  if ((quietStart && !TIME_PATTERN.test(quietStart)) || (quietEnd && !TIME_PATTERN.test(quietEnd))) {
+    throw new ValidationError('Quiet hours must be in HH:MM (24-hour) format');
+  }
+
+  const timezone = pick('timezone') || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw new ValidationError(`Invalid timezone: ${timezone}`);
+  }
+
+  const isEnabled = input.is_enabled !== undefined
+    ? (input.is_enabled === true || input.is_enabled === 1 || input.is_enabled === 'true')
+    : (existing ? Boolean(existing.is_enabled) : true);
+
+  return {
+    channel_id: channelId,
+    min_severity: minSeverity,
+    alert_types: alertTypes,
+    watchlist_id: watchlistId,
+    quiet_hours_start: quietStart,
+    quiet_hours_end: quietEnd,
+    timezone,
+    is_enabled: isEnabled
+  };
+}
+
+/**
+ * Validate a channel create/update request.
+ * On update, omitted fields (and masked secrets echoed back from a listing)
+ * keep their stored values.
+ */
+export function sanitizeChannelInput(input = {}, existing = null) {
+  const name = input.name !== undefined ? String(input.name).trim() : existing?.name;
+  if (!name) {
+    throw new ValidationError('name is required');
+  }
+
+  const channelType = String(input.channel_type ?? existing?.channel_type ?? '').toUpperCase();
+  const NotifierClass = getNotifierClass(channelType);
+  if (!NotifierClass) {
+    throw new ValidationError(`channel_type must be one of ${getNotifierTypes().join(', ')}`);
+  }
+
+  const submitted = input.config ?? {};
+  if (typeof submitted !== 'object' || Array.isArray(submitted)) {
+    throw new ValidationError('config must be an object');
+  }
+  const merged = existing && existing.channel_type === channelType ? { ...existing.config } : {};
+  for (const [key, value] of Object.entries(submitted)) {
+    if (typeof value === 'string' && value.startsWith(MASK)) continue;
+    if (isPlainObject(value) && isPlainObject(merged[key])) {
+      // Per-entry secrets (webhook headers): masked entries keep their stored value
+      const stored = merged[key];
+      merged[key] = Object.fromEntries(Object.entries(value).map(([name, item]) => [
+        name,
+        typeof item === 'string' && item.startsWith(MASK) && stored[name] !== undefined ? stored[name] : item
+      ]));
+      continue;
+    }
+    merged[key] = value;
+  }
+  const config = NotifierClass.validateConfig(merged);
+
+  const severities = input.severities !== undefined
+    ? parseList(input.severities, 'severities')
+    : existing?.severities ?? null;
+  if (severities && severities.some(severity => !ALERT_SEVERITIES.includes(severity))) {
+    throw new ValidationError(`severities must be drawn from ${ALERT_SEVERITIES.join(', ')}`);
+  }
+
+  const alertTypes = input.alert_types !== undefined
+    ? parseList(input.alert_types, 'alert_types')
+    : existing?.alert_types ?? null;
+
+  const isEnabled = input.is_enabled !== undefined
+    ? (input.is_enabled === true || input.is_enabled === 1 || input.is_enabled === 'true')
+    : (existing ? Boolean(existing.is_enabled) : true);
+
+  return {
+    name,
+    channel_type: channelType,
+    config,
+    severities,
+    alert_types: alertTypes,
+    is_enabled: isEnabled
+  };
+}
+
+class NotificationService {
+  constructor(dbAsync, options = {}) {
+    this.dbAsync = dbAsync;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.NOTIFIER_TIMEOUT_MS || '10000', 10);
+    this.maxAttempts = options.maxAttempts ?? parseInt(process.env.NOTIFIER_MAX_ATTEMPTS || '3', 10);
+    this.retryDelayMs = options.retryDelayMs ?? parseInt(process.env.NOTIFIER_RETRY_DELAY_MS || '2000', 10);
+  }
+
+  parseChannel(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      channel_type: row.channel_type,
+      config: parseJson(row.config_json, {}),
+      severities: parseJson(row.severities_json, null),
+      alert_types: parseJson(row.alert_types_json, null),
+      is_enabled: row.is_enabled ? 1 : 0,
+      created_by: row.created_by,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Channel as returned by the API, with secrets masked
+   */
+  toPublicChannel(channel) {
+    const NotifierClass = getNotifierClass(channel.channel_type);
+    const config = { ...channel.config };
+    for (const key of NotifierClass?.secretFields || []) {
+      if (isPlainObject(config[key])) {
+        config[key] = Object.fromEntries(Object.entries(config[key]).map(([name, value]) => [name, maskValue(value)]));
+      } else if (config[key]) {
+        config[key] = maskValue(config[key]);
+      }
+    }
+    return { ...channel, config };
+  }
+
+  async getChannel(channelId) {
+    const row = await this.dbAsync.get('SELECT * FROM notification_channels WHERE id = ?', [channelId]);
+    return this.parseChannel(row);
+  }
+
+  async getChannels() {
+    const rows = await this.dbAsync.all('SELECT * FROM notification_channels ORDER BY id');
+    return rows.map(row => this.toPublicChannel(this.parseChannel(row)));
+  }
+
+  async createChannel(input, createdBy = null) {
+    const channel = sanitizeChannelInput(input);
+    const result = await this.dbAsync.run(`
+      INSERT INTO notification_channels (
+        name, channel_type, config_json, severities_json, alert_types_json, is_enabled, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      channel.name,
+      channel.channel_type,
+      JSON.stringify(channel.config),
+      channel.severities ? JSON.stringify(channel.severities) : null,
+      channel.alert_types ? JSON.stringify(channel.alert_types) : null,
+      channel.is_enabled ? 1 : 0,
+      createdBy
+    ]);
+
+    console.log(`[NotificationService] Created ${channel.channel_type} channel "${channel.name}"`);
+    return this.toPublicChannel(await this.getChannel(result.lastID));
+  }
+
+  async updateChannel(channelId, input) {
+    const existing = await this.getChannel(channelId);
+    if (!existing) {
+      throw new NotFoundError('Notification channel');
+    }
+
+    const channel = sanitizeChannelInput(input, existing);
+    await this.dbAsync.run(`
+      UPDATE notification_channels
+      SET
+        name = ?,
+        channel_type = ?,
+        config_json = ?,
+        severities_json = ?,
+        alert_types_json = ?,
+        is_enabled = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      channel.name,
+      channel.channel_type,
+      JSON.stringify(channel.config),
+      channel.severities ? JSON.stringify(channel.severities) : null,
+      channel.alert_types ? JSON.stringify(channel.alert_types) : null,
+      channel.is_enabled ? 1 : 0,
+      channelId
+    ]);
+
+    return this.toPublicChannel(await this.getChannel(channelId));
+  }
+
+  async deleteChannel(channelId) {
+    await this.dbAsync.run('DELETE FROM alert_subscriptions WHERE channel_id = ?', [channelId]);
+    const result = await this.dbAsync.run('DELETE FROM notification_channels WHERE id = ?', [channelId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Whether a channel wants an alert (no severity / type list means all)
+   */
+  matchesChannel(channel, alert) {
+    if (!channel.is_enabled) {
+      return false;
+    }
+    if (channel.severities && !channel.severities.includes(alert.severity)) {
+      return false;
+    }
+    if (channel.alert_types && !channel.alert_types.includes(alert.alert_type)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a subscription wants an alert
+   */
+  matchesSubscription(subscription, alert) {
+    if (ALERT_SEVERITIES.indexOf(alert.severity) < ALERT_SEVERITIES.indexOf(subscription.min_severity)) {
+      return false;
+    }
+    if (subscription.alert_types && !subscription.alert_types.includes(alert.alert_type)) {
+      return false;
+    }
+    if (subscription.watchlist_id && subscription.watchlist_id !== alert.watchlist_id) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Send an alert to every matching channel.
+   * Never throws: failures are recorded per attempt.
+   *
+   * @param {Object} alert - { id, alert_type, severity, title, message, details, instance_id, watchlist_id, created_at }
+   * @param {Date} now - Used for quiet hours
+   * @returns {Promise<Array<Object>>} - One { channel_id, status, attempts, error } per channel
+   */
+  async dispatch(alert, now = new Date()) {
+    const rows = await this.dbAsync.all('SELECT * FROM notification_channels WHERE is_enabled = 1 ORDER BY id');
+    const channels = rows.map(row => this.parseChannel(row)).filter(channel => this.matchesChannel(channel, alert));
+
+    const subscriptionsByChannel = new Map();
+    const subscriptionRows = await this.dbAsync.all('SELECT * FROM alert_subscriptions WHERE is_enabled = 1');
+    for (const subscription of subscriptionRows.map(row => this.parseSubscription(row))) {
+      const list = subscriptionsByChannel.get(subscription.channel_id) || [];
+      list.push(subscription);
+      subscriptionsByChannel.set(subscription.channel_id, list);
+    }
+
+    const deliveries = [];
+    for (const channel of channels) {
+      const subscriptions = subscriptionsByChannel.get(channel.id);
+      if (!subscriptions) {
+        deliveries.push(this.deliver(channel, alert));
+        continue;
+      }
+
+      const wanted = subscriptions.filter(subscription => this.matchesSubscription(subscription, alert));
+      if (wanted.length === 0) {
+        continue;
+      }
+
+      const quiet = alert.severity !== 'CRITICAL' && wanted.every(subscription => isWithinQuietHours(
+        subscription.quiet_hours_start, subscription.quiet_hours_end, subscription.timezone, now
+      ));
+      if (quiet) {
+        const reason = `Quiet hours: ${wanted.map(subscription => subscription.user_email).join(', ')}`;
+        await this.recordDelivery(channel, alert, 0, 'SUPPRESSED', null, reason, 0);
+        deliveries.push({ channel_id: channel.id, status: 'SUPPRESSED', attempts: 0, error: reason });
+        continue;
+      }
+
+      deliveries.push(this.deliver(channel, alert));
+    }
+
+    return await Promise.all(deliveries);
+  }
+
+  /**
+   * Deliver to one channel, retrying timeouts, network errors, 429 and 5xx
+   */
+  async deliver(channel, alert) {
+    const NotifierClass = getNotifierClass(channel.channel_type);
+    if (!NotifierClass) {
+      await this.recordDelivery(channel, alert, 1, 'FAILED', null, `Unknown channel type ${channel.channel_type}`, 0);
+      return { channel_id: channel.id, status: 'FAILED', attempts: 1, error: `Unknown channel type ${channel.channel_type}` };
+    }
+
+    const notifier = new NotifierClass(channel.config, { fetch: this.fetch, timeoutMs: this.timeoutMs });
+    const maxAttempts = Math.max(1, this.maxAttempts);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await notifier.send(alert);
+        await this.recordDelivery(channel, alert, attempt, 'SENT', result?.http_status ?? null, null, Date.now() - startedAt);
+        return { channel_id: channel.id, status: 'SENT', attempts: attempt, error: null };
+      } catch (error) {
+        lastError = error;
+        const httpStatus = error.httpStatus ?? null;
+        await this.recordDelivery(channel, alert, attempt, 'FAILED', httpStatus, error.message, Date.now() - startedAt);
+
+        const retryable = httpStatus === null || httpStatus === 429 || httpStatus >= 500;
+        if (!retryable || attempt === maxAttempts) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * attempt));
+      }
+    }
+
+    console.error(`[NotificationService] ${channel.channel_type} channel "${channel.name}" failed for alert ${alert.id ?? 'test'}: ${lastError.message}`);
+    return { channel_id: channel.id, status: 'FAILED', attempts: maxAttempts, error: lastError.message };
+  }
+
+  async recordDelivery(channel, alert, attempt, status, httpStatus, error, durationMs) {
+    try {
+      await this.dbAsync.run(`
+        INSERT INTO notification_deliveries (
+          channel_id, alert_id, channel_type, attempt, status, http_status, error, duration_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [channel.id, alert.id ?? null, channel.channel_type, attempt, status, httpStatus, error, durationMs]);
+    } catch (dbError) {
+      console.error('[NotificationService] Failed to record delivery:', dbError.message);
+    }
+  }
+
+  /**
+   * Send a sample alert through one channel, regardless of its filters
+   */
+  async testChannel(channelId, requestedBy = null) {
+    const channel = await this.getChannel(channelId);
+    if (!channel) {
+      throw new NotFoundError('Notification channel');
+    }
+
+    return await this.deliver(channel, {
+      id: null,
+      alert_type: 'NOTIFICATION_TEST',
+      severity: 'INFO',
+      title: 'Notification Test',
+      message: `Test notification for channel "${channel.name}"${requestedBy ? ` sent by ${requestedBy}` : ''}`,
+      details: { channel_id: channel.id },
+      created_at: new Date().toISOString()
+    });
+  }
+
+  parseSubscription(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      alert_types: parseJson(row.alert_types_json, null),
+      is_enabled: row.is_enabled ? 1 : 0
+    };
+  }
+
+  async getSubscription(subscriptionId) {
+    const row = await this.dbAsync.get(`
+      SELECT s.*, c.name as channel_name, c.channel_type
+      FROM alert_subscriptions s
+      LEFT JOIN notification_channels c ON c.id = s.channel_id
+      WHERE s.id = ?
+    `, [subscriptionId]);
+    return this.parseSubscription(row);
+  }
+
+  /**
+   * Subscriptions of one user, or of everyone when userEmail is null
+   */
+  async getSubscriptions(userEmail = null) {
+    const rows = await this.dbAsync.all(`
+      SELECT s.*, c.name as channel_name, c.channel_type
+      FROM alert_subscriptions s
+      LEFT JOIN notification_channels c ON c.id = s.channel_id
+      ${userEmail ? 'WHERE s.user_email = ?' : ''}
+      ORDER BY s.id
+    `, userEmail ? [userEmail] : []);
+    return rows.map(row => this.parseSubscription(row));
+  }
+
+  async saveSubscription(subscriptionId, subscription, userEmail) {
+    if (!await this.getChannel(subscription.channel_id)) {
+      throw new ValidationError(`Notification channel ${subscription.channel_id} not found`);
+    }
+
+    const params = [
+      subscription.channel_id,
+      subscription.min_severity,
+      subscription.alert_types ? JSON.stringify(subscription.alert_types) : null,
+      subscription.watchlist_id,
+      subscription.quiet_hours_start,
+      subscription.quiet_hours_end,
+      subscription.timezone,
+      subscription.is_enabled ? 1 : 0
+    ];
+
+    if (subscriptionId) {
+      await this.dbAsync.run(`
+        UPDATE alert_subscriptions
+        SET
+          channel_id = ?,
+          min_severity = ?,
+          alert_types_json = ?,
+          watchlist_id = ?,
+          quiet_hours_start = ?,
+          quiet_hours_end = ?,
+          timezone = ?,
+          is_enabled = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...params, subscriptionId]);
+      return subscriptionId;
+    }
+
+    const result = await this.dbAsync.run(`
+      INSERT INTO alert_subscriptions (
+        channel_id, min_severity, alert_types_json, watchlist_id, quiet_hours_start,
+        quiet_hours_end, timezone, is_enabled, user_email
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [...params, userEmail]);
+    return result.lastID;
+  }
+
+  async createSubscription(input, userEmail) {
+    if (!userEmail) {
+      throw new ValidationError('A signed-in user is required to subscribe');
+    }
+    const subscriptionId = await this.saveSubscription(null, sanitizeSubscriptionInput(input), userEmail);
+    return await this.getSubscription(subscriptionId);
+  }
+
+  async updateSubscription(subscriptionId, input) {
+    const existing = await this.getSubscription(subscriptionId);
+    if (!existing) {
+      throw new NotFoundError('Subscription');
+    }
+    await this.saveSubscription(subscriptionId, sanitizeSubscriptionInput(input, existing), existing.user_email);
+    return await this.getSubscription(subscriptionId);
+  }
+
+  async deleteSubscription(subscriptionId) {
+    const result = await this.dbAsync.run('DELETE FROM alert_subscriptions WHERE id = ?', [subscriptionId]);
+    return result.changes > 0;
+  }
+
+  async getDeliveries({ channelId = null, alertId = null, status = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (channelId) {
+      conditions.push('d.channel_id = ?');
+      params.push(channelId);
+    }
+    if (alertId) {
+      conditions.push('d.alert_id = ?');
+      params.push(alertId);
+    }
+    if (status) {
+      conditions.push('d.status = ?');
+      params.push(String(status).toUpperCase());
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000));
+
+    return await this.dbAsync.all(`
+      SELECT
+        d.*,
+        c.name as channel_name
+      FROM notification_deliveries d
+      LEFT JOIN notification_channels c ON c.id = d.channel_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.id DESC
+      LIMIT ?
+    `, params);
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,302 @@
+/**
+ * Alert Notifiers
+ * Outbound channel adapters used by NotificationService. A notifier is a class
+ * registered under a channel type with:
+ *
+ *   static validateConfig(config) -> normalised config (throws ValidationError)
+ *   static secretFields            -> config keys masked when channels are listed
+ *                                     (object values, e.g. headers, are masked per entry)
+ *   constructor(config, { fetch, timeoutMs })
+ *   async send(alert)             -> { http_status, response }, throws on failure
+ *
+ * NotificationService retries a failed send on the same notifier instance.
+ * Failed sends throw a NotifierError carrying the HTTP status (if any) so the
+ * service can decide whether the attempt is worth retrying.
+ */
+
+import crypto from 'node:crypto';
+import { ValidationError } from '../middleware/error-handler.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const SMS_MAX_LENGTH = 300;
+
+export class NotifierError extends Error {
+  constructor(message, httpStatus = null, response = null) {
+    super(message);
+    this.name = 'NotifierError';
+    this.httpStatus = httpStatus;
+    this.response = response;
+  }
+}
+
+function requireString(config, key, type) {
+  const value = typeof config[key] === 'string' ? config[key].trim() : '';
+  if (!value) {
+    throw new ValidationError(`${key} is required for ${type} channels`);
+  }
+  return value;
+}
+
+function requireUrl(config, key, type) {
+  const value = requireString(config, key, type);
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ValidationError(`${key} must be a valid URL`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new ValidationError(`${key} must be an http(s) URL`);
+  }
+  return value;
+}
+
+/**
+ * One-line summary used by chat and SMS channels
+ */
+export function formatAlertText(alert) {
+  return `[${alert.severity}] ${alert.title || alert.alert_type}: ${alert.message}`;
+}
+
+/**
+ * Base class: JSON POST with a timeout, non-2xx responses become NotifierErrors
+ */
+class HttpNotifier {
+  static secretFields = [];
+
+  constructor(config, options = {}) {
+    this.config = config;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  async post(url, body, headers = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new NotifierError(`Request timed out after ${this.timeoutMs}ms`);
+      }
+      throw new NotifierError(error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new NotifierError(`HTTP ${response.status}: ${text.slice(0, 200)}`, response.status, text);
+    }
+
+    return { http_status: response.status, response: text };
+  }
+}
+
+/**
+ * Generic HTTP webhook. The alert is POSTed as JSON and signed with
+ * HMAC-SHA256 over `<timestamp>.<body>` when a secret is configured.
+ * Custom headers usually carry credentials, so their values are secret too.
+ */
+export class WebhookNotifier extends HttpNotifier {
+  static secretFields = ['secret', 'headers'];
+
+  static validateConfig(config) {
+    const headers = config.headers ?? {};
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new ValidationError('headers must be an object');
+    }
+    return {
+      url: requireUrl(config, 'url', 'WEBHOOK'),
+      secret: typeof config.secret === 'string' && config.secret !== '' ? config.secret : null,
+      headers
+    };
+  }
+
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async send(alert) {
+    const body = JSON.stringify({
+      id: alert.id,
+      alert_type: alert.alert_type,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      details: alert.details || {},
+      instance_id: alert.instance_id ?? null,
+      watchlist_id: alert.watchlist_id ?? null,
+      created_at: alert.created_at
+    });
+
+    const headers = { ...this.config.headers };
+    if (this.config.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Simplifyed-Timestamp'] = timestamp;
+      headers['X-Simplifyed-Signature'] = `sha256=${WebhookNotifier.sign(this.config.secret, timestamp, body)}`;
+    }
+
+    return await this.post(this.config.url, body, headers);
+  }
+}
+
+/**
+ * Telegram bot: sendMessage to a chat, group or channel id
+ */
+export class TelegramNotifier extends HttpNotifier {
+  static secretFields = ['bot_token'];
+
+  static validateConfig(config) {
+    const chatId = config.chat_id;
+    if (chatId === undefined || chatId === null || String(chatId).trim() === '') {
+      throw new ValidationError('chat_id is required for TELEGRAM channels');
+    }
+    return {
+      bot_token: requireString(config, 'bot_token', 'TELEGRAM'),
+      chat_id: String(chatId).trim()
+    };
+  }
+
+  async send(alert) {
+    const result = await this.post(
+      `https://api.telegram.org/bot${this.config.bot_token}/sendMessage`,
+      JSON.stringify({
+        chat_id: this.config.chat_id,
+        text: formatAlertText(alert),
+        disable_web_page_preview: true
+      })
+    );
+
+    // Telegram reports API errors in the body
+    const parsed = JSON.parse(result.response || '{}');
+    if (parsed.ok === false) {
+      throw new NotifierError(parsed.description || 'Telegram rejected the message', result.http_status, result.response);
+    }
+    return result;
+  }
+}
+
+/**
+ * Slack incoming webhook
+ */
+export class SlackNotifier extends HttpNotifier {
+  static secretFields = ['webhook_url'];
+
+  static validateConfig(config) {
+    return { webhook_url: requireUrl(config, 'webhook_url', 'SLACK') };
+  }
+
+  async send(alert) {
+    return await this.post(this.config.webhook_url, JSON.stringify({
+      text: `*[${alert.severity}] ${alert.title || alert.alert_type}*\n${alert.message}`
+    }));
+  }
+}
+
+/**
+ * Generic SMS gateway: one JSON POST per recipient with the recipient and the
+ * (truncated) alert text in configurable fields, authenticated by an API key header.
+ * Every recipient is tried; a retry only resends to the recipients that failed.
+ */
+export class SmsNotifier extends HttpNotifier {
+  static secretFields = ['api_key'];
+
+  constructor(config, options = {}) {
+    super(config, options);
+    this.delivered = new Set();
+  }
+
+  static validateConfig(config) {
+    const recipients = Array.isArray(config.recipients)
+      ? config.recipients
+      : String(config.recipients || '').split(',');
+    const cleaned = recipients.map(value => String(value).trim()).filter(Boolean);
+    if (cleaned.length === 0) {
+      throw new ValidationError('recipients is required for SMS channels');
+    }
+    return {
+      url: requireUrl(config, 'url', 'SMS'),
+      recipients: cleaned,
+      api_key: typeof config.api_key === 'string' && config.api_key !== '' ? config.api_key : null,
+      api_key_header: config.api_key_header || 'Authorization',
+      to_field: config.to_field || 'to',
+      message_field: config.message_field || 'message',
+      sender_id: config.sender_id || null
+    };
+  }
+
+  async send(alert) {
+    const text = formatAlertText(alert).slice(0, SMS_MAX_LENGTH);
+    const headers = this.config.api_key ? { [this.config.api_key_header]: this.config.api_key } : {};
+
+    let last = null;
+    const failures = [];
+    for (const recipient of this.config.recipients) {
+      if (this.delivered.has(recipient)) continue;
+
+      const payload = {
+        [this.config.to_field]: recipient,
+        [this.config.message_field]: text
+      };
+      if (this.config.sender_id) {
+        payload.sender = this.config.sender_id;
+      }
+      try {
+        last = await this.post(this.config.url, JSON.stringify(payload), headers);
+        this.delivered.add(recipient);
+      } catch (error) {
+        failures.push({ recipient, error });
+      }
+    }
+
+    if (failures.length === 0) {
+      return last;
+    }
+    if (this.config.recipients.length === 1) {
+      throw failures[0].error;
+    }
+
+    // Report a retryable status if any recipient may still get through
+    const { error } = failures.find(({ error: failure }) => failure.httpStatus === null
+      || failure.httpStatus === 429 || failure.httpStatus >= 500) || failures[0];
+    throw new NotifierError(
+      `${failures.length}/${this.config.recipients.length} recipients failed: `
+        + failures.map(failure => `${failure.recipient} (${failure.error.message})`).join('; '),
+      error.httpStatus,
+      error.response
+    );
+  }
+}
+
+const registry = new Map([
+  ['WEBHOOK', WebhookNotifier],
+  ['TELEGRAM', TelegramNotifier],
+  ['SLACK', SlackNotifier],
+  ['SMS', SmsNotifier]
+]);
+
+/**
+ * Register an additional channel type (or replace a built-in one)
+ */
+export function registerNotifier(type, NotifierClass) {
+  if (typeof NotifierClass?.validateConfig !== 'function' || typeof NotifierClass.prototype?.send !== 'function') {
+    throw new Error(`Notifier ${type} must implement static validateConfig() and send()`);
+  }
+  registry.set(String(type).toUpperCase(), NotifierClass);
+}
+
+export function getNotifierClass(type) {
+  return registry.get(String(type || '').toUpperCase()) || null;
+}
+
+export function getNotifierTypes() {
+  return Array.from(registry.keys());
+}
@@ -0,0 +1,143 @@
+// Black-Scholes pricing, implied volatility and greeks for European index options.
+// Used by the option chain endpoint so greeks do not depend on the broker.
+// Rates and volatilities are annualised decimals (0.065 = 6.5%).
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+export const DEFAULT_RISK_FREE_RATE = parseFloat(process.env.OPTIONS_RISK_FREE_RATE || '0.065');
+
+// Abramowitz-Stegun approximation (|error| < 7.5e-8)
+export function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const cdf = 1 - normPdf(x) * poly;
+  return x >= 0 ? cdf : 1 - cdf;
+}
+
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+function d1d2(spot, strike, years, rate, sigma) {
+  const d1 = (Math.log(spot / strike) + (rate + 0.5 * sigma * sigma) * years) / (sigma * Math.sqrt(years));
+  return { d1, d2: d1 - sigma * Math.sqrt(years) };
+}
+
+/**
+ * Black-Scholes price of a CE/PE option
+ */
+export function blackScholesPrice(optionType, spot, strike, years, rate, sigma) {
+  if (years <= 0 || sigma <= 0) {
+    return Math.max(optionType === 'CE' ? spot - strike : strike - spot, 0);
+  }
+  const { d1, d2 } = d1d2(spot, strike, years, rate, sigma);
+  const discount = Math.exp(-rate * years);
+  return optionType === 'CE'
+    ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+    : strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+}
+
+/**
+ * Greeks per unit of underlying: theta is per calendar day, vega per 1 vol point.
+ */
+export function calculateGreeks(optionType, spot, strike, years, rate, sigma) {
+  if (years <= 0 || sigma <= 0) {
+    return { delta: null, gamma: null, theta: null, vega: null };
+  }
+
+  const { d1, d2 } = d1d2(spot, strike, years, rate, sigma);
+  const sqrtT = Math.sqrt(years);
+  const discount = Math.exp(-rate * years);
+  const pdf = normPdf(d1);
+  const decay = -(spot * pdf * sigma) / (2 * sqrtT);
+
+  const theta = optionType === 'CE'
+    ? decay - rate * strike * discount * normCdf(d2)
+    : decay + rate * strike * discount * normCdf(-d2);
+
+  return {
+    delta: optionType === 'CE' ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: pdf / (spot * sigma * sqrtT),
+    theta: theta / 365,
+    vega: (spot * pdf * sqrtT) / 100
+  };
+}
+
+/**
+ * Implied volatility from an option price (Newton-Raphson, bisection fallback).
+ * Returns null when the price is below intrinsic value or no solution is found.
+ */
+export function impliedVolatility(optionType, price, spot, strike, years, rate) {
+  if (!(price > 0) || !(spot > 0) || !(strike > 0) || years <= 0) {
+    return null;
+  }
+
+  const intrinsic = Math.max(optionType === 'CE' ? spot - strike * Math.exp(-rate * years) : strike * Math.exp(-rate * years) - spot, 0);
+  if (price < intrinsic) {
+    return null;
+  }
+
+  let sigma = 0.2;
+  for (let i = 0; i < 50; i++) {
+    const diff = blackScholesPrice(optionType, spot, strike, years, rate, sigma) - price;
+    if (Math.abs(diff) < 1e-6) {
+      return sigma;
+    }
+    const vega = calculateGreeks(optionType, spot, strike, years, rate, sigma).vega * 100;
+    if (!(vega > 1e-8)) break;
+    const next = sigma - diff / vega;
+    if (!(next > 0) || next > 5) break;
+    sigma = next;
+  }
+
+  let low = 1e-4;
+  let high = 5;
+  if (blackScholesPrice(optionType, spot, strike, years, rate, high) < price) {
+    return null;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (blackScholesPrice(optionType, spot, strike, years, rate, mid) > price) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+    if (high - low < 1e-6) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Parse an OpenAlgo expiry ('28NOV24', '28-NOV-24', '28-NOV-2024') to the
+ * expiry instant (15:30 IST).
+ */
+export function parseExpiryDate(expiry) {
+  const match = /^(\d{1,2})-?([A-Z]{3})-?(\d{2}|\d{4})$/.exec(String(expiry || '').trim().toUpperCase());
+  if (!match) {
+    return null;
+  }
+  const month = MONTHS.indexOf(match[2]);
+  if (month === -1) {
+    return null;
+  }
+  const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : parseInt(match[3], 10);
+  // 15:30 IST = 10:00 UTC
+  return new Date(Date.UTC(year, month, parseInt(match[1], 10), 10, 0, 0));
+}
+
+export function yearsToExpiry(expiryDate, now = new Date()) {
+  return Math.max((expiryDate.getTime() - now.getTime()) / MS_PER_YEAR, 0);
+}
+
+/**
+ * IV and greeks for one option quote.
+ * @returns {Object} { iv, delta, gamma, theta, vega } (iv as a percentage)
+ */
+export function analyzeOption(optionType, price, spot, strike, years, rate = DEFAULT_RISK_FREE_RATE) {
+  const iv = impliedVolatility(optionType, price, spot, strike, years, rate);
+  if (iv === null) {
+    return { iv: null, delta: null, gamma: null, theta: null, vega: null };
+  }
+  return { iv: iv * 100, ...calculateGreeks(optionType, spot, strike, years, rate, iv) };
+}
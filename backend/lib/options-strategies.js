@@ -0,0 +1,251 @@
+// Declarative multi-leg options strategies.
+// Each template describes its legs relative to a base offset and a wing width (in
+// strikes), so "IRON_CONDOR at OTM2 with wing 2" resolves to short OTM2 / long OTM4
+// on both sides. Legs are plain objects and can also be supplied directly (CUSTOM).
+// The base offset may also be a DELTA:/PREMIUM: selector (see strike-selection.js);
+// wing legs then carry `shift`, applied once the selector is resolved.
+
+import { ValidationError } from '../middleware/error-handler.js';
+import { OFFSET_PATTERN, parseStrikeSelector } from './strike-selection.js';
+
+/**
+ * Leg templates. `shift` moves the leg further OTM (positive) or ITM (negative)
+ * from the base offset; `wing: true` adds the wing width on top of the shift.
+ */
+export const STRATEGY_TEMPLATES = {
+  STRADDLE: {
+    description: 'Long ATM call + long ATM put',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'long_call', option_type: 'CE', action: 'BUY' },
+      { name: 'long_put', option_type: 'PE', action: 'BUY' }
+    ]
+  },
+  SHORT_STRADDLE: {
+    description: 'Short ATM call + short ATM put',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'short_call', option_type: 'CE', action: 'SELL' },
+      { name: 'short_put', option_type: 'PE', action: 'SELL' }
+    ]
+  },
+  STRANGLE: {
+    description: 'Long OTM call + long OTM put',
+    default_offset: 'OTM1',
+    legs: [
+      { name: 'long_call', option_type: 'CE', action: 'BUY' },
+      { name: 'long_put', option_type: 'PE', action: 'BUY' }
+    ]
+  },
+  SHORT_STRANGLE: {
+    description: 'Short OTM call + short OTM put',
+    default_offset: 'OTM1',
+    legs: [
+      { name: 'short_call', option_type: 'CE', action: 'SELL' },
+      { name: 'short_put', option_type: 'PE', action: 'SELL' }
+    ]
+  },
+  IRON_CONDOR: {
+    description: 'Short OTM strangle hedged by long wings',
+    default_offset: 'OTM1',
+    legs: [
+      { name: 'short_call', option_type: 'CE', action: 'SELL' },
+      { name: 'long_call', option_type: 'CE', action: 'BUY', wing: true },
+      { name: 'short_put', option_type: 'PE', action: 'SELL' },
+      { name: 'long_put', option_type: 'PE', action: 'BUY', wing: true }
+    ]
+  },
+  IRON_FLY: {
+    description: 'Short ATM straddle hedged by long wings',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'short_call', option_type: 'CE', action: 'SELL' },
+      { name: 'long_call', option_type: 'CE', action: 'BUY', wing: true },
+      { name: 'short_put', option_type: 'PE', action: 'SELL' },
+      { name: 'long_put', option_type: 'PE', action: 'BUY', wing: true }
+    ]
+  },
+  BULL_CALL_SPREAD: {
+    description: 'Long call + short further-OTM call (debit)',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'long_call', option_type: 'CE', action: 'BUY' },
+      { name: 'short_call', option_type: 'CE', action: 'SELL', wing: true }
+    ]
+  },
+  BEAR_CALL_SPREAD: {
+    description: 'Short call + long further-OTM call (credit)',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'short_call', option_type: 'CE', action: 'SELL' },
+      { name: 'long_call', option_type: 'CE', action: 'BUY', wing: true }
+    ]
+  },
+  BULL_PUT_SPREAD: {
+    description: 'Short put + long further-OTM put (credit)',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'short_put', option_type: 'PE', action: 'SELL' },
+      { name: 'long_put', option_type: 'PE', action: 'BUY', wing: true }
+    ]
+  },
+  BEAR_PUT_SPREAD: {
+    description: 'Long put + short further-OTM put (debit)',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'long_put', option_type: 'PE', action: 'BUY' },
+      { name: 'short_put', option_type: 'PE', action: 'SELL', wing: true }
+    ]
+  },
+  CALL_RATIO_SPREAD: {
+    description: 'Long 1 call + short 2 further-OTM calls',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'long_call', option_type: 'CE', action: 'BUY', ratio: 1 },
+      { name: 'short_calls', option_type: 'CE', action: 'SELL', ratio: 2, wing: true }
+    ]
+  },
+  PUT_RATIO_SPREAD: {
+    description: 'Long 1 put + short 2 further-OTM puts',
+    default_offset: 'ATM',
+    legs: [
+      { name: 'long_put', option_type: 'PE', action: 'BUY', ratio: 1 },
+      { name: 'short_puts', option_type: 'PE', action: 'SELL', ratio: 2, wing: true }
+    ]
+  }
+};
+
+export const DEFAULT_WING_WIDTH = 2;
+
+/**
+ * Offset string -> signed strike steps from ATM (OTM positive, ITM negative)
+ */
+export function offsetToSteps(offset) {
+  const value = String(offset || '').toUpperCase();
+  if (!OFFSET_PATTERN.test(value)) {
+    throw new ValidationError(`Invalid offset "${offset}". Use ATM, ITM1..ITM50 or OTM1..OTM50`);
+  }
+  if (value === 'ATM') return 0;
+  const steps = parseInt(value.slice(3), 10);
+  return value.startsWith('OTM') ? steps : -steps;
+}
+
+export function stepsToOffset(steps) {
+  if (steps === 0) return 'ATM';
+  return steps > 0 ? `OTM${steps}` : `ITM${-steps}`;
+}
+
+/**
+ * Validate and normalise a single leg.
+ * @param {Object} leg - { option_type, action, offset, ratio, expiry_date, name, shift }
+ */
+export function normalizeLeg(leg, index = 0) {
+  const optionType = String(leg.option_type || '').toUpperCase();
+  const action = String(leg.action || '').toUpperCase();
+  const ratio = leg.ratio === undefined ? 1 : Number(leg.ratio);
+  const shift = leg.shift === undefined ? 0 : Number(leg.shift);
+
+  if (!['CE', 'PE'].includes(optionType)) {
+    throw new ValidationError(`Leg ${index + 1}: option_type must be CE or PE`);
+  }
+  if (!['BUY', 'SELL'].includes(action)) {
+    throw new ValidationError(`Leg ${index + 1}: action must be BUY or SELL`);
+  }
+  if (!Number.isInteger(ratio) || ratio <= 0) {
+    throw new ValidationError(`Leg ${index + 1}: ratio must be a positive integer`);
+  }
+  if (!Number.isInteger(shift)) {
+    throw new ValidationError(`Leg ${index + 1}: shift must be an integer (strikes)`);
+  }
+
+  let selector;
+  try {
+    selector = parseStrikeSelector(leg.offset);
+  } catch (error) {
+    throw new ValidationError(`Leg ${index + 1}: ${error.message}`);
+  }
+
+  const normalized = {
+    name: leg.name || `${action === 'BUY' ? 'long' : 'short'}_${optionType === 'CE' ? 'call' : 'put'}_${index + 1}`,
+    option_type: optionType,
+    action,
+    offset: selector.mode === 'OFFSET' ? selector.offset : selector.selector,
+    ratio,
+    expiry_date: leg.expiry_date || leg.expiry || null
+  };
+
+  // Plain offsets absorb the shift; selectors keep it until the strike is resolved
+  if (shift !== 0) {
+    if (selector.mode === 'OFFSET') {
+      normalized.offset = stepsToOffset(offsetToSteps(selector.offset) + shift);
+    } else {
+      normalized.shift = shift;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the legs for a strategy.
+ * @param {string} strategy - key of STRATEGY_TEMPLATES, or CUSTOM
+ * @param {Object} params - { offset, wing, expiry_date, legs (CUSTOM only) }
+ * @returns {Array<Object>} legs with { name, option_type, action, offset, ratio, expiry_date }
+ */
+export function buildStrategyLegs(strategy, params = {}) {
+  const key = String(strategy || '').toUpperCase();
+
+  if (key === 'CUSTOM') {
+    if (!Array.isArray(params.legs) || params.legs.length === 0) {
+      throw new ValidationError('CUSTOM strategy requires a non-empty legs array');
+    }
+    return params.legs.map((leg, index) => {
+      const normalized = normalizeLeg(leg, index);
+      return { ...normalized, expiry_date: normalized.expiry_date || params.expiry_date || null };
+    });
+  }
+
+  const template = STRATEGY_TEMPLATES[key];
+  if (!template) {
+    throw new ValidationError(`Unknown strategy: ${strategy}. Must be one of: ${[...Object.keys(STRATEGY_TEMPLATES), 'CUSTOM'].join(', ')}`);
+  }
+
+  const base = parseStrikeSelector(params.offset || template.default_offset);
+  const wing = params.wing === undefined ? DEFAULT_WING_WIDTH : Number(params.wing);
+  if (!Number.isInteger(wing) || wing <= 0) {
+    throw new ValidationError('wing must be a positive integer (number of strikes)');
+  }
+
+  return template.legs.map((leg, index) => normalizeLeg({
+    ...leg,
+    offset: base.mode === 'OFFSET' ? base.offset : base.selector,
+    shift: leg.wing ? wing : 0,
+    expiry_date: params.expiry_date
+  }, index));
+}
+
+/**
+ * Order legs for execution: long (hedge) legs before short legs so the broker
+ * grants the spread margin benefit. Order within each group is preserved.
+ */
+export function orderLegsForExecution(legs) {
+  return [
+    ...legs.filter(leg => leg.action === 'BUY'),
+    ...legs.filter(leg => leg.action === 'SELL')
+  ];
+}
+
+export function listStrategies() {
+  return Object.entries(STRATEGY_TEMPLATES).map(([strategy, template]) => ({
+    strategy,
+    description: template.description,
+    default_offset: template.default_offset,
+    legs: template.legs.map(leg => ({
+      name: leg.name,
+      option_type: leg.option_type,
+      action: leg.action,
+      ratio: leg.ratio || 1,
+      wing: !!leg.wing
+    }))
+  }));
+}
@@ -5,10 +5,57 @@
  * using OpenAlgo's dedicated options APIs
  */
 
+import { buildStrategyLegs, offsetToSteps, orderLegsForExecution, stepsToOffset } from './options-strategies.js';
+import { parseStrikeSelector, selectStrikeFromChain } from './strike-selection.js';
+import { ValidationError } from '../middleware/error-handler.js';
+import { DEFAULT_RISK_FREE_RATE, analyzeOption, parseExpiryDate, yearsToExpiry } from './option-greeks.js';
+import MarginChecker from './margin-checker.js';
+import { sanitizeStrategyRules } from './strategy-position-manager.js';
+
+// Strike intervals for index underlyings (others must pass strike_int)
+const STRIKE_INTERVALS = {
+  NIFTY: 50,
+  BANKNIFTY: 100,
+  FINNIFTY: 50,
+  MIDCPNIFTY: 25,
+  SENSEX: 100,
+  BANKEX: 100
+};
+
+// Strikes on each side of ATM scanned when resolving DELTA:/PREMIUM: selectors
+const SELECTOR_CHAIN_STRIKES = 15;
+
+// How long a scanned chain is reused by later selector orders
+const DEFAULT_SELECTOR_CHAIN_TTL_MS = 5000;
+
 class OptionsTradingService {
-  constructor(dbAsync, makeOpenAlgoRequest) {
+  constructor(dbAsync, makeOpenAlgoRequest, rateLimiterManager = null) {
     this.dbAsync = dbAsync;
     this.makeOpenAlgoRequest = makeOpenAlgoRequest;
+    this.rateLimiters = rateLimiterManager;
+    this.selectorChainTtlMs = parseInt(process.env.OPTION_SELECTOR_CHAIN_TTL_MS || DEFAULT_SELECTOR_CHAIN_TTL_MS);
+
+    // Chains scanned for DELTA:/PREMIUM: selectors, by underlying/expiry/strike interval
+    this.selectorChains = new Map();
+    this.marginChecker = new MarginChecker(makeOpenAlgoRequest, { rateLimiters: rateLimiterManager });
+    this.strategyPositionManager = null;
+  }
+
+  /**
+   * Set strategy position manager (placed baskets are tracked as strategy positions)
+   */
+  setStrategyPositionManager(strategyPositionManager) {
+    this.strategyPositionManager = strategyPositionManager;
+  }
+
+  /**
+   * Fetch a quote, waiting for the instance's general_api rate limit first
+   */
+  async fetchQuote(instance, exchange, symbol) {
+    if (this.rateLimiters) {
+      await this.rateLimiters.acquireToken(instance.id, 'general_api');
+    }
+    return await this.makeOpenAlgoRequest(instance, 'quotes', 'POST', { exchange, symbol });
   }
 
   /**
@@ -91,6 +138,73 @@ class OptionsTradingService {
     }
   }
 
+  /**
+   * Option chain used to resolve DELTA:/PREMIUM: selectors. Chains are shared
+   * for a few seconds, so a burst of selector orders scans the chain once.
+   */
+  getSelectorChain(underlying, expiry_date, strike_int) {
+    const cacheKey = `${String(underlying).toUpperCase()}:${expiry_date}:${Number(strike_int)}`;
+    const cached = this.selectorChains.get(cacheKey);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.chain;
+    }
+
+    const entry = {
+      chain: this.getOptionChain(underlying, expiry_date, {
+        strikeInt: Number(strike_int),
+        strikeCount: SELECTOR_CHAIN_STRIKES
+      }),
+      expiresAt: Date.now() + this.selectorChainTtlMs
+    };
+    this.selectorChains.set(cacheKey, entry);
+
+    // A failed scan is not reused
+    entry.chain.catch(() => {
+      if (this.selectorChains.get(cacheKey) === entry) {
+        this.selectorChains.delete(cacheKey);
+      }
+    });
+    return entry.chain;
+  }
+
+  /**
+   * Resolve a strike selector to a plain offset from ATM.
+   * DELTA:x / PREMIUM:x selectors are matched against the option chain; plain
+   * offsets (ATM, ITMn, OTMn) are returned as-is. `shift` moves the result
+   * further OTM (positive) or ITM (negative), e.g. for strategy wings.
+   *
+   * @param {Object} params - { underlying, expiry_date, strike_int, offset, option_type, shift }
+   * @param {Map} chainCache - Optional chains pinned for one basket, so every leg sees the same chain
+   * @returns {Promise<Object>} - { offset, selection } (selection is null for plain offsets)
+   */
+  async resolveStrikeOffset(params, chainCache = null) {
+    const { underlying, expiry_date, strike_int, offset, option_type, shift = 0 } = params;
+    const selector = parseStrikeSelector(offset);
+
+    let selection = null;
+    let baseOffset = selector.offset;
+
+    if (selector.mode !== 'OFFSET') {
+      let chain;
+      if (chainCache) {
+        const cacheKey = `${String(underlying).toUpperCase()}:${expiry_date}`;
+        if (!chainCache.has(cacheKey)) {
+          chainCache.set(cacheKey, this.getSelectorChain(underlying, expiry_date, strike_int));
+        }
+        chain = chainCache.get(cacheKey);
+      } else {
+        chain = this.getSelectorChain(underlying, expiry_date, strike_int);
+      }
+      selection = selectStrikeFromChain(await chain, option_type, selector);
+      baseOffset = selection.offset;
+    }
+
+    return {
+      offset: shift ? stepsToOffset(offsetToSteps(baseOffset) + shift) : baseOffset,
+      selection
+    };
+  }
+
   /**
    * Resolve option symbol using offset from ATM
    *
@@ -98,17 +212,19 @@ class OptionsTradingService {
    * @param {string} params.underlying - Underlying symbol
    * @param {string} params.expiry_date - Expiry date (e.g., '28NOV24')
    * @param {number} params.strike_int - Strike interval (50 for NIFTY, 100 for BANKNIFTY)
-   * @param {string} params.offset - Offset from ATM (ATM, ITM1, ITM2, OTM1, OTM2)
+   * @param {string} params.offset - ATM, ITMn, OTMn, DELTA:0.25 or PREMIUM:100
    * @param {string} params.option_type - CE or PE
    * @returns {Promise<Object>} - Resolved symbol information
    */
   async resolveOptionSymbol(params) {
-    const { underlying, expiry_date, strike_int, offset, option_type } = params;
+    const { underlying, expiry_date, strike_int, option_type } = params;
 
-    if (!underlying || !expiry_date || !strike_int || !offset || !option_type) {
+    if (!underlying || !expiry_date || !strike_int || !params.offset || !option_type) {
       throw new Error('All parameters are required: underlying, expiry_date, strike_int, offset, option_type');
     }
 
+    const { offset, selection } = await this.resolveStrikeOffset(params);
+
     const adminInstance = await this.getAdminInstance();
 
     if (!adminInstance) {
@@ -137,7 +253,9 @@ class OptionsTradingService {
         exchange: response.exchange,
         lotsize: response.lotsize,
         tick_size: response.tick_size,
-        underlying_ltp: response.underlying_ltp
+        underlying_ltp: response.underlying_ltp,
+        offset,
+        strike_selection: selection
       };
     } else {
       throw new Error(response.message || 'Failed to resolve option symbol');
@@ -152,7 +270,7 @@ class OptionsTradingService {
    * @param {string} params.underlying - Underlying symbol
    * @param {string} params.expiry_date - Expiry date
    * @param {number} params.strike_int - Strike interval
-   * @param {string} params.offset - Offset from ATM
+   * @param {string} params.offset - ATM, ITMn, OTMn, DELTA:0.25 or PREMIUM:100
    * @param {string} params.option_type - CE or PE
    * @param {string} params.action - BUY or SELL
    * @param {number} params.quantity - Quantity in lots
@@ -167,7 +285,6 @@ class OptionsTradingService {
       underlying,
       expiry_date,
       strike_int,
-      offset,
       option_type,
       action,
       quantity,
@@ -177,10 +294,12 @@ class OptionsTradingService {
       position_size
     } = params;
 
-    if (!instanceId || !underlying || !expiry_date || !strike_int || !offset || !option_type || !action || !quantity) {
+    if (!instanceId || !underlying || !expiry_date || !strike_int || !params.offset || !option_type || !action || !quantity) {
       throw new Error('Missing required parameters for options order');
     }
 
+    const { offset, selection } = await this.resolveStrikeOffset(params);
+
     const instance = await this.getTradingInstance(instanceId);
 
     if (!instance) {
@@ -220,23 +339,34 @@ class OptionsTradingService {
       ? position_size
       : (action === 'BUY' ? quantity : -quantity);
 
-    // Step 3: Use placesmartorder (position-aware API)
+    const orderPayload = {
+      apikey: instance.api_key,
+      strategy: 'Options Scalper',
+      symbol: resolvedSymbol,
+      exchange: 'NFO',
+      action: action,
+      product: product,
+      pricetype: pricetype,
+      quantity: quantity * lotSize,
+      position_size: targetPositionSize * lotSize,
+      price: pricetype === 'LIMIT' ? price : 0
+    };
+
+    // Step 3: Margin check when the order opens or adds to a position
+    const opensPosition = action === 'BUY' ? targetPositionSize > 0 : targetPositionSize < 0;
+    if (opensPosition) {
+      const margin = await this.marginChecker.checkMargin(instance, [orderPayload]);
+      if (!margin.allowed) {
+        throw new ValidationError(margin.reason);
+      }
+    }
+
+    // Step 4: Use placesmartorder (position-aware API)
     const response = await this.makeOpenAlgoRequest(
       instance,
       'placesmartorder',
       'POST',
-      {
-        apikey: instance.api_key,
-        strategy: 'Options Scalper',
-        symbol: resolvedSymbol,
-        exchange: 'NFO',
-        action: action,
-        product: product,
-        pricetype: pricetype,
-        quantity: quantity * lotSize,
-        position_size: targetPositionSize * lotSize,
-        price: pricetype === 'LIMIT' ? price : 0
-      }
+      orderPayload
     );
 
     if (response.status === 'success') {
@@ -246,6 +376,8 @@ class OptionsTradingService {
         exchange: 'NFO',
         lotsize: lotSize,
         position_size: targetPositionSize,
+        offset,
+        strike_selection: selection,
         message: `${action} order placed successfully for ${resolvedSymbol} (position-aware)`
       };
     } else {
@@ -255,54 +387,63 @@ class OptionsTradingService {
 
   /**
    * Define strategy legs for basket orders
+   * @param {string} strategy - see STRATEGY_TEMPLATES, or CUSTOM with params.legs
+   * @param {Object} params - { offset, wing, expiry_date, legs }
    */
   getStrategyLegs(strategy, params) {
-    const { offset } = params;
-
-    if (strategy === 'STRADDLE') {
-      // Straddle: Buy both CE and PE at ATM
-      return [
-        { option_type: 'CE', action: 'BUY', offset: 'ATM' },
-        { option_type: 'PE', action: 'BUY', offset: 'ATM' }
-      ];
-    } else if (strategy === 'STRANGLE') {
-      // Strangle: Buy both CE and PE at OTM (same offset)
-      return [
-        { option_type: 'CE', action: 'BUY', offset: offset || 'OTM1' },
-        { option_type: 'PE', action: 'BUY', offset: offset || 'OTM1' }
-      ];
-    } else {
-      throw new Error(`Unknown strategy: ${strategy}`);
-    }
+    return buildStrategyLegs(strategy, params);
   }
 
   /**
-   * Place basket order (straddle/strangle)
+   * Place basket order for a multi-leg strategy
+   *
+   * Long (hedge) legs are placed before short legs for the margin benefit. If a
+   * hedge leg fails, the short legs are skipped so no naked short is left open.
+   * All legs are resolved first and the basket's combined margin is checked
+   * against available cash before any leg is sent. With a watchlist_id, the
+   * placed legs are recorded as positions and grouped into a strategy position.
    *
    * @param {number} instanceId - Trading instance ID
-   * @param {string} strategy - STRADDLE or STRANGLE
+   * @param {string} strategy - STRADDLE, IRON_CONDOR, BULL_PUT_SPREAD, ... or CUSTOM
    * @param {Object} params - Strategy parameters
+   * @param {string} params.offset - Base offset or DELTA:/PREMIUM: selector (defaults per strategy)
+   * @param {number} params.wing - Strikes between short and long legs (default 2)
+   * @param {number} params.quantity - Lots per unit of leg ratio
+   * @param {Array<Object>} params.legs - CUSTOM legs: { option_type, action, offset, ratio, expiry_date }
+   * @param {number} params.watchlist_id - Watchlist the leg positions are recorded under
+   * @param {Object} params.rules - Strategy-level target_pnl, stop_loss_pnl, trailing rules
    * @returns {Promise<Object>} - Basket order result
    */
   async placeBasketOrder(instanceId, strategy, params) {
     const {
       underlying,
-      expiry_date,
       strike_int,
-      offset,
       quantity,
       pricetype = 'MARKET',
       product = 'MIS',
-      price
+      price,
+      watchlist_id,
+      rules = {}
     } = params;
 
-    if (!instanceId || !strategy || !underlying || !expiry_date || !strike_int || !offset || !quantity) {
-      throw new Error('Missing required parameters for basket order');
+    if (!instanceId || !strategy || !underlying || !strike_int || !quantity) {
+      throw new ValidationError('Missing required parameters for basket order: instance_id, strategy, underlying, strike_int, quantity');
     }
 
-    const validStrategies = ['STRADDLE', 'STRANGLE'];
-    if (!validStrategies.includes(strategy)) {
-      throw new Error(`Strategy must be one of: ${validStrategies.join(', ')}`);
+    // Checked before any leg is sent, so a bad watchlist or rule cannot leave legs untracked
+    const trackPositions = Boolean(watchlist_id && this.strategyPositionManager);
+    if (trackPositions) {
+      const watchlist = await this.dbAsync.get('SELECT id FROM watchlists WHERE id = ?', [watchlist_id]);
+      if (!watchlist) {
+        throw new ValidationError(`Watchlist ${watchlist_id} not found`);
+      }
+      sanitizeStrategyRules(rules);
+    }
+
+    const legs = orderLegsForExecution(this.getStrategyLegs(strategy, params));
+
+    if (legs.some(leg => !leg.expiry_date)) {
+      throw new ValidationError('expiry_date is required (for the strategy or on every leg)');
     }
 
     const instance = await this.getTradingInstance(instanceId);
@@ -312,11 +453,12 @@ class OptionsTradingService {
     }
 
     const exchange = this.getExchangeForUnderlying(underlying);
-    const legs = this.getStrategyLegs(strategy, { offset });
+    const strategyName = String(strategy).toUpperCase();
+    const chainCache = new Map();
 
-    // Place orders for each leg using placesmartorder (position-aware)
     const orderResults = [];
     const errors = [];
+    let hedgeFailed = false;
 
     // Get admin instance for symbol resolution
     const adminInstance = await this.getAdminInstance();
@@ -325,114 +467,386 @@ class OptionsTradingService {
       throw new Error('No admin instance available');
     }
 
+    // Resolve every leg's symbol before anything is sent
+    const resolvedLegs = [];
     for (const leg of legs) {
+      const legInfo = { leg: leg.name, option_type: leg.option_type, action: leg.action, offset: leg.offset, ratio: leg.ratio };
+
+      if (leg.action === 'SELL' && hedgeFailed) {
+        errors.push({ ...legInfo, error: 'Skipped: hedge leg failed' });
+        continue;
+      }
+
       try {
-        // First resolve the symbol for this leg
+        // Resolve DELTA:/PREMIUM: selectors (and wing shifts) to a plain offset
+        const { offset, selection } = await this.resolveStrikeOffset({
+          underlying,
+          expiry_date: leg.expiry_date,
+          strike_int,
+          offset: leg.offset,
+          option_type: leg.option_type,
+          shift: leg.shift
+        }, chainCache);
+
+        // Then resolve the symbol for this leg
         const symbolResponse = await this.makeOpenAlgoRequest(
           adminInstance,
           'optionsymbol',
           'POST',
           {
             underlying,
-            exchange: 'NFO',
-            expiry_date,
+            exchange,
+            expiry_date: leg.expiry_date,
             strike_int,
-            offset: leg.offset,
+            offset,
             option_type: leg.option_type
           }
         );
 
         if (symbolResponse.status !== 'success') {
-          errors.push({
-            leg: leg.option_type,
-            error: symbolResponse.message || 'Failed to resolve symbol'
-          });
-          continue;
+          throw new Error(symbolResponse.message || 'Failed to resolve symbol');
         }
 
         const resolvedSymbol = symbolResponse.symbol;
         const lotSize = symbolResponse.lotsize;
+        const legLots = quantity * leg.ratio;
 
-        // For basket orders, we're buying both legs
-        const targetPositionSize = quantity;
+        // Target position for this leg: long legs positive, short legs negative
+        const targetPositionSize = leg.action === 'BUY' ? legLots : -legLots;
 
-        // Use placesmartorder (position-aware)
-        const response = await this.makeOpenAlgoRequest(
-          instance,
-          'placesmartorder',
-          'POST',
-          {
+        resolvedLegs.push({
+          leg,
+          legInfo,
+          offset,
+          selection,
+          payload: {
             apikey: instance.api_key,
-            strategy: strategy,
+            strategy: strategyName,
             symbol: resolvedSymbol,
-            exchange: 'NFO',
+            exchange,
             action: leg.action,
             product: product,
             pricetype: pricetype,
-            quantity: quantity * lotSize,
+            quantity: legLots * lotSize,
             position_size: targetPositionSize * lotSize,
             price: pricetype === 'LIMIT' ? price : 0
           }
+        });
+      } catch (error) {
+        errors.push({ ...legInfo, error: error.message });
+        if (leg.action === 'BUY') {
+          hedgeFailed = true;
+        }
+      }
+    }
+
+    // Margin for the legs that will be sent, as one basket so hedges offset the short legs
+    const placeableLegs = hedgeFailed ? resolvedLegs.filter(({ leg }) => leg.action !== 'SELL') : resolvedLegs;
+    const margin = await this.marginChecker.checkMargin(instance, placeableLegs.map(({ payload }) => payload));
+    if (!margin.allowed) {
+      throw new ValidationError(`${strategyName} basket rejected: ${margin.reason}`);
+    }
+
+    // Place orders for each leg using placesmartorder (position-aware)
+    for (const { leg, legInfo, offset, selection, payload } of resolvedLegs) {
+      if (leg.action === 'SELL' && hedgeFailed) {
+        errors.push({ ...legInfo, error: 'Skipped: hedge leg failed' });
+        continue;
+      }
+
+      try {
+        const response = await this.makeOpenAlgoRequest(
+          instance,
+          'placesmartorder',
+          'POST',
+          payload
         );
 
-        if (response.status === 'success') {
-          orderResults.push({
-            leg: leg.option_type,
-            order_id: response.orderid,
-            symbol: resolvedSymbol,
-            exchange: 'NFO'
-          });
-        } else {
-          errors.push({
-            leg: leg.option_type,
-            error: response.message || 'Failed to place order'
-          });
+        if (response.status !== 'success') {
+          throw new Error(response.message || 'Failed to place order');
         }
-      } catch (error) {
-        errors.push({
-          leg: leg.option_type,
-          error: error.message
+
+        orderResults.push({
+          ...legInfo,
+          resolved_offset: offset,
+          strike_selection: selection || undefined,
+          order_id: response.orderid,
+          symbol: payload.symbol,
+          exchange,
+          expiry_date: leg.expiry_date,
+          quantity: payload.quantity
         });
+      } catch (error) {
+        errors.push({ ...legInfo, error: error.message });
+        if (leg.action === 'BUY') {
+          hedgeFailed = true;
+        }
       }
     }
 
     // Return results
     if (orderResults.length > 0) {
-      return {
+      const result = {
         status: orderResults.length === legs.length ? 'success' : 'partial_success',
-        strategy,
+        strategy: strategyName,
         orders: orderResults,
         errors: errors.length > 0 ? errors : undefined,
         message: `Basket order placed: ${orderResults.length}/${legs.length} legs successful`
       };
+
+      if (trackPositions) {
+        // The legs are already at the broker: a tracking failure is reported, not thrown
+        try {
+          Object.assign(result, await this.trackBasketPositions(instance, strategyName, params, orderResults));
+        } catch (error) {
+          console.error(`[OptionsTrading] Failed to record ${strategyName} basket positions:`, error.message);
+          result.tracking_error = error.message;
+        }
+      }
+
+      return result;
     } else {
-      throw new Error('Failed to place basket order', { details: errors });
+      const error = new Error('Failed to place basket order');
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Record a basket's placed legs as watchlist positions and, with two or more
+   * legs, group them into a strategy position monitored by StrategyPositionManager.
+   * Entry prices are the LIMIT price, or the leg's LTP for MARKET baskets.
+   *
+   * @returns {Promise<Object>} - { positions, strategy_position }
+   */
+  async trackBasketPositions(instance, strategyName, params, orderResults) {
+    const { watchlist_id: watchlistId, underlying, pricetype = 'MARKET', product = 'MIS', price, rules = {} } = params;
+    const adminInstance = await this.getAdminInstance();
+
+    // Price every leg before opening any position, so a missing quote leaves none half-recorded
+    const pricedLegs = [];
+    for (const leg of orderResults) {
+      let entryPrice = pricetype === 'LIMIT' ? Number(price) : null;
+      if (!(entryPrice > 0)) {
+        const quote = await this.fetchQuote(adminInstance, leg.exchange, leg.symbol);
+        entryPrice = quote.status === 'success' ? Number(quote.data?.ltp) : null;
+      }
+      if (!(entryPrice > 0)) {
+        throw new Error(`No entry price available for ${leg.symbol}`);
+      }
+      pricedLegs.push({ ...leg, entryPrice });
     }
+
+    const { positionManager } = this.strategyPositionManager;
+    const positions = [];
+    for (const leg of pricedLegs) {
+      const position = await positionManager.openPosition({
+        instanceId: instance.id,
+        symbolId: await this.getWatchlistSymbolId(watchlistId, leg.exchange, leg.symbol),
+        watchlistId,
+        entryPrice: leg.entryPrice,
+        quantity: leg.quantity,
+        direction: leg.action === 'SELL' ? 'SHORT' : 'LONG',
+        orderType: pricetype,
+        productType: product,
+        enteredBy: 'BASKET_ORDER',
+        placeOrder: false,
+        enforceLimits: false
+      });
+      positions.push({ position, leg: leg.leg });
+    }
+
+    if (positions.length < 2) {
+      return { positions: positions.map(({ position }) => position), strategy_position: null };
+    }
+
+    const strategyPosition = await this.strategyPositionManager.createStrategyPosition({
+      instanceId: instance.id,
+      watchlistId,
+      strategy: strategyName,
+      underlying: String(underlying).toUpperCase(),
+      legs: positions.map(({ position, leg }) => ({ position_id: position.id, leg })),
+      rules
+    });
+
+    return { positions: positions.map(({ position }) => position), strategy_position: strategyPosition };
+  }
+
+  /**
+   * Watchlist symbol id for a contract, adding it to the watchlist if needed
+   */
+  async getWatchlistSymbolId(watchlistId, exchange, symbol) {
+    const existing = await this.dbAsync.get(
+      'SELECT id FROM watchlist_symbols WHERE watchlist_id = ? AND exchange = ? AND symbol = ?',
+      [watchlistId, exchange, symbol]
+    );
+    if (existing) {
+      return existing.id;
+    }
+
+    const maxOrder = await this.dbAsync.get(
+      'SELECT MAX(display_order) as max_order FROM watchlist_symbols WHERE watchlist_id = ?',
+      [watchlistId]
+    );
+    const result = await this.dbAsync.run(
+      'INSERT INTO watchlist_symbols (watchlist_id, exchange, symbol, display_order) VALUES (?, ?, ?, ?)',
+      [watchlistId, exchange, symbol, (maxOrder?.max_order || 0) + 1]
+    );
+    return result.lastID;
   }
 
   /**
    * Calculate pre-configured strikes for a given underlying LTP
+   * Offsets are from the call side (ITM = below ATM).
    *
    * @param {number} underlyingLTP - Current LTP of underlying
    * @param {number} strikeInt - Strike interval (50 for NIFTY, 100 for BANKNIFTY)
+   * @param {number} count - Strikes on each side of ATM (default 2: ITM2..OTM2)
    * @returns {Object} - Object with calculated strikes
    */
-  calculateStrikes(underlyingLTP, strikeInt) {
+  calculateStrikes(underlyingLTP, strikeInt, count = 2) {
     // Calculate ATM strike
     const atmStrike = Math.round(underlyingLTP / strikeInt) * strikeInt;
 
     // Calculate all strikes
-    const strikes = {
-      ITM2: atmStrike + (-2 * strikeInt),
-      ITM1: atmStrike + (-1 * strikeInt),
-      ATM: atmStrike,
-      OTM1: atmStrike + (1 * strikeInt),
-      OTM2: atmStrike + (2 * strikeInt)
-    };
+    const strikes = {};
+    for (let i = count; i >= 1; i--) {
+      strikes[`ITM${i}`] = atmStrike - i * strikeInt;
+    }
+    strikes.ATM = atmStrike;
+    for (let i = 1; i <= count; i++) {
+      strikes[`OTM${i}`] = atmStrike + i * strikeInt;
+    }
 
     return strikes;
   }
 
+  /**
+   * Default strike interval for an index underlying
+   */
+  getStrikeInterval(underlying) {
+    return STRIKE_INTERVALS[String(underlying || '').toUpperCase()] || null;
+  }
+
+  /**
+   * Build an option chain around ATM with locally computed IV and greeks
+   *
+   * @param {string} underlying - NIFTY, BANKNIFTY, etc.
+   * @param {string} expiry - Expiry date ('28NOV24' or '28-NOV-24')
+   * @param {Object} options - { strikeInt, strikeCount, riskFreeRate, now }
+   * @returns {Promise<Object>} - Chain rows with CE/PE quotes, IV (%) and greeks
+   */
+  async getOptionChain(underlying, expiry, options = {}) {
+    const {
+      strikeCount = 10,
+      riskFreeRate = DEFAULT_RISK_FREE_RATE,
+      now = new Date()
+    } = options;
+
+    if (!underlying || !expiry) {
+      throw new ValidationError('underlying and expiry are required');
+    }
+
+    const expiryDate = parseExpiryDate(expiry);
+    if (!expiryDate) {
+      throw new ValidationError('expiry must look like 28NOV24 or 28-NOV-24');
+    }
+
+    const strikeInt = options.strikeInt || this.getStrikeInterval(underlying);
+    if (!strikeInt) {
+      throw new ValidationError(`strike_int is required for ${underlying}`);
+    }
+    if (!Number.isInteger(strikeCount) || strikeCount < 1 || strikeCount > 25) {
+      throw new ValidationError('strikes must be between 1 and 25');
+    }
+
+    const expiryCode = String(expiry).replace(/-/g, '').toUpperCase();
+    const exchange = this.getExchangeForUnderlying(underlying);
+
+    // Resolve the ATM call to learn the underlying LTP, lot size and symbol format
+    const atm = await this.resolveOptionSymbol({
+      underlying,
+      exchange,
+      expiry_date: expiryCode,
+      strike_int: strikeInt,
+      offset: 'ATM',
+      option_type: 'CE'
+    });
+
+    const underlyingLtp = parseFloat(atm.underlying_ltp);
+    if (!(underlyingLtp > 0)) {
+      throw new Error('Underlying LTP unavailable from OpenAlgo');
+    }
+
+    const strikes = this.calculateStrikes(underlyingLtp, strikeInt, strikeCount);
+    const atmSuffix = `${strikes.ATM}CE`;
+    const symbolPrefix = atm.symbol && atm.symbol.endsWith(atmSuffix)
+      ? atm.symbol.slice(0, -atmSuffix.length)
+      : `${String(underlying).toUpperCase()}${expiryCode}`;
+
+    const legs = [];
+    for (const [offset, strike] of Object.entries(strikes)) {
+      // An ITM call strike is an OTM put strike and vice versa
+      const putOffset = offset === 'ATM' ? 'ATM' : offset.replace(/^(ITM|OTM)/, side => (side === 'ITM' ? 'OTM' : 'ITM'));
+      legs.push({ strike, option_type: 'CE', offset, symbol: `${symbolPrefix}${strike}CE` });
+      legs.push({ strike, option_type: 'PE', offset: putOffset, symbol: `${symbolPrefix}${strike}PE` });
+    }
+
+    // Each quote takes a general_api token; batches only bound the requests in flight
+    const adminInstance = await this.getAdminInstance();
+    const batchSize = 5;
+    for (let i = 0; i < legs.length; i += batchSize) {
+      await Promise.all(legs.slice(i, i + batchSize).map(async (leg) => {
+        try {
+          const response = await this.fetchQuote(adminInstance, exchange, leg.symbol);
+          leg.quote = response.status === 'success' ? response.data || {} : null;
+        } catch (error) {
+          leg.quote = null;
+        }
+      }));
+    }
+
+    const years = yearsToExpiry(expiryDate, now);
+
+    const chain = Object.entries(strikes).map(([offset, strike]) => {
+      const row = { strike, offset, is_atm: offset === 'ATM' };
+
+      for (const leg of legs.filter(item => item.strike === strike)) {
+        const quote = leg.quote || {};
+        const bid = Number(quote.bid ?? quote.bidprice) || null;
+        const ask = Number(quote.ask ?? quote.askprice) || null;
+        const ltp = Number(quote.ltp) || (bid && ask ? (bid + ask) / 2 : null);
+
+        row[leg.option_type.toLowerCase()] = {
+          symbol: leg.symbol,
+          offset: leg.offset,
+          ltp,
+          bid,
+          ask,
+          oi: Number(quote.oi) || 0,
+          volume: Number(quote.volume) || 0,
+          ...(ltp ? analyzeOption(leg.option_type, ltp, underlyingLtp, strike, years, riskFreeRate)
+            : { iv: null, delta: null, gamma: null, theta: null, vega: null })
+        };
+      }
+
+      return row;
+    });
+
+    return {
+      underlying: String(underlying).toUpperCase(),
+      expiry: expiryCode,
+      exchange,
+      underlying_ltp: underlyingLtp,
+      atm_strike: strikes.ATM,
+      strike_int: strikeInt,
+      lotsize: atm.lotsize,
+      years_to_expiry: years,
+      risk_free_rate: riskFreeRate,
+      chain
+    };
+  }
+
   /**
    * Update watchlist symbol with options configuration
    *
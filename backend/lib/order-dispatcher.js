@@ -0,0 +1,91 @@
+/**
+ * Order Dispatcher
+ * Fans order tasks out across instances in parallel. Each instance works
+ * through its own queue in order, paced by its RateLimiterManager token
+ * bucket, so a slow or throttled broker does not hold up the others.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class OrderDispatcher {
+  /**
+   * @param {RateLimiterManager} rateLimiterManager - Shared per-instance token buckets
+   * @param {Object} options - { endpointType } bucket the tasks draw from (default smart_order)
+   */
+  constructor(rateLimiterManager, options = {}) {
+    this.rateLimiters = rateLimiterManager;
+    this.endpointType = options.endpointType || 'smart_order';
+  }
+
+  /**
+   * Time until the instance's bucket has a token (0 if one is available now)
+   */
+  getWaitTime(instanceId) {
+    if (!this.rateLimiters) return 0;
+    return this.rateLimiters.getEstimatedWaitTime(instanceId, this.endpointType);
+  }
+
+  /**
+   * Run every instance's queue in parallel; tasks of one instance run in order.
+   *
+   * Before each task the queue waits until the instance's bucket has a token
+   * (the worker's order call takes it). With a deadline, tasks that cannot
+   * start in time are reported as skipped instead of being sent late.
+   *
+   * @param {Array<Object>} queues - [{ instance, tasks: [...] }]
+   * @param {Function} worker - async (instance, task) => result
+   * @param {Object} options
+   * @param {number} options.deadlineMs - Do not start tasks after this many ms
+   * @param {Function} options.onProgress - Called with each outcome and { completed, total }
+   * @returns {Promise<Object>} - { outcomes, total, timed_out, elapsed_ms }
+   */
+  async dispatch(queues, worker, options = {}) {
+    const { deadlineMs = null, onProgress = null } = options;
+    const startedAt = Date.now();
+    const deadline = deadlineMs ? startedAt + deadlineMs : null;
+    const total = queues.reduce((sum, queue) => sum + queue.tasks.length, 0);
+    const outcomes = [];
+
+    const record = (outcome) => {
+      outcomes.push(outcome);
+      if (onProgress) {
+        try {
+          onProgress(outcome, { completed: outcomes.length, total });
+        } catch (error) {
+          console.error('[OrderDispatcher] Progress callback failed:', error.message);
+        }
+      }
+    };
+
+    await Promise.all(queues.map(async ({ instance, tasks }) => {
+      for (const task of tasks) {
+        const waitTime = this.getWaitTime(instance.id);
+
+        if (deadline && Date.now() + waitTime > deadline) {
+          record({ instance, task, status: 'skipped', error: 'Deadline exceeded before the order could be sent' });
+          continue;
+        }
+
+        if (waitTime > 0) {
+          await sleep(waitTime);
+        }
+
+        try {
+          const result = await worker(instance, task);
+          record({ instance, task, status: 'success', result });
+        } catch (error) {
+          record({ instance, task, status: 'error', error: error.message });
+        }
+      }
+    }));
+
+    return {
+      outcomes,
+      total,
+      timed_out: outcomes.some(outcome => outcome.status === 'skipped'),
+      elapsed_ms: Date.now() - startedAt
+    };
+  }
+}
+
+export default OrderDispatcher;
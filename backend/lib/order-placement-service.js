@@ -6,18 +6,42 @@
  */
 
 import QuantityResolverV2 from './quantity-resolver-v2.js';
+import OptionsTradingService from './options-trading-service.js';
+import { parseStrikeSelector } from './strike-selection.js';
+import MarginChecker from './margin-checker.js';
+import { validateLotSize, validateTickSize } from './order-validators.js';
+import { NotFoundError, ValidationError } from '../middleware/error-handler.js';
+
+// Only orders still resting at the broker can be modified
+const MODIFIABLE_ORDER_STATUSES = ['pending', 'open'];
+const MODIFIABLE_PRICE_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+
+// Plain (non-smart) orders only know BUY/SELL
+const BROKER_ACTIONS = {
+  BUY: 'BUY',
+  COVER: 'BUY',
+  SELL: 'SELL',
+  SHORT: 'SELL'
+};
 
 class OrderPlacementService {
-  constructor(dbAsync, rateLimiterManager, alertService, makeOpenAlgoRequest) {
+  constructor(dbAsync, rateLimiterManager, alertService, makeOpenAlgoRequest, marketCalendar = null) {
     this.dbAsync = dbAsync;
     this.rateLimiters = rateLimiterManager;
     this.alertService = alertService;
     this.makeOpenAlgoRequest = makeOpenAlgoRequest;
+    this.marketCalendar = marketCalendar;
     this.retryQueue = new Map();
 
     // Initialize Quantity Resolver V2
     this.quantityResolver = new QuantityResolverV2(dbAsync, makeOpenAlgoRequest);
 
+    // Option chain lookups for DELTA:/PREMIUM: strike selection
+    this.optionsTradingService = new OptionsTradingService(dbAsync, makeOpenAlgoRequest, rateLimiterManager);
+
+    // Pre-trade margin check against funds.availablecash
+    this.marginChecker = new MarginChecker(makeOpenAlgoRequest, { rateLimiters: rateLimiterManager });
+
     // Configuration
     this.maxRetries = parseInt(process.env.ORDER_RETRY_MAX_ATTEMPTS || '3');
     this.baseRetryDelay = parseInt(process.env.ORDER_RETRY_BASE_DELAY_MS || '1000');
@@ -124,7 +148,7 @@ class OrderPlacementService {
    * @param {Object} params - Parameters for options symbol generation
    * @param {string} params.underlying - Underlying symbol (e.g., NIFTY)
    * @param {string} params.option_type - CE or PE
-   * @param {string} params.strike_offset - ITM3, ITM2, ITM1, ATM, OTM1, OTM2, OTM3
+   * @param {string} params.strike_offset - ITMn, ATM, OTMn, DELTA:0.25 or PREMIUM:100
    * @param {string} params.exchange - Exchange (default: NFO)
    * @returns {Promise<Object>} - Resolved symbol information
    */
@@ -139,10 +163,8 @@ class OrderPlacementService {
       throw new Error('option_type must be CE or PE');
     }
 
-    const validOffsets = ['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3'];
-    if (!validOffsets.includes(strike_offset)) {
-      throw new Error(`strike_offset must be one of: ${validOffsets.join(', ')}`);
-    }
+    // Validates ATM/ITMn/OTMn and DELTA:/PREMIUM: selectors
+    parseStrikeSelector(strike_offset);
 
     try {
       // Get strike interval
@@ -151,6 +173,15 @@ class OrderPlacementService {
       // Get nearest expiry
       const expiryDate = await this.getNearestExpiry(underlying);
 
+      // Resolve DELTA:/PREMIUM: selectors against the option chain
+      const { offset, selection: strikeSelection } = await this.optionsTradingService.resolveStrikeOffset({
+        underlying,
+        expiry_date: expiryDate,
+        strike_int: strikeInt,
+        offset: strike_offset,
+        option_type: option_type.toUpperCase()
+      });
+
       // Call OpenAlgo optionsymbol API
       const adminInstance = await this.getAdminInstance();
       const response = await this.makeOpenAlgoRequest(
@@ -162,7 +193,7 @@ class OrderPlacementService {
           exchange: exchange,
           expiry_date: expiryDate,
           strike_int: strikeInt,
-          offset: strike_offset,
+          offset,
           option_type: option_type.toUpperCase()
         }
       );
@@ -175,7 +206,9 @@ class OrderPlacementService {
           tickSize: response.tick_size,
           underlyingLTP: response.underlying_ltp,
           expiry: expiryDate,
-          strike: response.strike || null
+          strike: response.strike || null,
+          offset,
+          strike_selection: strikeSelection
         };
       } else {
         throw new Error(response.message || 'Failed to resolve option symbol');
@@ -208,10 +241,9 @@ class OrderPlacementService {
       throw new Error(`Instance ${instanceId} not found`);
     }
 
-    // Get current position
-    const position = await this.getOpenAlgoPosition(instance, symbol, exchange, product);
+    const { position, order } = await this.buildExitAllOrder(instance, { symbol, exchange, product });
 
-    if (!position.exists || position.quantity === 0) {
+    if (!order) {
       return {
         success: true,
         message: 'No positions to exit',
@@ -219,21 +251,8 @@ class OrderPlacementService {
       };
     }
 
-    // Determine action based on position direction
-    const action = position.direction === 'LONG' ? 'SELL' : 'COVER';
-    const positionSize = 0; // Exit to zero
-
     // Place exit order
-    const result = await this.placeOrder(instanceId, {
-      symbol: symbol,
-      exchange: exchange,
-      action: action,
-      quantity: position.quantity,
-      position_size: positionSize,
-      pricetype: 'MARKET',
-      product: product,
-      strategy: 'EXIT_ALL'
-    }, {
+    const result = await this.placeOrder(instanceId, order, {
       order_type: 'EXIT',
       exit_reason: 'EXIT_ALL'
     });
@@ -243,7 +262,41 @@ class OrderPlacementService {
       order_id: result.order_id,
       positions_closed: position.quantity,
       direction: position.direction,
-      message: `EXIT ALL: ${action} ${position.quantity} ${symbol} to close ${position.direction} position`
+      message: `EXIT ALL: ${order.action} ${position.quantity} ${symbol} to close ${position.direction} position`
+    };
+  }
+
+  /**
+   * Build the EXIT ALL order for a symbol from the instance's open position
+   * (read-only: nothing is placed)
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Object} params - { symbol, exchange, product }
+   * @returns {Promise<Object>} - { position, order } (order is null when flat)
+   */
+  async buildExitAllOrder(instance, params) {
+    const { symbol, exchange, product = 'MIS' } = params;
+
+    // Get current position
+    const position = await this.getOpenAlgoPosition(instance, symbol, exchange, product);
+
+    if (!position.exists || position.quantity === 0) {
+      return { position, order: null };
+    }
+
+    // Determine action based on position direction; exit to zero
+    return {
+      position,
+      order: {
+        symbol,
+        exchange,
+        action: position.direction === 'LONG' ? 'SELL' : 'COVER',
+        quantity: position.quantity,
+        position_size: 0,
+        pricetype: 'MARKET',
+        product,
+        strategy: 'EXIT_ALL'
+      }
     };
   }
 
@@ -795,8 +848,7 @@ class OrderPlacementService {
         console.log(`[OrderService] Entry order: qty=${quantity}, pos_size=${positionSize}`);
       }
 
-      // Place order
-      return await this.placeOrder(instance.id, {
+      const orderParams = {
         symbol: wlConfig.symbol,
         exchange: wlConfig.exchange,
         action: action.toUpperCase(),
@@ -805,7 +857,8 @@ class OrderPlacementService {
         pricetype: wlConfig.order_type || 'MARKET',
         product: wlConfig.product_type || 'MIS',
         strategy: orderOptions.strategy || 'WatchlistV2'
-      }, {
+      };
+      const options = {
         watchlist_id: wlConfig.watchlist_id,
         symbol_id: wlConfig.symbol_id,
         position_id: orderOptions.position_id,
@@ -813,7 +866,19 @@ class OrderPlacementService {
         attempt: orderOptions.attempt || 0,
         // Pass resolution info for logging
         _resolution: resolution
-      });
+      };
+
+      // Above the exchange freeze quantity: split into slices tracked under one parent order
+      const freezeQty = parseInt(wlConfig.freeze_qty);
+      if (freezeQty > 0 && quantity > freezeQty) {
+        return await this.placeSlicedOrder(instance, orderParams, options, {
+          freezeQty,
+          intervalMs: parseInt(wlConfig.slice_interval_ms) || 0
+        });
+      }
+
+      // Place order
+      return await this.placeOrder(instance.id, orderParams, options);
 
     } catch (error) {
       console.error(`[OrderService] V2 resolution failed:`, error.message);
@@ -920,6 +985,255 @@ class OrderPlacementService {
     );
   }
 
+  /**
+   * Place a plain (non-smart) order that rests on the book at a fixed quantity,
+   * e.g. the SL-M stop and LIMIT target of a broker-side bracket
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Object} orderParams - { symbol, exchange, action: BUY|SELL, quantity, product, pricetype, price, trigger_price }
+   * @param {Object} options - Logged with the order ({ position_id, order_type, watchlist_id, symbol_id })
+   * @returns {Promise<Object>} - { success, order_id, order_record_id }
+   */
+  async placeRegularOrder(instance, orderParams, options = {}) {
+    const normalized = this.normalizeOrderParams(orderParams, options);
+    // placeorder takes a fixed quantity; position_size only applies to smart orders
+    const payload = { ...normalized.payload };
+    delete payload.position_size;
+
+    // Acquire rate limit token
+    await this.rateLimiters.acquireToken(instance.id, 'order_api');
+
+    // Call OpenAlgo placeorder API
+    const response = await this.makeOpenAlgoRequest(instance, 'placeorder', 'POST', {
+      ...payload,
+      strategy: instance.strategy_tag || payload.strategy
+    });
+
+    if (response.status !== 'success') {
+      throw new Error(response.message || 'Order placement failed');
+    }
+
+    const responseOrderId = response.orderid || response.data?.orderid || null;
+    const orderRecord = await this.logOrder(instance.id, normalized.metadata, responseOrderId, options, response);
+
+    console.log(`[OrderService] ${normalized.metadata.pricetype} order placed: ${responseOrderId || 'unknown-id'}`);
+
+    return {
+      success: true,
+      order_id: responseOrderId,
+      order_record_id: orderRecord.id
+    };
+  }
+
+  /**
+   * Split a quantity into freeze-size slices (last slice takes the remainder)
+   */
+  splitQuantity(quantity, freezeQty) {
+    const slices = [];
+    for (let remaining = quantity; remaining > 0; remaining -= freezeQty) {
+      slices.push(Math.min(remaining, freezeQty));
+    }
+    return slices;
+  }
+
+  /**
+   * Place an order above the freeze quantity as slices under one parent watchlist_orders row.
+   * Slices are plain orders for a fixed quantity (a smart order's target position would be
+   * re-evaluated per slice). With no interval, OpenAlgo's splitorder places them in one call;
+   * otherwise each slice is placed intervalMs apart and the first failure stops the rest.
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Object} orderParams - Order as for placeOrder (BUY/SELL/SHORT/COVER)
+   * @param {Object} options - Logged with the parent ({ watchlist_id, symbol_id, position_id, order_type })
+   * @param {Object} slicing - { freezeQty, intervalMs }
+   * @returns {Promise<Object>} - { success, order_id, order_record_id, sliced, slices }
+   */
+  async placeSlicedOrder(instance, orderParams, options = {}, slicing = {}) {
+    const { freezeQty, intervalMs = 0 } = slicing;
+
+    await this.performPreflightChecks(instance, orderParams);
+
+    const normalized = this.normalizeOrderParams(orderParams, options);
+    const quantities = this.splitQuantity(normalized.metadata.quantity, freezeQty);
+    const payload = {
+      ...normalized.payload,
+      action: BROKER_ACTIONS[normalized.payload.action] || normalized.payload.action
+    };
+    delete payload.position_size;
+
+    // Parent row carries the position link and the aggregated status; slices only point at it
+    const parent = await this.logOrder(instance.id, normalized.metadata, null, options);
+    await this.dbAsync.run('UPDATE watchlist_orders SET slice_count = ? WHERE id = ?', [quantities.length, parent.id]);
+
+    const sliceOptions = {
+      watchlist_id: options.watchlist_id,
+      symbol_id: options.symbol_id,
+      order_type: options.order_type
+    };
+    const slices = [];
+    let error = null;
+
+    if (intervalMs > 0) {
+      for (const [index, sliceQty] of quantities.entries()) {
+        if (index > 0) {
+          await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+        try {
+          await this.rateLimiters.acquireToken(instance.id, 'order_api');
+          const response = await this.makeOpenAlgoRequest(instance, 'placeorder', 'POST', {
+            ...payload,
+            quantity: sliceQty.toString()
+          });
+          if (response.status !== 'success') {
+            throw new Error(response.message || 'Slice placement failed');
+          }
+          slices.push({ order_id: response.orderid || response.data?.orderid || null, quantity: sliceQty, status: 'success' });
+        } catch (sliceError) {
+          error = sliceError.message;
+          slices.push({ order_id: null, quantity: sliceQty, status: 'error', message: sliceError.message });
+          break;
+        }
+      }
+    } else {
+      try {
+        await this.rateLimiters.acquireToken(instance.id, 'order_api');
+        const response = await this.makeOpenAlgoRequest(instance, 'splitorder', 'POST', {
+          ...payload,
+          splitsize: freezeQty.toString()
+        });
+        if (response.status !== 'success') {
+          throw new Error(response.message || 'Split order failed');
+        }
+        for (const result of response.results || response.data?.results || []) {
+          slices.push({
+            order_id: result.orderid || null,
+            quantity: parseInt(result.quantity),
+            status: result.status === 'success' ? 'success' : 'error',
+            message: result.message
+          });
+        }
+      } catch (splitError) {
+        error = splitError.message;
+      }
+    }
+
+    for (const slice of slices) {
+      const child = await this.logOrder(
+        instance.id,
+        { ...normalized.metadata, quantity: slice.quantity },
+        slice.order_id,
+        sliceOptions
+      );
+      await this.dbAsync.run(`
+        UPDATE watchlist_orders
+        SET parent_order_id = ?, status = ?, message = ?
+        WHERE id = ?
+      `, [parent.id, slice.status === 'success' ? 'pending' : 'rejected', slice.message || null, child.id]);
+    }
+
+    // Spaced placement stops at the first failure; the parent settles on the slices actually sent
+    if (slices.length > 0 && slices.length < quantities.length) {
+      await this.dbAsync.run('UPDATE watchlist_orders SET slice_count = ? WHERE id = ?', [slices.length, parent.id]);
+    }
+
+    const placed = slices.filter(slice => slice.status === 'success');
+    const placedQty = placed.reduce((sum, slice) => sum + slice.quantity, 0);
+
+    if (placed.length === 0) {
+      await this.dbAsync.run(
+        "UPDATE watchlist_orders SET status = 'rejected', message = ?, updated_at = datetime('now') WHERE id = ?",
+        [error || 'No slices placed', parent.id]
+      );
+      throw new Error(`Sliced order failed: ${error || 'no slices placed'}`);
+    }
+
+    await this.alertService.createAlert(
+      placedQty < normalized.metadata.quantity ? 'ORDER_PARTIALLY_PLACED' : 'ORDER_PLACED',
+      placedQty < normalized.metadata.quantity ? 'WARNING' : 'INFO',
+      `Order placed in ${placed.length}/${quantities.length} slices: ${normalized.metadata.action} ${placedQty}/${normalized.metadata.quantity} ${normalized.metadata.symbol}` +
+        (error ? ` (${error})` : ''),
+      {
+        order_record_id: parent.id,
+        symbol: normalized.metadata.symbol,
+        action: normalized.metadata.action,
+        quantity: normalized.metadata.quantity,
+        placed_quantity: placedQty,
+        freeze_qty: freezeQty,
+        order_ids: placed.map(slice => slice.order_id),
+        instance_id: instance.id
+      },
+      instance.id
+    );
+
+    console.log(`[OrderService] Sliced order placed: ${placedQty}/${normalized.metadata.quantity} in ${placed.length} slices (parent ${parent.id})`);
+
+    return {
+      success: true,
+      order_id: null,
+      order_record_id: parent.id,
+      sliced: true,
+      placed_quantity: placedQty,
+      slices
+    };
+  }
+
+  /**
+   * Place one MARKET child order of a parent order (e.g. a scheduled TWAP slice)
+   *
+   * @param {Object} instance - Instance the parent belongs to
+   * @param {Object} parent - Parent watchlist_orders row
+   * @param {number} quantity - Child quantity
+   * @returns {Promise<Object>} - { success, order_id, order_record_id }
+   */
+  async placeChildOrder(instance, parent, quantity) {
+    const orderParams = {
+      symbol: parent.symbol,
+      exchange: parent.exchange,
+      action: parent.action,
+      quantity,
+      product: parent.product_type,
+      pricetype: 'MARKET'
+    };
+
+    await this.performPreflightChecks(instance, orderParams);
+
+    const result = await this.placeRegularOrder(instance, {
+      ...orderParams,
+      action: BROKER_ACTIONS[parent.action] || parent.action
+    }, {
+      watchlist_id: parent.watchlist_id,
+      symbol_id: parent.symbol_id,
+      order_type: parent.order_type
+    });
+
+    await this.dbAsync.run('UPDATE watchlist_orders SET parent_order_id = ? WHERE id = ?', [parent.id, result.order_record_id]);
+
+    return result;
+  }
+
+  /**
+   * Cancel the working slices of a sliced (parent) order
+   */
+  async cancelSlicedOrder(parentRecordId) {
+    const slices = await this.dbAsync.all(`
+      SELECT instance_id, order_id
+      FROM watchlist_orders
+      WHERE parent_order_id = ? AND status IN ('pending', 'open') AND order_id IS NOT NULL
+    `, [parentRecordId]);
+
+    const results = [];
+    for (const slice of slices) {
+      try {
+        await this.cancelOrder(slice.instance_id, slice.order_id);
+        results.push({ order_id: slice.order_id, success: true });
+      } catch (error) {
+        results.push({ order_id: slice.order_id, success: false, error: error.message });
+      }
+    }
+
+    return { success: results.every(result => result.success), slices: results };
+  }
+
   /**
    * Perform pre-flight checks before placing order
    */
@@ -939,23 +1253,44 @@ class OrderPlacementService {
       throw new Error('Instance health check failed');
     }
 
-    // Check 4: Required parameters
+    // Check 4: Auto safe-switch still flattening positions
+    if (instance.switch_pending) {
+      throw new Error('Instance is switch-pending (auto safe-switch in progress); new orders are blocked');
+    }
+
+    // Check 5: Required parameters
     if (!orderParams.symbol || !orderParams.action || !orderParams.exchange || !orderParams.quantity) {
       throw new Error('Missing required order parameters');
     }
 
-    // Check 5: Valid action (UI supports SHORT/COVER, translate to BUY/SELL)
+    // Check 6: Valid action (UI supports SHORT/COVER, translate to BUY/SELL)
     const action = (orderParams.action || '').toUpperCase();
     const validActions = ['BUY', 'SELL', 'SHORT', 'COVER'];
     if (!validActions.includes(action)) {
       throw new Error('Invalid order action. Must be BUY, SELL, SHORT, or COVER');
     }
 
-    // Check 6: Valid quantity
+    // Check 7: Valid quantity
     if (parseInt(orderParams.quantity) <= 0) {
       throw new Error('Quantity must be greater than 0');
     }
 
+    // Check 8: Market is open for the exchange
+    if (this.marketCalendar) {
+      const marketStatus = await this.marketCalendar.isMarketOpen(orderParams.exchange);
+      if (!marketStatus.open) {
+        throw new Error(`Market closed for ${orderParams.exchange}: ${marketStatus.reason}`);
+      }
+    }
+
+    // Check 9: Account can afford the order (entries only; exits release margin)
+    if (this.marginChecker && ['BUY', 'SHORT'].includes(action)) {
+      const margin = await this.marginChecker.checkMargin(instance, [orderParams]);
+      if (!margin.allowed) {
+        throw new Error(margin.reason);
+      }
+    }
+
     return true;
   }
 
@@ -1197,6 +1532,163 @@ class OrderPlacementService {
     return { success: true, order_id: orderId };
   }
 
+  /**
+   * Modify a pending order in place (keeps its queue priority, unlike cancel + re-entry)
+   *
+   * @param {number} orderRecordId - watchlist_orders.id
+   * @param {Object} changes - Any of { price, trigger_price, quantity, pricetype }
+   * @returns {Promise<Object>} - { success, order_id, changes }
+   */
+  async modifyOrder(orderRecordId, changes = {}) {
+    const order = await this.dbAsync.get(`
+      SELECT wo.*, ws.lot_size
+      FROM watchlist_orders wo
+      LEFT JOIN watchlist_symbols ws ON ws.id = wo.symbol_id
+      WHERE wo.id = ?
+    `, [orderRecordId]);
+
+    if (!order) {
+      throw new NotFoundError('Order');
+    }
+
+    if (!MODIFIABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new ValidationError(`Cannot modify order with status: ${order.status}`);
+    }
+
+    if (order.slice_count > 0) {
+      throw new ValidationError('Sliced orders cannot be modified as a whole; modify the individual slices');
+    }
+
+    const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [order.instance_id]);
+
+    if (!instance) {
+      throw new Error(`Instance ${order.instance_id} not found`);
+    }
+
+    const modified = this.resolveOrderModification(order, changes);
+    const tickSize = await this.getTickSize(order.symbol, order.exchange);
+
+    if (modified.pricetype === 'LIMIT' || modified.pricetype === 'SL') {
+      const tickError = validateTickSize(modified.price, tickSize);
+      if (tickError) {
+        throw new ValidationError(tickError);
+      }
+    }
+
+    if (modified.pricetype === 'SL' || modified.pricetype === 'SL-M') {
+      const triggerError = validateTickSize(modified.trigger_price, tickSize);
+      if (triggerError) {
+        throw new ValidationError(triggerError.replace('Invalid price', 'Invalid trigger price'));
+      }
+    }
+
+    const lotError = validateLotSize(modified.quantity, order.lot_size);
+    if (lotError) {
+      throw new ValidationError(lotError);
+    }
+
+    // Acquire rate limit token
+    await this.rateLimiters.acquireToken(instance.id, 'order_api');
+
+    // Call OpenAlgo modifyorder API (every field is required, not just the changed ones)
+    const response = await this.makeOpenAlgoRequest(instance, 'modifyorder', 'POST', {
+      orderid: order.order_id,
+      strategy: instance.strategy_tag || 'Watchlist',
+      exchange: order.exchange,
+      symbol: order.symbol,
+      action: BROKER_ACTIONS[order.action] || order.action,
+      product: order.product_type,
+      pricetype: modified.pricetype,
+      price: modified.price.toString(),
+      quantity: modified.quantity.toString(),
+      disclosed_quantity: '0',
+      trigger_price: modified.trigger_price.toString()
+    });
+
+    if (response.status !== 'success') {
+      throw new Error(response.message || 'Order modification failed');
+    }
+
+    // Update order in database; the status tracker keeps polling it as before
+    await this.dbAsync.run(`
+      UPDATE watchlist_orders
+      SET
+        pricetype = ?,
+        price = ?,
+        trigger_price = ?,
+        quantity = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `, [modified.pricetype, modified.price, modified.trigger_price, modified.quantity, order.id]);
+
+    const previous = {
+      pricetype: order.pricetype,
+      price: order.price,
+      trigger_price: order.trigger_price,
+      quantity: order.quantity
+    };
+
+    // Create alert
+    await this.alertService.createAlert(
+      'ORDER_MODIFIED',
+      'INFO',
+      `Order modified: ${order.order_id} ${order.action} ${modified.quantity} ${order.symbol} ${modified.pricetype}` +
+        (modified.price > 0 ? ` @ ₹${modified.price}` : ''),
+      { order_id: order.order_id, instance_id: instance.id, previous, modified },
+      instance.id,
+      order.watchlist_id
+    );
+
+    console.log(`[OrderService] Order modified: ${order.order_id}`);
+
+    return { success: true, order_id: order.order_id, previous, modified };
+  }
+
+  /**
+   * Merge requested changes onto the current order, checking the fields each price type needs
+   */
+  resolveOrderModification(order, changes) {
+    const fields = ['price', 'trigger_price', 'quantity', 'pricetype'];
+    if (!fields.some(field => changes[field] !== undefined && changes[field] !== null)) {
+      throw new ValidationError(`Provide at least one of: ${fields.join(', ')}`);
+    }
+
+    const pricetype = String(changes.pricetype ?? order.pricetype ?? 'MARKET').toUpperCase();
+    if (!MODIFIABLE_PRICE_TYPES.includes(pricetype)) {
+      throw new ValidationError(`Invalid pricetype: must be one of ${MODIFIABLE_PRICE_TYPES.join(', ')}`);
+    }
+
+    const quantity = Number(changes.quantity ?? order.quantity);
+    const price = pricetype === 'MARKET' || pricetype === 'SL-M'
+      ? 0
+      : Number(changes.price ?? order.price ?? 0);
+    const triggerPrice = pricetype === 'SL' || pricetype === 'SL-M'
+      ? Number(changes.trigger_price ?? order.trigger_price ?? 0)
+      : 0;
+
+    if ((pricetype === 'LIMIT' || pricetype === 'SL') && !(price > 0)) {
+      throw new ValidationError(`${pricetype} orders require a price greater than 0`);
+    }
+
+    if ((pricetype === 'SL' || pricetype === 'SL-M') && !(triggerPrice > 0)) {
+      throw new ValidationError(`${pricetype} orders require a trigger_price greater than 0`);
+    }
+
+    return { pricetype, price, trigger_price: triggerPrice, quantity };
+  }
+
+  /**
+   * Tick size from the symbol search cache (null when unknown)
+   */
+  async getTickSize(symbol, exchange) {
+    const row = await this.dbAsync.get(`
+      SELECT tick_size FROM symbol_search_cache
+      WHERE symbol = ? AND exchange = ? AND tick_size IS NOT NULL
+      LIMIT 1
+    `, [symbol, exchange]);
+    return row ? Number(row.tick_size) : null;
+  }
+
   /**
    * Cancel all orders for instance
    */
@@ -1282,6 +1774,27 @@ class OrderPlacementService {
     };
   }
 
+  /**
+   * Get a quote (ltp, bid, ask) for a symbol from an instance
+   */
+  async getQuote(instanceId, exchange, symbol) {
+    const instance = await this.dbAsync.get('SELECT * FROM instances WHERE id = ?', [instanceId]);
+
+    if (!instance) {
+      throw new Error(`Instance ${instanceId} not found`);
+    }
+
+    await this.rateLimiters.acquireToken(instanceId, 'general_api');
+
+    const response = await this.makeOpenAlgoRequest(instance, 'quotes', 'POST', { exchange, symbol });
+
+    if (response.status !== 'success') {
+      throw new Error(response.message || 'Failed to fetch quote');
+    }
+
+    return response.data || {};
+  }
+
   /**
    * Get all orders for instance
    */
@@ -0,0 +1,172 @@
+/**
+ * Order Preview Service
+ * Dry-run for watchlist order placement and EXIT ALL: runs quantity resolution,
+ * pre-flight checks and lot/tick validation for each order (position limits
+ * are reported as warnings) and reports what would be sent, without placing anything. Only read-only
+ * OpenAlgo calls (quotes, funds, openposition) are made.
+ */
+
+import { validateLotSize, validateTickSize } from './order-validators.js';
+
+const ENTRY_ACTIONS = ['BUY', 'SHORT'];
+
+class OrderPreviewService {
+  constructor(dbAsync, orderPlacementService, positionManager) {
+    this.dbAsync = dbAsync;
+    this.orderPlacementService = orderPlacementService;
+    this.positionManager = positionManager;
+  }
+
+  /**
+   * Tick size for a symbol from the symbol search cache (null if unknown)
+   */
+  async getTickSize(symbol, exchange) {
+    const row = await this.dbAsync.get(`
+      SELECT tick_size FROM symbol_search_cache
+      WHERE symbol = ? AND exchange = ? AND tick_size IS NOT NULL
+      LIMIT 1
+    `, [symbol, exchange]);
+    return row ? Number(row.tick_size) : null;
+  }
+
+  /**
+   * Preview one watchlist order
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Object} symbolConfig - Watchlist symbol joined with its symbol_config
+   * @param {Object} orderParams - Order exactly as it would be passed to placeOrder
+   * @param {Object} context - { watchlistId, uiAction, currentPosition }
+   * @returns {Promise<Object>} - Preview row with quantity, capital, blocking checks and warnings
+   */
+  async previewOrder(instance, symbolConfig, orderParams, context = {}) {
+    const { watchlistId, uiAction, currentPosition = 0 } = context;
+    const blockedBy = [];
+    const warnings = [];
+    const lotSize = symbolConfig.lot_size || orderParams.lot_size || 1;
+    const multiplier = Math.max(parseFloat(symbolConfig.contract_multiplier) || 1, 1);
+
+    // QuantityResolverV2: resolved quantity and target position for the button action
+    let resolution = null;
+    try {
+      resolution = await this.orderPlacementService.quantityResolver.resolve(
+        instance,
+        symbolConfig,
+        currentPosition,
+        uiAction
+      );
+    } catch (error) {
+      warnings.push(`Quantity resolver: ${error.message}`);
+    }
+
+    const pricetype = (orderParams.pricetype || 'MARKET').toUpperCase();
+    const referencePrice = (pricetype === 'LIMIT' && Number(orderParams.price))
+      || orderParams._capitalInfo?.price
+      || resolution?.ltp
+      || null;
+    const estimatedCapital = referencePrice
+      ? Math.round(referencePrice * orderParams.quantity * multiplier * 100) / 100
+      : null;
+
+    // Pre-flight checks (instance state, parameters, market hours)
+    try {
+      await this.orderPlacementService.performPreflightChecks(instance, orderParams);
+    } catch (error) {
+      blockedBy.push({ check: 'PREFLIGHT', reason: error.message });
+    }
+
+    // Position limits only apply to entries. Manual placement does not enforce them
+    // (they gate positions opened through PositionManager), so they only warn here.
+    if (this.positionManager && ENTRY_ACTIONS.includes(String(uiAction).toUpperCase())) {
+      const canOpen = await this.positionManager.canOpenPosition(
+        instance.id,
+        symbolConfig.symbol_id,
+        watchlistId,
+        orderParams.quantity,
+        estimatedCapital || 0,
+        { dryRun: true }
+      );
+      if (!canOpen.allowed) {
+        warnings.push(`${canOpen.violation} (${canOpen.scope}): ${canOpen.reason}`);
+      }
+    }
+
+    const lotError = validateLotSize(orderParams.quantity, lotSize);
+    if (lotError) {
+      blockedBy.push({ check: 'LOT_SIZE', reason: lotError });
+    }
+
+    if (pricetype === 'LIMIT' && orderParams.price) {
+      const tickError = validateTickSize(orderParams.price, await this.getTickSize(orderParams.symbol, orderParams.exchange));
+      if (tickError) {
+        blockedBy.push({ check: 'TICK_SIZE', reason: tickError });
+      }
+    }
+
+    return {
+      instance_id: instance.id,
+      instance: instance.name,
+      symbol_id: symbolConfig.symbol_id,
+      symbol: orderParams.symbol,
+      exchange: orderParams.exchange,
+      ui_action: uiAction,
+      action: orderParams.action,
+      quantity: orderParams.quantity,
+      position_size: orderParams.position_size,
+      current_position: currentPosition,
+      product: orderParams.product,
+      pricetype,
+      price: orderParams.price || null,
+      reference_price: referencePrice,
+      estimated_capital: estimatedCapital,
+      resolver: resolution ? {
+        resolved_qty: resolution.resolvedQty,
+        target_position: resolution.targetPos,
+        ltp: resolution.ltp,
+        ltp_source: resolution.ltpSource,
+        qty_mode: resolution.qtyMode
+      } : null,
+      would_place: blockedBy.length === 0,
+      blocked_by: blockedBy,
+      warnings
+    };
+  }
+
+  /**
+   * Preview EXIT ALL for one instance
+   *
+   * @param {Object} instance - Trading instance
+   * @param {Object} params - { symbol, exchange, product }
+   * @returns {Promise<Object>} - Preview row (order is null when the instance is flat)
+   */
+  async previewExitAll(instance, params) {
+    const { position, order } = await this.orderPlacementService.buildExitAllOrder(instance, params);
+    const blockedBy = [];
+
+    if (order) {
+      try {
+        await this.orderPlacementService.performPreflightChecks(instance, order);
+      } catch (error) {
+        blockedBy.push({ check: 'PREFLIGHT', reason: error.message });
+      }
+    }
+
+    return {
+      instance_id: instance.id,
+      instance: instance.name,
+      symbol: params.symbol,
+      exchange: params.exchange,
+      direction: position.direction,
+      current_position: position.rawQuantity,
+      action: order ? order.action : null,
+      quantity: order ? order.quantity : 0,
+      product: params.product,
+      would_place: !!order && blockedBy.length === 0,
+      blocked_by: blockedBy,
+      message: order
+        ? `${order.action} ${order.quantity} ${params.symbol} to close ${position.direction} position`
+        : 'No positions to exit'
+    };
+  }
+}
+
+export default OrderPreviewService;
@@ -5,16 +5,31 @@
  * Phase 4: Order Placement & Rate Limiting
  */
 
+import { validateTickSize } from './order-validators.js';
+
+const DEFAULT_TICK_SIZE = 0.05;
+
 class OrderStatusTracker {
-  constructor(dbAsync, orderPlacementService, alertService) {
+  constructor(dbAsync, orderPlacementService, alertService, marketCalendar = null) {
     this.dbAsync = dbAsync;
     this.orderService = orderPlacementService;
     this.alertService = alertService;
+    this.marketCalendar = marketCalendar;
+    this.bracketOrderManager = null;
+    // Keep polling for a while after the close so late fills are still picked up
+    this.postCloseGraceMinutes = parseInt(process.env.ORDER_STATUS_POST_CLOSE_GRACE_MINUTES || '15');
     this.pollingInterval = parseInt(process.env.ORDER_STATUS_POLLING_INTERVAL_MS || '5000');
     this.intervalId = null;
     this.isRunning = false;
   }
 
+  /**
+   * Set bracket order manager (broker-side stop/target placed on entry fill)
+   */
+  setBracketOrderManager(bracketOrderManager) {
+    this.bracketOrderManager = bracketOrderManager;
+  }
+
   /**
    * Start order status polling
    */
@@ -69,12 +84,36 @@ class OrderStatusTracker {
         return { updated: 0, completed: 0 };
       }
 
+      // Pause polling for exchanges that are closed
+      if (this.marketCalendar) {
+        const openOrders = [];
+        for (const order of pendingOrders) {
+          const status = await this.marketCalendar.isMarketOpen(order.exchange, new Date(), {
+            graceMinutes: this.postCloseGraceMinutes
+          });
+          if (status.open) {
+            openOrders.push(order);
+          }
+        }
+        pendingOrders.splice(0, pendingOrders.length, ...openOrders);
+
+        if (pendingOrders.length === 0) {
+          return { updated: 0, completed: 0, paused: true };
+        }
+      }
+
       let updatedCount = 0;
       let completedCount = 0;
 
+      // Sliced parents have no broker order of their own; their status is rolled up from the slices
+      const parentOrders = pendingOrders.filter(order => order.slice_count > 0);
+
       // Group orders by instance to minimize API calls
       const ordersByInstance = new Map();
       for (const order of pendingOrders) {
+        if (order.slice_count > 0) {
+          continue;
+        }
         if (!ordersByInstance.has(order.instance_id)) {
           ordersByInstance.set(order.instance_id, []);
         }
@@ -100,6 +139,20 @@ class OrderStatusTracker {
         }
       }
 
+      // Reprice LIMIT orders that are still unfilled (symbols with chasing enabled)
+      const limitOrderIds = pendingOrders
+        .filter(order => order.pricetype === 'LIMIT' && order.order_id && !(order.slice_count > 0))
+        .map(order => order.id);
+      if (limitOrderIds.length > 0) {
+        await this.chaseLimitOrders(limitOrderIds);
+      }
+
+      if (parentOrders.length > 0) {
+        const parents = await this.updateSlicedOrders(parentOrders);
+        updatedCount += parents.updated;
+        completedCount += parents.completed;
+      }
+
       if (updatedCount > 0) {
         console.log(`[OrderStatusTracker] Updated ${updatedCount} orders, ${completedCount} completed`);
       }
@@ -179,6 +232,223 @@ class OrderStatusTracker {
     }
   }
 
+  /**
+   * Roll slice statuses up into their parent orders; the parent drives position updates
+   */
+  async updateSlicedOrders(parentOrders) {
+    let updated = 0;
+    let completed = 0;
+
+    for (const parent of parentOrders) {
+      try {
+        const slices = await this.dbAsync.all(
+          'SELECT status, filled_quantity, average_price FROM watchlist_orders WHERE parent_order_id = ?',
+          [parent.id]
+        );
+        const rollup = this.aggregateSlices(slices);
+
+        // More slices are still to be placed (scheduled execution): a settled rollup is only a partial fill
+        if (rollup && slices.length < parent.slice_count && !['pending', 'open'].includes(rollup.status)) {
+          rollup.status = 'open';
+        }
+
+        if (!rollup || (rollup.status === parent.status && rollup.filled_quantity === (parent.filled_quantity || 0))) {
+          continue;
+        }
+
+        await this.dbAsync.run(`
+          UPDATE watchlist_orders
+          SET
+            status = ?,
+            filled_quantity = ?,
+            average_price = ?,
+            updated_at = datetime('now')
+          WHERE id = ?
+        `, [rollup.status, rollup.filled_quantity, rollup.average_price, parent.id]);
+        updated++;
+
+        console.log(`[OrderStatusTracker] Sliced order ${parent.id} status: ${parent.status} → ${rollup.status} (${rollup.filled_quantity}/${parent.quantity} filled)`);
+
+        if (rollup.status === 'complete') {
+          completed++;
+          await this.handleOrderCompletion(parent, { avgprice: rollup.average_price, fillshares: rollup.filled_quantity });
+        } else if (rollup.status === 'rejected') {
+          await this.handleOrderRejection(parent, null);
+        }
+      } catch (error) {
+        console.error(`[OrderStatusTracker] Error updating sliced order ${parent.id}:`, error.message);
+      }
+    }
+
+    return { updated, completed };
+  }
+
+  /**
+   * Aggregate status of a sliced order: working while any slice works, complete once
+   * everything has settled with some quantity filled
+   */
+  aggregateSlices(slices) {
+    if (slices.length === 0) {
+      return null;
+    }
+
+    let filledQuantity = 0;
+    let filledValue = 0;
+    for (const slice of slices) {
+      const filled = parseInt(slice.filled_quantity || 0);
+      filledQuantity += filled;
+      filledValue += filled * parseFloat(slice.average_price || 0);
+    }
+
+    const statuses = slices.map(slice => slice.status);
+    let status;
+    if (statuses.includes('open')) {
+      status = 'open';
+    } else if (statuses.includes('pending')) {
+      status = 'pending';
+    } else if (filledQuantity > 0) {
+      status = 'complete';
+    } else if (statuses.includes('cancelled')) {
+      status = 'cancelled';
+    } else {
+      status = 'rejected';
+    }
+
+    return {
+      status,
+      filled_quantity: filledQuantity,
+      average_price: filledQuantity > 0 ? Number((filledValue / filledQuantity).toFixed(4)) : 0
+    };
+  }
+
+  /**
+   * Chase unfilled LIMIT orders: every chase_after_seconds the price is moved
+   * chase_ticks ticks toward the reference (LTP, or best ask/bid for buys/sells),
+   * never past it. After chase_max_attempts the order is converted to MARKET or
+   * cancelled (chase_final_action). Broker-side bracket legs (a position's
+   * target/stop orders) rest at their price on purpose and are never chased.
+   *
+   * @param {Array<number>} orderIds - watchlist_orders ids to consider
+   * @returns {Promise<number>} - Orders repriced, converted or cancelled
+   */
+  async chaseLimitOrders(orderIds, now = new Date()) {
+    const orders = await this.dbAsync.all(`
+      SELECT
+        wo.*,
+        sc.chase_after_seconds,
+        sc.chase_ticks,
+        sc.chase_max_attempts,
+        sc.chase_price_source,
+        sc.chase_final_action
+      FROM watchlist_orders wo
+      JOIN symbol_configs sc ON sc.symbol_id = wo.symbol_id AND sc.watchlist_id = wo.watchlist_id
+      WHERE wo.id IN (${orderIds.map(() => '?').join(', ')})
+        AND wo.status IN ('pending', 'open')
+        AND wo.pricetype = 'LIMIT'
+        AND sc.chase_enabled = 1
+        AND NOT EXISTS (
+          SELECT 1 FROM watchlist_positions wp
+          WHERE wp.target_order_id = wo.order_id OR wp.sl_order_id = wo.order_id
+        )
+    `, orderIds);
+
+    let chased = 0;
+    for (const order of orders) {
+      const lastTouched = new Date(`${String(order.last_repriced_at || order.placed_at).replace(' ', 'T')}Z`);
+      if (now - lastTouched < (order.chase_after_seconds || 10) * 1000) {
+        continue;
+      }
+
+      try {
+        if (await this.chaseOrder(order)) {
+          chased++;
+        }
+      } catch (error) {
+        console.error(`[OrderStatusTracker] Failed to chase order ${order.order_id}:`, error.message);
+      }
+    }
+
+    return chased;
+  }
+
+  /**
+   * One chase step for an order whose wait has elapsed
+   */
+  async chaseOrder(order) {
+    const attempts = order.chase_attempts || 0;
+
+    if (attempts >= (order.chase_max_attempts || 5)) {
+      const finalAction = order.chase_final_action === 'CANCEL' ? 'CANCEL' : 'MARKET';
+
+      if (finalAction === 'CANCEL') {
+        await this.orderService.cancelOrder(order.instance_id, order.order_id);
+      } else {
+        await this.orderService.modifyOrder(order.id, { pricetype: 'MARKET' });
+      }
+
+      await this.alertService.createAlert(
+        'ORDER_CHASE_EXHAUSTED',
+        'WARNING',
+        `Limit order ${order.order_id} for ${order.symbol} unfilled after ${attempts} reprices; ` +
+          (finalAction === 'CANCEL' ? 'cancelled' : 'converted to MARKET'),
+        { order_id: order.order_id, symbol: order.symbol, attempts, final_action: finalAction },
+        order.instance_id,
+        order.watchlist_id
+      );
+
+      console.log(`[OrderStatusTracker] Chase exhausted for ${order.order_id}: ${finalAction}`);
+      return true;
+    }
+
+    const isBuy = ['BUY', 'COVER'].includes(String(order.action).toUpperCase());
+    const reference = await this.getChaseReferencePrice(order, isBuy);
+    if (!reference) {
+      return false;
+    }
+
+    const tickSize = await this.orderService.getTickSize(order.symbol, order.exchange) || DEFAULT_TICK_SIZE;
+    const step = (order.chase_ticks || 1) * tickSize;
+    const currentPrice = Number(order.price);
+    const target = isBuy
+      ? Math.min(currentPrice + step, reference)
+      : Math.max(currentPrice - step, reference);
+    // Round onto the tick grid on the reference side so the reference is never crossed
+    const steps = target / tickSize;
+    const newPrice = Number(((isBuy ? Math.floor(steps + 1e-6) : Math.ceil(steps - 1e-6)) * tickSize).toFixed(6));
+
+    // Already at (or through) the reference: nothing to improve, but the attempt still counts
+    const tickError = validateTickSize(newPrice, tickSize);
+    const improves = isBuy ? newPrice > currentPrice : newPrice < currentPrice;
+    if (improves && !tickError) {
+      await this.orderService.modifyOrder(order.id, { price: newPrice });
+      console.log(`[OrderStatusTracker] Chased ${order.order_id} ${order.action} ${order.symbol}: ₹${currentPrice} → ₹${newPrice} (ref ₹${reference}, attempt ${attempts + 1})`);
+    } else if (tickError) {
+      console.warn(`[OrderStatusTracker] Chase price for ${order.order_id} rejected: ${tickError}`);
+    }
+
+    await this.dbAsync.run(`
+      UPDATE watchlist_orders
+      SET chase_attempts = ?, last_repriced_at = datetime('now')
+      WHERE id = ?
+    `, [attempts + 1, order.id]);
+
+    return improves && !tickError;
+  }
+
+  /**
+   * Price to chase toward: LTP from market data, or the best ask (buys) / bid (sells)
+   */
+  async getChaseReferencePrice(order, isBuy) {
+    if (order.chase_price_source === 'BID_ASK') {
+      const quote = await this.orderService.getQuote(order.instance_id, order.exchange, order.symbol);
+      const price = Number(isBuy ? quote.ask : quote.bid);
+      return price > 0 ? price : null;
+    }
+
+    const row = await this.dbAsync.get('SELECT ltp FROM market_data WHERE exchange = ? AND symbol = ?', [order.exchange, order.symbol]);
+    return row && row.ltp > 0 ? Number(row.ltp) : null;
+  }
+
   /**
    * Map OpenAlgo order status to our status
    */
@@ -209,7 +479,14 @@ class OrderStatusTracker {
       if (order.position_id) {
         if (order.order_type === 'ENTRY') {
           await this.updatePositionEntryPrice(order.position_id, fillPrice);
+          if (this.bracketOrderManager) {
+            await this.placeBracket(order.position_id);
+          }
         } else if (order.order_type === 'EXIT') {
+          // One leg of a broker bracket filled: cancel the other before recording the exit
+          if (this.bracketOrderManager) {
+            await this.bracketOrderManager.handleExitFill(order);
+          }
           await this.updatePositionExitPrice(order.position_id, fillPrice);
         }
       }
@@ -236,6 +513,17 @@ class OrderStatusTracker {
     }
   }
 
+  /**
+   * Place broker-side exits for a filled entry; failures leave the position to local monitoring
+   */
+  async placeBracket(positionId) {
+    try {
+      await this.bracketOrderManager.placeBracket(positionId);
+    } catch (error) {
+      console.error(`[OrderStatusTracker] Error placing bracket for position ${positionId}:`, error.message);
+    }
+  }
+
   /**
    * Handle order rejection
    */
@@ -243,6 +531,11 @@ class OrderStatusTracker {
     try {
       console.log(`[OrderStatusTracker] Order rejected: ${order.order_id}`);
 
+      // A rejected bracket leg hands its level back to local monitoring
+      if (order.position_id && order.order_type === 'EXIT' && this.bracketOrderManager) {
+        await this.bracketOrderManager.handleLegRejected(order);
+      }
+
       // Update position status if this was entry order
       if (order.position_id && order.order_type === 'ENTRY') {
         await this.dbAsync.run(`
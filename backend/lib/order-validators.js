@@ -0,0 +1,44 @@
+/**
+ * Order Validators
+ * Exchange-level checks on quantity and price that do not need the broker:
+ * quantity must be a whole number of lots and LIMIT prices must sit on the tick grid.
+ * Each validator returns null when valid, or the reason the order would be rejected.
+ */
+
+const EPSILON = 1e-9;
+
+/**
+ * Quantity must be a positive multiple of the lot size
+ */
+export function validateLotSize(quantity, lotSize) {
+  const qty = Number(quantity);
+  const lot = Math.max(parseInt(lotSize) || 1, 1);
+
+  if (!Number.isInteger(qty) || qty <= 0) {
+    return `Invalid quantity: must be a positive integer. Provided: ${quantity}`;
+  }
+  if (qty % lot !== 0) {
+    return `Invalid quantity: must be a multiple of lot size (${lot}). Provided: ${qty}`;
+  }
+  return null;
+}
+
+/**
+ * LIMIT/SL prices must be a multiple of the tick size (skipped when unknown)
+ */
+export function validateTickSize(price, tickSize) {
+  const value = Number(price);
+  const tick = Number(tickSize);
+
+  if (!Number.isFinite(value) || value <= 0) {
+    return `Invalid price: must be greater than 0. Provided: ${price}`;
+  }
+  if (!Number.isFinite(tick) || tick <= 0) {
+    return null;
+  }
+  const steps = value / tick;
+  if (Math.abs(steps - Math.round(steps)) > EPSILON * Math.max(1, steps)) {
+    return `Invalid price: must be a multiple of tick size (${tick}). Provided: ${value}`;
+  }
+  return null;
+}
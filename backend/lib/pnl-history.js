@@ -0,0 +1,207 @@
+// P&L history helpers for per-instance equity curves.
+// Like instance-updater.js these take `dbAsync` as a parameter so they can be
+// unit-tested against an in-memory database.
+
+import { ValidationError } from '../middleware/error-handler.js';
+
+export const PNL_HISTORY_INTERVALS = {
+  raw: 0,
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '1d': 86400
+};
+
+const DEFAULT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// SQLite CURRENT_TIMESTAMP is stored as UTC 'YYYY-MM-DD HH:MM:SS'
+function toSqliteTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseSqliteTimestamp(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+/**
+ * Parse a from/to query value (ISO string, SQLite timestamp or epoch millis).
+ * Returns a Date, or null when the value is missing or invalid.
+ */
+export function parseHistoryTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value))) {
+    const date = new Date(Number(value));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const text = String(value);
+  const date = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) || !text.includes(':')
+    ? new Date(text)
+    : parseSqliteTimestamp(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export async function recordPnlSnapshot(dbAsync, instanceId, snapshot) {
+  const { current_balance = 0, realized_pnl = 0, unrealized_pnl = 0, total_pnl = 0 } = snapshot;
+  return dbAsync.run(
+    `INSERT INTO instance_pnl_snapshots
+      (instance_id, current_balance, realized_pnl, unrealized_pnl, total_pnl)
+     VALUES (?, ?, ?, ?, ?)`,
+    [instanceId, current_balance, realized_pnl, unrealized_pnl, total_pnl]
+  );
+}
+
+/**
+ * Collapse snapshots into fixed-size time buckets.
+ * Each bucket keeps the last snapshot values (close) plus the high/low total P&L seen.
+ */
+export function downsampleSnapshots(snapshots, intervalSeconds) {
+  if (!intervalSeconds) {
+    return snapshots.map(row => ({
+      timestamp: row.captured_at,
+      current_balance: row.current_balance,
+      realized_pnl: row.realized_pnl,
+      unrealized_pnl: row.unrealized_pnl,
+      total_pnl: row.total_pnl,
+      high_pnl: row.total_pnl,
+      low_pnl: row.total_pnl,
+      samples: 1
+    }));
+  }
+
+  const bucketMs = intervalSeconds * 1000;
+  const buckets = new Map();
+
+  for (const row of snapshots) {
+    const time = parseSqliteTimestamp(row.captured_at).getTime();
+    const key = Math.floor(time / bucketMs) * bucketMs;
+    const bucket = buckets.get(key);
+
+    if (!bucket) {
+      buckets.set(key, {
+        timestamp: toSqliteTimestamp(new Date(key)),
+        current_balance: row.current_balance,
+        realized_pnl: row.realized_pnl,
+        unrealized_pnl: row.unrealized_pnl,
+        total_pnl: row.total_pnl,
+        high_pnl: row.total_pnl,
+        low_pnl: row.total_pnl,
+        samples: 1
+      });
+      continue;
+    }
+
+    bucket.current_balance = row.current_balance;
+    bucket.realized_pnl = row.realized_pnl;
+    bucket.unrealized_pnl = row.unrealized_pnl;
+    bucket.total_pnl = row.total_pnl;
+    bucket.high_pnl = Math.max(bucket.high_pnl, row.total_pnl);
+    bucket.low_pnl = Math.min(bucket.low_pnl, row.total_pnl);
+    bucket.samples += 1;
+  }
+
+  return [...buckets.values()];
+}
+
+/**
+ * Peak, trough and max drawdown of total P&L over the given snapshots (chronological).
+ * Drawdown is measured from the running peak, so a curve that only rises has zero drawdown.
+ */
+export function calculateDrawdownStats(snapshots) {
+  if (snapshots.length === 0) {
+    return {
+      samples: 0,
+      start_pnl: null,
+      end_pnl: null,
+      peak_pnl: null,
+      peak_at: null,
+      trough_pnl: null,
+      trough_at: null,
+      max_drawdown: 0,
+      max_drawdown_pct: null,
+      max_drawdown_peak_at: null,
+      max_drawdown_trough_at: null
+    };
+  }
+
+  let peak = snapshots[0];
+  let trough = snapshots[0];
+  let runningPeak = snapshots[0];
+  let maxDrawdown = 0;
+  let drawdownPeak = null;
+  let drawdownTrough = null;
+
+  for (const row of snapshots) {
+    if (row.total_pnl > peak.total_pnl) peak = row;
+    if (row.total_pnl < trough.total_pnl) trough = row;
+    if (row.total_pnl > runningPeak.total_pnl) runningPeak = row;
+
+    const drawdown = runningPeak.total_pnl - row.total_pnl;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      drawdownPeak = runningPeak;
+      drawdownTrough = row;
+    }
+  }
+
+  const last = snapshots[snapshots.length - 1];
+
+  return {
+    samples: snapshots.length,
+    start_pnl: snapshots[0].total_pnl,
+    end_pnl: last.total_pnl,
+    peak_pnl: peak.total_pnl,
+    peak_at: peak.captured_at,
+    trough_pnl: trough.total_pnl,
+    trough_at: trough.captured_at,
+    max_drawdown: maxDrawdown,
+    max_drawdown_pct: drawdownPeak && drawdownPeak.total_pnl > 0
+      ? (maxDrawdown / drawdownPeak.total_pnl) * 100
+      : null,
+    max_drawdown_peak_at: drawdownPeak ? drawdownPeak.captured_at : null,
+    max_drawdown_trough_at: drawdownTrough ? drawdownTrough.captured_at : null
+  };
+}
+
+/**
+ * Load the equity curve for an instance.
+ * @param {Object} options - { from, to, interval } as received from the query string
+ */
+export async function getPnlHistory(dbAsync, instanceId, options = {}) {
+  const interval = options.interval || '5m';
+  if (!Object.prototype.hasOwnProperty.call(PNL_HISTORY_INTERVALS, interval)) {
+    throw new ValidationError(`Invalid interval. Must be one of: ${Object.keys(PNL_HISTORY_INTERVALS).join(', ')}`);
+  }
+
+  const to = options.to ? parseHistoryTime(options.to) : new Date();
+  if (!to) {
+    throw new ValidationError('Invalid to timestamp');
+  }
+  const from = options.from ? parseHistoryTime(options.from) : new Date(to.getTime() - DEFAULT_LOOKBACK_MS);
+  if (!from) {
+    throw new ValidationError('Invalid from timestamp');
+  }
+  if (from > to) {
+    throw new ValidationError('from must be before to');
+  }
+
+  const snapshots = await dbAsync.all(
+    `SELECT captured_at, current_balance, realized_pnl, unrealized_pnl, total_pnl
+     FROM instance_pnl_snapshots
+     WHERE instance_id = ? AND captured_at >= ? AND captured_at <= ?
+     ORDER BY captured_at ASC, id ASC`,
+    [instanceId, toSqliteTimestamp(from), toSqliteTimestamp(to)]
+  );
+
+  return {
+    instance_id: instanceId,
+    from: toSqliteTimestamp(from),
+    to: toSqliteTimestamp(to),
+    interval,
+    points: downsampleSnapshots(snapshots, PNL_HISTORY_INTERVALS[interval]),
+    stats: calculateDrawdownStats(snapshots)
+  };
+}
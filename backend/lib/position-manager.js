@@ -4,12 +4,29 @@
  * Phase 3: Rule Evaluation Engine
  */
 
+// Limit scopes enforced on top of the global position_limits, and the
+// watchlist_positions column each one is counted against
+export const LIMIT_SCOPES = {
+  INSTANCE: 'instance_id',
+  WATCHLIST: 'watchlist_id'
+};
+
+export const SCOPED_LIMIT_FIELDS = [
+  'max_open_positions',
+  'max_positions_per_symbol',
+  'max_capital_per_position',
+  'max_total_capital_deployed',
+  'max_daily_loss',
+  'max_trades_per_day'
+];
+
 class PositionManager {
   constructor(dbAsync, alertService, orderPlacementService = null) {
     this.dbAsync = dbAsync;
     this.alertService = alertService;
     this.orderPlacementService = orderPlacementService;  // Phase 4: Optional order placement
     this.positionLocks = new Map();
+    this.bracketOrderManager = null;
   }
 
   /**
@@ -19,6 +36,13 @@ class PositionManager {
     this.orderPlacementService = orderPlacementService;
   }
 
+  /**
+   * Set bracket order manager (resting broker stop/target are cancelled before a local close)
+   */
+  setBracketOrderManager(bracketOrderManager) {
+    this.bracketOrderManager = bracketOrderManager;
+  }
+
   /**
    * Get current position limits configuration
    */
@@ -77,9 +101,13 @@ class PositionManager {
 
   /**
    * Check if position can be opened (enforce limits)
+   * With options.dryRun the check is evaluated without recording violations.
    */
-  async canOpenPosition(instanceId, symbolId, watchlistId, quantity, estimatedCapital) {
+  async canOpenPosition(instanceId, symbolId, watchlistId, quantity, estimatedCapital, options = {}) {
     const limits = await this.getPositionLimits();
+    const recordViolation = options.dryRun
+      ? async () => {}
+      : (...args) => this.logViolation(...args);
 
     // Check 1: Total open positions across all instances
     const totalOpen = await this.dbAsync.get(`
@@ -89,7 +117,7 @@ class PositionManager {
     `);
 
     if (totalOpen.count >= limits.max_open_positions) {
-      await this.logViolation('MAX_POSITIONS', instanceId, symbolId, watchlistId, {
+      await recordViolation('MAX_POSITIONS', instanceId, symbolId, watchlistId, {
         current: totalOpen.count,
         limit: limits.max_open_positions,
         attempted_quantity: quantity
@@ -97,7 +125,8 @@ class PositionManager {
       return {
         allowed: false,
         reason: `Maximum open positions limit reached (${limits.max_open_positions})`,
-        violation: 'MAX_POSITIONS'
+        violation: 'MAX_POSITIONS',
+        scope: 'GLOBAL'
       };
     }
 
@@ -109,7 +138,7 @@ class PositionManager {
     `, [symbolId]);
 
     if (symbolPositions.count >= limits.max_positions_per_symbol) {
-      await this.logViolation('MAX_PER_SYMBOL', instanceId, symbolId, watchlistId, {
+      await recordViolation('MAX_PER_SYMBOL', instanceId, symbolId, watchlistId, {
         current: symbolPositions.count,
         limit: limits.max_positions_per_symbol,
         attempted_quantity: quantity
@@ -117,13 +146,14 @@ class PositionManager {
       return {
         allowed: false,
         reason: `Maximum positions per symbol limit reached (${limits.max_positions_per_symbol})`,
-        violation: 'MAX_PER_SYMBOL'
+        violation: 'MAX_PER_SYMBOL',
+        scope: 'GLOBAL'
       };
     }
 
     // Check 3: Capital per position (if configured)
     if (limits.max_capital_per_position && estimatedCapital > limits.max_capital_per_position) {
-      await this.logViolation('MAX_CAPITAL', instanceId, symbolId, watchlistId, {
+      await recordViolation('MAX_CAPITAL', instanceId, symbolId, watchlistId, {
         attempted_capital: estimatedCapital,
         limit: limits.max_capital_per_position,
         attempted_quantity: quantity
@@ -131,7 +161,8 @@ class PositionManager {
       return {
         allowed: false,
         reason: `Position capital exceeds limit (₹${limits.max_capital_per_position})`,
-        violation: 'MAX_CAPITAL'
+        violation: 'MAX_CAPITAL',
+        scope: 'GLOBAL'
       };
     }
 
@@ -145,7 +176,7 @@ class PositionManager {
 
       const currentCapital = totalCapital.total || 0;
       if (currentCapital + estimatedCapital > limits.max_total_capital_deployed) {
-        await this.logViolation('MAX_TOTAL_CAPITAL', instanceId, symbolId, watchlistId, {
+        await recordViolation('MAX_TOTAL_CAPITAL', instanceId, symbolId, watchlistId, {
           current_capital: currentCapital,
           attempted_capital: estimatedCapital,
           limit: limits.max_total_capital_deployed,
@@ -154,11 +185,180 @@ class PositionManager {
         return {
           allowed: false,
           reason: `Total capital limit would be exceeded (₹${limits.max_total_capital_deployed})`,
-          violation: 'MAX_TOTAL_CAPITAL'
+          violation: 'MAX_TOTAL_CAPITAL',
+          scope: 'GLOBAL'
         };
       }
     }
 
+    // Per-instance and per-watchlist limits, so one instance or watchlist
+    // cannot use up the whole desk's capacity
+    const scopes = [['INSTANCE', instanceId], ['WATCHLIST', watchlistId]];
+    for (const [scope, scopeId] of scopes) {
+      if (!scopeId) continue;
+
+      const scopedCheck = await this.checkScopedLimits(scope, scopeId, {
+        instanceId, symbolId, watchlistId, quantity, estimatedCapital
+      }, recordViolation);
+      if (!scopedCheck.allowed) {
+        return scopedCheck;
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Get limits for one instance or watchlist (null if none are configured)
+   */
+  async getScopedLimits(scope, scopeId) {
+    const limits = await this.dbAsync.get(`
+      SELECT * FROM scoped_position_limits
+      WHERE scope = ? AND scope_id = ?
+    `, [scope, scopeId]);
+
+    return limits || null;
+  }
+
+  /**
+   * List all per-instance and per-watchlist limits
+   */
+  async listScopedLimits() {
+    return await this.dbAsync.all(`
+      SELECT
+        spl.*,
+        CASE spl.scope WHEN 'INSTANCE' THEN i.name ELSE w.name END as scope_name
+      FROM scoped_position_limits spl
+      LEFT JOIN instances i ON spl.scope = 'INSTANCE' AND i.id = spl.scope_id
+      LEFT JOIN watchlists w ON spl.scope = 'WATCHLIST' AND w.id = spl.scope_id
+      ORDER BY spl.scope, spl.scope_id
+    `);
+  }
+
+  /**
+   * Set limits for one instance or watchlist (Admin only)
+   * Null fields are not enforced; clearing every field removes the scope's limits.
+   *
+   * @returns {Promise<Object|null>} - Saved limits, or null when removed
+   */
+  async updateScopedLimits(scope, scopeId, limits, updatedBy) {
+    const values = SCOPED_LIMIT_FIELDS.map(field => limits[field] ?? null);
+
+    if (values.every(value => value === null)) {
+      await this.dbAsync.run(
+        'DELETE FROM scoped_position_limits WHERE scope = ? AND scope_id = ?',
+        [scope, scopeId]
+      );
+      console.log(`[PositionManager] ${scope} ${scopeId} limits removed by ${updatedBy}`);
+      return null;
+    }
+
+    await this.dbAsync.run(`
+      INSERT INTO scoped_position_limits (
+        scope,
+        scope_id,
+        ${SCOPED_LIMIT_FIELDS.join(',\n        ')},
+        created_by
+      ) VALUES (?, ?, ${SCOPED_LIMIT_FIELDS.map(() => '?').join(', ')}, ?)
+      ON CONFLICT(scope, scope_id) DO UPDATE SET
+        ${SCOPED_LIMIT_FIELDS.map(field => `${field} = excluded.${field}`).join(',\n        ')},
+        created_by = excluded.created_by,
+        updated_at = CURRENT_TIMESTAMP
+    `, [scope, scopeId, ...values, updatedBy]);
+
+    console.log(`[PositionManager] ${scope} ${scopeId} limits updated by ${updatedBy}`);
+
+    return await this.getScopedLimits(scope, scopeId);
+  }
+
+  /**
+   * Enforce one scope's limits against the positions in that scope
+   */
+  async checkScopedLimits(scope, scopeId, order, recordViolation) {
+    const limits = await this.getScopedLimits(scope, scopeId);
+    if (!limits) {
+      return { allowed: true };
+    }
+
+    const column = LIMIT_SCOPES[scope];
+    const label = scope.toLowerCase();
+    const { instanceId, symbolId, watchlistId, quantity, estimatedCapital } = order;
+
+    const block = async (violation, reason, details) => {
+      await recordViolation(violation, instanceId, symbolId, watchlistId, {
+        scope,
+        scope_id: scopeId,
+        ...details,
+        attempted_quantity: quantity
+      });
+      return { allowed: false, reason, violation, scope, scope_id: scopeId };
+    };
+
+    const open = await this.dbAsync.get(`
+      SELECT
+        COUNT(*) as count,
+        SUM(CASE WHEN symbol_id = ? THEN 1 ELSE 0 END) as symbol_count,
+        SUM(entry_price * quantity) as capital
+      FROM watchlist_positions
+      WHERE ${column} = ? AND status = 'OPEN'
+    `, [symbolId, scopeId]);
+
+    if (limits.max_open_positions && open.count >= limits.max_open_positions) {
+      return block('MAX_POSITIONS', `Maximum open positions limit reached for this ${label} (${limits.max_open_positions})`, {
+        current: open.count,
+        limit: limits.max_open_positions
+      });
+    }
+
+    if (limits.max_positions_per_symbol && (open.symbol_count || 0) >= limits.max_positions_per_symbol) {
+      return block('MAX_PER_SYMBOL', `Maximum positions per symbol limit reached for this ${label} (${limits.max_positions_per_symbol})`, {
+        current: open.symbol_count,
+        limit: limits.max_positions_per_symbol
+      });
+    }
+
+    if (limits.max_capital_per_position && estimatedCapital > limits.max_capital_per_position) {
+      return block('MAX_CAPITAL', `Position capital exceeds ${label} limit (₹${limits.max_capital_per_position})`, {
+        attempted_capital: estimatedCapital,
+        limit: limits.max_capital_per_position
+      });
+    }
+
+    const currentCapital = open.capital || 0;
+    if (limits.max_total_capital_deployed && currentCapital + estimatedCapital > limits.max_total_capital_deployed) {
+      return block('MAX_TOTAL_CAPITAL', `Total capital limit for this ${label} would be exceeded (₹${limits.max_total_capital_deployed})`, {
+        current_capital: currentCapital,
+        attempted_capital: estimatedCapital,
+        limit: limits.max_total_capital_deployed
+      });
+    }
+
+    if (limits.max_daily_loss || limits.max_trades_per_day) {
+      // Realized P&L of positions closed today and entries made today
+      const today = await this.dbAsync.get(`
+        SELECT
+          SUM(CASE WHEN status = 'CLOSED' AND date(exited_at) = date('now') THEN pnl ELSE 0 END) as realized_pnl,
+          SUM(CASE WHEN date(entered_at) = date('now') THEN 1 ELSE 0 END) as trades
+        FROM watchlist_positions
+        WHERE ${column} = ?
+      `, [scopeId]);
+
+      const realizedPnl = today.realized_pnl || 0;
+      if (limits.max_daily_loss && realizedPnl <= -Math.abs(limits.max_daily_loss)) {
+        return block('MAX_DAILY_LOSS', `Daily loss limit reached for this ${label} (₹${Math.abs(limits.max_daily_loss)})`, {
+          realized_pnl: realizedPnl,
+          limit: limits.max_daily_loss
+        });
+      }
+
+      if (limits.max_trades_per_day && (today.trades || 0) >= limits.max_trades_per_day) {
+        return block('MAX_TRADES_PER_DAY', `Maximum trades per day reached for this ${label} (${limits.max_trades_per_day})`, {
+          current: today.trades,
+          limit: limits.max_trades_per_day
+        });
+      }
+    }
+
     return { allowed: true };
   }
 
@@ -211,10 +411,12 @@ class PositionManager {
 
     const estimatedCapital = capitalReferencePrice * resolvedQuantity;
 
-    // Check position limits
-    const canOpen = await this.canOpenPosition(instanceId, symbolId, watchlistId, resolvedQuantity, estimatedCapital);
-    if (!canOpen.allowed) {
-      throw new Error(canOpen.reason);
+    // Check position limits (skipped when recording orders already sent to the broker)
+    if (params.enforceLimits !== false) {
+      const canOpen = await this.canOpenPosition(instanceId, symbolId, watchlistId, resolvedQuantity, estimatedCapital);
+      if (!canOpen.allowed) {
+        throw new Error(canOpen.reason);
+      }
     }
 
     // Calculate exit levels
@@ -419,6 +621,11 @@ class PositionManager {
       throw new Error(`Position is already ${position.status}`);
     }
 
+    // Pull the broker stop/target first so they cannot fill after this exit
+    if (this.bracketOrderManager && (position.sl_order_id || position.target_order_id)) {
+      await this.bracketOrderManager.cancelBracket(position);
+    }
+
     // Phase 4: Place exit order if order placement service is available and enabled
     if (this.orderPlacementService && placeOrder) {
       try {
@@ -593,11 +800,16 @@ class PositionManager {
 
   /**
    * Log position limit violation
+   * details.scope / details.scope_id tag which limit tripped (GLOBAL, INSTANCE or WATCHLIST)
    */
   async logViolation(violationType, instanceId, symbolId, watchlistId, details) {
+    const scope = details.scope || 'GLOBAL';
+
     await this.dbAsync.run(`
       INSERT INTO position_limit_violations (
         violation_type,
+        scope,
+        scope_id,
         instance_id,
         symbol_id,
         watchlist_id,
@@ -606,9 +818,11 @@ class PositionManager {
         current_positions,
         limit_value,
         details_json
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       violationType,
+      scope,
+      details.scope_id || null,
       instanceId,
       symbolId,
       watchlistId,
@@ -619,7 +833,7 @@ class PositionManager {
       JSON.stringify(details)
     ]);
 
-    console.log(`[PositionManager] Position limit violation: ${violationType}`);
+    console.log(`[PositionManager] Position limit violation: ${violationType} (${scope}${details.scope_id ? ` ${details.scope_id}` : ''})`);
   }
 }
 
@@ -0,0 +1,551 @@
+/**
+ * Price Alert Service
+ * User-defined alerts on watchlist symbols, evaluated on every market tick.
+ *
+ * Conditions (direction UP, DOWN or EITHER):
+ * - PRICE_CROSS: LTP crosses `threshold` between two ticks
+ * - PERCENT_CHANGE: LTP is `threshold`% or more away from the previous close
+ * - VOLUME_SPIKE: volume traded in the last `window_seconds` is `threshold`
+ *   times the average for a window of that length since ticks started arriving
+ * - GAP_OPEN: the day's open is `threshold`% or more away from the previous close
+ *
+ * ONE_SHOT alerts deactivate after firing. RECURRING alerts re-arm once the
+ * condition clears (GAP_OPEN: once per trading day) and fire no sooner than
+ * `cooldown_seconds` after the previous trigger. Triggers become PRICE_ALERT
+ * system alerts, so they reach notification channels and the dashboard stream.
+ */
+
+import { NotFoundError, ValidationError } from '../middleware/error-handler.js';
+import { ALERT_SEVERITIES } from './notification-service.js';
+import { MARKET_TIMEZONE } from './market-calendar.js';
+import { getZonedDateTime } from './switch-policies.js';
+
+export const PRICE_ALERT_CONDITIONS = ['PRICE_CROSS', 'PERCENT_CHANGE', 'VOLUME_SPIKE', 'GAP_OPEN'];
+export const PRICE_ALERT_DIRECTIONS = ['UP', 'DOWN', 'EITHER'];
+export const PRICE_ALERT_TRIGGER_MODES = ['ONE_SHOT', 'RECURRING'];
+
+const CACHE_TTL_MS = 30 * 1000;
+const DEFAULT_VOLUME_WINDOW_SECONDS = 60;
+const MIN_VOLUME_WINDOW_SECONDS = 10;
+const MAX_VOLUME_WINDOW_SECONDS = 3600;
+// Volume baseline: at least this many windows of history, at most 30 minutes of samples
+const MIN_BASELINE_WINDOWS = 5;
+const VOLUME_HISTORY_MS = 30 * 60 * 1000;
+const VOLUME_SAMPLE_INTERVAL_MS = 1000;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseSqliteDate(value) {
+  return value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null;
+}
+
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatPercent(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function matchesDirection(direction, change, threshold) {
+  if (direction === 'UP') {
+    return change >= threshold;
+  }
+  if (direction === 'DOWN') {
+    return change <= -threshold;
+  }
+  return Math.abs(change) >= threshold;
+}
+
+/**
+ * Validate a price alert create/update request (omitted fields keep existing values)
+ */
+export function sanitizePriceAlertInput(input = {}, existing = null) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : existing?.[key]);
+
+  const conditionType = String(pick('condition_type') || '').trim().toUpperCase();
+  if (!PRICE_ALERT_CONDITIONS.includes(conditionType)) {
+    throw new ValidationError(`condition_type must be one of ${PRICE_ALERT_CONDITIONS.join(', ')}`);
+  }
+
+  const direction = conditionType === 'VOLUME_SPIKE'
+    ? 'UP'
+    : String(pick('direction') || 'EITHER').trim().toUpperCase();
+  if (!PRICE_ALERT_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`direction must be one of ${PRICE_ALERT_DIRECTIONS.join(', ')}`);
+  }
+
+  const threshold = toNumber(pick('threshold'));
+  if (threshold === null || threshold <= 0) {
+    throw new ValidationError('threshold must be a positive number');
+  }
+  if (conditionType === 'VOLUME_SPIKE' && threshold <= 1) {
+    throw new ValidationError('threshold for VOLUME_SPIKE is a multiple of average volume and must be greater than 1');
+  }
+
+  let windowSeconds = null;
+  if (conditionType === 'VOLUME_SPIKE') {
+    const window = pick('window_seconds');
+    windowSeconds = window === undefined || window === null || window === ''
+      ? DEFAULT_VOLUME_WINDOW_SECONDS
+      : Number(window);
+    if (!Number.isInteger(windowSeconds) || windowSeconds < MIN_VOLUME_WINDOW_SECONDS || windowSeconds > MAX_VOLUME_WINDOW_SECONDS) {
+      throw new ValidationError(`window_seconds must be between ${MIN_VOLUME_WINDOW_SECONDS} and ${MAX_VOLUME_WINDOW_SECONDS}`);
+    }
+  }
+
+  const triggerMode = String(pick('trigger_mode') || 'ONE_SHOT').trim().toUpperCase();
+  if (!PRICE_ALERT_TRIGGER_MODES.includes(triggerMode)) {
+    throw new ValidationError(`trigger_mode must be one of ${PRICE_ALERT_TRIGGER_MODES.join(', ')}`);
+  }
+
+  const cooldown = pick('cooldown_seconds');
+  const cooldownSeconds = cooldown === undefined || cooldown === null || cooldown === '' ? 300 : Number(cooldown);
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) {
+    throw new ValidationError('cooldown_seconds must be a non-negative integer');
+  }
+
+  const severity = String(pick('severity') || 'WARNING').trim().toUpperCase();
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    throw new ValidationError(`severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  }
+
+  const note = pick('note');
+  if (note && String(note).length > 200) {
+    throw new ValidationError('note must be at most 200 characters');
+  }
+
+  const isActive = input.is_active !== undefined
+    ? (input.is_active === true || input.is_active === 1 || input.is_active === 'true')
+    : (existing ? Boolean(existing.is_active) : true);
+
+  return {
+    condition_type: conditionType,
+    direction,
+    threshold,
+    window_seconds: windowSeconds,
+    trigger_mode: triggerMode,
+    cooldown_seconds: cooldownSeconds,
+    severity,
+    note: note ? String(note).trim() : null,
+    is_active: isActive
+  };
+}
+
+class PriceAlertService {
+  constructor(dbAsync, alertService) {
+    this.dbAsync = dbAsync;
+    this.alertService = alertService;
+    this.activeAlerts = null;
+    this.loadedAt = 0;
+    this.loading = null;
+
+    // Evaluation state, kept across cache reloads
+    this.lastPrices = new Map();
+    this.volumeSamples = new Map();
+    this.conditionState = new Map();
+    this.triggeredAt = new Map();
+  }
+
+  parseAlert(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      is_active: row.is_active ? 1 : 0
+    };
+  }
+
+  async getAlert(alertId) {
+    return this.parseAlert(await this.dbAsync.get('SELECT * FROM price_alerts WHERE id = ?', [alertId]));
+  }
+
+  /**
+   * Alerts on a watchlist symbol (only the user's own when userEmail is given)
+   */
+  async getAlerts(watchlistId, symbolId, userEmail = null) {
+    const rows = userEmail
+      ? await this.dbAsync.all(`
+          SELECT * FROM price_alerts
+          WHERE watchlist_id = ? AND symbol_id = ? AND created_by = ?
+          ORDER BY created_at DESC
+        `, [watchlistId, symbolId, userEmail])
+      : await this.dbAsync.all(`
+          SELECT * FROM price_alerts
+          WHERE watchlist_id = ? AND symbol_id = ?
+          ORDER BY created_at DESC
+        `, [watchlistId, symbolId]);
+    return rows.map(row => this.parseAlert(row));
+  }
+
+  async getWatchlistSymbol(watchlistId, symbolId) {
+    const symbol = await this.dbAsync.get(
+      'SELECT id, watchlist_id, exchange, symbol FROM watchlist_symbols WHERE id = ? AND watchlist_id = ?',
+      [symbolId, watchlistId]
+    );
+    if (!symbol) {
+      throw new NotFoundError('Symbol in this watchlist');
+    }
+    return symbol;
+  }
+
+  async createAlert(watchlistId, symbolId, input, createdBy = null) {
+    const symbol = await this.getWatchlistSymbol(watchlistId, symbolId);
+    const alert = sanitizePriceAlertInput(input);
+
+    const result = await this.dbAsync.run(`
+      INSERT INTO price_alerts (
+        watchlist_id, symbol_id, exchange, symbol, condition_type, direction, threshold,
+        window_seconds, trigger_mode, cooldown_seconds, severity, note, is_active, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      symbol.watchlist_id,
+      symbol.id,
+      symbol.exchange,
+      symbol.symbol,
+      alert.condition_type,
+      alert.direction,
+      alert.threshold,
+      alert.window_seconds,
+      alert.trigger_mode,
+      alert.cooldown_seconds,
+      alert.severity,
+      alert.note,
+      alert.is_active ? 1 : 0,
+      createdBy
+    ]);
+
+    this.invalidate();
+    return await this.getAlert(result.lastID);
+  }
+
+  /**
+   * Update an alert; changing its condition or reactivating it re-arms it
+   */
+  async updateAlert(alertId, input) {
+    const existing = await this.getAlert(alertId);
+    if (!existing) {
+      throw new NotFoundError('Price alert');
+    }
+    const alert = sanitizePriceAlertInput(input, existing);
+
+    await this.dbAsync.run(`
+      UPDATE price_alerts
+      SET
+        condition_type = ?,
+        direction = ?,
+        threshold = ?,
+        window_seconds = ?,
+        trigger_mode = ?,
+        cooldown_seconds = ?,
+        severity = ?,
+        note = ?,
+        is_active = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      alert.condition_type,
+      alert.direction,
+      alert.threshold,
+      alert.window_seconds,
+      alert.trigger_mode,
+      alert.cooldown_seconds,
+      alert.severity,
+      alert.note,
+      alert.is_active ? 1 : 0,
+      alertId
+    ]);
+
+    this.resetState(alertId);
+    return await this.getAlert(alertId);
+  }
+
+  async deleteAlert(alertId) {
+    const result = await this.dbAsync.run('DELETE FROM price_alerts WHERE id = ?', [alertId]);
+    this.resetState(alertId);
+    return result.changes > 0;
+  }
+
+  resetState(alertId) {
+    this.conditionState.delete(alertId);
+    this.triggeredAt.delete(alertId);
+    this.invalidate();
+  }
+
+  invalidate() {
+    this.activeAlerts = null;
+  }
+
+  /**
+   * Active alerts grouped by EXCHANGE:SYMBOL, reloaded every 30 seconds so
+   * alerts on removed symbols drop out
+   */
+  async getActiveAlerts() {
+    if (this.activeAlerts && Date.now() - this.loadedAt <= CACHE_TTL_MS) {
+      return this.activeAlerts;
+    }
+    if (!this.loading) {
+      this.loading = this.dbAsync.all('SELECT * FROM price_alerts WHERE is_active = 1')
+        .then(rows => {
+          const grouped = new Map();
+          for (const row of rows) {
+            // A one-shot that fired since the query was issued is already spent
+            if (row.trigger_mode === 'ONE_SHOT' && this.triggeredAt.has(row.id)) {
+              continue;
+            }
+            const key = `${row.exchange}:${row.symbol}`;
+            if (!grouped.has(key)) {
+              grouped.set(key, []);
+            }
+            grouped.get(key).push(this.parseAlert(row));
+          }
+          this.activeAlerts = grouped;
+          this.loadedAt = Date.now();
+          return grouped;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return await this.loading;
+  }
+
+  /**
+   * Evaluate every active alert on the tick's symbol (wired to WebSocketManager 'market_tick')
+   *
+   * @returns {Promise<number[]>} - Ids of the price alerts that fired
+   */
+  async handleTick(tick, now = new Date()) {
+    if (!tick?.exchange || !tick?.symbol) {
+      return [];
+    }
+
+    const key = `${tick.exchange}:${tick.symbol}`;
+    const alerts = (await this.getActiveAlerts()).get(key);
+    if (!alerts || alerts.length === 0) {
+      return [];
+    }
+
+    const quote = {
+      ltp: toNumber(tick.ltp),
+      open: toNumber(tick.open),
+      prevClose: toNumber(tick.prev_close ?? tick.close),
+      volume: toNumber(tick.volume),
+      previousLtp: this.lastPrices.get(key) ?? null
+    };
+    if (quote.ltp !== null) {
+      this.lastPrices.set(key, quote.ltp);
+    }
+    const volumeChange = alerts.some(alert => alert.condition_type === 'VOLUME_SPIKE')
+      ? this.recordVolume(key, quote.volume, now)
+      : null;
+
+    // Decide synchronously so overlapping ticks cannot fire the same alert twice
+    const fired = [];
+    for (const alert of alerts) {
+      const result = this.evaluate(alert, quote, volumeChange, now);
+      if (result) {
+        this.triggeredAt.set(alert.id, now.getTime());
+        if (alert.trigger_mode === 'ONE_SHOT') {
+          alert.is_active = 0;
+        }
+        fired.push({ alert, result });
+      }
+    }
+    if (fired.length === 0) {
+      return [];
+    }
+    this.activeAlerts?.set(key, alerts.filter(alert => alert.is_active));
+
+    for (const { alert, result } of fired) {
+      try {
+        await this.trigger(alert, quote, result, now);
+      } catch (error) {
+        console.error(`[PriceAlertService] Failed to trigger price alert ${alert.id}:`, error.message);
+      }
+    }
+    return fired.map(({ alert }) => alert.id);
+  }
+
+  /**
+   * @returns {Object|null} - { title, message, value } when the alert fires on this tick
+   */
+  evaluate(alert, quote, volumeChange, now) {
+    const { ltp, open, prevClose, previousLtp } = quote;
+    const label = alert.symbol;
+
+    if (alert.condition_type === 'GAP_OPEN') {
+      if (open === null || !prevClose) {
+        return null;
+      }
+      const today = getZonedDateTime(now, MARKET_TIMEZONE).date;
+      const lastTriggered = this.triggeredAt.get(alert.id) ?? parseSqliteDate(alert.last_triggered_at)?.getTime();
+      if (lastTriggered && getZonedDateTime(new Date(lastTriggered), MARKET_TIMEZONE).date === today) {
+        return null;
+      }
+      const gap = ((open - prevClose) / prevClose) * 100;
+      if (!matchesDirection(alert.direction, gap, alert.threshold)) {
+        return null;
+      }
+      return {
+        title: `${label} gapped ${gap >= 0 ? 'up' : 'down'} ${formatPercent(gap)}`,
+        message: `${alert.exchange}:${label} opened at ${open} vs previous close ${prevClose} (${formatPercent(gap)})`,
+        value: gap
+      };
+    }
+
+    let result = null;
+    let conditionMet;
+
+    if (alert.condition_type === 'PRICE_CROSS') {
+      if (ltp === null || previousLtp === null) {
+        return null;
+      }
+      const crossedUp = previousLtp < alert.threshold && ltp >= alert.threshold;
+      const crossedDown = previousLtp > alert.threshold && ltp <= alert.threshold;
+      if ((crossedUp && alert.direction !== 'DOWN') || (crossedDown && alert.direction !== 'UP')) {
+        result = {
+          title: `${label} crossed ${crossedUp ? 'above' : 'below'} ${alert.threshold}`,
+          message: `${alert.exchange}:${label} crossed ${crossedUp ? 'above' : 'below'} ${alert.threshold} (LTP ${ltp})`,
+          value: ltp
+        };
+      }
+    } else if (alert.condition_type === 'PERCENT_CHANGE') {
+      if (ltp === null || !prevClose) {
+        return null;
+      }
+      const change = ((ltp - prevClose) / prevClose) * 100;
+      conditionMet = matchesDirection(alert.direction, change, alert.threshold);
+      result = {
+        title: `${label} ${formatPercent(change)} from previous close`,
+        message: `${alert.exchange}:${label} at ${ltp} is ${formatPercent(change)} from previous close ${prevClose}`,
+        value: change
+      };
+    } else if (alert.condition_type === 'VOLUME_SPIKE') {
+      const ratio = volumeChange?.ratioFor(alert.window_seconds);
+      if (ratio === null || ratio === undefined) {
+        return null;
+      }
+      conditionMet = ratio >= alert.threshold;
+      result = {
+        title: `${label} volume spike ${ratio.toFixed(1)}x`,
+        message: `${alert.exchange}:${label} traded ${ratio.toFixed(1)}x its average volume over the last ${alert.window_seconds}s (LTP ${ltp ?? 'n/a'})`,
+        value: ratio
+      };
+    }
+
+    // Level conditions fire on the transition into the condition, not on every tick inside it
+    if (conditionMet !== undefined) {
+      const wasMet = this.conditionState.get(alert.id) || false;
+      this.conditionState.set(alert.id, conditionMet);
+      if (!conditionMet || wasMet) {
+        return null;
+      }
+    }
+    if (!result) {
+      return null;
+    }
+
+    if (alert.trigger_mode === 'RECURRING') {
+      const lastTriggered = this.triggeredAt.get(alert.id) ?? parseSqliteDate(alert.last_triggered_at)?.getTime();
+      if (lastTriggered && now.getTime() - lastTriggered < alert.cooldown_seconds * 1000) {
+        return null;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Track cumulative day volume for a symbol and expose recent-vs-average ratios
+   */
+  recordVolume(key, volume, now) {
+    if (volume === null) {
+      return null;
+    }
+
+    let samples = this.volumeSamples.get(key) || [];
+    const last = samples[samples.length - 1];
+    // Cumulative volume going backwards means a new session started
+    if (last && volume < last.volume) {
+      samples = [];
+    }
+    if (!last || samples.length === 0 || now.getTime() - last.time >= VOLUME_SAMPLE_INTERVAL_MS) {
+      samples.push({ time: now.getTime(), volume });
+    } else {
+      last.volume = volume;
+    }
+    const cutoff = now.getTime() - VOLUME_HISTORY_MS - MAX_VOLUME_WINDOW_SECONDS * 1000;
+    while (samples.length > 2 && samples[1].time < cutoff) {
+      samples.shift();
+    }
+    this.volumeSamples.set(key, samples);
+
+    return {
+      ratioFor: (windowSeconds) => {
+        const windowMs = windowSeconds * 1000;
+        const windowStart = now.getTime() - windowMs;
+        const first = samples[0];
+        // Latest sample at or before the window start marks the baseline end
+        let baselineEnd = null;
+        for (const sample of samples) {
+          if (sample.time > windowStart) {
+            break;
+          }
+          baselineEnd = sample;
+        }
+        if (!baselineEnd || baselineEnd.time - first.time < windowMs * MIN_BASELINE_WINDOWS) {
+          return null;
+        }
+        const averagePerWindow = ((baselineEnd.volume - first.volume) / (baselineEnd.time - first.time)) * windowMs;
+        if (averagePerWindow <= 0) {
+          return null;
+        }
+        return (volume - baselineEnd.volume) / averagePerWindow;
+      }
+    };
+  }
+
+  async trigger(alert, quote, result, now) {
+    await this.dbAsync.run(`
+      UPDATE price_alerts
+      SET
+        trigger_count = trigger_count + 1,
+        last_triggered_at = ?,
+        last_triggered_price = ?,
+        is_active = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [toSqliteDate(now), quote.ltp, alert.trigger_mode === 'ONE_SHOT' ? 0 : 1, alert.id]);
+
+    console.log(`[PriceAlertService] Price alert ${alert.id} triggered: ${result.message}`);
+
+    await this.alertService.createAlert({
+      type: 'PRICE_ALERT',
+      severity: alert.severity,
+      title: result.title,
+      message: alert.note ? `${result.message} - ${alert.note}` : result.message,
+      watchlist_id: alert.watchlist_id,
+      details: {
+        price_alert_id: alert.id,
+        symbol_id: alert.symbol_id,
+        exchange: alert.exchange,
+        symbol: alert.symbol,
+        condition_type: alert.condition_type,
+        direction: alert.direction,
+        threshold: alert.threshold,
+        trigger_mode: alert.trigger_mode,
+        ltp: quote.ltp,
+        value: Number(result.value.toFixed(4))
+      }
+    });
+  }
+}
+
+export default PriceAlertService;
@@ -5,11 +5,31 @@
  */
 
 class RuleEvaluator {
-  constructor(dbAsync, positionManager, alertService, wsManager) {
+  constructor(dbAsync, positionManager, alertService, wsManager, marketCalendar = null) {
     this.dbAsync = dbAsync;
     this.positionManager = positionManager;
     this.alertService = alertService;
     this.wsManager = wsManager;
+    this.marketCalendar = marketCalendar;
+    this.strategyPositionManager = null;
+    this.bracketOrderManager = null;
+
+    // Positions already alerted for a stale price (cleared once the price is fresh again)
+    this.stalePricePositions = new Set();
+  }
+
+  /**
+   * Set strategy position manager (strategy-level rules for grouped legs)
+   */
+  setStrategyPositionManager(strategyPositionManager) {
+    this.strategyPositionManager = strategyPositionManager;
+  }
+
+  /**
+   * Set bracket order manager (trailing stop moves are pushed to broker stop orders)
+   */
+  setBracketOrderManager(bracketOrderManager) {
+    this.bracketOrderManager = bracketOrderManager;
   }
 
   /**
@@ -32,18 +52,27 @@ class RuleEvaluator {
         FROM watchlist_positions p
         JOIN watchlist_symbols ws ON ws.id = p.symbol_id
         LEFT JOIN symbol_configs sc ON sc.symbol_id = ws.id
-        WHERE p.is_closed = 0
+        WHERE p.is_closed = 0 AND p.strategy_position_id IS NULL
       `);
 
+      // Legs of a strategy position exit together on strategy-level rules
+      const strategyResult = await this.evaluateStrategyPositions();
+
       if (positions.length === 0) {
-        return { evaluated: 0, closed: 0 };
+        return { evaluated: 0, closed: 0, skipped_stale: 0, strategies: strategyResult };
       }
 
       let closedCount = 0;
+      let staleCount = 0;
 
       // Evaluate each position
       for (const position of positions) {
         try {
+          // Skip positions whose exchange is closed; exits could not be placed anyway
+          if (this.marketCalendar && !(await this.marketCalendar.isMarketOpen(position.exchange)).open) {
+            continue;
+          }
+
           // Get current market price
           const marketData = this.wsManager.getLatestMarketData(position.exchange, position.symbol);
 
@@ -52,6 +81,14 @@ class RuleEvaluator {
             continue;
           }
 
+          // Never exit or trail on a price that stopped updating
+          if (marketData.is_stale) {
+            staleCount++;
+            await this.reportStalePrice(position, marketData);
+            continue;
+          }
+          this.stalePricePositions.delete(position.id);
+
           const currentLTP = parseFloat(marketData.ltp);
 
           // Check exit conditions
@@ -76,18 +113,75 @@ class RuleEvaluator {
         }
       }
 
-      return { evaluated: positions.length, closed: closedCount };
+      return { evaluated: positions.length, closed: closedCount, skipped_stale: staleCount, strategies: strategyResult };
     } catch (error) {
       console.error('[RuleEvaluator] Error in evaluateExitSignals:', error);
       throw error;
     }
   }
 
+  /**
+   * Evaluate strategy-level target/SL/trailing rules using live prices
+   */
+  async evaluateStrategyPositions() {
+    if (!this.strategyPositionManager) {
+      return null;
+    }
+
+    try {
+      return await this.strategyPositionManager.evaluateStrategies(async (exchange, symbol) => {
+        if (this.marketCalendar && !(await this.marketCalendar.isMarketOpen(exchange)).open) {
+          return null;
+        }
+        const marketData = this.wsManager.getLatestMarketData(exchange, symbol);
+        return marketData && marketData.ltp && !marketData.is_stale ? parseFloat(marketData.ltp) : null;
+      });
+    } catch (error) {
+      console.error('[RuleEvaluator] Error evaluating strategy positions:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Alert once per position while its exit rules are on hold for a stale price
+   */
+  async reportStalePrice(position, marketData) {
+    if (this.stalePricePositions.has(position.id)) {
+      return;
+    }
+    this.stalePricePositions.add(position.id);
+
+    const ageSeconds = Math.round((marketData.age_ms || 0) / 1000);
+    console.warn(`[RuleEvaluator] Stale price for ${position.symbol} (${ageSeconds}s old), exit rules paused`);
+
+    await this.alertService.createAlert(
+      'EXIT_RULES_STALE_PRICE',
+      'WARNING',
+      `Exit rules paused for ${position.symbol}: last price ${ageSeconds}s old (${marketData.source || 'unknown source'})`,
+      {
+        position_id: position.id,
+        exchange: position.exchange,
+        symbol: position.symbol,
+        last_ltp: parseFloat(marketData.ltp),
+        age_ms: marketData.age_ms,
+        freshness: marketData.freshness,
+        source: marketData.source
+      },
+      position.instance_id,
+      position.watchlist_id
+    );
+  }
+
   /**
    * Check if position should exit (target, SL, or trailing stop hit)
    */
   async checkExitConditions(position, currentLTP) {
-    const { direction, target_price, sl_price, trailing_stop_price, trailing_activated } = position;
+    const { direction, trailing_activated } = position;
+
+    // Levels with a resting broker order (exit_mode BROKER) are enforced by the broker
+    const target_price = position.target_order_id ? null : position.target_price;
+    const sl_price = position.sl_order_id ? null : position.sl_price;
+    const trailing_stop_price = position.sl_order_id ? null : position.trailing_stop_price;
 
     // For LONG positions
     if (direction === 'LONG') {
@@ -276,6 +370,11 @@ class RuleEvaluator {
         `UPDATE watchlist_positions SET ${setClauses} WHERE id = ?`,
         values
       );
+
+      // Trail the broker stop order along with the local level
+      if (updates.trailing_stop_price !== undefined && position.sl_order_id && this.bracketOrderManager) {
+        await this.bracketOrderManager.syncStopOrder({ ...position, ...updates });
+      }
     }
   }
 
@@ -0,0 +1,98 @@
+// Persistence for the auto safe-switch audit log (safe_switch_runs).
+// Audit writes are best-effort: a failing audit insert must never block the
+// switch itself, so callers get `null` back instead of an exception.
+
+const MAX_PAYLOAD_LENGTH = 8000;
+
+// Keep stored responses bounded; positionbook payloads can be large
+function serializePayload(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  if (json && json.length > MAX_PAYLOAD_LENGTH) {
+    return { truncated: true, preview: json.slice(0, MAX_PAYLOAD_LENGTH) };
+  }
+  return value;
+}
+
+export async function startSafeSwitchRun(dbAsync, instanceId, reason, trigger = null) {
+  try {
+    const result = await dbAsync.run(
+      `INSERT INTO safe_switch_runs (instance_id, reason, trigger_rule, trigger_pnl, trigger_details_json, status)
+       VALUES (?, ?, ?, ?, ?, 'running')`,
+      [
+        instanceId,
+        reason,
+        trigger?.rule || null,
+        trigger?.total_pnl ?? null,
+        JSON.stringify(trigger || {})
+      ]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error(`⚠️  Failed to start safe-switch audit for instance ${instanceId}:`, error.message);
+    return null;
+  }
+}
+
+export function buildStepRecord(step, name, { request, response, error, startedAt, status }) {
+  return {
+    step,
+    name,
+    status,
+    request: serializePayload(request),
+    response: serializePayload(response),
+    error: error || null,
+    started_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt
+  };
+}
+
+export async function saveSafeSwitchSteps(dbAsync, runId, steps) {
+  if (!runId) return;
+  try {
+    await dbAsync.run('UPDATE safe_switch_runs SET steps_json = ? WHERE id = ?', [JSON.stringify(steps), runId]);
+  } catch (error) {
+    console.error(`⚠️  Failed to save safe-switch steps for run ${runId}:`, error.message);
+  }
+}
+
+export async function finishSafeSwitchRun(dbAsync, runId, { status, steps, failedStep = null, errorMessage = null, durationMs }) {
+  if (!runId) return;
+  try {
+    await dbAsync.run(
+      `UPDATE safe_switch_runs
+       SET status = ?, steps_json = ?, failed_step = ?, error_message = ?,
+           completed_at = CURRENT_TIMESTAMP, duration_ms = ?
+       WHERE id = ?`,
+      [status, JSON.stringify(steps), failedStep, errorMessage, durationMs, runId]
+    );
+  } catch (error) {
+    console.error(`⚠️  Failed to finish safe-switch audit for run ${runId}:`, error.message);
+  }
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+export async function getSafeSwitchHistory(dbAsync, instanceId, { limit = 50, offset = 0 } = {}) {
+  const rows = await dbAsync.all(
+    `SELECT * FROM safe_switch_runs
+     WHERE instance_id = ?
+     ORDER BY started_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [instanceId, limit, offset]
+  );
+
+  return rows.map(({ steps_json, trigger_details_json, ...row }) => ({
+    ...row,
+    trigger_details: parseJson(trigger_details_json, {}),
+    steps: parseJson(steps_json, [])
+  }));
+}
@@ -0,0 +1,387 @@
+/**
+ * Strategy Position Manager
+ *
+ * Groups the legs (watchlist_positions rows) of a multi-leg options strategy
+ * into a strategy position, tracks its net premium and combined MTM, and exits
+ * every leg together through PositionManager.closePosition when a
+ * strategy-level target, stop-loss or trailing rule fires. Legs that belong to
+ * a strategy are skipped by the per-leg rules in RuleEvaluator.
+ */
+
+import { ValidationError } from '../middleware/error-handler.js';
+
+const RULE_FIELDS = ['target_pnl', 'stop_loss_pnl', 'trailing_activation_pnl', 'trailing_giveback_pnl'];
+
+/**
+ * Validate strategy-level rules. All values are rupee amounts of combined MTM;
+ * stop_loss_pnl is the maximum loss as a positive number. null clears a rule.
+ */
+export function sanitizeStrategyRules(rules = {}) {
+  const sanitized = {};
+  for (const field of RULE_FIELDS) {
+    if (rules[field] === undefined) continue;
+    if (rules[field] === null || rules[field] === '') {
+      sanitized[field] = null;
+      continue;
+    }
+    const value = Number.parseFloat(rules[field]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new ValidationError(`${field} must be a positive number or null`);
+    }
+    sanitized[field] = value;
+  }
+  return sanitized;
+}
+
+/**
+ * Net premium of the legs: credit received on short legs minus debit paid on long legs.
+ * Positive means the strategy was opened for a net credit.
+ */
+export function calculateNetPremium(legs) {
+  return legs.reduce((total, leg) => {
+    const value = parseFloat(leg.entry_price || 0) * parseInt(leg.quantity || 0, 10);
+    return total + (leg.direction === 'SHORT' ? value : -value);
+  }, 0);
+}
+
+/**
+ * Decide whether a strategy position should exit.
+ * @param {Object} strategy - strategy_positions row
+ * @param {number} mtm - current combined MTM
+ * @param {number} peak - highest MTM seen (including this tick)
+ * @returns {Object|null} { reason } when all legs should be closed
+ */
+export function checkStrategyExit(strategy, mtm, peak) {
+  if (strategy.target_pnl && mtm >= strategy.target_pnl) {
+    return { reason: 'STRATEGY_TARGET' };
+  }
+
+  if (strategy.stop_loss_pnl && mtm <= -Math.abs(strategy.stop_loss_pnl)) {
+    return { reason: 'STRATEGY_STOP_LOSS' };
+  }
+
+  if (strategy.trailing_giveback_pnl && peak > 0 && peak >= (strategy.trailing_activation_pnl || 0)
+      && peak - mtm >= strategy.trailing_giveback_pnl) {
+    return { reason: 'STRATEGY_TRAILING_STOP' };
+  }
+
+  return null;
+}
+
+/**
+ * CE/PE from an option trading symbol (null when it is not an option)
+ */
+function optionTypeOf(symbol) {
+  const match = /(CE|PE)$/.exec(symbol || '');
+  return match ? match[1] : null;
+}
+
+class StrategyPositionManager {
+  constructor(dbAsync, positionManager, alertService) {
+    this.dbAsync = dbAsync;
+    this.positionManager = positionManager;
+    this.alertService = alertService;
+    this.exitsInProgress = new Set();
+  }
+
+  /**
+   * Group open positions into a strategy position
+   * @param {Object} params - { instanceId, watchlistId, strategy, underlying, legs: [{ position_id, leg }], rules }
+   */
+  async createStrategyPosition(params) {
+    const { instanceId, watchlistId = null, strategy, underlying = null, legs = [], rules = {} } = params;
+
+    if (!instanceId || !strategy) {
+      throw new ValidationError('instance_id and strategy are required');
+    }
+    if (!Array.isArray(legs) || legs.length < 2) {
+      throw new ValidationError('A strategy position needs at least two legs');
+    }
+
+    const sanitizedRules = sanitizeStrategyRules(rules);
+    const positions = [];
+
+    for (const leg of legs) {
+      const position = await this.positionManager.getPosition(leg.position_id);
+      if (!position) {
+        throw new ValidationError(`Position ${leg.position_id} not found`);
+      }
+      if (position.instance_id !== instanceId) {
+        throw new ValidationError(`Position ${leg.position_id} belongs to another instance`);
+      }
+      if (position.status !== 'OPEN') {
+        throw new ValidationError(`Position ${leg.position_id} is ${position.status}`);
+      }
+      if (position.strategy_position_id) {
+        throw new ValidationError(`Position ${leg.position_id} already belongs to strategy ${position.strategy_position_id}`);
+      }
+      positions.push(position);
+    }
+
+    const result = await this.dbAsync.run(
+      `INSERT INTO strategy_positions (
+        instance_id, watchlist_id, strategy, underlying, net_premium,
+        target_pnl, stop_loss_pnl, trailing_activation_pnl, trailing_giveback_pnl
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        instanceId,
+        watchlistId,
+        String(strategy).toUpperCase(),
+        underlying,
+        calculateNetPremium(positions),
+        sanitizedRules.target_pnl ?? null,
+        sanitizedRules.stop_loss_pnl ?? null,
+        sanitizedRules.trailing_activation_pnl ?? null,
+        sanitizedRules.trailing_giveback_pnl ?? null
+      ]
+    );
+
+    const strategyPositionId = result.lastID;
+    for (const leg of legs) {
+      await this.dbAsync.run(
+        'UPDATE watchlist_positions SET strategy_position_id = ?, strategy_leg = ? WHERE id = ?',
+        [strategyPositionId, leg.leg || null, leg.position_id]
+      );
+    }
+
+    console.log(`[StrategyPositions] Strategy position ${strategyPositionId} created: ${strategy} (${legs.length} legs)`);
+
+    return await this.getStrategyPosition(strategyPositionId);
+  }
+
+  async getLegs(strategyPositionId) {
+    return await this.dbAsync.all(`
+      SELECT
+        p.*,
+        ws.exchange,
+        ws.symbol
+      FROM watchlist_positions p
+      JOIN watchlist_symbols ws ON ws.id = p.symbol_id
+      WHERE p.strategy_position_id = ?
+      ORDER BY p.id ASC
+    `, [strategyPositionId]);
+  }
+
+  async getStrategyPosition(strategyPositionId) {
+    const strategy = await this.dbAsync.get('SELECT * FROM strategy_positions WHERE id = ?', [strategyPositionId]);
+    if (!strategy) {
+      return null;
+    }
+    return { ...strategy, legs: await this.getLegs(strategyPositionId) };
+  }
+
+  async getStrategyPositions({ instanceId = null, status = null } = {}) {
+    const params = [];
+    const conditions = [];
+    if (instanceId) {
+      conditions.push('instance_id = ?');
+      params.push(instanceId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(String(status).toUpperCase());
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const strategies = await this.dbAsync.all(
+      `SELECT * FROM strategy_positions ${where} ORDER BY entered_at DESC, id DESC LIMIT 200`,
+      params
+    );
+
+    for (const strategy of strategies) {
+      strategy.legs = await this.getLegs(strategy.id);
+    }
+    return strategies;
+  }
+
+  async updateRules(strategyPositionId, rules) {
+    const sanitized = sanitizeStrategyRules(rules);
+    const fields = Object.keys(sanitized);
+    if (fields.length === 0) {
+      throw new ValidationError('No rule updates provided');
+    }
+
+    const result = await this.dbAsync.run(
+      `UPDATE strategy_positions SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...Object.values(sanitized), strategyPositionId]
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+    return await this.getStrategyPosition(strategyPositionId);
+  }
+
+  /**
+   * Default price source: last LTP stored by MarketDataRefreshService
+   */
+  async getMarketLtp(exchange, symbol) {
+    const row = await this.dbAsync.get('SELECT ltp FROM market_data WHERE exchange = ? AND symbol = ?', [exchange, symbol]);
+    return row && row.ltp ? parseFloat(row.ltp) : null;
+  }
+
+  /**
+   * Combined MTM of the open legs (closed legs contribute their realized P&L).
+   * Returns null when an open leg has no price.
+   */
+  async calculateMtm(legs, getLtp) {
+    let mtm = 0;
+    const prices = {};
+
+    for (const leg of legs) {
+      if (leg.status === 'CLOSED') {
+        mtm += parseFloat(leg.pnl || 0);
+        continue;
+      }
+      if (leg.status === 'FAILED') {
+        continue;
+      }
+      const ltp = await getLtp(leg.exchange, leg.symbol);
+      if (!ltp) {
+        return { mtm: null, prices };
+      }
+      prices[leg.id] = ltp;
+      mtm += this.positionManager.calculatePnL(leg, ltp);
+    }
+
+    return { mtm, prices };
+  }
+
+  /**
+   * Evaluate strategy-level rules for every open strategy position.
+   * @param {Function} getLtp - async (exchange, symbol) => ltp; defaults to market_data
+   */
+  async evaluateStrategies(getLtp = (exchange, symbol) => this.getMarketLtp(exchange, symbol)) {
+    const strategies = await this.dbAsync.all(
+      "SELECT * FROM strategy_positions WHERE status IN ('OPEN', 'EXIT_PARTIAL')"
+    );
+
+    let closedCount = 0;
+
+    for (const strategy of strategies) {
+      try {
+        const legs = await this.getLegs(strategy.id);
+        const { mtm, prices } = await this.calculateMtm(legs, getLtp);
+
+        // A previous exit left some legs open: keep retrying them
+        if (strategy.status === 'EXIT_PARTIAL') {
+          await this.closeStrategyPosition(strategy.id, strategy.exit_reason, 'SYSTEM_AUTO', prices);
+          continue;
+        }
+
+        if (mtm === null) {
+          continue;
+        }
+
+        const previousPeak = strategy.peak_mtm === null ? mtm : parseFloat(strategy.peak_mtm);
+        const peak = Math.max(previousPeak, mtm);
+        const trailingActivated = strategy.trailing_giveback_pnl && peak > 0
+          && peak >= (strategy.trailing_activation_pnl || 0) ? 1 : 0;
+
+        await this.dbAsync.run(
+          'UPDATE strategy_positions SET current_mtm = ?, peak_mtm = ?, trailing_activated = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [mtm, peak, trailingActivated, strategy.id]
+        );
+
+        const exit = checkStrategyExit(strategy, mtm, peak);
+        if (exit) {
+          console.log(`[StrategyPositions] ${exit.reason} for strategy ${strategy.id} (MTM ₹${mtm.toFixed(2)})`);
+          await this.closeStrategyPosition(strategy.id, exit.reason, 'SYSTEM_AUTO', prices);
+          closedCount++;
+        }
+      } catch (error) {
+        console.error(`[StrategyPositions] Error evaluating strategy ${strategy.id}:`, error.message);
+      }
+    }
+
+    return { evaluated: strategies.length, closed: closedCount };
+  }
+
+  /**
+   * Exit every open leg of a strategy position
+   * @param {Object} prices - { [positionId]: exitPrice } (falls back to market_data, then entry price)
+   */
+  async closeStrategyPosition(strategyPositionId, exitReason, closedBy, prices = {}) {
+    if (this.exitsInProgress.has(strategyPositionId)) {
+      return await this.getStrategyPosition(strategyPositionId);
+    }
+    this.exitsInProgress.add(strategyPositionId);
+
+    try {
+      const strategy = await this.dbAsync.get('SELECT * FROM strategy_positions WHERE id = ?', [strategyPositionId]);
+      if (!strategy) {
+        throw new Error('Strategy position not found');
+      }
+      if (strategy.status === 'CLOSED') {
+        throw new ValidationError('Strategy position is already CLOSED');
+      }
+
+      const legs = await this.getLegs(strategyPositionId);
+      const errors = [];
+
+      const closeLeg = async (leg) => {
+        try {
+          const exitPrice = prices[leg.id] || await this.getMarketLtp(leg.exchange, leg.symbol) || leg.entry_price;
+          await this.positionManager.closePosition(leg.id, exitPrice, exitReason, closedBy);
+          return true;
+        } catch (error) {
+          errors.push({ position_id: leg.id, symbol: leg.symbol, error: error.message });
+          return false;
+        }
+      };
+
+      // Reverse of the hedge-first entry: buy back shorts before selling their wings
+      const openLegs = legs.filter(item => item.status === 'OPEN');
+      const unhedged = new Set();
+      for (const leg of openLegs.filter(item => item.direction === 'SHORT')) {
+        if (!(await closeLeg(leg))) {
+          unhedged.add(optionTypeOf(leg.symbol));
+        }
+      }
+
+      for (const leg of openLegs.filter(item => item.direction !== 'SHORT')) {
+        const type = optionTypeOf(leg.symbol);
+        if (unhedged.size > 0 && (type === null || unhedged.has(type) || unhedged.has(null))) {
+          errors.push({ position_id: leg.id, symbol: leg.symbol, error: 'Kept open as hedge for a short leg that did not close' });
+          continue;
+        }
+        await closeLeg(leg);
+      }
+
+      const status = errors.length > 0 ? 'EXIT_PARTIAL' : 'CLOSED';
+      await this.dbAsync.run(
+        `UPDATE strategy_positions
+         SET status = ?, exit_reason = ?, closed_by = ?,
+             exited_at = CASE WHEN ? = 'CLOSED' THEN CURRENT_TIMESTAMP ELSE exited_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, exitReason, closedBy, status, strategyPositionId]
+      );
+
+      if (errors.length > 0) {
+        await this.alertService.createAlert(
+          'STRATEGY_EXIT_PARTIAL',
+          'CRITICAL',
+          `Strategy ${strategy.strategy} (#${strategyPositionId}) exit incomplete: ${errors.length} leg(s) still open`,
+          { strategy_position_id: strategyPositionId, exit_reason: exitReason, errors },
+          strategy.instance_id,
+          strategy.watchlist_id
+        );
+      } else {
+        await this.alertService.createAlert(
+          'STRATEGY_CLOSED',
+          strategy.current_mtm >= 0 ? 'INFO' : 'WARNING',
+          `Strategy ${strategy.strategy} (#${strategyPositionId}) closed: ${exitReason} | MTM: ₹${parseFloat(strategy.current_mtm || 0).toFixed(2)}`,
+          { strategy_position_id: strategyPositionId, exit_reason: exitReason, net_premium: strategy.net_premium },
+          strategy.instance_id,
+          strategy.watchlist_id
+        );
+      }
+
+      return { ...(await this.getStrategyPosition(strategyPositionId)), errors: errors.length > 0 ? errors : undefined };
+    } finally {
+      this.exitsInProgress.delete(strategyPositionId);
+    }
+  }
+}
+
+export default StrategyPositionManager;
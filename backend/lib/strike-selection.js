@@ -0,0 +1,89 @@
+// Strike selectors for options orders.
+// Besides plain offsets (ATM, ITMn, OTMn) a strike can be chosen by target delta
+// ("DELTA:0.25" = the strike whose |delta| is closest to 0.25) or by target premium
+// ("PREMIUM:100" = the strike whose LTP is closest to 100). Delta and premium
+// selectors are resolved against the option chain to a plain offset, which is what
+// the OpenAlgo optionsymbol API understands.
+
+import { ValidationError } from '../middleware/error-handler.js';
+
+export const OFFSET_PATTERN = /^(ATM|ITM\d{1,2}|OTM\d{1,2})$/;
+const SELECTOR_PATTERN = /^(DELTA|PREMIUM):(\d+(?:\.\d+)?)$/;
+
+/**
+ * Parse a strike selector.
+ * @param {string} value - ATM, ITM2, OTM1, DELTA:0.25 or PREMIUM:100
+ * @returns {Object} { mode: 'OFFSET', offset } | { mode: 'DELTA'|'PREMIUM', target, selector }
+ */
+export function parseStrikeSelector(value) {
+  const normalized = String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+
+  if (OFFSET_PATTERN.test(normalized)) {
+    return { mode: 'OFFSET', offset: normalized };
+  }
+
+  const match = SELECTOR_PATTERN.exec(normalized);
+  if (match) {
+    const target = parseFloat(match[2]);
+    if (match[1] === 'DELTA' && !(target > 0 && target < 1)) {
+      throw new ValidationError(`Invalid strike selector "${value}". DELTA must be between 0 and 1 (e.g. DELTA:0.25)`);
+    }
+    if (match[1] === 'PREMIUM' && !(target > 0)) {
+      throw new ValidationError(`Invalid strike selector "${value}". PREMIUM must be greater than 0 (e.g. PREMIUM:100)`);
+    }
+    return { mode: match[1], target, selector: `${match[1]}:${match[2]}` };
+  }
+
+  throw new ValidationError(`Invalid strike selector "${value}". Use ATM, ITM1..ITM50, OTM1..OTM50, DELTA:<0-1> or PREMIUM:<price>`);
+}
+
+/**
+ * True for selectors that need the option chain (DELTA / PREMIUM)
+ */
+export function isChainSelector(value) {
+  return parseStrikeSelector(value).mode !== 'OFFSET';
+}
+
+/**
+ * Pick the chain strike closest to a DELTA or PREMIUM target.
+ * Offsets in the result are from the option's own side (as in the chain rows).
+ *
+ * @param {Object} chain - Result of OptionsTradingService.getOptionChain
+ * @param {string} optionType - CE or PE
+ * @param {Object|string} selector - Parsed or raw DELTA/PREMIUM selector
+ * @returns {Object} { offset, strike, symbol, ltp, delta, iv, selector }
+ */
+export function selectStrikeFromChain(chain, optionType, selector) {
+  const parsed = typeof selector === 'string' ? parseStrikeSelector(selector) : selector;
+  if (parsed.mode === 'OFFSET') {
+    throw new ValidationError(`${parsed.offset} is a plain offset and does not need the option chain`);
+  }
+
+  const side = String(optionType || '').toLowerCase();
+  let best = null;
+
+  for (const row of chain.chain || []) {
+    const quote = row[side];
+    const value = parsed.mode === 'DELTA' ? quote?.delta : quote?.ltp;
+    if (value === null || value === undefined) continue;
+
+    const distance = Math.abs(Math.abs(value) - parsed.target);
+    if (!best || distance < best.distance) {
+      best = { distance, strike: row.strike, quote };
+    }
+  }
+
+  if (!best) {
+    throw new Error(`No ${optionType} strike with ${parsed.mode === 'DELTA' ? 'delta' : 'LTP'} available for ${parsed.selector}`);
+  }
+
+  return {
+    offset: best.quote.offset,
+    strike: best.strike,
+    symbol: best.quote.symbol,
+    ltp: best.quote.ltp,
+    delta: best.quote.delta,
+    iv: best.quote.iv,
+    selector: parsed.selector
+  };
+}
@@ -0,0 +1,372 @@
+// Auto safe-switch policy engine.
+// Decides whether an instance should be flattened and moved to analyzer mode based on
+// its fixed P&L targets plus the optional per-instance policies stored in
+// instance_switch_policies. Evaluation is pure; persistence helpers take `dbAsync`.
+
+import { ValidationError } from '../middleware/error-handler.js';
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+export const DEFAULT_SWITCH_POLICY = {
+  trailing_lock_enabled: 0,
+  trailing_lock_activation: 0,
+  trailing_lock_giveback_pct: null,
+  cutoff_enabled: 0,
+  cutoff_time: null,
+  timezone: DEFAULT_TIMEZONE,
+  max_trades: null,
+  max_consecutive_losses: null,
+  intraday_peak_pnl: null,
+  peak_date: null,
+  last_triggered_rule: null,
+  last_triggered_reason: null,
+  last_triggered_at: null,
+  rule_trigger_dates: null
+};
+
+// Rules other than the fixed targets fire at most once per trading day, so an
+// operator can put the instance back live after reviewing it.
+const ONCE_PER_DAY_RULES = new Set(['trailing_profit_lock', 'time_cutoff', 'max_trades', 'max_consecutive_losses']);
+
+/**
+ * Parse the stored { rule: 'YYYY-MM-DD' } map of when each rule last fired
+ */
+export function parseRuleTriggerDates(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date ('YYYY-MM-DD'), time ('HH:MM') and weekday ('MON'..'SUN') for a Date
+ * in the given timezone.
+ */
+export function getZonedDateTime(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type)?.value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`,
+    weekday: get('weekday').toUpperCase()
+  };
+}
+
+/**
+ * Walk the tradebook in order and return the realized P&L of every fill that
+ * reduced an open position (one entry per closing fill).
+ */
+export function getClosedTradeResults(trades) {
+  const books = {};
+  const results = [];
+
+  for (const trade of trades) {
+    const price = parseFloat(trade.price ?? trade.average_price ?? 0);
+    let quantity = parseInt(trade.quantity ?? 0, 10);
+    const side = String(trade.action || '').toUpperCase();
+    if (!quantity || !Number.isFinite(price) || (side !== 'BUY' && side !== 'SELL')) {
+      continue;
+    }
+
+    const book = books[trade.symbol] || (books[trade.symbol] = { qty: 0, avg: 0 });
+    const direction = side === 'BUY' ? 1 : -1;
+
+    // Closing (or partially closing) an opposite position
+    if (book.qty !== 0 && Math.sign(book.qty) !== direction) {
+      const closeQty = Math.min(quantity, Math.abs(book.qty));
+      const pnl = (price - book.avg) * closeQty * Math.sign(book.qty);
+      results.push({ symbol: trade.symbol, quantity: closeQty, pnl });
+      book.qty += closeQty * direction;
+      quantity -= closeQty;
+      if (book.qty === 0) {
+        book.avg = 0;
+      }
+    }
+
+    // Opening or adding to a position
+    if (quantity > 0) {
+      const newQty = Math.abs(book.qty) + quantity;
+      book.avg = (book.avg * Math.abs(book.qty) + price * quantity) / newQty;
+      book.qty = newQty * direction;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Number of orders executed in the tradebook. Partial fills of one order share its
+ * orderid and count once; rows without an orderid count individually.
+ */
+export function countExecutedOrders(trades) {
+  const orderIds = new Set();
+  let unidentified = 0;
+  for (const trade of trades) {
+    const orderId = trade.orderid ?? trade.order_id;
+    if (orderId === undefined || orderId === null || orderId === '') {
+      unidentified++;
+    } else {
+      orderIds.add(String(orderId));
+    }
+  }
+  return orderIds.size + unidentified;
+}
+
+export function countConsecutiveLosses(closedResults) {
+  let count = 0;
+  for (let i = closedResults.length - 1; i >= 0; i--) {
+    if (closedResults[i].pnl < 0) {
+      count++;
+    } else {
+      break;
+    }
+  }
+  return count;
+}
+
+/**
+ * Evaluate all switch rules for an instance.
+ * @param {Object} instance - instances row (target_profit / target_loss)
+ * @param {Object} policy - instance_switch_policies row (or DEFAULT_SWITCH_POLICY)
+ * @param {Object} context - { total_pnl, peak_pnl, trades, now }
+ * @returns {Object|null} { rule, reason, details } for the first rule that fired
+ */
+export function evaluateSwitchPolicies(instance, policy, context) {
+  const { total_pnl, trades = [], now = new Date() } = context;
+  const timezone = policy.timezone || DEFAULT_TIMEZONE;
+  const { date: today, time: nowTime } = getZonedDateTime(now, timezone);
+
+  const triggerDates = parseRuleTriggerDates(policy.rule_trigger_dates);
+  const alreadyFiredToday = (rule) => {
+    if (!ONCE_PER_DAY_RULES.has(rule)) {
+      return false;
+    }
+    if (triggerDates[rule] === today) {
+      return true;
+    }
+    // Rows recorded before rule_trigger_dates existed only know the last rule
+    if (policy.last_triggered_rule !== rule || !policy.last_triggered_at) {
+      return false;
+    }
+    const firedAt = new Date(`${String(policy.last_triggered_at).replace(' ', 'T')}Z`);
+    return getZonedDateTime(firedAt, timezone).date === today;
+  };
+
+  const targetProfit = parseFloat(instance.target_profit) || 5000;
+  const targetLoss = parseFloat(instance.target_loss) || 2000;
+
+  if (total_pnl >= targetProfit) {
+    return { rule: 'target_profit', reason: 'Target profit reached', details: { total_pnl, target_profit: targetProfit } };
+  }
+
+  if (total_pnl <= -Math.abs(targetLoss)) {
+    return { rule: 'target_loss', reason: 'Max loss reached', details: { total_pnl, target_loss: targetLoss } };
+  }
+
+  if (policy.cutoff_enabled && policy.cutoff_time && nowTime >= policy.cutoff_time && !alreadyFiredToday('time_cutoff')) {
+    return {
+      rule: 'time_cutoff',
+      reason: `Time cutoff ${policy.cutoff_time} (${timezone}) reached`,
+      details: { cutoff_time: policy.cutoff_time, timezone, local_time: nowTime }
+    };
+  }
+
+  const peak = context.peak_pnl;
+  const giveback = parseFloat(policy.trailing_lock_giveback_pct);
+  const activation = parseFloat(policy.trailing_lock_activation) || 0;
+  if (policy.trailing_lock_enabled && Number.isFinite(giveback) && peak > 0 && peak >= activation
+      && !alreadyFiredToday('trailing_profit_lock')) {
+    const givenBack = peak - total_pnl;
+    if (givenBack >= peak * (giveback / 100)) {
+      return {
+        rule: 'trailing_profit_lock',
+        reason: `P&L gave back ${((givenBack / peak) * 100).toFixed(1)}% from peak ${peak.toFixed(2)}`,
+        details: { total_pnl, peak_pnl: peak, giveback_pct: giveback }
+      };
+    }
+  }
+
+  const tradeCount = policy.max_trades ? countExecutedOrders(trades) : 0;
+  if (policy.max_trades && tradeCount >= policy.max_trades && !alreadyFiredToday('max_trades')) {
+    return {
+      rule: 'max_trades',
+      reason: `Max trades reached (${tradeCount}/${policy.max_trades})`,
+      details: { trade_count: tradeCount, max_trades: policy.max_trades }
+    };
+  }
+
+  if (policy.max_consecutive_losses && !alreadyFiredToday('max_consecutive_losses')) {
+    const losses = countConsecutiveLosses(getClosedTradeResults(trades));
+    if (losses >= policy.max_consecutive_losses) {
+      return {
+        rule: 'max_consecutive_losses',
+        reason: `Max consecutive losses reached (${losses}/${policy.max_consecutive_losses})`,
+        details: { consecutive_losses: losses, max_consecutive_losses: policy.max_consecutive_losses }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a policy update from the API.
+ * Returns only the recognised fields, normalised for storage.
+ */
+export function sanitizePolicyUpdate(updates) {
+  const sanitized = {};
+
+  const parseOptionalPositiveInt = (key, value) => {
+    if (value === null || value === '' || value === 0 || value === '0') {
+      return null;
+    }
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new ValidationError(`${key} must be a positive integer or null`);
+    }
+    return parsed;
+  };
+
+  for (const [key, value] of Object.entries(updates || {})) {
+    switch (key) {
+      case 'trailing_lock_enabled':
+      case 'cutoff_enabled':
+        sanitized[key] = value ? 1 : 0;
+        break;
+      case 'trailing_lock_activation': {
+        const parsed = Number.parseFloat(value);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+          throw new ValidationError('trailing_lock_activation must be a non-negative number');
+        }
+        sanitized[key] = parsed;
+        break;
+      }
+      case 'trailing_lock_giveback_pct': {
+        if (value === null || value === '') {
+          sanitized[key] = null;
+          break;
+        }
+        const parsed = Number.parseFloat(value);
+        if (!Number.isFinite(parsed) || parsed <= 0 || parsed > 100) {
+          throw new ValidationError('trailing_lock_giveback_pct must be between 0 and 100');
+        }
+        sanitized[key] = parsed;
+        break;
+      }
+      case 'cutoff_time': {
+        if (value === null || value === '') {
+          sanitized[key] = null;
+          break;
+        }
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+        if (!match) {
+          throw new ValidationError('cutoff_time must be in HH:MM (24h) format');
+        }
+        sanitized[key] = match[0];
+        break;
+      }
+      case 'timezone': {
+        const timezone = typeof value === 'string' ? value.trim() : '';
+        if (!timezone || !isValidTimezone(timezone)) {
+          throw new ValidationError('timezone must be a valid IANA timezone (e.g. Asia/Kolkata)');
+        }
+        sanitized[key] = timezone;
+        break;
+      }
+      case 'max_trades':
+      case 'max_consecutive_losses':
+        sanitized[key] = parseOptionalPositiveInt(key, value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return sanitized;
+}
+
+export async function getSwitchPolicy(dbAsync, instanceId) {
+  const row = await dbAsync.get('SELECT * FROM instance_switch_policies WHERE instance_id = ?', [instanceId]);
+  return row ? { ...DEFAULT_SWITCH_POLICY, ...row } : { ...DEFAULT_SWITCH_POLICY, instance_id: instanceId };
+}
+
+export async function saveSwitchPolicy(dbAsync, instanceId, updates) {
+  const existing = await dbAsync.get('SELECT id FROM instance_switch_policies WHERE instance_id = ?', [instanceId]);
+
+  if (!existing) {
+    await dbAsync.run('INSERT INTO instance_switch_policies (instance_id) VALUES (?)', [instanceId]);
+  }
+
+  const fields = Object.keys(updates);
+  if (fields.length > 0) {
+    await dbAsync.run(
+      `UPDATE instance_switch_policies SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE instance_id = ?`,
+      [...Object.values(updates), instanceId]
+    );
+  }
+
+  return getSwitchPolicy(dbAsync, instanceId);
+}
+
+/**
+ * Track the intraday P&L peak used by the trailing profit lock.
+ * The peak resets when the trading day (in the policy timezone) changes.
+ * Returns the peak to evaluate against.
+ */
+export async function updateIntradayPeak(dbAsync, policy, totalPnl, now = new Date()) {
+  const today = getZonedDateTime(now, policy.timezone || DEFAULT_TIMEZONE).date;
+  const previousPeak = policy.peak_date === today && policy.intraday_peak_pnl !== null
+    ? parseFloat(policy.intraday_peak_pnl)
+    : null;
+  const peak = previousPeak === null ? totalPnl : Math.max(previousPeak, totalPnl);
+
+  // Only persist once the instance has a stored policy row
+  if (policy.id && (peak !== previousPeak || policy.peak_date !== today)) {
+    await dbAsync.run(
+      'UPDATE instance_switch_policies SET intraday_peak_pnl = ?, peak_date = ? WHERE instance_id = ?',
+      [peak, today, policy.instance_id]
+    );
+  }
+
+  return peak;
+}
+
+/**
+ * Record a rule that fired, keeping the trading date per rule so every
+ * once-per-day rule stays spent even after another rule fires later that day.
+ */
+export async function recordPolicyTrigger(dbAsync, instanceId, decision, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const triggeredOn = getZonedDateTime(now, timezone || DEFAULT_TIMEZONE).date;
+  await dbAsync.run('INSERT OR IGNORE INTO instance_switch_policies (instance_id) VALUES (?)', [instanceId]);
+  await dbAsync.run(
+    `UPDATE instance_switch_policies
+     SET last_triggered_rule = ?, last_triggered_reason = ?, last_triggered_at = CURRENT_TIMESTAMP,
+         rule_trigger_dates = json_set(COALESCE(rule_trigger_dates, '{}'), '$.' || ?, ?)
+     WHERE instance_id = ?`,
+    [decision.rule, decision.reason, decision.rule, triggeredOn, instanceId]
+  );
+}
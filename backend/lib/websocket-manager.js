@@ -1,7 +1,8 @@
 /**
  * WebSocket Manager
  * Manages WebSocket connection to OpenAlgo for real-time market data
- * Handles Primary/Secondary admin failover
+ * Handles Primary/Secondary admin failover, plus per-symbol streams on other
+ * instances when the MarketDataRouter moves a stale symbol off the main socket
  */
 
 import WebSocket from 'ws';
@@ -38,6 +39,18 @@ class WebSocketManager extends EventEmitter {
 
     // Track subscribed symbols
     this.subscribedSymbols = new Set();
+    this.subscribedInstruments = new Map();
+
+    // Extra sockets on other instances carrying individual symbols: instance id -> { instance, ws, instruments }
+    this.symbolStreams = new Map();
+    this.marketDataRouter = null;
+  }
+
+  /**
+   * Set market data router (merged, freshness-scored quotes for getLatestMarketData)
+   */
+  setMarketDataRouter(marketDataRouter) {
+    this.marketDataRouter = marketDataRouter;
   }
 
   /**
@@ -275,7 +288,7 @@ class WebSocketManager extends EventEmitter {
   /**
    * Process incoming market data
    */
-  async processMarketData(message) {
+  async processMarketData(message, instance = this.currentInstance) {
     try {
       // Expected message format from OpenAlgo WebSocket
       // { type: 'tick', data: { exchange, symbol, ltp, open, high, low, volume, ... } }
@@ -297,12 +310,12 @@ class WebSocketManager extends EventEmitter {
       this.marketDataCache.set(cacheKey, {
         ...message.data,
         timestamp: new Date(),
-        received_at: this.lastMessageTime
+        received_at: instance === this.currentInstance ? this.lastMessageTime : new Date()
       });
 
       // Update database (batch updates every 1 second to avoid overwhelming DB)
       // This will be handled by a separate batch processor
-      this.emit('market_tick', message.data);
+      this.emit('market_tick', message.data, { instance_id: instance?.id ?? null });
 
     } catch (error) {
       console.error('❌ Error processing market data:', error);
@@ -329,26 +342,14 @@ class WebSocketManager extends EventEmitter {
 
       console.log(`📡 Subscribing to ${symbols.length} symbols...`);
 
-      // Build subscription message for OpenAlgo
-      const instruments = symbols.map(s => ({
-        exchange: s.exchange,
-        token: s.token || s.symbol
-      }));
-
-      // Send subscription request
-      // Note: Actual format depends on OpenAlgo WebSocket protocol
-      const subscriptionMessage = {
-        action: 'subscribe',
-        instruments: instruments
-      };
-
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify(subscriptionMessage));
+        this.ws.send(JSON.stringify(this.buildSubscriptionMessage(symbols)));
 
         // Track subscribed symbols
         symbols.forEach(s => {
           const key = `${s.exchange}:${s.symbol}`;
           this.subscribedSymbols.add(key);
+          this.subscribedInstruments.set(key, { exchange: s.exchange, symbol: s.symbol, token: s.token || null });
         });
 
         console.log(`✅ Subscribed to ${symbols.length} symbols`);
@@ -359,6 +360,84 @@ class WebSocketManager extends EventEmitter {
     }
   }
 
+  /**
+   * Build subscription message for OpenAlgo
+   * Note: Actual format depends on OpenAlgo WebSocket protocol
+   */
+  buildSubscriptionMessage(symbols) {
+    return {
+      action: 'subscribe',
+      instruments: symbols.map(s => ({
+        exchange: s.exchange,
+        token: s.token || s.symbol
+      }))
+    };
+  }
+
+  getSubscribedInstruments() {
+    return Array.from(this.subscribedInstruments.values());
+  }
+
+  getInstrument(exchange, symbol) {
+    return this.subscribedInstruments.get(`${exchange}:${symbol}`) || { exchange, symbol, token: null };
+  }
+
+  /**
+   * Subscribe symbols on a given instance: re-sent on the main socket when it is
+   * the current instance, otherwise carried by a per-instance symbol stream
+   */
+  async subscribeOnInstance(instance, symbols) {
+    if (instance.id === this.currentInstance?.id && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(this.buildSubscriptionMessage(symbols)));
+      console.log(`📡 Re-subscribed ${symbols.length} symbols on ${instance.name}`);
+      return;
+    }
+
+    let stream = this.symbolStreams.get(instance.id);
+    if (!stream) {
+      const wsUrl = this.getWebSocketUrl(instance);
+      if (!wsUrl) {
+        throw new Error(`Invalid WebSocket URL for ${instance.name}`);
+      }
+
+      stream = { instance, ws: new WebSocket(wsUrl), instruments: new Map() };
+      this.symbolStreams.set(instance.id, stream);
+
+      stream.ws.on('open', () => {
+        console.log(`✅ Symbol stream connected to ${instance.name} (${stream.instruments.size} symbols)`);
+        stream.ws.send(JSON.stringify(this.buildSubscriptionMessage(Array.from(stream.instruments.values()))));
+      });
+
+      stream.ws.on('message', async (data) => {
+        try {
+          await this.processMarketData(JSON.parse(data.toString()), instance);
+        } catch (error) {
+          console.error(`❌ Error processing symbol stream message from ${instance.name}:`, error);
+        }
+      });
+
+      // Symbols on a dropped stream go stale again and are moved by the next router sweep
+      stream.ws.on('close', (code) => {
+        console.warn(`⚠️  Symbol stream to ${instance.name} closed: ${code}`);
+        if (this.symbolStreams.get(instance.id) === stream) {
+          this.symbolStreams.delete(instance.id);
+        }
+      });
+
+      stream.ws.on('error', (error) => {
+        console.error(`❌ Symbol stream error (${instance.name}):`, error.message);
+      });
+    }
+
+    for (const s of symbols) {
+      stream.instruments.set(`${s.exchange}:${s.symbol}`, s);
+    }
+    if (stream.ws.readyState === WebSocket.OPEN) {
+      stream.ws.send(JSON.stringify(this.buildSubscriptionMessage(symbols)));
+    }
+    console.log(`📡 Subscribed ${symbols.length} symbols on ${instance.name} symbol stream`);
+  }
+
   /**
    * Start heartbeat monitoring
    */
@@ -505,9 +584,13 @@ class WebSocketManager extends EventEmitter {
   }
 
   /**
-   * Alias for compatibility with consumers expecting `getLatestMarketData`
+   * Latest quote for consumers such as RuleEvaluator: merged across sources with
+   * source / freshness / is_stale when a MarketDataRouter is set, else the tick cache
    */
   getLatestMarketData(exchange, symbol) {
+    if (this.marketDataRouter) {
+      return this.marketDataRouter.getLatestMarketData(exchange, symbol);
+    }
     return this.getMarketData(exchange, symbol);
   }
 
@@ -624,7 +707,13 @@ class WebSocketManager extends EventEmitter {
       this.ws = null;
     }
 
+    for (const stream of this.symbolStreams.values()) {
+      stream.ws.close(1000, 'Manager shutdown');
+    }
+    this.symbolStreams.clear();
+
     this.subscribedSymbols.clear();
+    this.subscribedInstruments.clear();
     this.marketDataCache.clear();
   }
 
@@ -638,6 +727,11 @@ class WebSocketManager extends EventEmitter {
       messageCount: this.messageCount,
       lastMessageTime: this.lastMessageTime,
       subscribedSymbols: this.subscribedSymbols.size,
+      symbolStreams: Array.from(this.symbolStreams.values()).map(stream => ({
+        instance_id: stream.instance.id,
+        instance_name: stream.instance.name,
+        symbols: stream.instruments.size
+      })),
       cacheSize: this.marketDataCache.size,
       reconnectAttempts: this.reconnectAttempts
     };
@@ -26,6 +26,7 @@ let ltpRefreshInterval = null; // Track LTP refresh interval for expanded watchl
 let optionsMode = 'buyer'; // 'buyer' or 'writer'
 let currentOptionsSymbol = null; // Track current options trading symbol
 let currentOptionsExpiries = []; // Cache expiries for current underlying
+let selectedChainOffsets = {}; // Strike picked from the option chain per option type ({ CE: 'OTM1' })
 
 // Pre-configured strikes: ITM2, ITM1, ATM
 const PRECONFIGURED_OFFSETS = {
@@ -41,6 +42,11 @@ let consoleLogs = [];
 let consolePaused = false;
 let consoleAutoScroll = true;
 
+// Alerts state
+let alertsPage = 1;
+let alertsTotalPages = 1;
+let alertSocket = null;
+
 // ========================================
 // Development Console Functions
 // ========================================
@@ -819,6 +825,8 @@ async function init() {
             await loadDashboardData();
             setupEventListeners();
             startAutoRefresh();
+            refreshAlertBadge();
+            initAlertStream();
         } else {
             showLoginPage();
         }
@@ -873,6 +881,9 @@ async function loadDashboardData() {
         } else {
             console.error('Failed to load instances');
         }
+
+        await loadScheduleOverview();
+        await loadPendingOrders();
     } catch (error) {
         console.error('Error loading dashboard data:', error);
     } finally {
@@ -880,6 +891,228 @@ async function loadDashboardData() {
     }
 }
 
+// Load upcoming and past live/analyzer schedule runs
+async function loadScheduleOverview() {
+    try {
+        const response = await fetch(`${API_BASE}/api/instances/schedules/overview?limit=10`, { credentials: 'include' });
+        if (!response.ok) {
+            return;
+        }
+        const result = await response.json();
+        renderScheduleOverview(result.data || { upcoming: [], past: [] });
+    } catch (error) {
+        console.error('Error loading schedules:', error);
+    }
+}
+
+function renderScheduleOverview({ upcoming, past }) {
+    const upcomingContainer = document.getElementById('schedules-upcoming');
+    const pastContainer = document.getElementById('schedules-past');
+    if (!upcomingContainer || !pastContainer) return;
+
+    const actionBadge = (action) => action === 'LIVE'
+        ? '<span class="px-2 py-0.5 bg-green-500/20 text-green-300 rounded-full text-xs">LIVE</span>'
+        : '<span class="px-2 py-0.5 bg-orange-500/20 text-orange-300 rounded-full text-xs">ANALYZER</span>';
+
+    const statusColors = {
+        success: 'text-green-400',
+        failed: 'text-red-400',
+        skipped: 'text-slate-400'
+    };
+
+    upcomingContainer.innerHTML = upcoming.length === 0
+        ? '<p class="text-slate-500">No upcoming schedules</p>'
+        : upcoming.map(run => `
+            <div class="flex items-center justify-between p-2 bg-slate-700/30 rounded-lg">
+                <span class="text-white">${escapeHtml(run.instance_name || `Instance ${run.instance_id}`)}</span>
+                <span class="flex items-center space-x-2">
+                    ${actionBadge(run.action)}
+                    <span class="text-slate-300">${escapeHtml(run.scheduled_for)}</span>
+                </span>
+            </div>
+        `).join('');
+
+    pastContainer.innerHTML = past.length === 0
+        ? '<p class="text-slate-500">No schedule runs yet</p>'
+        : past.map(run => `
+            <div class="flex items-center justify-between p-2 bg-slate-700/30 rounded-lg" title="${escapeHtml(run.message || '')}">
+                <span class="text-white">${escapeHtml(run.instance_name || `Instance ${run.instance_id}`)}</span>
+                <span class="flex items-center space-x-2">
+                    ${actionBadge(run.action)}
+                    <span class="text-slate-300">${escapeHtml(run.scheduled_for)}</span>
+                    <span class="${statusColors[run.status] || 'text-slate-400'}">${escapeHtml(run.status)}</span>
+                </span>
+            </div>
+        `).join('');
+
+    lucide.createIcons();
+}
+
+// Load orders still working at the broker (pending/open) so they can be modified in place
+let pendingOrders = [];
+
+async function loadPendingOrders() {
+    try {
+        const response = await fetch(`${API_BASE}/api/orders?status=pending,open&limit=50`, { credentials: 'include' });
+        if (!response.ok) {
+            return;
+        }
+        const result = await response.json();
+        pendingOrders = result.orders || [];
+        renderPendingOrders();
+    } catch (error) {
+        console.error('Error loading pending orders:', error);
+    }
+}
+
+function renderPendingOrders() {
+    const body = document.getElementById('pending-orders-body');
+    if (!body) return;
+
+    if (pendingOrders.length === 0) {
+        body.innerHTML = '<tr><td colspan="9" class="py-3 text-slate-500">No pending orders</td></tr>';
+        return;
+    }
+
+    const formatPrice = (value) => (Number(value) > 0 ? `₹${Number(value).toFixed(2)}` : '-');
+
+    body.innerHTML = pendingOrders.map(order => `
+        <tr class="border-b border-slate-700/50">
+            <td class="py-2 pr-4 text-white">${escapeHtml(order.instance_name || `Instance ${order.instance_id}`)}</td>
+            <td class="py-2 pr-4 text-white">${escapeHtml(order.symbol || '')}</td>
+            <td class="py-2 pr-4 ${order.action === 'BUY' ? 'text-green-400' : 'text-red-400'}">${escapeHtml(order.action || '')}</td>
+            <td class="py-2 pr-4 text-slate-300">${order.quantity}</td>
+            <td class="py-2 pr-4 text-slate-300">${escapeHtml(order.pricetype || '')}</td>
+            <td class="py-2 pr-4 text-slate-300">${formatPrice(order.price)}</td>
+            <td class="py-2 pr-4 text-slate-300">${formatPrice(order.trigger_price)}</td>
+            <td class="py-2 pr-4 text-slate-400">${escapeHtml(order.status)}</td>
+            <td class="py-2 text-right">
+                ${order.plan_id ? renderTwapProgress(order) : order.slice_count > 0 ? `<span class="text-slate-500 text-xs">${order.slice_count} slices</span>` : `
+                <button onclick="showModifyOrderModal(${order.id})" class="px-3 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded-lg text-xs transition-all duration-200">
+                    Modify
+                </button>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Progress and controls of a scheduled (TWAP) order
+ */
+function renderTwapProgress(order) {
+    const active = order.plan_status === 'RUNNING' || order.plan_status === 'PAUSED';
+    const paused = order.plan_status === 'PAUSED';
+    const reason = paused && order.plan_pause_reason ? ` (${escapeHtml(order.plan_pause_reason)})` : '';
+
+    return `
+        <span class="${paused ? 'text-yellow-400' : 'text-slate-500'} text-xs mr-2">
+            TWAP ${order.plan_slices_placed}/${order.slice_count} · ${escapeHtml(order.plan_status)}${reason}
+        </span>
+        ${active ? `
+        <button onclick="controlTwapPlan(${order.plan_id}, '${paused ? 'resume' : 'pause'}')" class="px-3 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded-lg text-xs transition-all duration-200">
+            ${paused ? 'Resume' : 'Pause'}
+        </button>
+        <button onclick="controlTwapPlan(${order.plan_id}, 'cancel')" class="px-3 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded-lg text-xs transition-all duration-200">
+            Cancel
+        </button>` : ''}
+    `;
+}
+
+async function controlTwapPlan(planId, action) {
+    if (action === 'cancel' && !confirm('Cancel this scheduled order? Slices already working at the broker will be cancelled.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/orders/twap/${planId}/${action}`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || `Failed to ${action} plan`);
+        }
+
+        showToast(`Scheduled order ${result.plan.status.toLowerCase()}`, 'success');
+        await loadPendingOrders();
+    } catch (error) {
+        console.error('TWAP control error:', error);
+        showToast(`Failed to ${action} scheduled order: ${error.message}`, 'error');
+    }
+}
+
+function showModifyOrderModal(orderId) {
+    const order = pendingOrders.find(item => item.id === orderId);
+    if (!order) return;
+
+    document.getElementById('modify-order-id').value = order.id;
+    document.getElementById('modify-order-summary').textContent =
+        `${order.action} ${order.symbol || ''} on ${order.instance_name || `Instance ${order.instance_id}`} (order ${order.order_id})`;
+    document.getElementById('modify-order-pricetype').value = order.pricetype || 'LIMIT';
+    document.getElementById('modify-order-quantity').value = order.quantity;
+    document.getElementById('modify-order-price').value = Number(order.price) > 0 ? order.price : '';
+    document.getElementById('modify-order-trigger').value = Number(order.trigger_price) > 0 ? order.trigger_price : '';
+    updateModifyOrderFields();
+
+    document.getElementById('modify-order-modal').classList.add('active');
+    lucide.createIcons();
+}
+
+function closeModifyOrderModal() {
+    document.getElementById('modify-order-modal').classList.remove('active');
+}
+
+// Only show the price fields the selected order type uses
+function updateModifyOrderFields() {
+    const pricetype = document.getElementById('modify-order-pricetype').value;
+    document.getElementById('modify-order-price-field').classList.toggle('hidden', pricetype === 'MARKET' || pricetype === 'SL-M');
+    document.getElementById('modify-order-trigger-field').classList.toggle('hidden', pricetype === 'MARKET' || pricetype === 'LIMIT');
+}
+
+async function submitModifyOrder(event) {
+    event.preventDefault();
+
+    const submitBtn = document.getElementById('modify-order-submit');
+    const orderId = document.getElementById('modify-order-id').value;
+    const pricetype = document.getElementById('modify-order-pricetype').value;
+    const body = {
+        pricetype,
+        quantity: parseInt(document.getElementById('modify-order-quantity').value)
+    };
+    if (pricetype === 'LIMIT' || pricetype === 'SL') {
+        body.price = parseFloat(document.getElementById('modify-order-price').value);
+    }
+    if (pricetype === 'SL' || pricetype === 'SL-M') {
+        body.trigger_price = parseFloat(document.getElementById('modify-order-trigger').value);
+    }
+
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/orders/${orderId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Order modification failed');
+        }
+
+        showToast(`Order ${result.order_id} modified`, 'success');
+        closeModifyOrderModal();
+        await loadPendingOrders();
+    } catch (error) {
+        console.error('Modify order error:', error);
+        showToast(`Failed to modify order: ${error.message}`, 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
 // Show/Hide refresh indicator
 function showRefreshIndicator() {
     const indicator = document.getElementById('refresh-indicator');
@@ -1111,18 +1344,25 @@ function stopAutoRefresh() {
 // Setup navigation based on user role
 function setupNavigationBasedOnRole() {
     const usersNav = document.querySelector('.users-nav');
+    const killSwitchBtn = document.querySelector('.kill-switch-btn');
     
     if (isAdmin) {
         // Show Users tab for admin users
         if (usersNav) {
             usersNav.style.display = 'flex';
         }
+        if (killSwitchBtn) {
+            killSwitchBtn.style.display = 'flex';
+        }
         console.log('👑 Admin user - Users tab enabled');
     } else {
         // Hide Users tab for non-admin users
         if (usersNav) {
             usersNav.style.display = 'none';
         }
+        if (killSwitchBtn) {
+            killSwitchBtn.style.display = 'none';
+        }
         console.log('👤 Regular user - Users tab hidden');
     }
 }
@@ -1169,6 +1409,12 @@ function showView(view) {
             usersNav.classList.remove('text-slate-300');
             usersNav.classList.add('active', 'bg-blue-500/20', 'border', 'border-blue-500/30', 'text-white');
         }
+    } else if (view === 'alerts') {
+        const alertsNav = document.querySelector('.alerts-nav');
+        if (alertsNav) {
+            alertsNav.classList.remove('text-slate-300');
+            alertsNav.classList.add('active', 'bg-blue-500/20', 'border', 'border-blue-500/30', 'text-white');
+        }
     }
     
     // Show/hide views
@@ -1176,6 +1422,7 @@ function showView(view) {
     document.getElementById('admin-view').classList.toggle('hidden', view !== 'admin');
     document.getElementById('watchlists-view').classList.toggle('hidden', view !== 'watchlists');
     document.getElementById('users-view').classList.toggle('hidden', view !== 'users');
+    document.getElementById('alerts-view').classList.toggle('hidden', view !== 'alerts');
 
     if (view === 'admin') {
         loadAdminInstances();
@@ -1183,9 +1430,191 @@ function showView(view) {
         loadWatchlists();
     } else if (view === 'users') {
         loadUsers();
+    } else if (view === 'alerts') {
+        loadAlerts(1);
+    }
+}
+
+// ========================================
+// Alerts
+// ========================================
+
+const ALERT_SEVERITY_CLASSES = {
+    CRITICAL: 'bg-red-500/20 text-red-300 border-red-500/30',
+    ERROR: 'bg-orange-500/20 text-orange-300 border-orange-500/30',
+    WARNING: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
+    INFO: 'bg-blue-500/20 text-blue-300 border-blue-500/30'
+};
+
+/**
+ * Update the bell badges with the open unacknowledged alert count
+ */
+function updateAlertBadge(count) {
+    ['alerts-bell-badge', 'alerts-bell-badge-mobile'].forEach(id => {
+        const badge = document.getElementById(id);
+        if (!badge) return;
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.classList.toggle('hidden', !count);
+    });
+}
+
+async function refreshAlertBadge() {
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts/stats`, { credentials: 'include' });
+        const data = await response.json();
+        if (data.success) {
+            updateAlertBadge(data.stats.unacknowledged_count || 0);
+        }
+    } catch (error) {
+        console.error('Failed to load alert count:', error);
+    }
+}
+
+async function loadAlerts(page = 1) {
+    const tbody = document.getElementById('alerts-list-body');
+    if (!tbody) return;
+
+    const params = new URLSearchParams({
+        status: document.getElementById('alerts-filter-status').value,
+        page: String(Math.max(1, Math.min(page, alertsTotalPages || 1))),
+        page_size: '50'
+    });
+    const severity = document.getElementById('alerts-filter-severity').value;
+    const alertType = document.getElementById('alerts-filter-type').value.trim();
+    const search = document.getElementById('alerts-filter-search').value.trim();
+    if (severity) params.set('severity', severity);
+    if (alertType) params.set('alert_type', alertType.toUpperCase());
+    if (search) params.set('search', search);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts?${params}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) {
+            showToast(escapeHtml(data.error || 'Failed to load alerts'), 'error');
+            return;
+        }
+
+        alertsPage = data.pagination.page;
+        alertsTotalPages = Math.max(1, data.pagination.total_pages);
+        renderAlerts(data.alerts, data.pagination);
+        updateAlertBadge(data.unacknowledged_count);
+    } catch (error) {
+        console.error('Failed to load alerts:', error);
+        showToast('Failed to load alerts', 'error');
     }
 }
 
+function renderAlerts(alerts, pagination) {
+    const tbody = document.getElementById('alerts-list-body');
+    document.getElementById('alerts-select-all').checked = false;
+
+    if (alerts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="p-8 text-center text-slate-400">No alerts match these filters</td></tr>';
+    } else {
+        tbody.innerHTML = alerts.map(alert => {
+            const scope = [alert.instance_name, alert.watchlist_name].filter(Boolean).map(escapeHtml).join(' · ') || '—';
+            const occurrences = alert.occurrence_count > 1
+                ? `<span class="ml-2 text-xs text-slate-400">×${alert.occurrence_count}</span>`
+                : '';
+            const status = alert.is_resolved
+                ? '<span class="text-green-400">Resolved</span>'
+                : alert.is_acknowledged
+                    ? `<span class="text-slate-300" title="${escapeHtml(alert.acknowledged_by || '')}">Acknowledged</span>`
+                    : '<span class="text-yellow-300">Open</span>';
+            const time = new Date(alert.last_occurred_at || alert.created_at).toLocaleString();
+            return `
+                <tr class="hover:bg-slate-700/20 ${alert.is_acknowledged ? '' : 'font-medium'}">
+                    <td class="p-4"><input type="checkbox" class="alert-select" value="${alert.id}" aria-label="Select alert ${alert.id}"></td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs rounded border ${ALERT_SEVERITY_CLASSES[alert.severity] || ALERT_SEVERITY_CLASSES.INFO}">${escapeHtml(alert.severity)}</span></td>
+                    <td class="p-4">
+                        <div class="text-white">${escapeHtml(alert.title)}${occurrences}</div>
+                        <div class="text-slate-400 text-xs mt-1">${escapeHtml(alert.message)}</div>
+                    </td>
+                    <td class="p-4 text-slate-300">${scope}</td>
+                    <td class="p-4 text-slate-400 whitespace-nowrap">${escapeHtml(time)}</td>
+                    <td class="p-4 whitespace-nowrap">${status}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    const first = pagination.total === 0 ? 0 : (pagination.page - 1) * pagination.page_size + 1;
+    const last = Math.min(pagination.page * pagination.page_size, pagination.total);
+    document.getElementById('alerts-pagination-info').textContent = `${first}–${last} of ${pagination.total}`;
+    document.getElementById('alerts-prev-btn').disabled = pagination.page <= 1;
+    document.getElementById('alerts-next-btn').disabled = pagination.page >= alertsTotalPages;
+}
+
+function toggleAllAlerts(checked) {
+    document.querySelectorAll('.alert-select').forEach(box => {
+        box.checked = checked;
+    });
+}
+
+async function bulkAlertAction(action) {
+    const ids = Array.from(document.querySelectorAll('.alert-select:checked')).map(box => parseInt(box.value));
+    if (ids.length === 0) {
+        showToast('Select at least one alert', 'warning');
+        return;
+    }
+
+    const body = { ids };
+    if (action === 'resolve') {
+        const notes = prompt(`Resolve ${ids.length} alert(s). Resolution notes (optional):`);
+        if (notes === null) return;
+        body.notes = notes;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/alerts/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (data.success) {
+            showToast(escapeHtml(data.message), 'success');
+            await loadAlerts(alertsPage);
+        } else {
+            showToast(escapeHtml(data.error || `Failed to ${action} alerts`), 'error');
+        }
+    } catch (error) {
+        console.error(`Failed to ${action} alerts:`, error);
+        showToast(`Failed to ${action} alerts`, 'error');
+    }
+}
+
+/**
+ * Subscribe to live alert events from the server's Socket.IO stream
+ */
+function initAlertStream() {
+    if (typeof io === 'undefined' || alertSocket) return;
+
+    alertSocket = io({ withCredentials: true });
+
+    alertSocket.on('alert_created', alert => {
+        const type = alert.severity === 'CRITICAL' || alert.severity === 'ERROR'
+            ? 'error'
+            : alert.severity === 'WARNING' ? 'warning' : 'info';
+        showToast(`<strong>${escapeHtml(alert.title)}</strong><br>${escapeHtml(alert.message)}`, type);
+
+        if (currentView === 'alerts') {
+            loadAlerts(alertsPage);
+        } else {
+            refreshAlertBadge();
+        }
+    });
+
+    alertSocket.on('alerts_updated', () => {
+        if (currentView === 'alerts') {
+            loadAlerts(alertsPage);
+        } else {
+            refreshAlertBadge();
+        }
+    });
+}
+
 // Load admin instances
 async function loadAdminInstances() {
     await loadDashboardData();
@@ -1735,6 +2164,99 @@ function closeConfirmModal() {
     document.getElementById('confirm-modal').classList.remove('active');
 }
 
+// Kill Switch
+const KILL_SWITCH_CONFIRMATION = 'KILL SWITCH';
+
+// Show kill switch modal (scope: all instances or one watchlist)
+async function showKillSwitchModal() {
+    document.getElementById('kill-switch-form').classList.remove('hidden');
+    document.getElementById('kill-switch-report').classList.add('hidden');
+    document.getElementById('kill-switch-confirm').value = '';
+    document.getElementById('kill-switch-analyzer').checked = false;
+    updateKillSwitchButton();
+
+    if (watchlists.length === 0) {
+        try {
+            const response = await fetch(`${API_BASE}/api/watchlists`, { credentials: 'include' });
+            if (response.ok) {
+                const data = await response.json();
+                watchlists = data.data || data;
+            }
+        } catch (error) {
+            console.error('Error loading watchlists for kill switch:', error);
+        }
+    }
+
+    const scopeSelect = document.getElementById('kill-switch-scope');
+    scopeSelect.innerHTML = '<option value="">All instances</option>' + watchlists.map(watchlist =>
+        `<option value="${watchlist.id}">Watchlist: ${escapeHtml(watchlist.name)} (its instances)</option>`
+    ).join('');
+
+    document.getElementById('kill-switch-modal').classList.add('active');
+    lucide.createIcons();
+}
+
+function closeKillSwitchModal() {
+    document.getElementById('kill-switch-modal').classList.remove('active');
+}
+
+function updateKillSwitchButton() {
+    const typed = document.getElementById('kill-switch-confirm').value.trim();
+    document.getElementById('kill-switch-submit').disabled = typed !== KILL_SWITCH_CONFIRMATION;
+}
+
+// Fire the kill switch and show the per-instance report
+async function triggerKillSwitch() {
+    const submitBtn = document.getElementById('kill-switch-submit');
+    const scopeValue = document.getElementById('kill-switch-scope').value;
+    const body = {
+        confirm: document.getElementById('kill-switch-confirm').value.trim(),
+        enable_analyzer: document.getElementById('kill-switch-analyzer').checked
+    };
+    if (scopeValue) {
+        body.watchlist_id = parseInt(scopeValue);
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Flattening...';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/kill-switch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+        const report = await response.json();
+
+        if (!response.ok) {
+            throw new Error(report.error || 'Kill switch failed');
+        }
+
+        document.getElementById('kill-switch-form').classList.add('hidden');
+        document.getElementById('kill-switch-report').classList.remove('hidden');
+        document.getElementById('kill-switch-summary').textContent =
+            `${report.summary.succeeded}/${report.summary.instances} instance(s) flattened in ${report.elapsed_ms} ms` +
+            (report.summary.failed > 0 ? ` — ${report.summary.failed} need attention` : '');
+        document.getElementById('kill-switch-results').innerHTML = report.instances.map(result => `
+            <div class="p-3 rounded-lg ${result.success ? 'bg-green-500/10 border border-green-500/30' : 'bg-red-500/10 border border-red-500/30'}">
+                <div class="text-white font-medium">${escapeHtml(result.instance || `Instance ${result.instance_id}`)}</div>
+                <div class="text-sm text-slate-400">
+                    ${result.steps.map(step => `${step.status === 'success' ? '✓' : '✗'} ${escapeHtml(step.step)}${step.error ? `: ${escapeHtml(step.error)}` : ''}`).join('<br>')}
+                </div>
+            </div>
+        `).join('');
+
+        loadDashboardData();
+    } catch (error) {
+        console.error('Kill switch error:', error);
+        alert(`Kill switch failed: ${error.message}`);
+    } finally {
+        submitBtn.textContent = 'Trigger Kill Switch';
+        updateKillSwitchButton();
+    }
+}
+
 // User Management Functions
 let users = [];
 
@@ -2694,8 +3216,28 @@ async function exitAllOptionsPositions(symbolId) {
         return;
     }
 
+    // Dry run first so the confirmation lists the exit order per instance
+    let previewLines = '';
+    try {
+        const previewResponse = await fetch(`${API_BASE}/api/watchlists/${watchlistId}/exit-all?dry_run=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ symbol_id: symbolId })
+        });
+        if (previewResponse.ok) {
+            const preview = await previewResponse.json();
+            previewLines = (preview.orders || []).map(row => {
+                const blocked = (row.blocked_by || []).map(item => item.reason).join('; ');
+                return `• ${row.instance}: ${blocked ? `BLOCKED - ${blocked}` : row.message}`;
+            }).join('\n');
+        }
+    } catch (error) {
+        console.error('Exit all preview failed:', error);
+    }
+
     // Confirm exit
-    const confirmMessage = `EXIT ALL positions for ${symbol.symbol} (${symbol.exchange})?\n\nThis will place exit orders for all open positions across all assigned instances.\n\nFor options symbols, this will exit positions for the underlying symbol (e.g., NIFTY, BANKNIFTY).`;
+    const confirmMessage = `EXIT ALL positions for ${symbol.symbol} (${symbol.exchange})?\n\nThis will place exit orders for all open positions across all assigned instances.\n\nFor options symbols, this will exit positions for the underlying symbol (e.g., NIFTY, BANKNIFTY).${previewLines ? `\n\n${previewLines}` : ''}`;
 
     if (!confirm(confirmMessage)) {
         return;
@@ -4379,10 +4921,19 @@ async function editSymbolConfig(symbolId) {
     document.getElementById('edit-ts-value').value = symbol.ts_value || '';
     document.getElementById('edit-trailing-activation-type').value = symbol.trailing_activation_type || 'IMMEDIATE';
     document.getElementById('edit-trailing-activation-value').value = symbol.trailing_activation_value || '';
+    document.getElementById('edit-exit-mode').value = symbol.exit_mode || 'LOCAL';
 
     // Advanced Settings
     document.getElementById('edit-max-position-size').value = symbol.max_position_size || '';
     document.getElementById('edit-max-instances').value = symbol.max_instances || '';
+    document.getElementById('edit-freeze-qty').value = symbol.freeze_qty || '';
+    document.getElementById('edit-slice-interval').value = symbol.slice_interval_ms || '';
+    document.getElementById('edit-chase-enabled').checked = symbol.chase_enabled === 1;
+    document.getElementById('edit-chase-after-seconds').value = symbol.chase_after_seconds || '';
+    document.getElementById('edit-chase-ticks').value = symbol.chase_ticks || '';
+    document.getElementById('edit-chase-max-attempts').value = symbol.chase_max_attempts || '';
+    document.getElementById('edit-chase-price-source').value = symbol.chase_price_source || 'LTP';
+    document.getElementById('edit-chase-final-action').value = symbol.chase_final_action || 'MARKET';
     document.getElementById('edit-contract-multiplier').value = symbol.contract_multiplier || '1.0';
     document.getElementById('edit-rounding').value = symbol.rounding || 'floor_to_lot';
     document.getElementById('edit-is-enabled').checked = symbol.is_enabled !== 0;
@@ -4397,7 +4948,13 @@ async function editSymbolConfig(symbolId) {
     document.getElementById('edit-trade-type-options').checked = canTradeOptions;
 
     // Options configuration
-    document.getElementById('edit-options-strike-offset').value = symbol.options_strike_offset || 'ATM';
+    // DELTA:/PREMIUM: selectors set through the API may not be in the preset list
+    const strikeOffsetSelect = document.getElementById('edit-options-strike-offset');
+    const strikeOffset = symbol.options_strike_offset || 'ATM';
+    if (!Array.from(strikeOffsetSelect.options).some(option => option.value === strikeOffset)) {
+        strikeOffsetSelect.add(new Option(strikeOffset, strikeOffset));
+    }
+    strikeOffsetSelect.value = strikeOffset;
 
     // Show/hide options config section based on can_trade_options
     const editOptionsConfigSection = document.getElementById('edit-options-config-section');
@@ -4595,6 +5152,7 @@ async function saveSymbolConfig() {
         trailing_activation_value: document.getElementById('edit-trailing-activation-type').value !== 'IMMEDIATE'
             ? parseFloat(document.getElementById('edit-trailing-activation-value').value) || null
             : null,
+        exit_mode: document.getElementById('edit-exit-mode').value,
 
         // Advanced Settings
         max_position_size: document.getElementById('edit-max-position-size').value
@@ -4603,6 +5161,16 @@ async function saveSymbolConfig() {
         max_instances: document.getElementById('edit-max-instances').value
             ? parseInt(document.getElementById('edit-max-instances').value)
             : null,
+        freeze_qty: document.getElementById('edit-freeze-qty').value
+            ? parseInt(document.getElementById('edit-freeze-qty').value)
+            : null,
+        slice_interval_ms: parseInt(document.getElementById('edit-slice-interval').value) || 0,
+        chase_enabled: document.getElementById('edit-chase-enabled').checked ? 1 : 0,
+        chase_after_seconds: parseInt(document.getElementById('edit-chase-after-seconds').value) || 10,
+        chase_ticks: parseInt(document.getElementById('edit-chase-ticks').value) || 1,
+        chase_max_attempts: parseInt(document.getElementById('edit-chase-max-attempts').value) || 5,
+        chase_price_source: document.getElementById('edit-chase-price-source').value,
+        chase_final_action: document.getElementById('edit-chase-final-action').value,
         contract_multiplier: parseFloat(document.getElementById('edit-contract-multiplier').value) || 1.0,
         rounding: document.getElementById('edit-rounding').value,
 
@@ -4768,6 +5336,7 @@ function showPlaceOrdersModal() {
 
     // Reset form
     document.getElementById('place-orders-form').classList.remove('hidden');
+    document.getElementById('place-orders-preview').classList.add('hidden');
     document.getElementById('place-orders-progress').classList.add('hidden');
     document.getElementById('place-orders-results').classList.add('hidden');
 
@@ -4878,62 +5447,131 @@ function togglePriceInput() {
     }
 }
 
-// Submit place orders
-async function submitPlaceOrders() {
-    try {
-        // Get selected action
-        const action = document.querySelector('input[name="order-action"]:checked').value;
+// Read the place orders form into a request body (null if invalid)
+function collectPlaceOrdersRequest() {
+    // Get selected action
+    const action = document.querySelector('input[name="order-action"]:checked').value;
 
-        // Get selected symbols
-        const selectedSymbols = Array.from(document.querySelectorAll('.order-symbol-checkbox:checked'))
-            .map(cb => parseInt(cb.value));
+    // Get selected symbols
+    const selectedSymbols = Array.from(document.querySelectorAll('.order-symbol-checkbox:checked'))
+        .map(cb => parseInt(cb.value));
 
-        if (selectedSymbols.length === 0) {
-            alert('Please select at least one symbol');
-            return;
-        }
+    if (selectedSymbols.length === 0) {
+        alert('Please select at least one symbol');
+        return null;
+    }
 
-        // Get selected instances
-        const selectedInstances = Array.from(document.querySelectorAll('.order-instance-checkbox:checked'))
-            .map(cb => parseInt(cb.value));
+    // Get selected instances
+    const selectedInstances = Array.from(document.querySelectorAll('.order-instance-checkbox:checked'))
+        .map(cb => parseInt(cb.value));
 
-        if (selectedInstances.length === 0) {
-            alert('Please select at least one instance');
-            return;
-        }
+    if (selectedInstances.length === 0) {
+        alert('Please select at least one instance');
+        return null;
+    }
 
-        // Get order parameters
-        const productType = document.getElementById('order-product-type').value;
-        const orderType = document.getElementById('order-type').value;
-        const price = document.getElementById('order-price').value;
+    // Get order parameters
+    const productType = document.getElementById('order-product-type').value;
+    const orderType = document.getElementById('order-type').value;
+    const price = document.getElementById('order-price').value;
 
-        // Validate LIMIT order price
-        if (orderType === 'LIMIT' && (!price || parseFloat(price) <= 0)) {
-            alert('Please enter a valid price for LIMIT orders');
+    // Validate LIMIT order price
+    if (orderType === 'LIMIT' && (!price || parseFloat(price) <= 0)) {
+        alert('Please enter a valid price for LIMIT orders');
+        return null;
+    }
+
+    // Build request body
+    const requestBody = {
+        symbol_ids: selectedSymbols,
+        action: action,
+        instance_ids: selectedInstances
+    };
+
+    if (productType) {
+        requestBody.product_type = productType;
+    }
+
+    if (orderType) {
+        requestBody.order_type = orderType;
+    }
+
+    if (orderType === 'LIMIT' && price) {
+        requestBody.price = parseFloat(price);
+    }
+
+    return requestBody;
+}
+
+// Preview the order grid (dry run) before placing
+async function previewPlaceOrders() {
+    const requestBody = collectPlaceOrdersRequest();
+    if (!requestBody) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/watchlists/${currentWatchlist.id}/place-orders?dry_run=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(requestBody)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(`Preview failed: ${result.error || 'Unknown error'}`);
             return;
         }
 
-        // Build request body
-        const requestBody = {
-            symbol_ids: selectedSymbols,
-            action: action,
-            instance_ids: selectedInstances
-        };
+        renderPlaceOrdersPreview(result);
+        document.getElementById('place-orders-form').classList.add('hidden');
+        document.getElementById('place-orders-preview').classList.remove('hidden');
+        lucide.createIcons();
+    } catch (error) {
+        console.error('Error previewing orders:', error);
+        alert(`Preview failed: ${error.message}`);
+    }
+}
+
+// Render the dry-run grid
+function renderPlaceOrdersPreview(result) {
+    const summary = result.summary;
+    document.getElementById('preview-summary').textContent =
+        `${summary.would_place} of ${summary.total_orders} order(s) would be placed` +
+        (summary.would_block ? `, ${summary.would_block} blocked` : '') +
+        ` · Est. capital ${formatCurrency(summary.estimated_capital)}`;
+
+    document.getElementById('preview-table-body').innerHTML = result.orders.map(order => `
+        <tr class="${order.would_place ? '' : 'bg-red-500/10'}">
+            <td class="p-3 text-slate-300">${order.instance}</td>
+            <td class="p-3 text-white font-medium">${order.symbol}</td>
+            <td class="p-3 text-slate-300">${order.action || order.ui_action || '-'}</td>
+            <td class="p-3 text-slate-300">${order.quantity ?? '-'}</td>
+            <td class="p-3 text-slate-300">${order.estimated_capital !== null && order.estimated_capital !== undefined ? formatCurrency(order.estimated_capital) : '-'}</td>
+            <td class="p-3 text-sm ${order.would_place ? 'text-green-300' : 'text-red-300'}">
+                ${order.would_place ? 'OK' : order.blocked_by.map(block => `${block.check}: ${block.reason}`).join('<br>')}
+                ${(order.warnings || []).length ? `<div class="text-yellow-300">${order.warnings.join('<br>')}</div>` : ''}
+            </td>
+        </tr>
+    `).join('');
 
-        if (productType) {
-            requestBody.product_type = productType;
-        }
+    document.getElementById('preview-confirm-btn').disabled = summary.would_place === 0;
+}
 
-        if (orderType) {
-            requestBody.order_type = orderType;
-        }
+// Back from the preview to the form
+function backToPlaceOrdersForm() {
+    document.getElementById('place-orders-preview').classList.add('hidden');
+    document.getElementById('place-orders-form').classList.remove('hidden');
+}
 
-        if (orderType === 'LIMIT' && price) {
-            requestBody.price = parseFloat(price);
-        }
+// Submit place orders
+async function submitPlaceOrders() {
+    try {
+        const requestBody = collectPlaceOrdersRequest();
+        if (!requestBody) return;
 
-        // Hide form, show progress
+        // Hide form/preview, show progress
         document.getElementById('place-orders-form').classList.add('hidden');
+        document.getElementById('place-orders-preview').classList.add('hidden');
         document.getElementById('place-orders-progress').classList.remove('hidden');
 
         // Reset progress
@@ -4945,22 +5583,25 @@ async function submitPlaceOrders() {
         // Show starting message
         addProgressMessage('Initiating order placement...', 'info');
 
-        // Make API call
+        // Make API call (progress is streamed back as one JSON line per order)
         const response = await fetch(`${API_BASE}/api/watchlists/${currentWatchlist.id}/place-orders`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
             credentials: 'include',
             body: JSON.stringify(requestBody)
         });
 
-        const result = await response.json();
+        const isStream = (response.headers.get('Content-Type') || '').includes('application/x-ndjson');
+        const result = response.ok && isStream
+            ? await readOrderProgressStream(response)
+            : await response.json();
 
         // Update progress to 100%
         document.getElementById('progress-bar').style.width = '100%';
         document.getElementById('progress-percentage').textContent = '100%';
 
-        if (response.ok) {
-            addProgressMessage(`Order placement complete: ${result.summary.successful} successful, ${result.summary.failed} failed`, 'success');
+        if (response.ok && result.summary) {
+            addProgressMessage(`Order placement complete: ${result.summary.successful} successful, ${result.summary.failed} failed${result.summary.skipped ? `, ${result.summary.skipped} skipped (deadline)` : ''}`, 'success');
 
             // Wait a moment then show results
             setTimeout(() => {
@@ -4978,6 +5619,45 @@ async function submitPlaceOrders() {
     }
 }
 
+// Read streamed place-orders progress and return the final summary
+async function readOrderProgressStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finalResult = { error: 'Order placement stream ended unexpectedly' };
+
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        const event = JSON.parse(line);
+
+        if (event.type === 'start') {
+            addProgressMessage(`Placing ${event.total} order(s) across ${event.total_instances} instance(s)...`, 'info');
+        } else if (event.type === 'progress') {
+            const percent = Math.round((event.completed / event.total) * 100);
+            document.getElementById('progress-bar').style.width = `${percent}%`;
+            document.getElementById('progress-percentage').textContent = `${percent}%`;
+            const type = event.status === 'success' ? 'success' : event.status === 'skipped' ? 'warning' : 'error';
+            addProgressMessage(`${event.symbol} @ ${event.instance}: ${event.message || event.error}`, type);
+        } else if (event.type === 'complete') {
+            finalResult = event;
+        } else if (event.type === 'error') {
+            finalResult = { error: event.error };
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return finalResult;
+}
+
 // Add progress message
 function addProgressMessage(message, type = 'info') {
     const container = document.getElementById('progress-status');
@@ -5053,7 +5733,7 @@ async function showOptionsPanel(symbolId, underlyingSymbol) {
     try {
         // Load expiries
         console.log('Fetching expiries for:', underlyingSymbol);
-        const expiryResponse = await fetch(`${API_BASE}/options/expiry`, {
+        const expiryResponse = await fetch(`${API_BASE}/api/options/expiry`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
@@ -5240,7 +5920,7 @@ function showOptionsTradingPanel(underlyingSymbol, underlyingLTP, expiries) {
                         <div class="grid grid-cols-4 gap-4 text-sm">
                             <div>
                                 <span class="text-slate-400">Expiry:</span>
-                                <select id="options-expiry-dropdown" class="mt-1 w-full bg-slate-700 border border-slate-600 text-white rounded px-3 py-2">
+                                <select id="options-expiry-dropdown" onchange="loadOptionChain()" class="mt-1 w-full bg-slate-700 border border-slate-600 text-white rounded px-3 py-2">
                                     ${expiries && expiries.length > 0
                                         ? expiries.map(exp => `<option value="${exp}">${exp}</option>`).join('')
                                         : '<option value="" disabled selected>No expiries available</option>'
@@ -5266,6 +5946,16 @@ function showOptionsTradingPanel(underlyingSymbol, underlyingLTP, expiries) {
                         </div>
                     </div>
 
+                    <!-- Option Chain -->
+                    <div class="mb-6">
+                        <div class="flex items-center justify-between mb-3">
+                            <h3 class="text-white font-semibold">Option Chain</h3>
+                            <button onclick="loadOptionChain()" class="px-3 py-1 bg-slate-700 border border-slate-600 text-slate-300 rounded hover:bg-slate-600 text-xs">Refresh</button>
+                        </div>
+                        <div id="options-chain-table" class="overflow-x-auto text-sm text-slate-400">Select an expiry to load the chain</div>
+                        <div id="options-chain-selection" class="mt-2 text-xs text-slate-300">Click a CE or PE price to select that strike for BUY/SELL</div>
+                    </div>
+
                     <!-- CE Strikes -->
                     <div class="mb-6">
                         <h3 class="text-white font-semibold mb-3">CE Strikes</h3>
@@ -5278,8 +5968,8 @@ function showOptionsTradingPanel(underlyingSymbol, underlyingLTP, expiries) {
                             `).join('')}
                         </div>
                         <div class="mt-3 flex space-x-2">
-                            <button onclick="buyOption('CE', 'ATM')" class="px-4 py-2 bg-green-500/20 border border-green-500/30 text-green-300 rounded hover:bg-green-500/30">BUY CE</button>
-                            <button onclick="sellOption('CE', 'ATM')" class="px-4 py-2 bg-red-500/20 border border-red-500/30 text-red-300 rounded hover:bg-red-500/30">SELL CE</button>
+                            <button onclick="buyOption('CE')" class="px-4 py-2 bg-green-500/20 border border-green-500/30 text-green-300 rounded hover:bg-green-500/30">BUY CE</button>
+                            <button onclick="sellOption('CE')" class="px-4 py-2 bg-red-500/20 border border-red-500/30 text-red-300 rounded hover:bg-red-500/30">SELL CE</button>
                         </div>
                     </div>
 
@@ -5295,8 +5985,8 @@ function showOptionsTradingPanel(underlyingSymbol, underlyingLTP, expiries) {
                             `).join('')}
                         </div>
                         <div class="mt-3 flex space-x-2">
-                            <button onclick="buyOption('PE', 'ATM')" class="px-4 py-2 bg-green-500/20 border border-green-500/30 text-green-300 rounded hover:bg-green-500/30">BUY PE</button>
-                            <button onclick="sellOption('PE', 'ATM')" class="px-4 py-2 bg-red-500/20 border border-red-500/30 text-red-300 rounded hover:bg-red-500/30">SELL PE</button>
+                            <button onclick="buyOption('PE')" class="px-4 py-2 bg-green-500/20 border border-green-500/30 text-green-300 rounded hover:bg-green-500/30">BUY PE</button>
+                            <button onclick="sellOption('PE')" class="px-4 py-2 bg-red-500/20 border border-red-500/30 text-red-300 rounded hover:bg-red-500/30">SELL PE</button>
                         </div>
                     </div>
 
@@ -5321,6 +6011,116 @@ function showOptionsTradingPanel(underlyingSymbol, underlyingLTP, expiries) {
     // Add to page
     document.body.insertAdjacentHTML('beforeend', modalHtml);
     lucide.createIcons();
+
+    selectedChainOffsets = {};
+    if (expiries && expiries.length > 0) {
+        loadOptionChain();
+    }
+}
+
+// Load option chain (IV and greeks are computed by the backend)
+async function loadOptionChain() {
+    if (!currentOptionsSymbol) return;
+
+    const container = document.getElementById('options-chain-table');
+    const expiry = document.getElementById('options-expiry-dropdown')?.value;
+    if (!container || !expiry) return;
+
+    container.innerHTML = '<div class="text-slate-400">Loading option chain...</div>';
+
+    try {
+        const params = new URLSearchParams({ underlying: currentOptionsSymbol.symbol, expiry, strikes: 5 });
+        const response = await fetch(`${API_BASE}/api/options/chain?${params}`, { credentials: 'include' });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to load option chain');
+        }
+
+        renderOptionChain(result.data);
+    } catch (error) {
+        console.error('Error loading option chain:', error);
+        container.innerHTML = `<div class="text-red-400">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Render option chain table: CE | strike | PE
+function renderOptionChain(data) {
+    const container = document.getElementById('options-chain-table');
+    if (!container) return;
+
+    const fmt = (value, decimals = 2) => (value === null || value === undefined ? '-' : formatNumber(value, decimals));
+    const sideCells = (leg, optionType, strike) => {
+        if (!leg) return '<td colspan="5" class="px-2 py-1 text-center">-</td>';
+        const selected = selectedChainOffsets[optionType] === leg.offset;
+        return `
+            <td class="px-2 py-1 text-right">${fmt(leg.iv)}</td>
+            <td class="px-2 py-1 text-right">${fmt(leg.delta)}</td>
+            <td class="px-2 py-1 text-right">${fmt(leg.theta)}</td>
+            <td class="px-2 py-1 text-right">${fmt(leg.vega)}</td>
+            <td class="px-2 py-1 text-right">
+                <button onclick="selectChainStrike('${optionType}', '${leg.offset}', ${strike})"
+                        class="px-2 py-0.5 rounded font-semibold ${selected ? 'bg-blue-500/40 text-white' : 'text-white hover:bg-slate-600'}">
+                    ${fmt(leg.ltp)}
+                </button>
+            </td>
+        `;
+    };
+
+    container.innerHTML = `
+        <div class="text-xs text-slate-400 mb-2">
+            Spot ${fmt(data.underlying_ltp)} · ATM ${data.atm_strike} · ${fmt(data.years_to_expiry * 365, 1)} days to expiry
+        </div>
+        <table class="w-full text-xs">
+            <thead class="text-slate-400">
+                <tr>
+                    <th class="px-2 py-1 text-right">IV%</th><th class="px-2 py-1 text-right">Δ</th>
+                    <th class="px-2 py-1 text-right">Θ</th><th class="px-2 py-1 text-right">Vega</th>
+                    <th class="px-2 py-1 text-right">CE LTP</th>
+                    <th class="px-2 py-1 text-center">Strike</th>
+                    <th class="px-2 py-1 text-right">IV%</th><th class="px-2 py-1 text-right">Δ</th>
+                    <th class="px-2 py-1 text-right">Θ</th><th class="px-2 py-1 text-right">Vega</th>
+                    <th class="px-2 py-1 text-right">PE LTP</th>
+                </tr>
+            </thead>
+            <tbody class="text-slate-300">
+                ${data.chain.map(row => `
+                    <tr class="border-t border-slate-700 ${row.is_atm ? 'bg-slate-700/40' : ''}">
+                        ${sideCells(row.ce, 'CE', row.strike)}
+                        <td class="px-2 py-1 text-center text-white font-semibold">${row.strike}</td>
+                        ${sideCells(row.pe, 'PE', row.strike)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    container.dataset.chain = JSON.stringify(data);
+}
+
+// One-click strike selection: BUY/SELL CE/PE use the selected offset
+function selectChainStrike(optionType, offset, strike) {
+    selectedChainOffsets[optionType] = offset;
+
+    const label = document.getElementById('options-chain-selection');
+    if (label) {
+        label.textContent = Object.entries(selectedChainOffsets)
+            .map(([type, selectedOffset]) => `${type}: ${selectedOffset}`)
+            .join(' · ') + ` (last picked ${strike} ${optionType})`;
+    }
+
+    const container = document.getElementById('options-chain-table');
+    if (container?.dataset.chain) {
+        renderOptionChain(JSON.parse(container.dataset.chain));
+    }
+}
+
+// Options orders go to the single instance selected in the instances table
+function getOptionsInstanceId() {
+    if (selectedInstances.size !== 1) {
+        alert('Select exactly one instance in the instances table to place options orders');
+        return null;
+    }
+    return Array.from(selectedInstances)[0];
 }
 
 // Close options panel
@@ -5336,15 +6136,19 @@ function closeOptionsPanel() {
 async function buyOption(optionType, offset) {
     if (!currentOptionsSymbol) return;
 
+    const instanceId = getOptionsInstanceId();
+    if (!instanceId) return;
+
     const expiry = document.getElementById('options-expiry-dropdown')?.value;
     const underlying = currentOptionsSymbol.symbol;
     const strikeInt = underlying === 'NIFTY' ? 50 : underlying === 'BANKNIFTY' ? 100 : 50;
 
     const params = {
+        instance_id: instanceId,
         underlying,
         expiry_date: expiry,
         strike_int: strikeInt,
-        offset: offset || 'ATM',
+        offset: offset || selectedChainOffsets[optionType] || 'ATM',
         option_type: optionType,
         action: 'BUY',
         quantity: 1,
@@ -5376,15 +6180,19 @@ async function buyOption(optionType, offset) {
 async function sellOption(optionType, offset) {
     if (!currentOptionsSymbol) return;
 
+    const instanceId = getOptionsInstanceId();
+    if (!instanceId) return;
+
     const expiry = document.getElementById('options-expiry-dropdown')?.value;
     const underlying = currentOptionsSymbol.symbol;
     const strikeInt = underlying === 'NIFTY' ? 50 : underlying === 'BANKNIFTY' ? 100 : 50;
 
     const params = {
+        instance_id: instanceId,
         underlying,
         expiry_date: expiry,
         strike_int: strikeInt,
-        offset: offset || 'ATM',
+        offset: offset || selectedChainOffsets[optionType] || 'ATM',
         option_type: optionType,
         action: 'SELL',
         quantity: 1,
@@ -5417,11 +6225,15 @@ async function sellOption(optionType, offset) {
 async function buyStraddle() {
     if (!currentOptionsSymbol) return;
 
+    const instanceId = getOptionsInstanceId();
+    if (!instanceId) return;
+
     const expiry = document.getElementById('options-expiry-dropdown')?.value;
     const underlying = currentOptionsSymbol.symbol;
     const strikeInt = underlying === 'NIFTY' ? 50 : underlying === 'BANKNIFTY' ? 100 : 50;
 
     const params = {
+        instance_id: instanceId,
         strategy: 'STRADDLE',
         underlying,
         expiry_date: expiry,
@@ -5456,11 +6268,15 @@ async function buyStraddle() {
 async function buyStrangle() {
     if (!currentOptionsSymbol) return;
 
+    const instanceId = getOptionsInstanceId();
+    if (!instanceId) return;
+
     const expiry = document.getElementById('options-expiry-dropdown')?.value;
     const underlying = currentOptionsSymbol.symbol;
     const strikeInt = underlying === 'NIFTY' ? 50 : underlying === 'BANKNIFTY' ? 100 : 50;
 
     const params = {
+        instance_id: instanceId,
         strategy: 'STRANGLE',
         underlying,
         expiry_date: expiry,
@@ -0,0 +1,190 @@
+/**
+ * Alert Routing Routes
+ * API endpoints for alert dedup/escalation rules and per-user alert subscriptions
+ */
+
+import express from 'express';
+import { requireAuth, requireAdminAccess } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Initialize alert routing routes
+ */
+export default function createAlertRoutingRoutes(alertRouter, notificationService) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[AlertRouting API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  // Users manage their own subscriptions; admins manage everyone's
+  const loadOwnSubscription = async (req, res) => {
+    const subscription = await notificationService.getSubscription(parseInt(req.params.id));
+    if (!subscription || (!req.user?.is_admin && subscription.user_email !== req.user?.email)) {
+      res.status(404).json({
+        success: false,
+        error: 'Subscription not found'
+      });
+      return null;
+    }
+    return subscription;
+  };
+
+  /**
+   * GET /api/alert-routing/rules
+   */
+  router.get('/rules', requireAuth, async (req, res) => {
+    try {
+      const rules = await alertRouter.getRules();
+      res.json({
+        success: true,
+        count: rules.length,
+        rules
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch routing rules');
+    }
+  });
+
+  /**
+   * POST /api/alert-routing/rules
+   * Body: { alert_type, dedup_fields, suppress_window_seconds, escalate_after_count,
+   *         escalate_after_seconds, escalate_to_severity, is_enabled }
+   */
+  router.post('/rules', requireAdminAccess, async (req, res) => {
+    try {
+      const rule = await alertRouter.createRule(req.body);
+      res.status(201).json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to create routing rule');
+    }
+  });
+
+  /**
+   * PUT /api/alert-routing/rules/:id
+   */
+  router.put('/rules/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const rule = await alertRouter.updateRule(parseInt(req.params.id), req.body);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Routing rule not found'
+        });
+      }
+      res.json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update routing rule');
+    }
+  });
+
+  /**
+   * DELETE /api/alert-routing/rules/:id
+   */
+  router.delete('/rules/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const deleted = await alertRouter.deleteRule(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Routing rule not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Routing rule deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete routing rule');
+    }
+  });
+
+  /**
+   * GET /api/alert-routing/subscriptions?all=true
+   * The signed-in user's subscriptions (all users' for admins with all=true)
+   */
+  router.get('/subscriptions', requireAuth, async (req, res) => {
+    try {
+      const all = req.query.all === 'true' && req.user?.is_admin;
+      const subscriptions = await notificationService.getSubscriptions(all ? null : req.user?.email || null);
+      res.json({
+        success: true,
+        count: subscriptions.length,
+        subscriptions
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch subscriptions');
+    }
+  });
+
+  /**
+   * POST /api/alert-routing/subscriptions
+   * Body: { channel_id, min_severity, alert_types, watchlist_id, quiet_hours_start, quiet_hours_end, timezone }
+   */
+  router.post('/subscriptions', requireAuth, async (req, res) => {
+    try {
+      const subscription = await notificationService.createSubscription(req.body, req.user?.email || null);
+      res.status(201).json({
+        success: true,
+        subscription
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to create subscription');
+    }
+  });
+
+  /**
+   * PUT /api/alert-routing/subscriptions/:id
+   */
+  router.put('/subscriptions/:id', requireAuth, async (req, res) => {
+    try {
+      if (!await loadOwnSubscription(req, res)) {
+        return;
+      }
+      const subscription = await notificationService.updateSubscription(parseInt(req.params.id), req.body);
+      res.json({
+        success: true,
+        subscription
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update subscription');
+    }
+  });
+
+  /**
+   * DELETE /api/alert-routing/subscriptions/:id
+   */
+  router.delete('/subscriptions/:id', requireAuth, async (req, res) => {
+    try {
+      if (!await loadOwnSubscription(req, res)) {
+        return;
+      }
+      await notificationService.deleteSubscription(parseInt(req.params.id));
+      res.json({
+        success: true,
+        message: 'Subscription deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete subscription');
+    }
+  });
+
+  return router;
+}
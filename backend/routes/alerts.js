@@ -0,0 +1,136 @@
+/**
+ * Alert Routes
+ * API endpoints for listing, acknowledging and resolving system alerts.
+ * New alerts are also pushed live to the dashboard as Socket.IO 'alert_created' events.
+ */
+
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { sanitizeAlertIds, sanitizeAlertQuery } from '../lib/alert-service.js';
+
+const router = express.Router();
+
+/**
+ * Initialize alert routes
+ */
+export default function createAlertRoutes(alertService) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[Alerts API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/alerts?status=&severity=&alert_type=&instance_id=&watchlist_id=&since=&until=&search=&page=&page_size=
+   * status: unresolved (default), unacknowledged, acknowledged, resolved, all
+   * severity: comma-separated list
+   */
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const filters = sanitizeAlertQuery(req.query);
+      const result = await alertService.queryAlerts(filters);
+      res.json({
+        success: true,
+        alerts: result.alerts,
+        pagination: {
+          page: result.page,
+          page_size: result.page_size,
+          total: result.total,
+          total_pages: Math.ceil(result.total / result.page_size)
+        },
+        unacknowledged_count: await alertService.getUnacknowledgedCount()
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch alerts');
+    }
+  });
+
+  /**
+   * GET /api/alerts/stats
+   * Last 7 days by severity, plus the open unacknowledged count
+   */
+  router.get('/stats', requireAuth, async (req, res) => {
+    try {
+      const stats = await alertService.getAlertStats();
+      res.json({
+        success: true,
+        stats: {
+          ...stats,
+          unacknowledged_count: await alertService.getUnacknowledgedCount()
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch alert stats');
+    }
+  });
+
+  /**
+   * GET /api/alerts/:id
+   */
+  router.get('/:id', requireAuth, async (req, res) => {
+    try {
+      const alert = await alertService.getAlert(parseInt(req.params.id));
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert not found'
+        });
+      }
+      res.json({
+        success: true,
+        alert
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch alert');
+    }
+  });
+
+  /**
+   * POST /api/alerts/acknowledge
+   * Body: { ids: [1, 2, 3] }
+   */
+  router.post('/acknowledge', requireAuth, async (req, res) => {
+    try {
+      const ids = sanitizeAlertIds(req.body.ids);
+      const updated = await alertService.acknowledgeAlerts(ids, req.user?.email || null);
+      res.json({
+        success: true,
+        updated,
+        message: `Acknowledged ${updated} alert(s)`
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to acknowledge alerts');
+    }
+  });
+
+  /**
+   * POST /api/alerts/resolve
+   * Body: { ids: [1, 2, 3], notes }
+   */
+  router.post('/resolve', requireAuth, async (req, res) => {
+    try {
+      const ids = sanitizeAlertIds(req.body.ids);
+      const notes = req.body.notes ? String(req.body.notes).slice(0, 1000) : null;
+      const updated = await alertService.resolveAlerts(ids, req.user?.email || null, notes);
+      res.json({
+        success: true,
+        updated,
+        message: `Resolved ${updated} alert(s)`
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to resolve alerts');
+    }
+  });
+
+  return router;
+}
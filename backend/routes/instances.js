@@ -4,11 +4,18 @@
  * - CRUD operations (list, create, update, delete)
  * - Admin operations (admin-role, order-placement)
  * - Analyzer operations (toggle, status)
+ * - P&L history (equity curve)
+ * - Auto safe-switch policies
+ * - Live/analyzer schedules
  * - Test connection
  */
 
 import express from 'express';
 import { requireAuth, requireAdminAccess } from '../auth.js';
+import { getPnlHistory } from '../lib/pnl-history.js';
+import { getSwitchPolicy, saveSwitchPolicy, sanitizePolicyUpdate } from '../lib/switch-policies.js';
+import { getSafeSwitchHistory } from '../lib/safe-switch-audit.js';
+import { sanitizeScheduleInput } from '../lib/instance-scheduler.js';
 
 const router = express.Router();
 
@@ -48,7 +55,7 @@ router.post('/', requireAuth, async (req, res) => {
   try {
     const { name, host_url, api_key, strategy_tag, is_primary_admin, is_secondary_admin } = req.body;
 
-    const { dbAsync, normalizeHostUrl, sanitizeApiKey, updater_updateInstancesData, makeOpenAlgoRequest } = req.app.locals;
+    const { dbAsync, normalizeHostUrl, sanitizeApiKey, updater_updateInstancesData, makeOpenAlgoRequest, alertService } = req.app.locals;
 
     const trimmedName = typeof name === 'string' ? name.trim() : '';
     const normalizedHostUrl = normalizeHostUrl(host_url);
@@ -74,7 +81,7 @@ router.post('/', requireAuth, async (req, res) => {
 
     // Immediately try to update the new instance data
     setTimeout(() => {
-      updater_updateInstancesData(dbAsync, makeOpenAlgoRequest);
+      updater_updateInstancesData(dbAsync, makeOpenAlgoRequest, { alertService });
     }, 1000);
 
     res.status(201).json({
@@ -324,10 +331,10 @@ router.post('/test-connection', requireAuth, async (req, res) => {
  */
 router.post('/refresh', requireAuth, async (req, res) => {
   try {
-    const { dbAsync, updater_updateInstancesData, makeOpenAlgoRequest } = req.app.locals;
+    const { dbAsync, updater_updateInstancesData, makeOpenAlgoRequest, alertService } = req.app.locals;
 
     console.log('🔄 Manual refresh triggered by user');
-    await updater_updateInstancesData(dbAsync, makeOpenAlgoRequest);
+    await updater_updateInstancesData(dbAsync, makeOpenAlgoRequest, { alertService });
 
     // Return updated instances
     const instances = await dbAsync.all('SELECT * FROM instances ORDER BY created_at DESC');
@@ -451,7 +458,7 @@ router.post('/:id/toggle-analyzer', requireAuth, async (req, res) => {
 
         // Update database with new mode
         await dbAsync.run(
-          'UPDATE instances SET is_analyzer_mode = 1, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+          'UPDATE instances SET is_analyzer_mode = 1, switch_pending = 0, switch_pending_since = NULL, switch_pending_reason = NULL, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
           [id]
         );
 
@@ -485,7 +492,7 @@ router.post('/:id/toggle-analyzer', requireAuth, async (req, res) => {
 
       if (result.status === 'success') {
         await dbAsync.run(
-          'UPDATE instances SET is_analyzer_mode = 0, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+          'UPDATE instances SET is_analyzer_mode = 0, switch_pending = 0, switch_pending_since = NULL, switch_pending_reason = NULL, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
           [id]
         );
 
@@ -557,6 +564,446 @@ router.get('/:id/analyzer-status', requireAuth, async (req, res) => {
   }
 });
 
+// =====================================
+// P&L History
+// =====================================
+
+/**
+ * GET /api/instances/:id/pnl-history?from=&to=&interval=
+ * Downsampled equity curve with peak and max-drawdown stats
+ * interval: raw, 1m, 5m (default), 15m, 30m, 1h, 1d
+ */
+router.get('/:id/pnl-history', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const instance = await dbAsync.get('SELECT id FROM instances WHERE id = ?', [id]);
+    if (!instance) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instance not found'
+      });
+    }
+
+    const history = await getPnlHistory(dbAsync, id, req.query);
+
+    res.json({
+      status: 'success',
+      data: history
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Get P&L history error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get P&L history',
+      error: error.message
+    });
+  }
+});
+
+// =====================================
+// Auto Safe-Switch Policies
+// =====================================
+
+/**
+ * GET /api/instances/:id/switch-policy
+ * Get the auto safe-switch policy and the last rule that fired
+ */
+router.get('/:id/switch-policy', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const instance = await dbAsync.get('SELECT id, target_profit, target_loss FROM instances WHERE id = ?', [id]);
+    if (!instance) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instance not found'
+      });
+    }
+
+    const policy = await getSwitchPolicy(dbAsync, id);
+    res.json({
+      status: 'success',
+      data: {
+        ...policy,
+        target_profit: instance.target_profit,
+        target_loss: instance.target_loss
+      }
+    });
+  } catch (error) {
+    console.error('Get switch policy error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get switch policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/instances/:id/switch-policy
+ * Update auto safe-switch policies
+ * Body: trailing_lock_enabled, trailing_lock_activation, trailing_lock_giveback_pct,
+ *       cutoff_enabled, cutoff_time (HH:MM), timezone, max_trades, max_consecutive_losses
+ */
+router.put('/:id/switch-policy', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const instance = await dbAsync.get('SELECT id FROM instances WHERE id = ?', [id]);
+    if (!instance) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instance not found'
+      });
+    }
+
+    const updates = sanitizePolicyUpdate(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const merged = { ...(await getSwitchPolicy(dbAsync, id)), ...updates };
+    if (merged.cutoff_enabled && !merged.cutoff_time) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'cutoff_time is required when cutoff_enabled is set'
+      });
+    }
+    if (merged.trailing_lock_enabled && merged.trailing_lock_giveback_pct === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'trailing_lock_giveback_pct is required when trailing_lock_enabled is set'
+      });
+    }
+
+    const policy = await saveSwitchPolicy(dbAsync, id, updates);
+    res.json({
+      status: 'success',
+      data: policy,
+      message: 'Switch policy updated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Update switch policy error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update switch policy',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/instances/:id/safe-switch-history?limit=&offset=
+ * Audit log of auto safe-switch runs with per-step outcome
+ */
+router.get('/:id/safe-switch-history', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const instance = await dbAsync.get('SELECT id FROM instances WHERE id = ?', [id]);
+    if (!instance) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instance not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInteger(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInteger(req.query.offset) || 0, 0);
+    const runs = await getSafeSwitchHistory(dbAsync, id, { limit, offset });
+
+    res.json({
+      status: 'success',
+      data: runs
+    });
+  } catch (error) {
+    console.error('Get safe-switch history error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get safe-switch history',
+      error: error.message
+    });
+  }
+});
+
+// =====================================
+// Live / Analyzer Schedules
+// =====================================
+
+/**
+ * GET /api/instances/schedules/overview
+ * Upcoming and past schedule runs across all instances (dashboard)
+ */
+router.get('/schedules/overview', requireAuth, async (req, res) => {
+  try {
+    const { instanceScheduler } = req.app.locals;
+
+    if (!instanceScheduler) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Instance scheduler is not initialized'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInteger(req.query.limit) || 20, 1), 100);
+    const [upcoming, past] = await Promise.all([
+      instanceScheduler.getUpcomingRuns({ limit }),
+      instanceScheduler.getPastRuns({ limit })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: { upcoming, past }
+    });
+  } catch (error) {
+    console.error('Get schedules overview error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get schedules overview',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/instances/:id/schedules
+ * List schedules for an instance with upcoming and past runs
+ */
+router.get('/:id/schedules', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync, instanceScheduler } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const schedules = await dbAsync.all(
+      'SELECT * FROM instance_schedules WHERE instance_id = ? ORDER BY time_of_day ASC',
+      [id]
+    );
+
+    const upcoming = instanceScheduler ? await instanceScheduler.getUpcomingRuns({ instanceId: id }) : [];
+    const past = instanceScheduler ? await instanceScheduler.getPastRuns({ instanceId: id }) : [];
+
+    res.json({
+      status: 'success',
+      data: { schedules, upcoming, past }
+    });
+  } catch (error) {
+    console.error('Get schedules error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get schedules',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/instances/:id/schedules
+ * Create a schedule
+ * Body: { action: 'LIVE'|'ANALYZER', time_of_day: 'HH:MM', days_of_week, timezone, exchange, skip_holidays }
+ */
+router.post('/:id/schedules', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance ID'
+      });
+    }
+
+    const instance = await dbAsync.get('SELECT id FROM instances WHERE id = ?', [id]);
+    if (!instance) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instance not found'
+      });
+    }
+
+    const schedule = sanitizeScheduleInput(req.body);
+    const fields = ['instance_id', ...Object.keys(schedule)];
+    const result = await dbAsync.run(
+      `INSERT INTO instance_schedules (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      [id, ...Object.values(schedule)]
+    );
+
+    const created = await dbAsync.get('SELECT * FROM instance_schedules WHERE id = ?', [result.lastID]);
+    res.status(201).json({
+      status: 'success',
+      data: created,
+      message: 'Schedule created successfully'
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Create schedule error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create schedule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/instances/:id/schedules/:scheduleId
+ * Update a schedule
+ */
+router.put('/:id/schedules/:scheduleId', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const scheduleId = parseInteger(req.params.scheduleId);
+    const { dbAsync } = req.app.locals;
+
+    if (id === null || scheduleId === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid instance or schedule ID'
+      });
+    }
+
+    const existing = await dbAsync.get(
+      'SELECT id FROM instance_schedules WHERE id = ? AND instance_id = ?',
+      [scheduleId, id]
+    );
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    const updates = sanitizeScheduleInput(req.body, true);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    await dbAsync.run(
+      `UPDATE instance_schedules SET ${Object.keys(updates).map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...Object.values(updates), scheduleId]
+    );
+
+    const updated = await dbAsync.get('SELECT * FROM instance_schedules WHERE id = ?', [scheduleId]);
+    res.json({
+      status: 'success',
+      data: updated,
+      message: 'Schedule updated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Update schedule error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update schedule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/instances/:id/schedules/:scheduleId
+ * Delete a schedule (run history is kept)
+ */
+router.delete('/:id/schedules/:scheduleId', requireAuth, async (req, res) => {
+  try {
+    const id = parseInteger(req.params.id);
+    const scheduleId = parseInteger(req.params.scheduleId);
+    const { dbAsync } = req.app.locals;
+
+    const result = await dbAsync.run(
+      'DELETE FROM instance_schedules WHERE id = ? AND instance_id = ?',
+      [scheduleId, id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error.message);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete schedule',
+      error: error.message
+    });
+  }
+});
+
 // =====================================
 // Admin Operations
 // =====================================
@@ -0,0 +1,64 @@
+/**
+ * Kill Switch Routes
+ * Emergency flatten across all instances, or the instances of one watchlist
+ */
+
+import express from 'express';
+import { requireAdminAccess } from '../auth.js';
+import { executeKillSwitch, KILL_SWITCH_CONFIRMATION } from '../lib/kill-switch.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/kill-switch
+ * Block new orders, cancel open orders and close all positions, in parallel per instance
+ *
+ * Body: {
+ *   confirm: "KILL SWITCH",     // Required: typed confirmation
+ *   watchlist_id: 1,            // Optional: only this watchlist's orders and positions (watchlist is deactivated)
+ *   enable_analyzer: true       // Optional: switch instances to analyzer mode afterwards (ignored with watchlist_id)
+ * }
+ */
+router.post('/', requireAdminAccess, async (req, res) => {
+  const { dbAsync, makeOpenAlgoRequest, alertService } = req.app.locals;
+
+  if (!makeOpenAlgoRequest) {
+    return res.status(500).json({ status: 'error', error: 'OpenAlgo client not initialized' });
+  }
+
+  const { confirm, watchlist_id, enable_analyzer } = req.body;
+
+  if (confirm !== KILL_SWITCH_CONFIRMATION) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Type "${KILL_SWITCH_CONFIRMATION}" in confirm to trigger the kill switch`
+    });
+  }
+
+  try {
+    let watchlistId = null;
+    if (watchlist_id !== undefined && watchlist_id !== null) {
+      watchlistId = parseInt(watchlist_id);
+      const watchlist = Number.isInteger(watchlistId)
+        ? await dbAsync.get('SELECT id FROM watchlists WHERE id = ?', [watchlistId])
+        : null;
+      if (!watchlist) {
+        return res.status(404).json({ status: 'error', error: 'Watchlist not found' });
+      }
+    }
+
+    const report = await executeKillSwitch(dbAsync, makeOpenAlgoRequest, {
+      watchlistId,
+      enableAnalyzer: enable_analyzer === true,
+      triggeredBy: req.user?.email || null,
+      alertService
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('[KillSwitch] Error:', error);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+export default router;
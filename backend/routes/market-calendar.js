@@ -0,0 +1,159 @@
+/**
+ * Market Calendar Routes
+ * API endpoints for market status, exchange holidays and special sessions
+ */
+
+import express from 'express';
+import { requireAuth, requireAdminAccess } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Initialize market calendar routes
+ */
+export default function createMarketCalendarRoutes(marketCalendar) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[MarketCalendar API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/market-calendar/status
+   * Open/closed status and sessions for every exchange
+   */
+  router.get('/status', requireAuth, async (req, res) => {
+    try {
+      const exchanges = await marketCalendar.getStatus();
+      res.json({
+        success: true,
+        exchanges
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to get market status');
+    }
+  });
+
+  /**
+   * GET /api/market-calendar/holidays?exchange=&year=
+   */
+  router.get('/holidays', requireAuth, async (req, res) => {
+    try {
+      const { exchange, year } = req.query;
+      const holidays = await marketCalendar.getHolidays({ exchange, year });
+      res.json({
+        success: true,
+        count: holidays.length,
+        holidays
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch holidays');
+    }
+  });
+
+  /**
+   * POST /api/market-calendar/holidays/import
+   * Body: { holidays: [{ exchange, date, description, session }] } or { csv: "exchange,date,description,session\n..." }
+   * Existing dates are updated in place.
+   */
+  router.post('/holidays/import', requireAdminAccess, async (req, res) => {
+    try {
+      const input = req.body.csv ?? req.body.holidays;
+      const imported = await marketCalendar.importHolidays(input);
+      res.json({
+        success: true,
+        imported,
+        message: `Imported ${imported} holidays`
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to import holidays');
+    }
+  });
+
+  /**
+   * DELETE /api/market-calendar/holidays/:id
+   */
+  router.delete('/holidays/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const deleted = await marketCalendar.deleteHoliday(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Holiday not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Holiday deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete holiday');
+    }
+  });
+
+  /**
+   * GET /api/market-calendar/special-sessions
+   */
+  router.get('/special-sessions', requireAuth, async (req, res) => {
+    try {
+      const sessions = await marketCalendar.getSpecialSessions();
+      res.json({
+        success: true,
+        count: sessions.length,
+        sessions
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch special sessions');
+    }
+  });
+
+  /**
+   * POST /api/market-calendar/special-sessions
+   * Add a special session such as Muhurat trading
+   * Body: { exchange, session_date, start_time, end_time, description }
+   */
+  router.post('/special-sessions', requireAdminAccess, async (req, res) => {
+    try {
+      const session = await marketCalendar.addSpecialSession(req.body);
+      res.status(201).json({
+        success: true,
+        session
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to add special session');
+    }
+  });
+
+  /**
+   * DELETE /api/market-calendar/special-sessions/:id
+   */
+  router.delete('/special-sessions/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const deleted = await marketCalendar.deleteSpecialSession(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Special session not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Special session deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete special session');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,145 @@
+/**
+ * Notification Channel Routes
+ * API endpoints for alert notification channels (webhook, Telegram, Slack, SMS)
+ * and their delivery log
+ */
+
+import express from 'express';
+import { requireAuth, requireAdminAccess } from '../auth.js';
+import { getNotifierTypes } from '../lib/notifiers.js';
+import { ALERT_SEVERITIES } from '../lib/notification-service.js';
+
+const router = express.Router();
+
+/**
+ * Initialize notification channel routes
+ */
+export default function createNotificationChannelRoutes(notificationService) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[NotificationChannels API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/notification-channels
+   * All channels, secrets masked
+   */
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const channels = await notificationService.getChannels();
+      res.json({
+        success: true,
+        count: channels.length,
+        channels,
+        channel_types: getNotifierTypes(),
+        severities: ALERT_SEVERITIES
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch notification channels');
+    }
+  });
+
+  /**
+   * GET /api/notification-channels/deliveries?channel_id=&alert_id=&status=&limit=
+   */
+  router.get('/deliveries', requireAuth, async (req, res) => {
+    try {
+      const { channel_id, alert_id, status, limit } = req.query;
+      const deliveries = await notificationService.getDeliveries({
+        channelId: channel_id ? parseInt(channel_id) : null,
+        alertId: alert_id ? parseInt(alert_id) : null,
+        status: status || null,
+        limit
+      });
+      res.json({
+        success: true,
+        count: deliveries.length,
+        deliveries
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch notification deliveries');
+    }
+  });
+
+  /**
+   * POST /api/notification-channels
+   * Body: { name, channel_type, config, severities, alert_types, is_enabled }
+   */
+  router.post('/', requireAdminAccess, async (req, res) => {
+    try {
+      const channel = await notificationService.createChannel(req.body, req.user?.email || null);
+      res.status(201).json({
+        success: true,
+        channel
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to create notification channel');
+    }
+  });
+
+  /**
+   * PUT /api/notification-channels/:id
+   * Omitted fields and masked secrets keep their stored values
+   */
+  router.put('/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const channel = await notificationService.updateChannel(parseInt(req.params.id), req.body);
+      res.json({
+        success: true,
+        channel
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update notification channel');
+    }
+  });
+
+  /**
+   * DELETE /api/notification-channels/:id
+   */
+  router.delete('/:id', requireAdminAccess, async (req, res) => {
+    try {
+      const deleted = await notificationService.deleteChannel(parseInt(req.params.id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Notification channel not found'
+        });
+      }
+      res.json({
+        success: true,
+        message: 'Notification channel deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete notification channel');
+    }
+  });
+
+  /**
+   * POST /api/notification-channels/:id/test
+   * Send a test message through the channel (ignores its severity / type filters)
+   */
+  router.post('/:id/test', requireAdminAccess, async (req, res) => {
+    try {
+      const delivery = await notificationService.testChannel(parseInt(req.params.id), req.user?.email || null);
+      res.json({
+        success: delivery.status === 'SENT',
+        delivery
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to test notification channel');
+    }
+  });
+
+  return router;
+}
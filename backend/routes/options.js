@@ -1,5 +1,6 @@
 import express from 'express';
 import OrderPlacementService from '../lib/order-placement-service.js';
+import { listStrategies } from '../lib/options-strategies.js';
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const orderPlacementService = new OrderPlacementService();
  * Generate options contract symbol from underlying symbol
  * POST /api/options/generate-symbol
  * Body: { underlying: "NIFTY", option_type: "CE", strike_offset: "ATM", expiry_mode: "AUTO" }
+ * strike_offset also accepts DELTA:0.25 or PREMIUM:100
  */
 router.post('/generate-symbol', async (req, res) => {
   try {
@@ -45,11 +47,154 @@ router.post('/generate-symbol', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating options symbol:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode === 400 ? 400 : 500).json({
       success: false,
       error: error.message || 'Failed to generate options symbol'
     });
   }
 });
 
+/**
+ * Option chain around ATM with IV and greeks computed locally (Black-Scholes)
+ * GET /api/options/chain?underlying=NIFTY&expiry=28NOV24&strike_int=50&strikes=10
+ */
+router.get('/chain', async (req, res) => {
+  const { optionsTradingService } = req.app.locals;
+  if (!optionsTradingService) {
+    return res.status(503).json({
+      success: false,
+      error: 'Options trading service not initialized'
+    });
+  }
+
+  try {
+    const { underlying, expiry, strike_int, strikes } = req.query;
+    const chain = await optionsTradingService.getOptionChain(underlying, expiry, {
+      strikeInt: strike_int ? parseInt(strike_int) : undefined,
+      strikeCount: strikes ? parseInt(strikes) : undefined
+    });
+
+    return res.json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    console.error('Error building option chain:', error);
+    return res.status(error.statusCode === 400 ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to build option chain'
+    });
+  }
+});
+
+/**
+ * Expiries for an underlying
+ * POST /api/options/expiry
+ * Body: { underlying: "NIFTY" }
+ */
+router.post('/expiry', async (req, res) => {
+  const { optionsTradingService } = req.app.locals;
+  if (!optionsTradingService) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Options trading service not initialized'
+    });
+  }
+
+  try {
+    const expiryList = await optionsTradingService.getExpiries(req.body.underlying);
+    return res.json({
+      status: 'success',
+      data: { expiry_list: expiryList }
+    });
+  } catch (error) {
+    console.error('Error fetching expiries:', error);
+    return res.status(500).json({
+      status: 'error',
+      error: error.message || 'Failed to fetch expiries'
+    });
+  }
+});
+
+/**
+ * Place a single-leg options order by offset (e.g. a strike picked from the chain)
+ * POST /api/options/order
+ * Body: { instance_id, underlying, expiry_date, strike_int, offset, option_type, action, quantity, ... }
+ */
+router.post('/order', async (req, res) => {
+  const { optionsTradingService } = req.app.locals;
+  if (!optionsTradingService) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Options trading service not initialized'
+    });
+  }
+
+  const { instance_id, ...params } = req.body;
+  if (!instance_id) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'instance_id is required'
+    });
+  }
+
+  try {
+    const result = await optionsTradingService.placeOptionsOrder(parseInt(instance_id), params);
+    return res.json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error placing options order:', error);
+    return res.status(error.statusCode === 400 ? 400 : 500).json({
+      status: 'error',
+      error: error.message || 'Failed to place options order'
+    });
+  }
+});
+
+/**
+ * List supported multi-leg strategies and their leg templates
+ * GET /api/options/strategies
+ */
+router.get('/strategies', (req, res) => {
+  res.json({
+    success: true,
+    data: listStrategies()
+  });
+});
+
+/**
+ * Place a multi-leg strategy as a basket (hedge legs first)
+ * POST /api/options/basket
+ * Body: { instance_id, strategy: "IRON_CONDOR", underlying: "NIFTY", expiry_date: "28NOV24",
+ *         strike_int: 50, offset: "OTM2", wing: 2, quantity: 1, product: "NRML" }
+ * CUSTOM strategies pass legs: [{ option_type, action, offset, ratio, expiry_date }]
+ * offset may be ATM/ITMn/OTMn or a DELTA:0.16 / PREMIUM:50 selector
+ * With watchlist_id (and optional strategy rules) the placed legs are tracked as a strategy position
+ */
+router.post('/basket', async (req, res) => {
+  const { optionsTradingService } = req.app.locals;
+  if (!optionsTradingService) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Options trading service not initialized'
+    });
+  }
+
+  const { instance_id, strategy, ...params } = req.body;
+
+  try {
+    const result = await optionsTradingService.placeBasketOrder(parseInt(instance_id), strategy, params);
+    return res.json(result);
+  } catch (error) {
+    console.error('Error placing basket order:', error);
+    return res.status(error.statusCode === 400 ? 400 : 500).json({
+      status: 'error',
+      error: error.message || 'Failed to place basket order',
+      details: error.details
+    });
+  }
+});
+
 export default router;
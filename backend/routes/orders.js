@@ -12,7 +12,7 @@ const router = express.Router();
 /**
  * Initialize order routes
  */
-export default function createOrderRoutes(dbAsync, orderPlacementService, rateLimiterManager) {
+export default function createOrderRoutes(dbAsync, orderPlacementService, rateLimiterManager, orderStatusTracker = null, executionScheduler = null) {
 
   /**
    * GET /api/orders - List all orders
@@ -27,11 +27,18 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
           ws.symbol,
           ws.exchange,
           i.name as instance_name,
-          w.name as watchlist_name
+          w.name as watchlist_name,
+          ep.id as plan_id,
+          ep.status as plan_status,
+          ep.slices_placed as plan_slices_placed,
+          ep.placed_quantity as plan_placed_quantity,
+          ep.next_slice_at as plan_next_slice_at,
+          ep.pause_reason as plan_pause_reason
         FROM watchlist_orders wo
         LEFT JOIN watchlist_symbols ws ON ws.id = wo.symbol_id
         LEFT JOIN instances i ON i.id = wo.instance_id
         LEFT JOIN watchlists w ON w.id = wo.watchlist_id
+        LEFT JOIN execution_plans ep ON ep.parent_order_id = wo.id
         WHERE 1=1
       `;
 
@@ -43,8 +50,10 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
       }
 
       if (status) {
-        query += ' AND wo.status = ?';
-        params.push(status);
+        // Comma-separated, e.g. status=pending,open for orders still working at the broker
+        const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+        query += ` AND wo.status IN (${statuses.map(() => '?').join(', ')})`;
+        params.push(...statuses);
       }
 
       if (watchlistId) {
@@ -85,11 +94,18 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
           ws.symbol,
           ws.exchange,
           i.name as instance_name,
-          w.name as watchlist_name
+          w.name as watchlist_name,
+          ep.id as plan_id,
+          ep.status as plan_status,
+          ep.slices_placed as plan_slices_placed,
+          ep.placed_quantity as plan_placed_quantity,
+          ep.next_slice_at as plan_next_slice_at,
+          ep.pause_reason as plan_pause_reason
         FROM watchlist_orders wo
         LEFT JOIN watchlist_symbols ws ON ws.id = wo.symbol_id
         LEFT JOIN instances i ON i.id = wo.instance_id
         LEFT JOIN watchlists w ON w.id = wo.watchlist_id
+        LEFT JOIN execution_plans ep ON ep.parent_order_id = wo.id
         WHERE wo.id = ?
       `, [orderId]);
 
@@ -114,6 +130,53 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
     }
   });
 
+  /**
+   * PUT /api/orders/:id - Modify a pending order
+   *
+   * Body: any of { price, trigger_price, quantity, pricetype }
+   */
+  router.put('/:id', requireAuth, async (req, res) => {
+    try {
+      const orderId = parseInt(req.params.id);
+      const { price, trigger_price, quantity, pricetype } = req.body;
+
+      const result = await orderPlacementService.modifyOrder(orderId, { price, trigger_price, quantity, pricetype });
+
+      // Pick up the broker's view straight away (e.g. a modified limit that filled immediately)
+      if (orderStatusTracker) {
+        try {
+          await orderStatusTracker.updateOrder(result.order_id);
+        } catch (trackError) {
+          console.error('[Orders API] Status refresh after modify failed:', trackError.message);
+        }
+      }
+
+      const order = await dbAsync.get('SELECT * FROM watchlist_orders WHERE id = ?', [orderId]);
+
+      res.json({
+        success: true,
+        message: 'Order modified successfully',
+        order_id: result.order_id,
+        previous: result.previous,
+        order
+      });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('[Orders API] Error modifying order:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to modify order',
+        message: error.message
+      });
+    }
+  });
+
   /**
    * POST /api/orders/:id/cancel - Cancel order
    */
@@ -137,6 +200,29 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
         });
       }
 
+      // A scheduled (TWAP) order stops its plan first so no further slices go out
+      const plan = executionScheduler ? await executionScheduler.getPlanByParentOrder(order.id) : null;
+      if (plan && ['RUNNING', 'PAUSED'].includes(plan.status)) {
+        const result = await executionScheduler.cancelPlan(plan.id);
+        const cancelled = result.slices.every(slice => slice.success);
+        return res.json({
+          success: cancelled,
+          message: cancelled ? 'Scheduled order cancelled successfully' : 'Some slices could not be cancelled',
+          plan: result.plan,
+          slices: result.slices
+        });
+      }
+
+      // A sliced order is cancelled through its working slices
+      if (order.slice_count > 0) {
+        const result = await orderPlacementService.cancelSlicedOrder(order.id);
+        return res.json({
+          success: result.success,
+          message: result.success ? 'Sliced order cancelled successfully' : 'Some slices could not be cancelled',
+          slices: result.slices
+        });
+      }
+
       const result = await orderPlacementService.cancelOrder(order.instance_id, order.order_id);
 
       res.json({
@@ -249,5 +335,85 @@ export default function createOrderRoutes(dbAsync, orderPlacementService, rateLi
     }
   });
 
+  /**
+   * POST /api/orders/twap - Schedule a TWAP entry
+   *
+   * Body: { instance_id, symbol_id | (symbol, exchange), action, quantity, product,
+   *         duration_minutes, slices, max_deviation_pct?, watchlist_id?, position_id? }
+   */
+  router.post('/twap', requireAuth, async (req, res) => {
+    if (!executionScheduler) {
+      return res.status(503).json({
+        success: false,
+        error: 'Execution scheduler not available'
+      });
+    }
+
+    try {
+      const plan = await executionScheduler.createPlan(req.body, req.user?.email || null);
+
+      res.status(201).json({
+        success: true,
+        message: `Scheduled ${plan.action} ${plan.total_quantity} ${plan.symbol} in ${plan.slice_count} slices`,
+        plan
+      });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('[Orders API] Error scheduling TWAP order:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to schedule order',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/orders/twap/:planId/(pause|resume|cancel) - Control a TWAP plan
+   */
+  const planActions = {
+    pause: planId => executionScheduler.pausePlan(planId),
+    resume: planId => executionScheduler.resumePlan(planId),
+    cancel: planId => executionScheduler.cancelPlan(planId)
+  };
+
+  router.post('/twap/:planId/:action(pause|resume|cancel)', requireAuth, async (req, res) => {
+    if (!executionScheduler) {
+      return res.status(503).json({
+        success: false,
+        error: 'Execution scheduler not available'
+      });
+    }
+
+    try {
+      const result = await planActions[req.params.action](parseInt(req.params.planId));
+
+      res.json({
+        success: true,
+        ...(result.plan ? result : { plan: result })
+      });
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error(`[Orders API] Error on TWAP ${req.params.action}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${req.params.action} plan`,
+        message: error.message
+      });
+    }
+  });
+
   return router;
 }
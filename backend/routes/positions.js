@@ -6,6 +6,7 @@
 
 import express from 'express';
 import { requireAuth } from '../auth.js';
+import { LIMIT_SCOPES, SCOPED_LIMIT_FIELDS } from '../lib/position-manager.js';
 
 const router = express.Router();
 
@@ -103,7 +104,7 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
    * GET /api/positions/:id
    * Get specific position details
    */
-  router.get('/:id', requireAuth, async (req, res) => {
+  router.get('/:id(\\d+)', requireAuth, async (req, res) => {
     try {
       const positionId = parseInt(req.params.id);
       const position = await positionManager.getPosition(positionId);
@@ -422,10 +423,12 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
   router.get('/limits', requireAuth, async (req, res) => {
     try {
       const limits = await positionManager.getPositionLimits();
+      const scopedLimits = await positionManager.listScopedLimits();
 
       res.json({
         success: true,
-        limits
+        limits,
+        scoped_limits: scopedLimits
       });
     } catch (error) {
       console.error('[Positions API] Error fetching position limits:', error);
@@ -440,6 +443,11 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
   /**
    * PUT /api/position-limits
    * Update position limits (Admin only)
+   *
+   * With scope INSTANCE or WATCHLIST and scope_id, sets that scope's limits
+   * (max_open_positions, max_positions_per_symbol, max_capital_per_position,
+   * max_total_capital_deployed, max_daily_loss, max_trades_per_day). Omitted
+   * or null fields are not enforced; clearing every field removes the limits.
    */
   router.put('/limits', requireAuth, async (req, res) => {
     try {
@@ -453,6 +461,11 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
         });
       }
 
+      const scope = req.body.scope ? String(req.body.scope).toUpperCase() : 'GLOBAL';
+      if (scope !== 'GLOBAL') {
+        return await updateScopedLimits(req, res, scope);
+      }
+
       const {
         max_open_positions,
         max_positions_per_symbol,
@@ -510,9 +523,81 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
     }
   });
 
+  /**
+   * Validate and save per-instance / per-watchlist limits
+   */
+  async function updateScopedLimits(req, res, scope) {
+    if (!LIMIT_SCOPES[scope]) {
+      return res.status(400).json({
+        success: false,
+        error: `scope must be one of GLOBAL, ${Object.keys(LIMIT_SCOPES).join(', ')}`
+      });
+    }
+
+    const scopeId = parseInt(req.body.scope_id);
+    if (!Number.isInteger(scopeId) || scopeId < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'scope_id is required for scoped limits'
+      });
+    }
+
+    const table = scope === 'INSTANCE' ? 'instances' : 'watchlists';
+    const target = await dbAsync.get(`SELECT id, name FROM ${table} WHERE id = ?`, [scopeId]);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: `${scope === 'INSTANCE' ? 'Instance' : 'Watchlist'} not found`
+      });
+    }
+
+    const limits = {};
+    for (const field of SCOPED_LIMIT_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === '') {
+        limits[field] = null;
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive number`
+        });
+      }
+      limits[field] = ['max_open_positions', 'max_positions_per_symbol', 'max_trades_per_day'].includes(field)
+        ? Math.floor(number)
+        : number;
+    }
+
+    const updatedLimits = await positionManager.updateScopedLimits(scope, scopeId, limits, req.user.email);
+
+    await alertService.createAlert(
+      'POSITION_LIMITS_UPDATED',
+      'INFO',
+      `${target.name} position limits ${updatedLimits ? 'updated' : 'removed'} by ${req.user.name}`,
+      {
+        scope,
+        scope_id: scopeId,
+        ...limits,
+        updated_by: req.user.email
+      }
+    );
+
+    res.json({
+      success: true,
+      message: updatedLimits ? 'Position limits updated successfully' : 'Position limits removed',
+      scope,
+      scope_id: scopeId,
+      limits: updatedLimits
+    });
+  }
+
   /**
    * GET /api/position-limits/violations
    * Get position limit violation history (Admin only)
+   * Optional ?scope=GLOBAL|INSTANCE|WATCHLIST filter
    */
   router.get('/limits/violations', requireAuth, async (req, res) => {
     try {
@@ -527,6 +612,7 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
       }
 
       const limit = parseInt(req.query.limit) || 100;
+      const scope = req.query.scope ? String(req.query.scope).toUpperCase() : null;
 
       const violations = await dbAsync.all(`
         SELECT
@@ -539,9 +625,10 @@ export default function createPositionRoutes(dbAsync, positionManager, ruleEvalu
         LEFT JOIN watchlist_symbols ws ON ws.id = v.symbol_id
         LEFT JOIN instances i ON i.id = v.instance_id
         LEFT JOIN watchlists w ON w.id = v.watchlist_id
+        ${scope ? 'WHERE v.scope = ?' : ''}
         ORDER BY v.created_at DESC
         LIMIT ?
-      `, [limit]);
+      `, scope ? [scope, limit] : [limit]);
 
       res.json({
         success: true,
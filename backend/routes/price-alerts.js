@@ -0,0 +1,132 @@
+/**
+ * Price Alert Routes
+ * API endpoints for user-defined price alerts on watchlist symbols
+ */
+
+import express from 'express';
+import { requireAuth } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Initialize price alert routes (mounted under /api/watchlists)
+ */
+export default function createPriceAlertRoutes(priceAlertService) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[PriceAlerts API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  // Users manage their own alerts; admins manage everyone's
+  const loadOwnAlert = async (req, res) => {
+    const alert = await priceAlertService.getAlert(parseInt(req.params.alertId));
+    if (
+      !alert ||
+      alert.watchlist_id !== parseInt(req.params.id) ||
+      alert.symbol_id !== parseInt(req.params.symbolId) ||
+      (!req.user?.is_admin && alert.created_by !== req.user?.email)
+    ) {
+      res.status(404).json({
+        success: false,
+        error: 'Price alert not found'
+      });
+      return null;
+    }
+    return alert;
+  };
+
+  /**
+   * GET /api/watchlists/:id/symbols/:symbolId/alerts
+   * The signed-in user's alerts on the symbol (every user's for admins)
+   */
+  router.get('/:id/symbols/:symbolId/alerts', requireAuth, async (req, res) => {
+    try {
+      const watchlistId = parseInt(req.params.id);
+      const symbolId = parseInt(req.params.symbolId);
+      await priceAlertService.getWatchlistSymbol(watchlistId, symbolId);
+      const alerts = await priceAlertService.getAlerts(
+        watchlistId,
+        symbolId,
+        req.user?.is_admin ? null : req.user?.email || null
+      );
+      res.json({
+        success: true,
+        count: alerts.length,
+        alerts
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch price alerts');
+    }
+  });
+
+  /**
+   * POST /api/watchlists/:id/symbols/:symbolId/alerts
+   * Body: { condition_type, direction, threshold, window_seconds, trigger_mode,
+   *         cooldown_seconds, severity, note }
+   */
+  router.post('/:id/symbols/:symbolId/alerts', requireAuth, async (req, res) => {
+    try {
+      const alert = await priceAlertService.createAlert(
+        parseInt(req.params.id),
+        parseInt(req.params.symbolId),
+        req.body,
+        req.user?.email || null
+      );
+      res.status(201).json({
+        success: true,
+        alert
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to create price alert');
+    }
+  });
+
+  /**
+   * PUT /api/watchlists/:id/symbols/:symbolId/alerts/:alertId
+   */
+  router.put('/:id/symbols/:symbolId/alerts/:alertId', requireAuth, async (req, res) => {
+    try {
+      if (!await loadOwnAlert(req, res)) {
+        return;
+      }
+      const alert = await priceAlertService.updateAlert(parseInt(req.params.alertId), req.body);
+      res.json({
+        success: true,
+        alert
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update price alert');
+    }
+  });
+
+  /**
+   * DELETE /api/watchlists/:id/symbols/:symbolId/alerts/:alertId
+   */
+  router.delete('/:id/symbols/:symbolId/alerts/:alertId', requireAuth, async (req, res) => {
+    try {
+      if (!await loadOwnAlert(req, res)) {
+        return;
+      }
+      await priceAlertService.deleteAlert(parseInt(req.params.alertId));
+      res.json({
+        success: true,
+        message: 'Price alert deleted'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete price alert');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,150 @@
+/**
+ * Strategy Position Routes
+ * API endpoints for grouping option legs into strategy positions with
+ * strategy-level target, stop-loss and trailing exits
+ */
+
+import express from 'express';
+import { requireAuth } from '../auth.js';
+
+const router = express.Router();
+
+/**
+ * Initialize strategy position routes
+ */
+export default function createStrategyPositionRoutes(strategyPositionManager) {
+
+  const handleError = (res, error, message) => {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`[Strategy Positions API] ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/strategy-positions?instanceId=&status=
+   */
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const { instanceId, status } = req.query;
+      const strategies = await strategyPositionManager.getStrategyPositions({
+        instanceId: instanceId ? parseInt(instanceId) : null,
+        status
+      });
+      res.json({
+        success: true,
+        count: strategies.length,
+        strategies
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch strategy positions');
+    }
+  });
+
+  /**
+   * GET /api/strategy-positions/:id
+   */
+  router.get('/:id', requireAuth, async (req, res) => {
+    try {
+      const strategy = await strategyPositionManager.getStrategyPosition(parseInt(req.params.id));
+      if (!strategy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Strategy position not found'
+        });
+      }
+      res.json({
+        success: true,
+        strategy
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to fetch strategy position');
+    }
+  });
+
+  /**
+   * POST /api/strategy-positions
+   * Group open positions into a strategy position
+   * Body: { instance_id, watchlist_id, strategy, underlying,
+   *         legs: [{ position_id, leg }], rules: { target_pnl, stop_loss_pnl, ... } }
+   */
+  router.post('/', requireAuth, async (req, res) => {
+    try {
+      const { instance_id, watchlist_id, strategy, underlying, legs, rules } = req.body;
+      const created = await strategyPositionManager.createStrategyPosition({
+        instanceId: parseInt(instance_id),
+        watchlistId: watchlist_id ? parseInt(watchlist_id) : null,
+        strategy,
+        underlying,
+        legs,
+        rules
+      });
+      res.status(201).json({
+        success: true,
+        strategy: created
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to create strategy position');
+    }
+  });
+
+  /**
+   * PUT /api/strategy-positions/:id/rules
+   * Body: { target_pnl, stop_loss_pnl, trailing_activation_pnl, trailing_giveback_pnl } (null clears)
+   */
+  router.put('/:id/rules', requireAuth, async (req, res) => {
+    try {
+      const strategy = await strategyPositionManager.updateRules(parseInt(req.params.id), req.body);
+      if (!strategy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Strategy position not found'
+        });
+      }
+      res.json({
+        success: true,
+        strategy
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to update strategy rules');
+    }
+  });
+
+  /**
+   * POST /api/strategy-positions/:id/close
+   * Exit all legs together
+   */
+  router.post('/:id/close', requireAuth, async (req, res) => {
+    try {
+      const { exitReason = 'MANUAL_CLOSE' } = req.body;
+      const strategy = await strategyPositionManager.closeStrategyPosition(
+        parseInt(req.params.id),
+        exitReason,
+        req.user.email
+      );
+      res.json({
+        success: !strategy.errors,
+        message: strategy.errors ? 'Some legs failed to close' : 'Strategy position closed successfully',
+        strategy
+      });
+    } catch (error) {
+      if (error.message === 'Strategy position not found') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      handleError(res, error, 'Failed to close strategy position');
+    }
+  });
+
+  return router;
+}
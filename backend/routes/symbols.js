@@ -6,6 +6,7 @@
 import express from 'express';
 import { requireAdminAccess } from '../auth.js';
 import { validateOpenAlgoSymbol } from '../lib/openalgo-search.js';
+import { parseStrikeSelector } from '../lib/strike-selection.js';
 
 const router = express.Router();
 
@@ -130,6 +131,15 @@ router.get('/:watchlistId/symbols', async (req, res) => {
         sc.sl_value,
         sc.ts_type,
         sc.ts_value,
+        sc.exit_mode,
+        sc.freeze_qty,
+        sc.slice_interval_ms,
+        sc.chase_enabled,
+        sc.chase_after_seconds,
+        sc.chase_ticks,
+        sc.chase_max_attempts,
+        sc.chase_price_source,
+        sc.chase_final_action,
         sc.product_type,
         sc.order_type,
         sc.max_position_size,
@@ -231,6 +241,18 @@ router.post('/:watchlistId/symbols', requireAdminAccess, async (req, res) => {
       });
     }
 
+    // Validate options_strike_offset (ATM/ITMn/OTMn or DELTA:/PREMIUM: selector)
+    if (options_strike_offset) {
+      try {
+        parseStrikeSelector(options_strike_offset);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+    }
+
     // Validate symbol using admin instance
     const validation = await validateOpenAlgoSymbol({ symbol, exchange, dbAsync });
     if (!validation.valid) {
@@ -362,6 +384,15 @@ router.post('/:watchlistId/symbols', requireAdminAccess, async (req, res) => {
         sc.ts_value,
         sc.trailing_activation_type,
         sc.trailing_activation_value,
+        sc.exit_mode,
+        sc.freeze_qty,
+        sc.slice_interval_ms,
+        sc.chase_enabled,
+        sc.chase_after_seconds,
+        sc.chase_ticks,
+        sc.chase_max_attempts,
+        sc.chase_price_source,
+        sc.chase_final_action,
         sc.product_type,
         sc.order_type,
         sc.max_position_size,
@@ -475,6 +506,15 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
       ts_value,
       trailing_activation_type,
       trailing_activation_value,
+      exit_mode,
+      freeze_qty,
+      slice_interval_ms,
+      chase_enabled,
+      chase_after_seconds,
+      chase_ticks,
+      chase_max_attempts,
+      chase_price_source,
+      chase_final_action,
       product_type,
       order_type,
       max_position_size,
@@ -517,6 +557,18 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
       });
     }
 
+    // Validate options_strike_offset (ATM/ITMn/OTMn or DELTA:/PREMIUM: selector)
+    if (options_strike_offset) {
+      try {
+        parseStrikeSelector(options_strike_offset);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+    }
+
     // Validate rounding if provided
     if (rounding && !['floor_to_lot', 'none'].includes(rounding)) {
       return res.status(400).json({
@@ -554,6 +606,53 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
       });
     }
 
+    // LOCAL: target/SL polled here; BROKER: SL-M stop + LIMIT target placed at the broker on entry fill
+    if (exit_mode && !['LOCAL', 'BROKER'].includes(exit_mode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'exit_mode must be LOCAL or BROKER'
+      });
+    }
+
+    // Orders above the exchange freeze quantity are split into slices
+    if (freeze_qty !== undefined && freeze_qty !== null && !(Number.isInteger(Number(freeze_qty)) && Number(freeze_qty) > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'freeze_qty must be a positive integer'
+      });
+    }
+
+    if (slice_interval_ms !== undefined && slice_interval_ms !== null && !(Number.isInteger(Number(slice_interval_ms)) && Number(slice_interval_ms) >= 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'slice_interval_ms must be a non-negative integer'
+      });
+    }
+
+    // Unfilled LIMIT orders are repriced toward the market every chase_after_seconds
+    for (const [field, value] of Object.entries({ chase_after_seconds, chase_ticks, chase_max_attempts })) {
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `${field} must be a positive integer`
+        });
+      }
+    }
+
+    if (chase_price_source && !['LTP', 'BID_ASK'].includes(chase_price_source)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'chase_price_source must be LTP or BID_ASK'
+      });
+    }
+
+    if (chase_final_action && !['MARKET', 'CANCEL'].includes(chase_final_action)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'chase_final_action must be MARKET or CANCEL'
+      });
+    }
+
     // Check if config exists
     const existingConfig = await dbAsync.get(
       'SELECT id FROM symbol_configs WHERE watchlist_id = ? AND symbol_id = ?',
@@ -569,13 +668,15 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
           min_qty_per_click, max_qty_per_click, capital_ceiling_per_trade,
           contract_multiplier, rounding,
           target_type, target_value, sl_type, sl_value,
-          ts_type, ts_value, trailing_activation_type, trailing_activation_value,
+          ts_type, ts_value, trailing_activation_type, trailing_activation_value, exit_mode,
+          freeze_qty, slice_interval_ms,
+          chase_enabled, chase_after_seconds, chase_ticks, chase_max_attempts, chase_price_source, chase_final_action,
           product_type, order_type,
           max_position_size, max_instances, is_enabled,
           can_trade_equity, can_trade_futures, can_trade_options,
           options_strike_offset, options_expiry_mode
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         watchlistId, symbolId,
 
@@ -604,6 +705,19 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
         ts_value || null,
         trailing_activation_type || 'IMMEDIATE',
         trailing_activation_value || null,
+        exit_mode || 'LOCAL',
+
+        // Slicing
+        freeze_qty || null,
+        slice_interval_ms || 0,
+
+        // Limit-order chasing
+        chase_enabled ? 1 : 0,
+        chase_after_seconds || 10,
+        chase_ticks || 1,
+        chase_max_attempts || 5,
+        chase_price_source || 'LTP',
+        chase_final_action || 'MARKET',
 
         // Product/Order
         product_type || 'MIS',
@@ -720,6 +834,51 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
         params.push(trailing_activation_value);
       }
 
+      if (exit_mode !== undefined) {
+        updates.push('exit_mode = ?');
+        params.push(exit_mode);
+      }
+
+      if (freeze_qty !== undefined) {
+        updates.push('freeze_qty = ?');
+        params.push(freeze_qty || null);
+      }
+
+      if (slice_interval_ms !== undefined) {
+        updates.push('slice_interval_ms = ?');
+        params.push(slice_interval_ms || 0);
+      }
+
+      if (chase_enabled !== undefined) {
+        updates.push('chase_enabled = ?');
+        params.push(chase_enabled ? 1 : 0);
+      }
+
+      if (chase_after_seconds !== undefined) {
+        updates.push('chase_after_seconds = ?');
+        params.push(chase_after_seconds || 10);
+      }
+
+      if (chase_ticks !== undefined) {
+        updates.push('chase_ticks = ?');
+        params.push(chase_ticks || 1);
+      }
+
+      if (chase_max_attempts !== undefined) {
+        updates.push('chase_max_attempts = ?');
+        params.push(chase_max_attempts || 5);
+      }
+
+      if (chase_price_source !== undefined) {
+        updates.push('chase_price_source = ?');
+        params.push(chase_price_source || 'LTP');
+      }
+
+      if (chase_final_action !== undefined) {
+        updates.push('chase_final_action = ?');
+        params.push(chase_final_action || 'MARKET');
+      }
+
       if (product_type !== undefined) {
         updates.push('product_type = ?');
         params.push(product_type);
@@ -795,6 +954,15 @@ router.put('/:watchlistId/symbols/:symbolId/config', requireAdminAccess, async (
         sc.sl_value,
         sc.ts_type,
         sc.ts_value,
+        sc.exit_mode,
+        sc.freeze_qty,
+        sc.slice_interval_ms,
+        sc.chase_enabled,
+        sc.chase_after_seconds,
+        sc.chase_ticks,
+        sc.chase_max_attempts,
+        sc.chase_price_source,
+        sc.chase_final_action,
         sc.product_type,
         sc.order_type,
         sc.max_position_size,
@@ -62,10 +62,256 @@ router.post('/quotes', requireAdminAccess, async (req, res) => {
   }
 });
 
+/**
+ * Build one watchlist order (symbol × instance) without placing it
+ * Fetches the current position and sizes the order from the symbol config.
+ *
+ * @returns {Promise<Object>} - { orderParams, currentPosition, lotSize }
+ */
+async function buildWatchlistOrder(context, symbol, instance) {
+  const { orderPlacementService, makeOpenAlgoRequest, watchlistId, action, option_type, product_type, order_type, price } = context;
+
+  // Get current position from OpenAlgo instance
+  let currentPosition = { rawQuantity: 0 };
+  try {
+    const positionResponse = await makeOpenAlgoRequest(instance, 'openposition', 'POST', {
+      strategy: instance.strategy_tag || 'WATCHLIST',
+      symbol: symbol.symbol,
+      exchange: symbol.exchange,
+      product: product_type || symbol.product_type || 'MIS'
+    });
+
+    if (positionResponse.status === 'success' && positionResponse.data) {
+      currentPosition.rawQuantity = parseInt(positionResponse.data.quantity) || 0;
+    }
+  } catch (posError) {
+    console.log(`[WatchlistOrders] Failed to fetch position for ${symbol.symbol}:`, posError.message);
+  }
+
+  console.log(`[WatchlistOrders] Current position for ${symbol.symbol}: ${currentPosition.rawQuantity}`);
+
+  // Calculate actual quantity based on quantity mode and units
+  let actualQuantity = symbol.qty_value || 1;
+  const lotSize = symbol.lot_size || 1;
+
+  // For fixed quantity mode with "lots" units, calculate actual quantity
+  if ((symbol.qty_mode || 'fixed') === 'fixed' && (symbol.qty_units || 'units') === 'lots') {
+    actualQuantity = (symbol.qty_value || 1) * lotSize;
+    console.log(`[WatchlistOrders] Lots mode: ${symbol.qty_value} lots × ${lotSize} lot_size = ${actualQuantity} actual quantity`);
+  }
+
+  // Build order parameters from symbol config
+  const orderParams = {
+    apikey: instance.api_key,
+    exchange: symbol.exchange,
+    symbol: symbol.symbol,
+    action: action.toUpperCase(),
+    quantity: actualQuantity, // Actual quantity (for "lots" mode, this is qty_value × lot_size)
+    lot_size: lotSize, // Store for reference
+    qty_mode: symbol.qty_mode || 'fixed',
+    qty_units: symbol.qty_units || 'units',
+    user_qty_value: symbol.qty_value, // User's entered quantity (before lot size multiplication)
+    product: product_type || symbol.product_type || 'MIS',
+    pricetype: order_type || symbol.order_type || 'MARKET',
+    strategy: instance.strategy_tag || 'WATCHLIST',
+    option_type: option_type || null // CE or PE for options trading
+  };
+
+  // Add price for LIMIT orders
+  if (orderParams.pricetype.toUpperCase() === 'LIMIT') {
+    if (price) {
+      orderParams.price = price;
+    } else if (!price && !symbol.price) {
+      // Skip this order - LIMIT requires price
+      throw new Error('LIMIT order requires price parameter');
+    }
+  }
+
+  // Translate UI actions to backend actions with proper position_size
+  const actionUpper = action.toUpperCase();
+  let backendAction = actionUpper;
+  let positionSize = orderParams.position_size;
+
+  // For "lots" mode, position_size should also be the actual quantity (lot_size × lots)
+  let basePositionSize = actualQuantity;
+
+  // UI SHORT button → SELL action with negative position_size (enter SHORT)
+  if (actionUpper === 'SHORT') {
+    backendAction = 'SELL';
+    // Enter SHORT position (negative actual quantity)
+    if (!positionSize) {
+      positionSize = -basePositionSize;
+    } else {
+      positionSize = -Math.abs(positionSize) * lotSize;
+    }
+    console.log(`[WatchlistOrders] UI SHORT → Backend SELL with position_size: ${positionSize}`);
+  }
+  // UI COVER button → BUY action with position_size: 0 (close SHORT)
+  else if (actionUpper === 'COVER') {
+    backendAction = 'BUY';
+    positionSize = 0;
+    console.log(`[WatchlistOrders] UI COVER → Backend BUY with position_size: ${positionSize}`);
+  }
+  // UI BUY button → BUY action with positive position_size (enter LONG)
+  else if (actionUpper === 'BUY') {
+    if (!positionSize) {
+      positionSize = basePositionSize;
+      console.log(`[WatchlistOrders] BUY entry: setting position_size to ${positionSize} (${symbol.qty_value} ${symbol.qty_units || 'units'})`);
+    }
+  }
+  // UI SELL button → SELL action with position_size: 0 (close all)
+  else if (actionUpper === 'SELL') {
+    positionSize = 0;
+    console.log(`[WatchlistOrders] SELL exit: setting position_size to 0 to close all positions`);
+  }
+
+  // Update order params with backend action and position_size
+  orderParams.action = backendAction;
+  orderParams.position_size = positionSize;
+
+  // Apply quantity rules (capital-based sizing if configured)
+  const processedParams = await orderPlacementService.applyQuantityRules(orderParams, {
+    watchlist_id: watchlistId,
+    symbol_id: symbol.symbol_id
+  });
+
+  return { orderParams: processedParams, currentPosition: currentPosition.rawQuantity, lotSize };
+}
+
+/**
+ * Place one watchlist order (symbol × instance)
+ * Builds the order, places it and records it in watchlist_orders.
+ *
+ * @returns {Promise<Object>} - Result entry for the response
+ */
+async function placeWatchlistOrder(context, symbol, instance) {
+  const { dbAsync, orderPlacementService, watchlistId, action, option_type } = context;
+  const { orderParams: processedParams, lotSize } = await buildWatchlistOrder(context, symbol, instance);
+
+  // Get symbol configuration for order_type and product_type
+  const symbolConfig = await dbAsync.get(`
+    SELECT order_type, product_type
+    FROM symbol_configs
+    WHERE symbol_id = ? AND watchlist_id = ?
+  `, [symbol.symbol_id, watchlistId]);
+
+  // Log complete order details
+  console.log(`[WatchlistOrders] Placing order:`);
+  console.log(`  Symbol: ${symbol.symbol} (${symbol.exchange})`);
+  console.log(`  UI Action: ${action.toUpperCase()}${option_type ? ' ' + option_type : ''}`);
+  console.log(`  Backend Action: ${processedParams.action}`);
+  console.log(`  Option Type: ${option_type || 'N/A'}`);
+  console.log(`  Lot Size: ${lotSize}`);
+  console.log(`  Quantity Mode: ${symbol.qty_mode || 'fixed'}, Units: ${symbol.qty_units || 'units'}`);
+  console.log(`  User Qty: ${symbol.qty_value} ${symbol.qty_units || 'units'}`);
+  console.log(`  Actual Quantity: ${processedParams.quantity}`);
+  console.log(`  Position Size: ${processedParams.position_size}`);
+  console.log(`  Instance: ${instance.name}`);
+
+  // Place order using OrderPlacementService (which handles normalization)
+  const result = await orderPlacementService.placeOrder(instance.id, processedParams, {
+    watchlist_id: watchlistId,
+    symbol_id: symbol.symbol_id
+  });
+
+  // Use the result for database logging
+  const response = { status: 'success', data: { orderid: result.order_id } };
+
+  // Record order in database
+  await dbAsync.run(`
+    INSERT INTO watchlist_orders (
+      watchlist_id, symbol_id, instance_id, order_id, orderid,
+      exchange, symbol, action, quantity, price, product_type, order_type,
+      status, response_json, placed_at, trigger_reason
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+  `, [
+    watchlistId,
+    symbol.symbol_id,
+    instance.id,
+    response.data?.orderid || null,
+    response.data?.orderid || null,
+    symbol.exchange,
+    symbol.symbol,
+    processedParams.action, // Use backend action, not UI action
+    processedParams.quantity,
+    processedParams.price || null,
+    processedParams.product || symbolConfig?.product_type || 'MIS',
+    processedParams.order_type || symbolConfig?.order_type || 'MARKET',
+    'PLACED',
+    JSON.stringify(response),
+    'MANUAL_PLACEMENT'
+  ]);
+
+  return {
+    success: true,
+    symbol: symbol.symbol,
+    instance: instance.name,
+    order_id: response.data?.orderid,
+    quantity: processedParams.quantity,
+    price: processedParams.price || 'MARKET',
+    option_type: option_type || null,
+    message: `${processedParams.action}${option_type ? ' ' + option_type : ''} order placed successfully (UI: ${action.toUpperCase()}${option_type ? ' ' + option_type : ''})`
+  };
+}
+
+/**
+ * Preview one watchlist order (dry run)
+ * Build failures are reported as a blocked row rather than an error.
+ *
+ * @returns {Promise<Object>} - Preview row
+ */
+async function previewWatchlistOrder(context, symbol, instance) {
+  const { orderPreviewService, action } = context;
+  let built;
+  try {
+    built = await buildWatchlistOrder(context, symbol, instance);
+  } catch (error) {
+    return {
+      instance_id: instance.id,
+      instance: instance.name,
+      symbol_id: symbol.symbol_id,
+      symbol: symbol.symbol,
+      exchange: symbol.exchange,
+      ui_action: action.toUpperCase(),
+      would_place: false,
+      blocked_by: [{ check: 'ORDER_PARAMS', reason: error.message }],
+      warnings: []
+    };
+  }
+
+  return orderPreviewService.previewOrder(instance, symbol, built.orderParams, {
+    watchlistId: context.watchlistId,
+    uiAction: action.toUpperCase(),
+    currentPosition: built.currentPosition
+  });
+}
+
+/**
+ * Run preview rows for every instance (in parallel) and summarise them
+ */
+async function buildPreviewGrid(instances, previewInstance) {
+  const rows = (await Promise.all(instances.map(previewInstance))).flat();
+  const placeable = rows.filter(row => row.would_place);
+  return {
+    summary: {
+      total_orders: rows.length,
+      would_place: placeable.length,
+      would_block: rows.length - placeable.length,
+      estimated_capital: Math.round(placeable.reduce((sum, row) => sum + (row.estimated_capital || 0), 0) * 100) / 100
+    },
+    orders: rows
+  };
+}
+
 /**
  * POST /api/watchlists/:id/place-orders
  * Place orders for symbols in a watchlist
  *
+ * Instances are worked in parallel; each instance's orders go out in symbol
+ * order, paced by its rate limiter. Send `Accept: application/x-ndjson` (or
+ * stream: true) to receive one JSON line per order as it completes, followed
+ * by a final `complete` line with the usual summary.
+ *
  * Body: {
  *   symbol_ids: [1, 2, 3],     // Optional: specific symbols, or all enabled if omitted
  *   action: "BUY",              // Required: BUY, SELL, SHORT, COVER
@@ -73,15 +319,21 @@ router.post('/quotes', requireAdminAccess, async (req, res) => {
  *   instance_ids: [4, 5],       // Optional: specific instances, or all assigned if omitted
  *   product_type: "MIS",        // Optional: override symbol config
  *   order_type: "MARKET",       // Optional: override symbol config
- *   price: 100.50               // Optional: for LIMIT orders
+ *   price: 100.50,              // Optional: for LIMIT orders
+ *   deadline_ms: 5000,          // Optional: orders that cannot start within this window are skipped
+ *   stream: true,               // Optional: stream progress as NDJSON
+ *   dry_run: true               // Optional (or ?dry_run=true): preview the order grid, place nothing
  * }
  */
 router.post('/:id/place-orders', requireAdminAccess, async (req, res) => {
   const dbAsync = req.app.locals.dbAsync;
   const orderPlacementService = req.app.locals.orderPlacementService;
+  const orderDispatcher = req.app.locals.orderDispatcher;
+  const orderPreviewService = req.app.locals.orderPreviewService;
   const makeOpenAlgoRequest = req.app.locals.makeOpenAlgoRequest;
+  const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true;
 
-  if (!orderPlacementService) {
+  if (!orderPlacementService || !orderDispatcher || (dryRun && !orderPreviewService)) {
     return res.status(500).json({ error: 'Order placement service not initialized' });
   }
 
@@ -93,7 +345,9 @@ router.post('/:id/place-orders', requireAdminAccess, async (req, res) => {
     instance_ids,
     product_type,
     order_type,
-    price
+    price,
+    deadline_ms,
+    stream
   } = req.body;
 
   // Validate action
@@ -107,6 +361,18 @@ router.post('/:id/place-orders', requireAdminAccess, async (req, res) => {
     return res.status(400).json({ error: 'Invalid option_type. Must be CE or PE.' });
   }
 
+  // Validate deadline if provided
+  const deadlineMs = deadline_ms === undefined || deadline_ms === null ? null : Number(deadline_ms);
+  if (deadlineMs !== null && (!Number.isInteger(deadlineMs) || deadlineMs <= 0)) {
+    return res.status(400).json({ error: 'deadline_ms must be a positive integer (milliseconds)' });
+  }
+
+  const streaming = stream === true || (req.get('accept') || '').includes('application/x-ndjson');
+  const writeLine = (payload) => {
+    res.write(`${JSON.stringify(payload)}\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
   try {
     // Get watchlist details
     const watchlist = await dbAsync.get('SELECT * FROM watchlists WHERE id = ?', [watchlistId]);
@@ -178,216 +444,108 @@ router.post('/:id/place-orders', requireAdminAccess, async (req, res) => {
       return res.status(400).json({ error: 'No active instances with order placement enabled found for this watchlist' });
     }
 
-    // Place orders for each symbol on each instance
-    const results = [];
-    const errors = [];
-
-    for (const symbol of symbols) {
-      for (const instance of instances) {
-        try {
-          // Get current position from OpenAlgo instance
-          let currentPosition = { rawQuantity: 0 };
-          try {
-            const positionResponse = await makeOpenAlgoRequest(instance, 'openposition', 'POST', {
-              strategy: instance.strategy_tag || 'WATCHLIST',
-              symbol: symbol.symbol,
-              exchange: symbol.exchange,
-              product: product_type || symbol.product_type || 'MIS'
-            });
-
-            if (positionResponse.status === 'success' && positionResponse.data) {
-              currentPosition.rawQuantity = parseInt(positionResponse.data.quantity) || 0;
-            }
-          } catch (posError) {
-            console.log(`[WatchlistOrders] Failed to fetch position for ${symbol.symbol}:`, posError.message);
-          }
-
-          console.log(`[WatchlistOrders] Current position for ${symbol.symbol}: ${currentPosition.rawQuantity}`);
+    const context = { dbAsync, orderPlacementService, orderPreviewService, makeOpenAlgoRequest, watchlistId, action, option_type, product_type, order_type, price };
 
-          // Calculate actual quantity based on quantity mode and units
-          let actualQuantity = symbol.qty_value || 1;
-          const lotSize = symbol.lot_size || 1;
+    // Dry run: return the per-instance order grid without placing anything
+    if (dryRun) {
+      const grid = await buildPreviewGrid(instances, async (instance) => {
+        const rows = [];
+        for (const symbol of symbols) {
+          rows.push(await previewWatchlistOrder(context, symbol, instance));
+        }
+        return rows;
+      });
 
-          // For fixed quantity mode with "lots" units, calculate actual quantity
-          if ((symbol.qty_mode || 'fixed') === 'fixed' && (symbol.qty_units || 'units') === 'lots') {
-            actualQuantity = (symbol.qty_value || 1) * lotSize;
-            console.log(`[WatchlistOrders] Lots mode: ${symbol.qty_value} lots × ${lotSize} lot_size = ${actualQuantity} actual quantity`);
-          }
+      return res.json({
+        status: 'dry_run',
+        dry_run: true,
+        summary: {
+          total_symbols: symbols.length,
+          total_instances: instances.length,
+          ...grid.summary
+        },
+        orders: grid.orders
+      });
+    }
 
-          // Build order parameters from symbol config
-          const orderParams = {
-            apikey: instance.api_key,
-            exchange: symbol.exchange,
-            symbol: symbol.symbol,
-            action: action.toUpperCase(),
-            quantity: actualQuantity, // Actual quantity (for "lots" mode, this is qty_value × lot_size)
-            lot_size: lotSize, // Store for reference
-            qty_mode: symbol.qty_mode || 'fixed',
-            qty_units: symbol.qty_units || 'units',
-            user_qty_value: symbol.qty_value, // User's entered quantity (before lot size multiplication)
-            product: product_type || symbol.product_type || 'MIS',
-            pricetype: order_type || symbol.order_type || 'MARKET',
-            strategy: instance.strategy_tag || 'WATCHLIST',
-            option_type: option_type || null // CE or PE for options trading
-          };
+    // Each instance gets its own queue; instances run in parallel
+    const queues = instances.map(instance => ({ instance, tasks: symbols }));
+    const total = symbols.length * instances.length;
+
+    if (streaming) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      // no-transform keeps compression from buffering the stream
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      writeLine({
+        type: 'start',
+        total_symbols: symbols.length,
+        total_instances: instances.length,
+        total,
+        deadline_ms: deadlineMs
+      });
+    }
 
-          // Add price for LIMIT orders
-          if (orderParams.pricetype.toUpperCase() === 'LIMIT') {
-            if (price) {
-              orderParams.price = price;
-            } else if (!price && !symbol.price) {
-              // Skip this order - LIMIT requires price
-              errors.push({
-                symbol: symbol.symbol,
-                instance: instance.name,
-                error: 'LIMIT order requires price parameter'
-              });
-              continue;
-            }
-          }
+    const results = [];
+    const errors = [];
 
-          // Translate UI actions to backend actions with proper position_size
-          const actionUpper = action.toUpperCase();
-          let backendAction = actionUpper;
-          let positionSize = orderParams.position_size;
-
-          // For "lots" mode, position_size should also be the actual quantity (lot_size × lots)
-          let basePositionSize = actualQuantity;
-
-          // UI SHORT button → SELL action with negative position_size (enter SHORT)
-          if (actionUpper === 'SHORT') {
-            backendAction = 'SELL';
-            // Enter SHORT position (negative actual quantity)
-            if (!positionSize) {
-              positionSize = -basePositionSize;
-            } else {
-              positionSize = -Math.abs(positionSize) * lotSize;
-            }
-            console.log(`[WatchlistOrders] UI SHORT → Backend SELL with position_size: ${positionSize}`);
-          }
-          // UI COVER button → BUY action with position_size: 0 (close SHORT)
-          else if (actionUpper === 'COVER') {
-            backendAction = 'BUY';
-            positionSize = 0;
-            console.log(`[WatchlistOrders] UI COVER → Backend BUY with position_size: ${positionSize}`);
-          }
-          // UI BUY button → BUY action with positive position_size (enter LONG)
-          else if (actionUpper === 'BUY') {
-            if (!positionSize) {
-              positionSize = basePositionSize;
-              console.log(`[WatchlistOrders] BUY entry: setting position_size to ${positionSize} (${symbol.qty_value} ${symbol.qty_units || 'units'})`);
-            }
-          }
-          // UI SELL button → SELL action with position_size: 0 (close all)
-          else if (actionUpper === 'SELL') {
-            positionSize = 0;
-            console.log(`[WatchlistOrders] SELL exit: setting position_size to 0 to close all positions`);
+    const dispatch = await orderDispatcher.dispatch(
+      queues,
+      (instance, symbol) => placeWatchlistOrder(context, symbol, instance),
+      {
+        deadlineMs,
+        onProgress: (outcome, progress) => {
+          let entry;
+          if (outcome.status === 'success') {
+            entry = outcome.result;
+            results.push(entry);
+          } else {
+            entry = {
+              symbol: outcome.task.symbol,
+              instance: outcome.instance.name,
+              error: outcome.error,
+              skipped: outcome.status === 'skipped' || undefined
+            };
+            errors.push(entry);
           }
 
-          // Update order params with backend action and position_size
-          orderParams.action = backendAction;
-          orderParams.position_size = positionSize;
-
-          // Apply quantity rules (capital-based sizing if configured)
-          const processedParams = await orderPlacementService.applyQuantityRules(orderParams, {
-            watchlist_id: watchlistId,
-            symbol_id: symbol.symbol_id
-          });
-
-          // Get symbol configuration for order_type and product_type
-          const symbolConfig = await dbAsync.get(`
-            SELECT order_type, product_type
-            FROM symbol_configs
-            WHERE symbol_id = ? AND watchlist_id = ?
-          `, [symbol.symbol_id, watchlistId]);
-
-          // Log complete order details
-          console.log(`[WatchlistOrders] Placing order:`);
-          console.log(`  Symbol: ${symbol.symbol} (${symbol.exchange})`);
-          console.log(`  UI Action: ${action.toUpperCase()}${option_type ? ' ' + option_type : ''}`);
-          console.log(`  Backend Action: ${processedParams.action}`);
-          console.log(`  Option Type: ${option_type || 'N/A'}`);
-          console.log(`  Lot Size: ${lotSize}`);
-          console.log(`  Quantity Mode: ${symbol.qty_mode || 'fixed'}, Units: ${symbol.qty_units || 'units'}`);
-          console.log(`  User Qty: ${symbol.qty_value} ${symbol.qty_units || 'units'}`);
-          console.log(`  Actual Quantity: ${processedParams.quantity}`);
-          console.log(`  Position Size: ${processedParams.position_size}`);
-          console.log(`  Instance: ${instance.name}`);
-
-          // Place order using OrderPlacementService (which handles normalization)
-          const result = await orderPlacementService.placeOrder(instance.id, processedParams, {
-            watchlist_id: watchlistId,
-            symbol_id: symbol.symbol_id
-          });
-
-          // Use the result for database logging
-          const response = { status: 'success', data: { orderid: result.order_id } };
-
-          // Record order in database
-          if (response.status === 'success') {
-            await dbAsync.run(`
-              INSERT INTO watchlist_orders (
-                watchlist_id, symbol_id, instance_id, order_id, orderid,
-                exchange, symbol, action, quantity, price, product_type, order_type,
-                status, response_json, placed_at, trigger_reason
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
-            `, [
-              watchlistId,
-              symbol.symbol_id,
-              instance.id,
-              response.data?.orderid || null,
-              response.data?.orderid || null,
-              symbol.exchange,
-              symbol.symbol,
-              processedParams.action, // Use backend action, not UI action
-              processedParams.quantity,
-              processedParams.price || null,
-              processedParams.product || symbolConfig?.product_type || 'MIS',
-              processedParams.order_type || symbolConfig?.order_type || 'MARKET',
-              'PLACED',
-              JSON.stringify(response),
-              'MANUAL_PLACEMENT'
-            ]);
-
-            results.push({
-              success: true,
-              symbol: symbol.symbol,
-              instance: instance.name,
-              order_id: response.data?.orderid,
-              quantity: processedParams.quantity,
-              price: processedParams.price || 'MARKET',
-              option_type: option_type || null,
-              message: `${processedParams.action}${option_type ? ' ' + option_type : ''} order placed successfully (UI: ${action.toUpperCase()}${option_type ? ' ' + option_type : ''})`
-            });
-          } else {
-            throw new Error(response.message || 'Order placement failed');
+          if (streaming) {
+            writeLine({ type: 'progress', status: outcome.status, ...progress, ...entry });
           }
-        } catch (error) {
-          errors.push({
-            symbol: symbol.symbol,
-            instance: instance.name,
-            error: error.message
-          });
         }
       }
-    }
+    );
 
-    // Return results
-    res.json({
+    const skipped = errors.filter(error => error.skipped).length;
+    const payload = {
       status: 'completed',
       summary: {
         total_symbols: symbols.length,
         total_instances: instances.length,
-        total_attempts: symbols.length * instances.length,
+        total_attempts: total,
         successful: results.length,
-        failed: errors.length
+        failed: errors.length - skipped,
+        skipped,
+        timed_out: dispatch.timed_out,
+        elapsed_ms: dispatch.elapsed_ms
       },
       results,
       errors
-    });
+    };
+
+    // Return results
+    if (streaming) {
+      writeLine({ type: 'complete', ...payload });
+      return res.end();
+    }
+    res.json(payload);
 
   } catch (error) {
     console.error('Error placing watchlist orders:', error);
+    if (res.headersSent) {
+      writeLine({ type: 'error', error: error.message || 'Failed to place orders' });
+      return res.end();
+    }
     res.status(500).json({ error: error.message || 'Failed to place orders' });
   }
 });
@@ -398,14 +556,17 @@ router.post('/:id/place-orders', requireAdminAccess, async (req, res) => {
  *
  * Body: {
  *   symbol_id: 1,              // Required: Symbol ID
- *   instance_ids: [4, 5]       // Optional: specific instances, or all assigned if omitted
+ *   instance_ids: [4, 5],      // Optional: specific instances, or all assigned if omitted
+ *   dry_run: true              // Optional (or ?dry_run=true): preview the exit orders, place nothing
  * }
  */
 router.post('/:id/exit-all', requireAdminAccess, async (req, res) => {
   const dbAsync = req.app.locals.dbAsync;
   const orderPlacementService = req.app.locals.orderPlacementService;
+  const orderPreviewService = req.app.locals.orderPreviewService;
+  const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true;
 
-  if (!orderPlacementService) {
+  if (!orderPlacementService || (dryRun && !orderPreviewService)) {
     return res.status(500).json({ error: 'Order placement service not initialized' });
   }
 
@@ -467,6 +628,39 @@ router.post('/:id/exit-all', requireAdminAccess, async (req, res) => {
 
     const productType = symbolConfig?.product_type || 'MIS';
 
+    // Dry run: report the exit order each instance would send
+    if (dryRun) {
+      const grid = await buildPreviewGrid(instances, async (instance) => {
+        try {
+          return await orderPreviewService.previewExitAll(instance, {
+            symbol: symbol.symbol,
+            exchange: symbol.exchange,
+            product: productType
+          });
+        } catch (error) {
+          return {
+            instance_id: instance.id,
+            instance: instance.name,
+            symbol: symbol.symbol,
+            would_place: false,
+            blocked_by: [{ check: 'POSITION_LOOKUP', reason: error.message }]
+          };
+        }
+      });
+
+      return res.json({
+        status: 'dry_run',
+        dry_run: true,
+        summary: {
+          symbol: symbol.symbol,
+          total_instances: instances.length,
+          ...grid.summary,
+          total_positions_to_close: grid.orders.reduce((sum, row) => sum + (row.would_place ? row.quantity : 0), 0)
+        },
+        orders: grid.orders
+      });
+    }
+
     // Exit positions for each instance
     const results = [];
     const errors = [];
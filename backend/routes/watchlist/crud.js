@@ -91,6 +91,15 @@ router.get('/:id', async (req, res) => {
         sc.ts_value,
         sc.trailing_activation_type,
         sc.trailing_activation_value,
+        sc.exit_mode,
+        sc.freeze_qty,
+        sc.slice_interval_ms,
+        sc.chase_enabled,
+        sc.chase_after_seconds,
+        sc.chase_ticks,
+        sc.chase_max_attempts,
+        sc.chase_price_source,
+        sc.chase_final_action,
         sc.product_type,
         sc.order_type,
         sc.max_position_size,
@@ -86,7 +86,7 @@ router.get('/sessions', async (req, res) => {
 
 /**
  * GET /api/websocket/market-data/:exchange/:symbol
- * Get cached market data for a specific symbol
+ * Get latest market data for a specific symbol (with source and freshness when routed)
  */
 router.get('/market-data/:exchange/:symbol', async (req, res) => {
   try {
@@ -100,8 +100,7 @@ router.get('/market-data/:exchange/:symbol', async (req, res) => {
       });
     }
 
-    const cacheKey = `${exchange}:${symbol}`;
-    const data = wsManager.marketDataCache.get(cacheKey);
+    const data = wsManager.getLatestMarketData(exchange, symbol);
 
     if (!data) {
       return res.status(404).json({
@@ -297,6 +296,42 @@ router.get('/subscriptions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/websocket/freshness?stale_only=true
+ * Per-symbol last-update age, source and freshness score (stalest first)
+ */
+router.get('/freshness', async (req, res) => {
+  try {
+    const { marketDataRouter } = req.app.locals;
+
+    if (!marketDataRouter) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Market data router not initialized'
+      });
+    }
+
+    const report = marketDataRouter.getFreshnessReport();
+    const data = req.query.stale_only === 'true' ? report.filter(item => item.is_stale) : report;
+
+    res.json({
+      status: 'success',
+      count: data.length,
+      stale_count: report.filter(item => item.is_stale).length,
+      fresh_within_ms: marketDataRouter.freshWithinMs,
+      stale_after_ms: marketDataRouter.staleAfterMs,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching market data freshness:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch market data freshness',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/websocket/health
  * Get WebSocket health metrics
@@ -24,18 +24,35 @@ import websocketStatusRoutes from './routes/websocket-status.js';
 import watchlistOrderRoutes from './routes/watchlist-orders.js';
 import optionsRoutes from './routes/options.js';
 import quotesRoutes from './routes/quotes.js';
+import killSwitchRoutes from './routes/kill-switch.js';
 import AlertService from './lib/alert-service.js';
+import NotificationService from './lib/notification-service.js';
+import AlertRouter from './lib/alert-router.js';
+import PriceAlertService from './lib/price-alert-service.js';
 import WebSocketManager from './lib/websocket-manager.js';
 import MarketDataProcessor from './lib/market-data-processor.js';
+import MarketDataRouter from './lib/market-data-router.js';
 import PositionManager from './lib/position-manager.js';
 import RuleEvaluator from './lib/rule-evaluator.js';
 import RateLimiterManager from './lib/rate-limiter.js';
 import OrderPlacementService from './lib/order-placement-service.js';
+import OrderDispatcher from './lib/order-dispatcher.js';
+import OrderPreviewService from './lib/order-preview.js';
 import OrderStatusTracker from './lib/order-status-tracker.js';
-import OptionsTradingService from './lib/options-trading-service.js';
+import ExecutionScheduler from './lib/execution-scheduler.js';
+import BracketOrderManager from './lib/bracket-order-manager.js';
 import MarketDataRefreshService from './lib/market-data-refresh-service.js';
+import InstanceScheduler from './lib/instance-scheduler.js';
+import MarketCalendar from './lib/market-calendar.js';
+import StrategyPositionManager from './lib/strategy-position-manager.js';
 import createPositionRoutes from './routes/positions.js';
 import createOrderRoutes from './routes/orders.js';
+import createMarketCalendarRoutes from './routes/market-calendar.js';
+import createNotificationChannelRoutes from './routes/notification-channels.js';
+import createAlertRoutingRoutes from './routes/alert-routing.js';
+import createAlertRoutes from './routes/alerts.js';
+import createPriceAlertRoutes from './routes/price-alerts.js';
+import createStrategyPositionRoutes from './routes/strategy-positions.js';
 import { Server as SocketIOServer } from 'socket.io';
 import { errorHandler, notFoundHandler } from './middleware/error-handler.js';
 import { addVersionHeaders } from './middleware/api-versioning.js';
@@ -150,7 +167,24 @@ async function initializeDatabase() {
       await import('./db/migrations/003_enable_sqlite_optimizations.js'),
       await import('./db/migrations/004_add_symbol_configs_and_admin_fields.js'),
       await import('./db/migrations/005_add_watchlist_positions_is_closed.js'),
-      await import('./db/migrations/006_fix_missing_columns_and_tables.js')
+      await import('./db/migrations/006_fix_missing_columns_and_tables.js'),
+      await import('./db/migrations/007_add_instance_pnl_snapshots.js'),
+      await import('./db/migrations/008_add_instance_switch_policies.js'),
+      await import('./db/migrations/009_add_safe_switch_runs.js'),
+      await import('./db/migrations/010_add_instance_switch_pending.js'),
+      await import('./db/migrations/011_add_instance_schedules.js'),
+      await import('./db/migrations/012_add_market_calendar.js'),
+      await import('./db/migrations/013_add_strategy_positions.js'),
+      await import('./db/migrations/014_add_scoped_position_limits.js'),
+      await import('./db/migrations/015_add_broker_exit_orders.js'),
+      await import('./db/migrations/016_add_order_slicing.js'),
+      await import('./db/migrations/017_add_execution_plans.js'),
+      await import('./db/migrations/018_add_limit_chase.js'),
+      await import('./db/migrations/019_add_notification_channels.js'),
+      await import('./db/migrations/020_add_alert_routing.js'),
+      await import('./db/migrations/021_add_alert_resolution_columns.js'),
+      await import('./db/migrations/022_add_price_alerts.js'),
+      await import('./db/migrations/023_add_switch_policy_rule_triggers.js')
     ];
 
     // Create migration tracking table
@@ -240,6 +274,7 @@ app.use('/api/symbols', requireAuth, symbolSearchRoutes);
 app.use('/api/symbols', requireAuth, symbolRoutes);
 app.use('/api/options', requireAuth, optionsRoutes);
 app.use('/api/quotes', requireAuth, quotesRoutes);
+app.use('/api/kill-switch', requireAuth, killSwitchRoutes);
 
 // API Routes
 app.get('/api/user', async (req, res) => {
@@ -444,6 +479,10 @@ let ruleEvaluator = null;
 let rateLimiterManager = null;
 let orderPlacementService = null;
 let orderStatusTracker = null;
+let executionScheduler = null;
+let instanceScheduler = null;
+let marketCalendar = null;
+let strategyPositionManager = null;
 let monitoringLoopInterval = null;
 let io = null;
 
@@ -466,6 +505,22 @@ async function initializeWebSocketServices(httpServer) {
     alertService = new AlertService(dbAsync, emailConfig);
     console.log('✅ AlertService initialized');
 
+    // Initialize NotificationService (webhook / Telegram / Slack / SMS channels)
+    const notificationService = new NotificationService(dbAsync);
+    alertService.setNotificationService(notificationService);
+    app.locals.notificationService = notificationService;
+    console.log('✅ NotificationService initialized');
+
+    // Initialize AlertRouter (dedup, suppression windows and escalation)
+    const alertRouter = new AlertRouter(dbAsync);
+    alertService.setAlertRouter(alertRouter);
+    console.log('✅ AlertRouter initialized');
+
+    // Initialize MarketCalendar (session times, holidays, special sessions)
+    marketCalendar = new MarketCalendar(dbAsync);
+    app.locals.marketCalendar = marketCalendar;
+    console.log('✅ MarketCalendar initialized');
+
     // Initialize WebSocketManager
     wsManager = new WebSocketManager(dbAsync, alertService);
     console.log('✅ WebSocketManager initialized');
@@ -474,6 +529,17 @@ async function initializeWebSocketServices(httpServer) {
     marketDataProcessor = new MarketDataProcessor(dbAsync, wsManager);
     console.log('✅ MarketDataProcessor initialized');
 
+    // Initialize MarketDataRouter (merged stream/poll quotes, per-symbol stale failover)
+    const marketDataRouter = new MarketDataRouter(dbAsync, wsManager, alertService, marketCalendar);
+    wsManager.setMarketDataRouter(marketDataRouter);
+    app.locals.marketDataRouter = marketDataRouter;
+    console.log('✅ MarketDataRouter initialized');
+
+    // Initialize PriceAlertService (user-defined alerts on watchlist symbols)
+    const priceAlertService = new PriceAlertService(dbAsync, alertService);
+    app.locals.priceAlertService = priceAlertService;
+    console.log('✅ PriceAlertService initialized');
+
     // Initialize Socket.IO for dashboard broadcasting
     io = new SocketIOServer(httpServer, {
       cors: {
@@ -501,6 +567,17 @@ async function initializeWebSocketServices(httpServer) {
       }
     });
 
+    // Track per-symbol freshness and source of every tick
+    wsManager.on('market_tick', (tick, meta) => {
+      marketDataRouter.ingest(tick, 'WEBSOCKET', meta?.instance_id ?? null);
+    });
+
+    // Evaluate price alerts on every tick (triggers reach the dashboard as alert_created)
+    wsManager.on('market_tick', (tick) => {
+      priceAlertService.handleTick(tick)
+        .catch(error => console.error('[PriceAlertService] Failed to evaluate tick:', error.message));
+    });
+
     // Forward WebSocket status changes to frontend
     wsManager.on('connected', (data) => {
       if (io) {
@@ -514,6 +591,19 @@ async function initializeWebSocketServices(httpServer) {
       }
     });
 
+    // Forward new/escalated alerts and acknowledgements to the dashboard bell
+    alertService.on('alert_created', (alert) => {
+      if (io) {
+        io.emit('alert_created', alert);
+      }
+    });
+
+    alertService.on('alerts_updated', (update) => {
+      if (io) {
+        io.emit('alerts_updated', update);
+      }
+    });
+
     // Start WebSocket connection to Primary Admin (if configured)
     await wsManager.initialize();
     console.log('✅ WebSocket services initialized successfully');
@@ -522,6 +612,10 @@ async function initializeWebSocketServices(httpServer) {
     marketDataProcessor.start();
     console.log('✅ MarketDataProcessor started');
 
+    // Start stale-symbol sweeps
+    marketDataRouter.start();
+    console.log('✅ MarketDataRouter started');
+
     // Make services available to routes
     app.locals.alertService = alertService;
     app.locals.wsManager = wsManager;
@@ -535,9 +629,18 @@ async function initializeWebSocketServices(httpServer) {
     console.log('✅ PositionManager initialized');
 
     // Initialize RuleEvaluator
-    ruleEvaluator = new RuleEvaluator(dbAsync, positionManager, alertService, wsManager);
+    ruleEvaluator = new RuleEvaluator(dbAsync, positionManager, alertService, wsManager, marketCalendar);
     console.log('✅ RuleEvaluator initialized');
 
+    // Initialize StrategyPositionManager (multi-leg strategies exit together)
+    strategyPositionManager = new StrategyPositionManager(dbAsync, positionManager, alertService);
+    ruleEvaluator.setStrategyPositionManager(strategyPositionManager);
+    console.log('✅ StrategyPositionManager initialized');
+
+    // Mount strategy position routes
+    app.use('/api/strategy-positions', requireAuth, createStrategyPositionRoutes(strategyPositionManager));
+    console.log('✅ Strategy position routes mounted');
+
     // Mount position management routes
     const positionRoutes = createPositionRoutes(dbAsync, positionManager, ruleEvaluator, alertService);
     app.use('/api/positions', requireAuth, positionRoutes);
@@ -555,11 +658,21 @@ async function initializeWebSocketServices(httpServer) {
     console.log('✅ RateLimiterManager initialized');
 
     // Initialize OrderPlacementService
-    orderPlacementService = new OrderPlacementService(dbAsync, rateLimiterManager, alertService, makeOpenAlgoRequest);
+    orderPlacementService = new OrderPlacementService(dbAsync, rateLimiterManager, alertService, makeOpenAlgoRequest, marketCalendar);
     console.log('✅ OrderPlacementService initialized');
 
+    // Initialize OrderDispatcher (parallel per-instance fan-out for watchlist orders)
+    const orderDispatcher = new OrderDispatcher(rateLimiterManager);
+    console.log('✅ OrderDispatcher initialized');
+
+    // Initialize OrderPreviewService (dry-run for place-orders / exit-all)
+    const orderPreviewService = new OrderPreviewService(dbAsync, orderPlacementService, positionManager);
+    console.log('✅ OrderPreviewService initialized');
+
     // Make OrderPlacementService and makeOpenAlgoRequest available to routes
     app.locals.orderPlacementService = orderPlacementService;
+    app.locals.orderDispatcher = orderDispatcher;
+    app.locals.orderPreviewService = orderPreviewService;
     app.locals.makeOpenAlgoRequest = makeOpenAlgoRequest;
 
     // Connect OrderPlacementService to PositionManager
@@ -567,13 +680,27 @@ async function initializeWebSocketServices(httpServer) {
     console.log('✅ PositionManager connected to OrderPlacementService');
 
     // Initialize OrderStatusTracker
-    orderStatusTracker = new OrderStatusTracker(dbAsync, orderPlacementService, alertService);
+    orderStatusTracker = new OrderStatusTracker(dbAsync, orderPlacementService, alertService, marketCalendar);
     console.log('✅ OrderStatusTracker initialized');
 
-    // Initialize OptionsTradingService
-    const optionsTradingService = new OptionsTradingService(dbAsync, makeOpenAlgoRequest);
+    // Initialize BracketOrderManager (broker-side stop/target for exit_mode BROKER symbols)
+    const bracketOrderManager = new BracketOrderManager(dbAsync, orderPlacementService, alertService);
+    orderStatusTracker.setBracketOrderManager(bracketOrderManager);
+    ruleEvaluator.setBracketOrderManager(bracketOrderManager);
+    positionManager.setBracketOrderManager(bracketOrderManager);
+    console.log('✅ BracketOrderManager initialized');
+
+    // Initialize ExecutionScheduler (TWAP entries, child orders rolled up by OrderStatusTracker)
+    executionScheduler = new ExecutionScheduler(dbAsync, orderPlacementService, alertService, marketCalendar);
+    app.locals.executionScheduler = executionScheduler;
+    console.log('✅ ExecutionScheduler initialized');
+
+    // OptionsTradingService is shared with order placement so both reuse the same selector chains
+    const optionsTradingService = orderPlacementService.optionsTradingService;
     console.log('✅ OptionsTradingService initialized');
 
+    optionsTradingService.setStrategyPositionManager(strategyPositionManager);
+
     // Make OptionsTradingService available to routes
     app.locals.optionsTradingService = optionsTradingService;
 
@@ -581,11 +708,16 @@ async function initializeWebSocketServices(httpServer) {
     orderStatusTracker.start();
     console.log('✅ Order status tracking started');
 
+    // Resume persisted TWAP plans and place due slices
+    executionScheduler.start();
+    console.log('✅ Execution scheduler started');
+
     // Initialize Phase 6: Market Data Refresh Service
     console.log('📈 Initializing Market Data Refresh Service...');
 
     // Initialize MarketDataRefreshService
-    const marketDataRefreshService = new MarketDataRefreshService(dbAsync, makeOpenAlgoRequest, alertService);
+    const marketDataRefreshService = new MarketDataRefreshService(dbAsync, makeOpenAlgoRequest, alertService, marketCalendar);
+    marketDataRefreshService.setMarketDataRouter(marketDataRouter);
     console.log('✅ MarketDataRefreshService initialized');
 
     // Make MarketDataRefreshService available to routes
@@ -595,11 +727,36 @@ async function initializeWebSocketServices(httpServer) {
     marketDataRefreshService.start();
     console.log('✅ Market data refresh service started');
 
+    // Initialize live/analyzer schedules (ticked by node-cron below)
+    instanceScheduler = new InstanceScheduler(dbAsync, makeOpenAlgoRequest, alertService, marketCalendar);
+    app.locals.instanceScheduler = instanceScheduler;
+    console.log('✅ InstanceScheduler initialized');
+
     // Mount order management routes
-    const orderRoutes = createOrderRoutes(dbAsync, orderPlacementService, rateLimiterManager);
+    const orderRoutes = createOrderRoutes(dbAsync, orderPlacementService, rateLimiterManager, orderStatusTracker, executionScheduler);
     app.use('/api/orders', requireAuth, orderRoutes);
     console.log('✅ Order management routes mounted');
 
+    // Mount market calendar routes
+    app.use('/api/market-calendar', requireAuth, createMarketCalendarRoutes(marketCalendar));
+    console.log('✅ Market calendar routes mounted');
+
+    // Mount notification channel routes
+    app.use('/api/notification-channels', requireAuth, createNotificationChannelRoutes(notificationService));
+    console.log('✅ Notification channel routes mounted');
+
+    // Mount alert routes (list, acknowledge, resolve)
+    app.use('/api/alerts', requireAuth, createAlertRoutes(alertService));
+    console.log('✅ Alert routes mounted');
+
+    // Mount price alert routes (/api/watchlists/:id/symbols/:symbolId/alerts)
+    app.use('/api/watchlists', requireAuth, createPriceAlertRoutes(priceAlertService));
+    console.log('✅ Price alert routes mounted');
+
+    // Mount alert routing routes (rules and per-user subscriptions)
+    app.use('/api/alert-routing', requireAuth, createAlertRoutingRoutes(alertRouter, notificationService));
+    console.log('✅ Alert routing routes mounted');
+
     // Add error handling middleware (MUST be last)
     app.use(notFoundHandler); // 404 handler
     app.use(errorHandler);    // Global error handler
@@ -665,6 +822,9 @@ process.on('SIGTERM', () => {
   if (orderStatusTracker) {
     orderStatusTracker.stop();
   }
+  if (executionScheduler) {
+    executionScheduler.stop();
+  }
   process.exit(0);
 });
 
@@ -674,19 +834,35 @@ process.on('SIGINT', () => {
   if (orderStatusTracker) {
     orderStatusTracker.stop();
   }
+  if (executionScheduler) {
+    executionScheduler.stop();
+  }
   process.exit(0);
 });
 
 // Schedule instance data updates every 30 seconds (as per architecture requirements)
-cron.schedule('*/30 * * * * *', () => updater_updateInstancesData(dbAsync, makeOpenAlgoRequest));
+// Paused while every exchange is closed
+cron.schedule('*/30 * * * * *', async () => {
+  if (marketCalendar && !(await marketCalendar.isAnyMarketOpen())) {
+    return;
+  }
+  updater_updateInstancesData(dbAsync, makeOpenAlgoRequest, { alertService });
+});
 
 // Schedule health checks every 30 seconds (updated from 20 minutes)
 cron.schedule('*/30 * * * * *', () => updater_performHealthChecks(dbAsync, makeOpenAlgoRequest));
 
+// Run due live/analyzer schedules every minute
+cron.schedule('* * * * *', () => {
+  if (instanceScheduler) {
+    instanceScheduler.runDueSchedules();
+  }
+});
+
 // Run initial data update after 3 seconds
 setTimeout(() => {
   console.log('🔄 Running initial instance data update...');
-  updater_updateInstancesData(dbAsync, makeOpenAlgoRequest);
+  updater_updateInstancesData(dbAsync, makeOpenAlgoRequest, { alertService });
 }, 3000);
 
 // Initialize and start server
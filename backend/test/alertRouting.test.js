@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import AlertService from '../lib/alert-service.js';
+import AlertRouter, { sanitizeRoutingRuleInput } from '../lib/alert-router.js';
+import NotificationService, { isWithinQuietHours } from '../lib/notification-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE system_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, alert_type TEXT, severity TEXT, title TEXT, message TEXT, details_json TEXT,
+    instance_id INTEGER, watchlist_id INTEGER, is_resolved INTEGER DEFAULT 0, dedup_key TEXT,
+    occurrence_count INTEGER DEFAULT 1, last_occurred_at DATETIME, escalated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbAsync.run(`CREATE TABLE alert_routing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, alert_type TEXT UNIQUE, dedup_fields TEXT, suppress_window_seconds INTEGER,
+    escalate_after_count INTEGER, escalate_after_seconds INTEGER, escalate_to_severity TEXT, is_enabled INTEGER DEFAULT 1,
+    created_at DATETIME, updated_at DATETIME
+  )`);
+
+  const router = new AlertRouter(dbAsync);
+  const dispatched = [];
+  const alertService = new AlertService(dbAsync);
+  alertService.setAlertRouter(router);
+  alertService.setNotificationService({ dispatch: async (alert) => dispatched.push(alert) });
+  return { sqlite, dbAsync, router, alertService, dispatched };
+}
+
+test('sanitizeRoutingRuleInput validates windows and escalation', () => {
+  const rule = sanitizeRoutingRuleInput({ alert_type: 'market_data_stale', dedup_fields: 'watchlist_id', suppress_window_seconds: 300 });
+  assert.deepEqual([rule.alert_type, rule.dedup_fields, rule.suppress_window_seconds, rule.is_enabled], ['MARKET_DATA_STALE', ['watchlist_id'], 300, true]);
+  assert.equal(sanitizeRoutingRuleInput({ alert_type: '*' }).dedup_fields.join(','), 'instance_id,watchlist_id');
+
+  assert.throws(() => sanitizeRoutingRuleInput({ alert_type: 'bad type' }), { statusCode: 400 });
+  assert.throws(() => sanitizeRoutingRuleInput({ alert_type: 'X', suppress_window_seconds: -1 }), { message: /non-negative/ });
+  assert.throws(() => sanitizeRoutingRuleInput({ alert_type: 'X', escalate_to_severity: 'ERROR' }), { message: /escalate_after_count or escalate_after_seconds/ });
+  assert.throws(() => sanitizeRoutingRuleInput({ alert_type: 'X', escalate_after_count: 3 }), { message: /escalate_to_severity is required/ });
+});
+
+test('repeats inside the window are folded into one alert per dedup key', async () => {
+  const { sqlite, dbAsync, router, alertService, dispatched } = await setup();
+  await router.createRule({ alert_type: 'MARKET_DATA_STALE', dedup_fields: ['watchlist_id'], suppress_window_seconds: 300 });
+  await assert.rejects(() => router.createRule({ alert_type: 'MARKET_DATA_STALE' }), { statusCode: 400, message: /already exists/ });
+
+  const first = await alertService.alertMarketDataStale(5, 10, 60000);
+  const repeat = await alertService.alertMarketDataStale(5, 12, 90000);
+  const otherWatchlist = await alertService.alertMarketDataStale(6, 3, 60000);
+  assert.equal(repeat, first);
+  assert.notEqual(otherWatchlist, first);
+
+  let row = await dbAsync.get('SELECT dedup_key, occurrence_count, message FROM system_alerts WHERE id = ?', [first]);
+  assert.deepEqual({ ...row }, {
+    dedup_key: 'MARKET_DATA_STALE|watchlist_id=5',
+    occurrence_count: 2,
+    message: 'Market data stale for 12 symbols (90000ms)'
+  });
+  assert.deepEqual(dispatched.map(alert => alert.id), [first, otherWatchlist]);
+
+  // Once the window has passed, or the alert is resolved, the next one is new
+  await dbAsync.run("UPDATE system_alerts SET last_occurred_at = datetime('now', '-10 minutes') WHERE id = ?", [first]);
+  const afterWindow = await alertService.alertMarketDataStale(5, 12, 90000);
+  assert.notEqual(afterWindow, first);
+  await dbAsync.run('UPDATE system_alerts SET is_resolved = 1 WHERE id = ?', [afterWindow]);
+  assert.notEqual(await alertService.alertMarketDataStale(5, 12, 90000), afterWindow);
+
+  // Types without a rule are never suppressed
+  const orderFailed = await alertService.alertOrderFailed(1, 5, 'NIFTY', 'RMS', {});
+  assert.notEqual(await alertService.alertOrderFailed(1, 5, 'NIFTY', 'RMS', {}), orderFailed);
+
+  const stats = await alertService.getAlertStats();
+  assert.equal(stats.total_alerts, 6);
+  assert.equal(stats.suppressed_count, 1);
+  sqlite.close();
+});
+
+test('a condition that keeps recurring is notified again once per window', async () => {
+  const { sqlite, dbAsync, router, alertService, dispatched } = await setup();
+  await router.createRule({ alert_type: 'MARKET_DATA_STALE', dedup_fields: ['watchlist_id'], suppress_window_seconds: 300 });
+
+  // Repeats every few seconds keep last_occurred_at fresh; the window runs from the notification
+  const first = await alertService.alertMarketDataStale(5, 10, 60000);
+  assert.equal(await alertService.alertMarketDataStale(5, 10, 60000), first);
+  await dbAsync.run("UPDATE system_alerts SET created_at = datetime('now', '-6 minutes') WHERE id = ?", [first]);
+  const reminder = await alertService.alertMarketDataStale(5, 10, 60000);
+  assert.notEqual(reminder, first);
+  assert.equal(await alertService.alertMarketDataStale(5, 10, 60000), reminder);
+
+  // An escalation is a notification too
+  await dbAsync.run("UPDATE system_alerts SET created_at = datetime('now', '-20 minutes'), escalated_at = datetime('now', '-1 minute') WHERE id = ?", [reminder]);
+  assert.equal(await alertService.alertMarketDataStale(5, 10, 60000), reminder);
+
+  assert.deepEqual(dispatched.map(alert => alert.id), [first, reminder]);
+  sqlite.close();
+});
+
+test('a persisting condition escalates once by count or by age', async () => {
+  const { sqlite, dbAsync, router, alertService, dispatched } = await setup();
+  await router.createRule({ alert_type: 'WEBSOCKET_RECONNECT', dedup_fields: 'instance_id', suppress_window_seconds: 300, escalate_after_count: 3, escalate_to_severity: 'ERROR' });
+  await router.createRule({ alert_type: '*', suppress_window_seconds: 60, escalate_after_seconds: 600, escalate_to_severity: 'CRITICAL' });
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    await alertService.alertWebSocketReconnecting(2, 'Alpha', attempt, 10);
+  }
+  const reconnect = await dbAsync.get("SELECT id, severity, occurrence_count, escalated_at FROM system_alerts WHERE alert_type = 'WEBSOCKET_RECONNECT'");
+  assert.deepEqual([reconnect.severity, reconnect.occurrence_count], ['ERROR', 4]);
+  assert.ok(reconnect.escalated_at);
+  assert.deepEqual(dispatched.map(alert => [alert.id, alert.severity]), [[reconnect.id, 'WARNING'], [reconnect.id, 'ERROR']]);
+  assert.match(dispatched[1].message, /^Escalated after 3 occurrences: Reconnecting to "Alpha" \(attempt 3\/10\)/);
+
+  // The '*' rule covers other types, here escalating after 10 minutes
+  dispatched.length = 0;
+  const offline = await alertService.alertInstanceOffline(3, 'Beta');
+  await alertService.alertInstanceOffline(3, 'Beta');
+  await dbAsync.run("UPDATE system_alerts SET created_at = datetime('now', '-11 minutes') WHERE id = ?", [offline]);
+  await alertService.alertInstanceOffline(3, 'Beta');
+  assert.deepEqual(dispatched.map(alert => alert.severity), ['ERROR', 'CRITICAL']);
+
+  const stats = await alertService.getAlertStats();
+  assert.deepEqual([stats.suppressed_count, stats.escalated_count], [5, 2]);
+  sqlite.close();
+});
+
+test('subscriptions filter what a channel receives and hold non-critical alerts in quiet hours', async () => {
+  // 22:00-07:00 wraps midnight; times are IST
+  assert.equal(isWithinQuietHours('22:00', '07:00', 'Asia/Kolkata', new Date('2026-10-19T17:30:00Z')), true); // 23:00
+  assert.equal(isWithinQuietHours('22:00', '07:00', 'Asia/Kolkata', new Date('2026-10-19T04:30:00Z')), false); // 10:00
+  assert.equal(isWithinQuietHours(null, null, 'Asia/Kolkata', new Date()), false);
+
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE notification_channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, channel_type TEXT, config_json TEXT, severities_json TEXT,
+    alert_types_json TEXT, is_enabled INTEGER DEFAULT 1, created_by TEXT, created_at DATETIME, updated_at DATETIME
+  )`);
+  await dbAsync.run(`CREATE TABLE notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, channel_id INTEGER, alert_id INTEGER, channel_type TEXT, attempt INTEGER,
+    status TEXT, http_status INTEGER, error TEXT, duration_ms INTEGER, attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbAsync.run(`CREATE TABLE alert_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, user_email TEXT, channel_id INTEGER, min_severity TEXT, alert_types_json TEXT,
+    watchlist_id INTEGER, quiet_hours_start TEXT, quiet_hours_end TEXT, timezone TEXT, is_enabled INTEGER DEFAULT 1,
+    created_at DATETIME, updated_at DATETIME
+  )`);
+
+  const sent = [];
+  const fetch = async (url, options) => {
+    sent.push(JSON.parse(options.body).text);
+    return { ok: true, status: 200, text: async () => '{"ok":true}' };
+  };
+  const service = new NotificationService(dbAsync, { fetch, retryDelayMs: 0 });
+  const channel = await service.createChannel({ name: 'Ravi', channel_type: 'TELEGRAM', config: { bot_token: 'T', chat_id: '9' } });
+
+  await assert.rejects(() => service.createSubscription({ channel_id: 99 }, 'ravi@example.com'), { message: /channel 99 not found/ });
+  await assert.rejects(() => service.createSubscription({ channel_id: channel.id, quiet_hours_start: '22:00' }, 'ravi@example.com'), { message: /set together/ });
+  const subscription = await service.createSubscription({
+    channel_id: channel.id, min_severity: 'error', watchlist_id: 5, quiet_hours_start: '22:00', quiet_hours_end: '07:00'
+  }, 'ravi@example.com');
+  assert.deepEqual([subscription.min_severity, subscription.timezone, subscription.channel_name], ['ERROR', 'Asia/Kolkata', 'Ravi']);
+
+  const daytime = new Date('2026-10-19T04:30:00Z');
+  const night = new Date('2026-10-19T17:30:00Z');
+  const alert = { id: 1, alert_type: 'ORDER_FAILED', severity: 'ERROR', title: 'Order Failed', message: 'RMS', watchlist_id: 5 };
+
+  assert.deepEqual(await service.dispatch({ ...alert, severity: 'WARNING' }, daytime), []);
+  assert.deepEqual(await service.dispatch({ ...alert, watchlist_id: 6 }, daytime), []);
+  assert.equal((await service.dispatch(alert, daytime))[0].status, 'SENT');
+
+  const [held] = await service.dispatch({ ...alert, id: 2 }, night);
+  assert.deepEqual([held.status, held.error], ['SUPPRESSED', 'Quiet hours: ravi@example.com']);
+  assert.equal((await service.dispatch({ ...alert, id: 3, severity: 'CRITICAL' }, night))[0].status, 'SENT');
+  assert.equal(sent.length, 2);
+
+  const deliveries = await service.getDeliveries({ channelId: channel.id });
+  assert.deepEqual(deliveries.map(delivery => [delivery.alert_id, delivery.status]), [[3, 'SENT'], [2, 'SUPPRESSED'], [1, 'SENT']]);
+
+  // Updating keeps omitted fields; disabling the subscription leaves the channel unfiltered
+  const updated = await service.updateSubscription(subscription.id, { is_enabled: false });
+  assert.deepEqual([updated.min_severity, updated.quiet_hours_start, updated.is_enabled], ['ERROR', '22:00', 0]);
+  assert.equal((await service.dispatch({ ...alert, id: 4, severity: 'INFO' }, night))[0].status, 'SENT');
+  sqlite.close();
+});
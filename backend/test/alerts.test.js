@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import AlertService, { sanitizeAlertIds, sanitizeAlertQuery } from '../lib/alert-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run('CREATE TABLE watchlists (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run(`CREATE TABLE system_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, alert_type TEXT, severity TEXT, title TEXT, message TEXT, details_json TEXT,
+    instance_id INTEGER, watchlist_id INTEGER, is_resolved INTEGER DEFAULT 0, dedup_key TEXT,
+    occurrence_count INTEGER DEFAULT 1, last_occurred_at DATETIME, escalated_at DATETIME,
+    is_acknowledged INTEGER DEFAULT 0, acknowledged_by TEXT, acknowledged_at DATETIME,
+    resolved_at DATETIME, resolved_by TEXT, resolution_notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Zerodha Main')");
+  await dbAsync.run("INSERT INTO watchlists (id, name) VALUES (7, 'Nifty Scalps')");
+
+  const alertService = new AlertService(dbAsync);
+  return { sqlite, dbAsync, alertService };
+}
+
+test('sanitizeAlertQuery and sanitizeAlertIds validate list and bulk input', () => {
+  const filters = sanitizeAlertQuery({ severity: 'error, critical', alert_type: 'order_failed', page: '2', watchlist_id: '7' });
+  assert.deepEqual(
+    [filters.status, filters.severities, filters.alert_type, filters.page, filters.page_size, filters.watchlist_id],
+    ['unresolved', ['ERROR', 'CRITICAL'], 'ORDER_FAILED', 2, 50, 7]
+  );
+  assert.equal(sanitizeAlertQuery({ since: '2026-03-02T09:15:00Z' }).since, '2026-03-02 09:15:00');
+
+  assert.throws(() => sanitizeAlertQuery({ status: 'open' }), { statusCode: 400 });
+  assert.throws(() => sanitizeAlertQuery({ severity: 'LOUD' }), { message: /severity/ });
+  assert.throws(() => sanitizeAlertQuery({ page_size: '500' }), { message: /page_size/ });
+  assert.throws(() => sanitizeAlertQuery({ until: 'yesterday' }), { message: /until must be a valid date/ });
+
+  assert.deepEqual(sanitizeAlertIds([3, '3', 4]), [3, 4]);
+  assert.throws(() => sanitizeAlertIds([]), { statusCode: 400 });
+  assert.throws(() => sanitizeAlertIds([1, 'x']), { message: /positive integers/ });
+});
+
+test('createAlert emits alert_created with the stored alert', async () => {
+  const { sqlite, alertService } = await setup();
+  const events = [];
+  alertService.on('alert_created', alert => events.push(alert));
+
+  const id = await alertService.alertOrderFailed(1, 7, 'NIFTY', 'Insufficient margin', {});
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(
+    [events[0].id, events[0].alert_type, events[0].severity, events[0].instance_id, events[0].watchlist_id],
+    [id, 'ORDER_FAILED', 'ERROR', 1, 7]
+  );
+  assert.match(events[0].message, /Insufficient margin/);
+  sqlite.close();
+});
+
+test('queryAlerts filters, joins names and paginates', async () => {
+  const { sqlite, dbAsync, alertService } = await setup();
+  for (let i = 0; i < 5; i++) {
+    await alertService.createAlert('ORDER_FAILED', 'ERROR', `Order ${i} failed`, {}, 1, 7);
+  }
+  await alertService.createAlert('MARKET_DATA_STALE', 'WARNING', 'Stale quotes', {}, null, 7);
+  await dbAsync.run("UPDATE system_alerts SET is_resolved = 1 WHERE message = 'Order 0 failed'");
+
+  const firstPage = await alertService.queryAlerts(sanitizeAlertQuery({ severity: 'ERROR', page_size: '3' }));
+  assert.equal(firstPage.total, 4);
+  assert.equal(firstPage.alerts.length, 3);
+  assert.deepEqual([firstPage.alerts[0].instance_name, firstPage.alerts[0].watchlist_name], ['Zerodha Main', 'Nifty Scalps']);
+
+  const secondPage = await alertService.queryAlerts(sanitizeAlertQuery({ severity: 'ERROR', page_size: '3', page: '2' }));
+  assert.equal(secondPage.alerts.length, 1);
+  assert.equal(new Set([...firstPage.alerts, ...secondPage.alerts].map(alert => alert.id)).size, 4);
+
+  const resolved = await alertService.queryAlerts(sanitizeAlertQuery({ status: 'resolved' }));
+  assert.deepEqual(resolved.alerts.map(alert => alert.message), ['Order 0 failed']);
+
+  const search = await alertService.queryAlerts(sanitizeAlertQuery({ status: 'all', search: 'stale' }));
+  assert.deepEqual(search.alerts.map(alert => alert.alert_type), ['MARKET_DATA_STALE']);
+  sqlite.close();
+});
+
+test('bulk acknowledge and resolve update rows and emit alerts_updated', async () => {
+  const { sqlite, alertService } = await setup();
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    ids.push(await alertService.createAlert('ORDER_FAILED', 'ERROR', `Order ${i} failed`, {}, 1, null));
+  }
+  const updates = [];
+  alertService.on('alerts_updated', update => updates.push(update));
+
+  assert.equal(await alertService.getUnacknowledgedCount(), 3);
+  assert.equal(await alertService.acknowledgeAlerts([ids[0], ids[1]], 'ops@example.com'), 2);
+  assert.equal(await alertService.acknowledgeAlerts([ids[0]], 'other@example.com'), 0);
+  assert.equal(await alertService.getUnacknowledgedCount(), 1);
+
+  assert.equal(await alertService.resolveAlerts([ids[1], ids[2]], 'admin@example.com', 'Margin topped up'), 2);
+  const acknowledged = await alertService.getAlert(ids[0]);
+  const resolved = await alertService.getAlert(ids[2]);
+  assert.deepEqual([acknowledged.acknowledged_by, acknowledged.is_resolved], ['ops@example.com', 0]);
+  assert.deepEqual(
+    [resolved.is_resolved, resolved.is_acknowledged, resolved.acknowledged_by, resolved.resolved_by, resolved.resolution_notes],
+    [1, 1, 'admin@example.com', 'admin@example.com', 'Margin topped up']
+  );
+  assert.equal(await alertService.getUnacknowledgedCount(), 0);
+
+  assert.deepEqual(updates.map(update => update.action), ['acknowledged', 'acknowledged', 'resolved']);
+  assert.deepEqual(updates[2].ids, [ids[1], ids[2]]);
+  sqlite.close();
+});
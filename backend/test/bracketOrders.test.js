@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import OrderPlacementService from '../lib/order-placement-service.js';
+import BracketOrderManager from '../lib/bracket-order-manager.js';
+import RuleEvaluator from '../lib/rule-evaluator.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+// Open LONG 50 RELIANCE @ 2500 with SL 2450.02 and target 2600 (tick 0.05)
+async function setup({ exitMode = 'BROKER' } = {}) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, strategy_tag TEXT)');
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, symbol TEXT, exchange TEXT, lot_size INTEGER)');
+  await dbAsync.run('CREATE TABLE symbol_configs (symbol_id INTEGER, exit_mode TEXT)');
+  await dbAsync.run('CREATE TABLE symbol_search_cache (symbol TEXT, exchange TEXT, tick_size REAL)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY, watchlist_id INTEGER, symbol_id INTEGER, instance_id INTEGER, entry_price REAL,
+    quantity INTEGER, direction TEXT, status TEXT, product_type TEXT, target_price REAL, sl_price REAL,
+    trailing_stop_price REAL, trailing_activated INTEGER DEFAULT 0, highest_price_seen REAL, lowest_price_seen REAL,
+    is_closed INTEGER DEFAULT 0, exit_reason TEXT, closed_by TEXT, sl_order_id TEXT, target_order_id TEXT
+  )`);
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, instance_id INTEGER, watchlist_id INTEGER, symbol_id INTEGER,
+    position_id INTEGER, order_id TEXT, orderid TEXT, exchange TEXT, symbol TEXT, action TEXT, quantity INTEGER,
+    order_type TEXT, price REAL, product_type TEXT, pricetype TEXT, status TEXT, trigger_price REAL,
+    response_json TEXT, cancelled_at DATETIME, cancelled_by TEXT, updated_at DATETIME
+  )`);
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Alpha')");
+  await dbAsync.run("INSERT INTO watchlist_symbols VALUES (7, 'RELIANCE', 'NSE', 1)");
+  await dbAsync.run('INSERT INTO symbol_configs VALUES (7, ?)', [exitMode]);
+  await dbAsync.run("INSERT INTO symbol_search_cache VALUES ('RELIANCE', 'NSE', 0.05)");
+  await dbAsync.run(`INSERT INTO watchlist_positions
+    (id, watchlist_id, symbol_id, instance_id, entry_price, quantity, direction, status, product_type, target_price, sl_price)
+    VALUES (3, 2, 7, 1, 2500, 50, 'LONG', 'OPEN', 'MIS', 2600, 2450.02)`);
+
+  const calls = [];
+  const alerts = [];
+  const alertService = { createAlert: async (...args) => alerts.push(args) };
+  const orderService = new OrderPlacementService(
+    dbAsync,
+    { acquireToken: async () => ({ waitTime: 0 }) },
+    alertService,
+    async (instance, endpoint, method, payload) => {
+      calls.push({ endpoint, payload });
+      return { status: 'success', orderid: `B${calls.length}` };
+    }
+  );
+  const manager = new BracketOrderManager(dbAsync, orderService, alertService);
+  return { sqlite, dbAsync, manager, calls, alerts };
+}
+
+test('placeBracket places an SL-M stop and LIMIT target at the broker on entry fill', async () => {
+  const { sqlite, dbAsync, manager, calls } = await setup();
+
+  const result = await manager.placeBracket(3);
+
+  assert.deepEqual(result, { sl_order_id: 'B1', target_order_id: 'B2', errors: [] });
+  assert.deepEqual(calls.map(call => call.endpoint), ['placeorder', 'placeorder']);
+  assert.equal(calls[0].payload.action, 'SELL');
+  assert.equal(calls[0].payload.pricetype, 'SL-M');
+  assert.equal(calls[0].payload.trigger_price, '2450');
+  assert.equal(calls[0].payload.quantity, '50');
+  assert.equal(calls[0].payload.position_size, undefined);
+  assert.equal(calls[1].payload.pricetype, 'LIMIT');
+  assert.equal(calls[1].payload.price, '2600');
+
+  const position = await dbAsync.get('SELECT sl_order_id, target_order_id FROM watchlist_positions WHERE id = 3');
+  assert.deepEqual({ ...position }, { sl_order_id: 'B1', target_order_id: 'B2' });
+  // Both legs are tracked as exit orders of the position
+  const orders = await dbAsync.all('SELECT order_id, order_type, position_id, status FROM watchlist_orders ORDER BY id');
+  assert.deepEqual(orders.map(order => [order.order_id, order.order_type, order.position_id, order.status]), [
+    ['B1', 'EXIT', 3, 'pending'],
+    ['B2', 'EXIT', 3, 'pending']
+  ]);
+
+  // Idempotent for a repeated fill report
+  assert.equal(await manager.placeBracket(3), null);
+  assert.equal(calls.length, 2);
+  sqlite.close();
+});
+
+test('placeBracket leaves LOCAL exit mode symbols to local monitoring', async () => {
+  const { sqlite, manager, calls } = await setup({ exitMode: 'LOCAL' });
+
+  assert.equal(await manager.placeBracket(3), null);
+  assert.equal(calls.length, 0);
+  sqlite.close();
+});
+
+test('a filled leg cancels the other leg and closes the position (OCO)', async () => {
+  const { sqlite, dbAsync, manager, calls } = await setup();
+  await manager.placeBracket(3);
+
+  const target = await dbAsync.get("SELECT * FROM watchlist_orders WHERE order_id = 'B2'");
+  const result = await manager.handleExitFill(target);
+
+  assert.deepEqual(result, { leg: 'TARGET', exit_reason: 'TARGET_HIT', cancelled: 'B1' });
+  assert.deepEqual(calls[2], { endpoint: 'cancelorder', payload: { orderid: 'B1' } });
+  const position = await dbAsync.get('SELECT is_closed, exit_reason, closed_by, sl_order_id, target_order_id FROM watchlist_positions WHERE id = 3');
+  assert.deepEqual({ ...position }, {
+    is_closed: 1, exit_reason: 'TARGET_HIT', closed_by: 'BROKER_BRACKET', sl_order_id: null, target_order_id: null
+  });
+  assert.equal((await dbAsync.get("SELECT status FROM watchlist_orders WHERE order_id = 'B1'")).status, 'cancelled');
+  sqlite.close();
+});
+
+test('rule evaluator skips broker-held levels and trails the broker stop order', async () => {
+  const { sqlite, dbAsync, manager, calls } = await setup();
+  await manager.placeBracket(3);
+  await dbAsync.run("UPDATE watchlist_orders SET status = 'open'");
+
+  const evaluator = new RuleEvaluator(dbAsync, null, { createAlert: async () => {} }, null);
+  evaluator.setBracketOrderManager(manager);
+  const position = await dbAsync.get('SELECT * FROM watchlist_positions WHERE id = 3');
+
+  // Below the stop and above the target: both are the broker's job now
+  assert.deepEqual(await evaluator.checkExitConditions(position, 2400), { shouldExit: false });
+  assert.deepEqual(await evaluator.checkExitConditions(position, 2650), { shouldExit: false });
+
+  // New high with a 2% immediate trailing stop: 2550 * 0.98 = 2499
+  await evaluator.updateTrailingStop({
+    ...position, ts_type: 'PERCENTAGE', ts_value: 2, trailing_activated: 1, trailing_activation_type: 'IMMEDIATE'
+  }, 2550);
+
+  const modify = calls.find(call => call.endpoint === 'modifyorder');
+  assert.equal(modify.payload.orderid, 'B1');
+  assert.equal(modify.payload.pricetype, 'SL-M');
+  assert.equal(modify.payload.trigger_price, '2499');
+  assert.equal((await dbAsync.get("SELECT trigger_price FROM watchlist_orders WHERE order_id = 'B1'")).trigger_price, 2499);
+  sqlite.close();
+});
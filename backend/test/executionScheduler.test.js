@@ -0,0 +1,187 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import OrderPlacementService from '../lib/order-placement-service.js';
+import OrderStatusTracker from '../lib/order-status-tracker.js';
+import ExecutionScheduler, { sanitizeTwapInput } from '../lib/execution-scheduler.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const START = new Date('2026-10-19T04:00:00.000Z');
+const at = seconds => new Date(START.getTime() + seconds * 1000);
+
+// 10 lots of NIFTY futures (lot 75) over 1 minute in 4 slices: one every 15s
+const plan = {
+  instance_id: 1, symbol_id: 7, action: 'SHORT', quantity: 750, product: 'NRML', duration_minutes: 1, slices: 4
+};
+
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE instances (
+    id INTEGER PRIMARY KEY, name TEXT, strategy_tag TEXT, is_active INTEGER, order_placement_enabled INTEGER, health_status TEXT
+  )`);
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, watchlist_id INTEGER, symbol TEXT, exchange TEXT, lot_size INTEGER)');
+  await dbAsync.run('CREATE TABLE market_data (exchange TEXT, symbol TEXT, ltp REAL)');
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, instance_id INTEGER, watchlist_id INTEGER, symbol_id INTEGER,
+    position_id INTEGER, order_id TEXT, orderid TEXT, exchange TEXT, symbol TEXT, action TEXT, quantity INTEGER,
+    order_type TEXT, price REAL, product_type TEXT, pricetype TEXT, status TEXT, trigger_price REAL,
+    response_json TEXT, message TEXT, filled_quantity INTEGER DEFAULT 0, average_price REAL,
+    parent_order_id INTEGER, slice_count INTEGER, placed_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME
+  )`);
+  await dbAsync.run(`CREATE TABLE execution_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, parent_order_id INTEGER, instance_id INTEGER, watchlist_id INTEGER,
+    symbol_id INTEGER, position_id INTEGER, symbol TEXT, exchange TEXT, action TEXT, product_type TEXT,
+    total_quantity INTEGER, lot_size INTEGER, slice_count INTEGER, interval_ms INTEGER,
+    slices_placed INTEGER DEFAULT 0, placed_quantity INTEGER DEFAULT 0, max_deviation_pct REAL, start_price REAL,
+    status TEXT DEFAULT 'RUNNING', pause_reason TEXT, last_error TEXT, next_slice_at DATETIME, created_by TEXT,
+    created_at DATETIME, completed_at DATETIME, updated_at DATETIME
+  )`);
+  await dbAsync.run("INSERT INTO instances VALUES (1, 'Alpha', NULL, 1, 1, 'healthy')");
+  await dbAsync.run("INSERT INTO watchlist_symbols VALUES (7, 2, 'NIFTY24NOVFUT', 'NFO', 75)");
+  await dbAsync.run("INSERT INTO market_data VALUES ('NFO', 'NIFTY24NOVFUT', 24000)");
+
+  const calls = [];
+  const alerts = [];
+  const alertService = { createAlert: async (...args) => alerts.push(args) };
+  const orderService = new OrderPlacementService(
+    dbAsync,
+    { acquireToken: async () => ({ waitTime: 0 }) },
+    alertService,
+    async (instance, endpoint, method, payload) => {
+      calls.push({ endpoint, payload });
+      return { status: 'success', orderid: `C${calls.length}` };
+    }
+  );
+  orderService.marginChecker.enabled = false;
+  const scheduler = new ExecutionScheduler(dbAsync, orderService, alertService);
+  return { sqlite, dbAsync, orderService, scheduler, calls, alerts };
+}
+
+test('sanitizeTwapInput validates the plan request', () => {
+  assert.equal(sanitizeTwapInput({ ...plan, action: 'buy' }).action, 'BUY');
+  assert.throws(() => sanitizeTwapInput({ ...plan, slices: 1 }), { statusCode: 400, message: /slices must be between 2/ });
+  assert.throws(() => sanitizeTwapInput({ ...plan, duration_minutes: 0 }), { statusCode: 400 });
+  assert.throws(() => sanitizeTwapInput({ ...plan, symbol_id: undefined }), { message: /symbol and exchange/ });
+  assert.throws(() => sanitizeTwapInput({ ...plan, max_deviation_pct: -1 }), { message: /max_deviation_pct/ });
+});
+
+test('a TWAP plan places lot-rounded slices on schedule under one parent order', async () => {
+  const { sqlite, dbAsync, orderService, scheduler, calls, alerts } = await setup();
+
+  await assert.rejects(() => scheduler.createPlan({ ...plan, quantity: 700 }, null, START), { statusCode: 400, message: /lot size \(75\)/ });
+  await assert.rejects(() => scheduler.createPlan({ ...plan, quantity: 150 }, null, START), { message: 'Cannot split 2 lots into 4 slices' });
+
+  const created = await scheduler.createPlan(plan, 'admin@example.com', START);
+  assert.equal(created.interval_ms, 15000);
+  assert.equal(created.start_price, 24000);
+
+  await scheduler.runDuePlans(at(0));
+  await scheduler.runDuePlans(at(5));
+  assert.equal(calls.length, 1, 'next slice waits for the interval');
+
+  // A restart picks the plan up from the database
+  const restarted = new ExecutionScheduler(dbAsync, orderService, scheduler.alertService);
+  await restarted.runDuePlans(at(15));
+  await restarted.runDuePlans(at(30));
+  await restarted.runDuePlans(at(45));
+  await restarted.runDuePlans(at(60));
+
+  assert.deepEqual(calls.map(call => [call.endpoint, call.payload.action, call.payload.quantity]), [
+    ['placeorder', 'SELL', '225'],
+    ['placeorder', 'SELL', '225'],
+    ['placeorder', 'SELL', '150'],
+    ['placeorder', 'SELL', '150']
+  ]);
+  const done = await scheduler.getPlan(created.id);
+  assert.equal(done.status, 'COMPLETED');
+  assert.equal(done.placed_quantity, 750);
+  assert.equal(done.next_slice_at, null);
+  assert.equal(alerts.at(-1)[0], 'TWAP_COMPLETED');
+
+  const children = await dbAsync.all('SELECT order_id, quantity FROM watchlist_orders WHERE parent_order_id = ? ORDER BY id', [created.parent_order_id]);
+  assert.deepEqual(children.map(child => [child.order_id, child.quantity]), [['C1', 225], ['C2', 225], ['C3', 150], ['C4', 150]]);
+  const parent = await dbAsync.get('SELECT action, quantity, slice_count, status FROM watchlist_orders WHERE id = ?', [created.parent_order_id]);
+  assert.deepEqual({ ...parent }, { action: 'SHORT', quantity: 750, slice_count: 4, status: 'pending' });
+  sqlite.close();
+});
+
+test('a TWAP plan pauses while the price strays and resumes when it returns', async () => {
+  const { sqlite, dbAsync, scheduler, calls, alerts } = await setup();
+  const created = await scheduler.createPlan({ ...plan, max_deviation_pct: 1 }, null, START);
+
+  await scheduler.runDuePlans(at(0));
+  await dbAsync.run('UPDATE market_data SET ltp = 24300');
+  await scheduler.runDuePlans(at(15));
+
+  let current = await scheduler.getPlan(created.id);
+  assert.deepEqual([current.status, current.pause_reason, calls.length], ['PAUSED', 'PRICE_DEVIATION', 1]);
+  assert.equal(alerts.at(-1)[0], 'TWAP_PAUSED');
+
+  await dbAsync.run('UPDATE market_data SET ltp = 24100');
+  await scheduler.runDuePlans(at(20));
+
+  current = await scheduler.getPlan(created.id);
+  assert.deepEqual([current.status, current.slices_placed, calls.length], ['RUNNING', 2, 2]);
+  assert.ok(alerts.some(alert => alert[0] === 'TWAP_RESUMED'));
+  sqlite.close();
+});
+
+test('the parent stays open until the plan ends and settles on the filled slices when cancelled', async () => {
+  const { sqlite, dbAsync, orderService, scheduler } = await setup();
+  const created = await scheduler.createPlan(plan, null, START);
+  await scheduler.runDuePlans(at(0));
+  await scheduler.runDuePlans(at(15));
+
+  const orderBook = [
+    { orderid: 'C1', status: 'complete', fillshares: '225', avgprice: '24000' },
+    { orderid: 'C2', status: 'complete', fillshares: '225', avgprice: '24010' }
+  ];
+  const tracker = new OrderStatusTracker(dbAsync, { getOrderBook: async () => orderBook }, { createAlert: async () => {} });
+
+  await tracker.updatePendingOrders();
+  let parent = await dbAsync.get('SELECT status, filled_quantity FROM watchlist_orders WHERE id = ?', [created.parent_order_id]);
+  assert.deepEqual({ ...parent }, { status: 'open', filled_quantity: 450 });
+
+  const cancelled = await scheduler.cancelPlan(created.id);
+  assert.equal(cancelled.plan.status, 'CANCELLED');
+  await assert.rejects(() => scheduler.resumePlan(created.id), { statusCode: 400 });
+
+  await tracker.updatePendingOrders();
+  parent = await dbAsync.get('SELECT status, filled_quantity, average_price, slice_count FROM watchlist_orders WHERE id = ?', [created.parent_order_id]);
+  assert.deepEqual({ ...parent }, { status: 'complete', filled_quantity: 450, average_price: 24005, slice_count: 2 });
+
+  // Failed slices pause the plan until it is resumed by hand
+  const second = await scheduler.createPlan(plan, null, START);
+  orderService.makeOpenAlgoRequest = async () => ({ status: 'error', message: 'RMS: margin exceeds' });
+  await scheduler.runDuePlans(at(0));
+  await scheduler.runDuePlans(at(30));
+  let current = await scheduler.getPlan(second.id);
+  assert.deepEqual([current.status, current.pause_reason, current.last_error], ['PAUSED', 'ORDER_FAILED', 'RMS: margin exceeds']);
+
+  current = await scheduler.resumePlan(second.id, at(31));
+  assert.equal(current.status, 'RUNNING');
+  sqlite.close();
+});
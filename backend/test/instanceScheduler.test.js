@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up as addSafeSwitchRuns } from '../db/migrations/009_add_safe_switch_runs.js';
+import { up as addSwitchPending } from '../db/migrations/010_add_instance_switch_pending.js';
+import { up as addSchedules } from '../db/migrations/011_add_instance_schedules.js';
+import { up as addMarketCalendar } from '../db/migrations/012_add_market_calendar.js';
+import InstanceScheduler, { sanitizeScheduleInput } from '../lib/instance-scheduler.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setupDb() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, is_analyzer_mode INTEGER DEFAULT 0, last_updated DATETIME)');
+  await dbAsync.run("INSERT INTO instances (id, name, is_analyzer_mode) VALUES (1, 'Alpha', 1)");
+  await addSafeSwitchRuns(dbAsync);
+  await addSwitchPending(dbAsync);
+  await addSchedules(dbAsync);
+  await addMarketCalendar(dbAsync);
+  return { sqlite, dbAsync };
+}
+
+// Monday 2025-01-06 09:16 IST
+const mondayOpen = new Date('2025-01-06T03:46:00Z');
+
+test('due LIVE schedule toggles analyzer off once per day', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const calls = [];
+  const makeRequest = async (inst, endpoint, method, payload) => {
+    calls.push({ endpoint, payload });
+    return { status: 'success' };
+  };
+
+  await dbAsync.run("INSERT INTO instance_schedules (instance_id, action, time_of_day) VALUES (1, 'LIVE', '09:15')");
+  const scheduler = new InstanceScheduler(dbAsync, makeRequest);
+
+  const results = await scheduler.runDueSchedules(mondayOpen);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].status, 'success');
+  assert.deepEqual(calls, [{ endpoint: 'analyzer/toggle', payload: { mode: false } }]);
+
+  const instance = await dbAsync.get('SELECT is_analyzer_mode FROM instances WHERE id = 1');
+  assert.equal(instance.is_analyzer_mode, 0);
+
+  // Second tick in the same minute does nothing
+  assert.equal((await scheduler.runDueSchedules(mondayOpen)).length, 0);
+
+  const past = await scheduler.getPastRuns();
+  assert.equal(past.length, 1);
+  assert.equal(past[0].scheduled_for, '2025-01-06 09:15');
+
+  sqlite.close();
+});
+
+test('holidays and off-days are skipped', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const makeRequest = async () => {
+    throw new Error('should not be called');
+  };
+
+  await dbAsync.run("INSERT INTO instance_schedules (instance_id, action, time_of_day) VALUES (1, 'LIVE', '09:15')");
+  await dbAsync.run("INSERT INTO market_holidays (exchange, holiday_date) VALUES ('NSE', '2025-01-06')");
+  const scheduler = new InstanceScheduler(dbAsync, makeRequest);
+
+  const [result] = await scheduler.runDueSchedules(mondayOpen);
+  assert.equal(result.status, 'skipped');
+
+  // Saturday
+  const upcoming = await scheduler.getUpcomingRuns({ now: new Date('2025-01-04T03:00:00Z') });
+  assert.deepEqual(
+    upcoming.map(run => run.scheduled_for).slice(0, 2),
+    ['2025-01-07 09:15', '2025-01-08 09:15']
+  );
+
+  sqlite.close();
+});
+
+test('holiday checks go through the market calendar: aliases, partial and special sessions', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const makeRequest = async () => ({ status: 'success' });
+
+  await dbAsync.run(`INSERT INTO instance_schedules (instance_id, action, time_of_day, exchange) VALUES
+    (1, 'LIVE', '09:15', 'NFO'), (1, 'LIVE', '09:15', 'MCX'), (1, 'LIVE', '09:15', 'BSE')`);
+  await dbAsync.run(`INSERT INTO market_holidays (exchange, holiday_date, session) VALUES
+    ('NSE', '2025-01-06', NULL), ('MCX', '2025-01-06', 'DAY'), ('BSE', '2025-01-06', NULL)`);
+  await dbAsync.run(`INSERT INTO market_special_sessions (exchange, session_date, start_time, end_time, description)
+    VALUES ('BSE', '2025-01-06', '18:00', '19:00', 'Muhurat')`);
+  const scheduler = new InstanceScheduler(dbAsync, makeRequest);
+
+  assert.equal(await scheduler.isHoliday('NFO', '2025-01-06'), true);
+  // Only the MCX day session is closed; BSE trades a special session
+  assert.equal(await scheduler.isHoliday('MCX', '2025-01-06'), false);
+  assert.equal(await scheduler.isHoliday('BSE', '2025-01-06'), false);
+
+  const results = await scheduler.runDueSchedules(mondayOpen);
+  assert.deepEqual(results.map(result => result.status), ['skipped', 'success', 'skipped']);
+  assert.equal(results[2].message, 'Already in live mode');
+
+  sqlite.close();
+});
+
+test('sanitizeScheduleInput validates action, time and days', () => {
+  assert.deepEqual(
+    sanitizeScheduleInput({ action: 'analyzer', time_of_day: '15:20', days_of_week: ['fri', 'mon'] }),
+    { action: 'ANALYZER', time_of_day: '15:20', days_of_week: 'MON,FRI' }
+  );
+  assert.throws(() => sanitizeScheduleInput({ action: 'PAUSE', time_of_day: '09:15' }), /LIVE or ANALYZER/);
+  assert.throws(() => sanitizeScheduleInput({ action: 'LIVE', time_of_day: '9am' }), /HH:MM/);
+  assert.deepEqual(sanitizeScheduleInput({ is_enabled: false }, true), { is_enabled: 0 });
+});
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { executeKillSwitch } from '../lib/kill-switch.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+// Three live instances; only Beta and Gamma trade watchlist 1
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE instances (
+    id INTEGER PRIMARY KEY, name TEXT, strategy_tag TEXT, order_placement_enabled INTEGER DEFAULT 1,
+    is_analyzer_mode INTEGER DEFAULT 0, last_updated DATETIME
+  )`);
+  await dbAsync.run('CREATE TABLE watchlists (id INTEGER PRIMARY KEY, name TEXT, is_active INTEGER DEFAULT 1, updated_at DATETIME)');
+  await dbAsync.run('CREATE TABLE watchlist_instances (watchlist_id INTEGER, instance_id INTEGER)');
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY, watchlist_id INTEGER, instance_id INTEGER, order_id TEXT, status TEXT,
+    cancelled_at DATETIME, cancelled_by TEXT
+  )`);
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, watchlist_id INTEGER, exchange TEXT, symbol TEXT)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY, watchlist_id INTEGER, instance_id INTEGER, symbol_id INTEGER, product_type TEXT,
+    quantity INTEGER, direction TEXT, status TEXT DEFAULT 'OPEN', is_closed INTEGER DEFAULT 0, exit_reason TEXT,
+    exited_at DATETIME, closed_by TEXT
+  )`);
+  await dbAsync.run("INSERT INTO instances (id, name, strategy_tag) VALUES (1, 'Alpha', NULL), (2, 'Beta', 'scalper'), (3, 'Gamma', NULL)");
+  await dbAsync.run("INSERT INTO watchlists (id, name) VALUES (1, 'Momentum'), (2, 'Swing')");
+  await dbAsync.run('INSERT INTO watchlist_instances (watchlist_id, instance_id) VALUES (1, 2), (1, 3), (2, 2)');
+  await dbAsync.run(`INSERT INTO watchlist_orders (id, watchlist_id, instance_id, order_id, status) VALUES
+    (1, 1, 2, 'B-MOM', 'open'), (2, 2, 2, 'B-SWING', 'open'), (3, 1, 3, 'G-MOM', 'complete')`);
+  await dbAsync.run(`INSERT INTO watchlist_symbols (id, watchlist_id, exchange, symbol) VALUES
+    (1, 1, 'NSE', 'INFY'), (2, 1, 'NFO', 'NIFTY24NOVFUT'), (3, 2, 'NSE', 'TCS'), (4, 2, 'NSE', 'SBIN')`);
+  // Positions carry only symbol_id, as PositionManager.openPosition writes them
+  await dbAsync.run(`INSERT INTO watchlist_positions (id, watchlist_id, instance_id, symbol_id, product_type, quantity, direction) VALUES
+    (1, 1, 2, 1, 'MIS', 10, 'LONG'),
+    (2, 1, 3, 2, 'NRML', 75, 'SHORT'),
+    (3, 2, 2, 3, 'CNC', 5, 'LONG'),
+    (4, 2, 1, 4, 'MIS', 20, 'LONG')`);
+  return { sqlite, dbAsync };
+}
+
+test('kill switch flattens every instance in parallel and reports failures', async () => {
+  const { sqlite, dbAsync } = await setup();
+  const calls = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    calls.push(`${instance.name}:${endpoint}:${JSON.stringify(payload)}`);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+    if (instance.name === 'Gamma' && endpoint === 'closeposition') {
+      return { status: 'error', message: 'Broker session expired' };
+    }
+    return { status: 'success' };
+  };
+  const alerts = [];
+  const alertService = { createAlert: async (...args) => alerts.push(args) };
+
+  const report = await executeKillSwitch(dbAsync, makeRequest, { triggeredBy: 'admin@example.com', alertService });
+
+  assert.equal(report.status, 'partial');
+  assert.equal(report.scope, 'GLOBAL');
+  assert.deepEqual(report.summary, { instances: 3, succeeded: 2, failed: 1, positions_closed: 3, analyzer_enabled: false });
+  assert.ok(maxInFlight > 1, 'instances run in parallel');
+  // Orders are cancelled before positions are closed; strategy tag is passed through
+  assert.deepEqual(calls.filter(call => call.startsWith('Beta')), [
+    'Beta:cancelallorder:{"strategy":"scalper"}',
+    'Beta:closeposition:{"strategy":"scalper"}'
+  ]);
+  const gamma = report.instances.find(result => result.instance === 'Gamma');
+  assert.deepEqual(gamma.steps.map(step => [step.step, step.status]), [
+    ['disable_order_placement', 'success'],
+    ['cancel_orders', 'success'],
+    ['close_positions', 'failed']
+  ]);
+  assert.equal(gamma.steps[2].error, 'Broker session expired');
+
+  const enabled = await dbAsync.get('SELECT SUM(order_placement_enabled) as count FROM instances');
+  assert.equal(enabled.count, 0);
+
+  // Local rows follow the broker: closed where the flatten succeeded, left open on Gamma
+  const positions = await dbAsync.all('SELECT id, status, is_closed, exit_reason, closed_by FROM watchlist_positions ORDER BY id');
+  assert.deepEqual(positions.map(row => [row.id, row.status, row.is_closed]), [[1, 'CLOSED', 1], [2, 'OPEN', 0], [3, 'CLOSED', 1], [4, 'CLOSED', 1]]);
+  assert.deepEqual([positions[0].exit_reason, positions[0].closed_by], ['KILL_SWITCH', 'admin@example.com']);
+  assert.equal(alerts[0][0], 'KILL_SWITCH');
+  assert.equal(alerts[0][1], 'CRITICAL');
+  sqlite.close();
+});
+
+test('watchlist kill switch only cancels and closes that watchlist\'s own orders and positions', async () => {
+  const { sqlite, dbAsync } = await setup();
+  const calls = [];
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    calls.push({ instance: instance.name, endpoint, payload });
+    return { status: 'success' };
+  };
+
+  const report = await executeKillSwitch(dbAsync, makeRequest, { watchlistId: 1, enableAnalyzer: true });
+
+  assert.equal(report.status, 'completed');
+  assert.equal(report.scope, 'WATCHLIST');
+  assert.deepEqual(report.instances.map(result => result.instance), ['Beta', 'Gamma']);
+  assert.deepEqual(report.summary, { instances: 2, succeeded: 2, failed: 0, positions_closed: 2, analyzer_enabled: false });
+
+  // No instance-wide calls: Beta also trades the Swing watchlist
+  assert.deepEqual(calls.map(call => `${call.instance}:${call.endpoint}`).sort(), [
+    'Beta:cancelorder', 'Beta:placeorder', 'Gamma:placeorder'
+  ]);
+  assert.deepEqual(calls.find(call => call.endpoint === 'cancelorder').payload, { strategy: 'scalper', orderid: 'B-MOM' });
+  const gammaExit = calls.find(call => call.instance === 'Gamma').payload;
+  assert.deepEqual(
+    [gammaExit.symbol, gammaExit.exchange, gammaExit.action, gammaExit.quantity, gammaExit.pricetype, gammaExit.product],
+    ['NIFTY24NOVFUT', 'NFO', 'BUY', '75', 'MARKET', 'NRML']
+  );
+
+  const instances = await dbAsync.all('SELECT name, order_placement_enabled, is_analyzer_mode FROM instances ORDER BY id');
+  assert.deepEqual(instances.map(row => [row.name, row.order_placement_enabled, row.is_analyzer_mode]), [
+    ['Alpha', 1, 0],
+    ['Beta', 1, 0],
+    ['Gamma', 1, 0]
+  ]);
+  const orders = await dbAsync.all('SELECT order_id, status FROM watchlist_orders ORDER BY id');
+  assert.deepEqual(orders.map(row => [row.order_id, row.status]), [['B-MOM', 'cancelled'], ['B-SWING', 'open'], ['G-MOM', 'complete']]);
+  const positions = await dbAsync.all('SELECT id, status FROM watchlist_positions ORDER BY id');
+  assert.deepEqual(positions.map(row => [row.id, row.status]), [[1, 'CLOSED'], [2, 'CLOSED'], [3, 'OPEN'], [4, 'OPEN']]);
+  assert.equal((await dbAsync.get('SELECT is_active FROM watchlists WHERE id = 1')).is_active, 0);
+  sqlite.close();
+});
@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import OrderPlacementService from '../lib/order-placement-service.js';
+import OrderStatusTracker from '../lib/order-status-tracker.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const PLACED_AT = '2026-10-19 04:00:00';
+const at = seconds => new Date(Date.parse('2026-10-19T04:00:00Z') + seconds * 1000);
+
+// One open NIFTY futures LIMIT order (tick 0.05) on a symbol that chases every 10s, 2 ticks at a time
+async function setup({ action = 'BUY', price = 24000, config = {} } = {}) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, strategy_tag TEXT)');
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, lot_size INTEGER)');
+  await dbAsync.run('CREATE TABLE symbol_search_cache (symbol TEXT, exchange TEXT, tick_size REAL)');
+  await dbAsync.run('CREATE TABLE market_data (exchange TEXT, symbol TEXT, ltp REAL)');
+  await dbAsync.run(`CREATE TABLE symbol_configs (
+    watchlist_id INTEGER, symbol_id INTEGER, chase_enabled INTEGER, chase_after_seconds INTEGER, chase_ticks INTEGER,
+    chase_max_attempts INTEGER, chase_price_source TEXT, chase_final_action TEXT, exit_mode TEXT DEFAULT 'LOCAL'
+  )`);
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY, watchlist_id INTEGER, symbol_id INTEGER, status TEXT, sl_order_id TEXT, target_order_id TEXT
+  )`);
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY, instance_id INTEGER, watchlist_id INTEGER, symbol_id INTEGER, order_id TEXT,
+    exchange TEXT, symbol TEXT, action TEXT, quantity INTEGER, product_type TEXT, pricetype TEXT, price REAL,
+    trigger_price REAL, status TEXT, filled_quantity INTEGER DEFAULT 0, average_price REAL, slice_count INTEGER,
+    chase_attempts INTEGER DEFAULT 0, last_repriced_at DATETIME, placed_at DATETIME, updated_at DATETIME,
+    cancelled_at DATETIME, cancelled_by TEXT
+  )`);
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Alpha')");
+  await dbAsync.run('INSERT INTO watchlist_symbols VALUES (10, 75)');
+  await dbAsync.run("INSERT INTO symbol_search_cache VALUES ('NIFTY24NOVFUT', 'NFO', 0.05)");
+  await dbAsync.run("INSERT INTO market_data VALUES ('NFO', 'NIFTY24NOVFUT', 24000.4)");
+  const settings = { chase_enabled: 1, chase_after_seconds: 10, chase_ticks: 2, chase_max_attempts: 3, chase_price_source: 'LTP', chase_final_action: 'MARKET', ...config };
+  await dbAsync.run(`INSERT INTO symbol_configs
+    (watchlist_id, symbol_id, chase_enabled, chase_after_seconds, chase_ticks, chase_max_attempts, chase_price_source, chase_final_action)
+    VALUES (5, 10, ?, ?, ?, ?, ?, ?)`, Object.values(settings));
+  await dbAsync.run(`INSERT INTO watchlist_orders
+    (id, instance_id, watchlist_id, symbol_id, order_id, exchange, symbol, action, quantity, product_type, pricetype, price, trigger_price, status, placed_at)
+    VALUES (1, 1, 5, 10, 'ORD1', 'NFO', 'NIFTY24NOVFUT', ?, 75, 'NRML', 'LIMIT', ?, 0, 'open', ?)`, [action, price, PLACED_AT]);
+
+  const calls = [];
+  const alerts = [];
+  const alertService = { createAlert: async (...args) => alerts.push(args) };
+  const service = new OrderPlacementService(
+    dbAsync,
+    { acquireToken: async () => ({ waitTime: 0 }) },
+    alertService,
+    async (instance, endpoint, method, payload) => {
+      calls.push({ endpoint, payload });
+      if (endpoint === 'orderbook') {
+        return { status: 'success', data: [{ orderid: 'ORD1', status: 'open', fillshares: '0', avgprice: '0' }] };
+      }
+      if (endpoint === 'quotes') {
+        return { status: 'success', data: { ltp: 23990, bid: 23990.33, ask: 23990.5 } };
+      }
+      return { status: 'success', orderid: payload.orderid };
+    }
+  );
+  const tracker = new OrderStatusTracker(dbAsync, service, alertService);
+  return { sqlite, dbAsync, tracker, calls, alerts };
+}
+
+test('unfilled LIMIT orders are repriced toward LTP in tick steps, never past it', async () => {
+  const { sqlite, dbAsync, tracker, calls } = await setup();
+
+  // Not yet waited long enough
+  assert.equal(await tracker.chaseLimitOrders([1], at(5)), 0);
+  assert.equal(calls.length, 0);
+
+  assert.equal(await tracker.chaseLimitOrders([1], at(20)), 1);
+  assert.equal(calls[0].endpoint, 'modifyorder');
+  assert.equal(calls[0].payload.price, '24000.1');
+  let order = await dbAsync.get('SELECT price, chase_attempts, last_repriced_at FROM watchlist_orders WHERE id = 1');
+  assert.equal(order.price, 24000.1);
+  assert.equal(order.chase_attempts, 1);
+  assert.ok(order.last_repriced_at);
+
+  // Two more ticks would overshoot LTP 24000.17: capped at the last tick below it
+  await dbAsync.run("UPDATE market_data SET ltp = 24000.17");
+  await dbAsync.run("UPDATE watchlist_orders SET last_repriced_at = '2026-10-19 04:00:20'");
+  await tracker.chaseLimitOrders([1], at(31));
+  order = await dbAsync.get('SELECT price, chase_attempts FROM watchlist_orders WHERE id = 1');
+  assert.deepEqual({ ...order }, { price: 24000.15, chase_attempts: 2 });
+  sqlite.close();
+});
+
+test('after the last attempt the order is converted to MARKET', async () => {
+  const { sqlite, dbAsync, tracker, calls, alerts } = await setup();
+  await dbAsync.run("UPDATE watchlist_orders SET chase_attempts = 3, placed_at = '2020-01-01 00:00:00'");
+
+  // Driven by the normal polling loop (placed long ago, so the wait has elapsed)
+  await tracker.updatePendingOrders();
+
+  const modify = calls.find(call => call.endpoint === 'modifyorder');
+  assert.equal(modify.payload.pricetype, 'MARKET');
+  assert.equal(modify.payload.price, '0');
+  assert.equal((await dbAsync.get('SELECT pricetype FROM watchlist_orders WHERE id = 1')).pricetype, 'MARKET');
+  assert.ok(alerts.some(alert => alert[0] === 'ORDER_CHASE_EXHAUSTED'));
+
+  // No longer a LIMIT order, so it is not chased again
+  calls.length = 0;
+  await tracker.updatePendingOrders();
+  assert.deepEqual(calls.map(call => call.endpoint), ['orderbook']);
+  sqlite.close();
+});
+
+test('sells chase the best bid and can be cancelled after the last attempt', async () => {
+  const { sqlite, dbAsync, tracker, calls } = await setup({
+    action: 'SELL', price: 24000, config: { chase_ticks: 300, chase_price_source: 'BID_ASK', chase_final_action: 'CANCEL' }
+  });
+
+  // 300 ticks down (23985) would cross the bid (23990.33): capped there, rounded up onto the grid
+  await tracker.chaseLimitOrders([1], at(20));
+  assert.deepEqual(calls.map(call => call.endpoint), ['quotes', 'modifyorder']);
+  assert.equal(calls[1].payload.price, '23990.35');
+
+  await dbAsync.run('UPDATE watchlist_orders SET chase_attempts = 3, last_repriced_at = NULL');
+  await tracker.chaseLimitOrders([1], at(40));
+  assert.deepEqual(calls[2], { endpoint: 'cancelorder', payload: { orderid: 'ORD1' } });
+  assert.equal((await dbAsync.get('SELECT status FROM watchlist_orders WHERE id = 1')).status, 'cancelled');
+  sqlite.close();
+});
+
+test('symbols without chasing enabled are left alone', async () => {
+  const { sqlite, tracker, calls } = await setup({ config: { chase_enabled: 0 } });
+
+  assert.equal(await tracker.chaseLimitOrders([1], at(60)), 0);
+  assert.equal(calls.length, 0);
+  sqlite.close();
+});
+
+test('broker-side bracket legs are never chased on a chasing symbol', async () => {
+  const { sqlite, dbAsync, tracker, calls } = await setup({ action: 'SELL', price: 24100 });
+  await dbAsync.run("UPDATE symbol_configs SET exit_mode = 'BROKER'");
+  // ORD1 is the resting LIMIT target of a protected position; ORD2 its SL-M stop
+  await dbAsync.run("INSERT INTO watchlist_positions VALUES (7, 5, 10, 'OPEN', 'ORD2', 'ORD1')");
+  await dbAsync.run("UPDATE watchlist_orders SET chase_attempts = 3, placed_at = '2020-01-01 00:00:00'");
+
+  assert.equal(await tracker.chaseLimitOrders([1], at(60)), 0);
+  await tracker.updatePendingOrders();
+  assert.deepEqual(calls.map(call => call.endpoint), ['orderbook']);
+  const order = await dbAsync.get('SELECT pricetype, price, chase_attempts FROM watchlist_orders WHERE id = 1');
+  assert.deepEqual({ ...order }, { pricetype: 'LIMIT', price: 24100, chase_attempts: 3 });
+  sqlite.close();
+});
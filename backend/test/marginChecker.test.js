@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MarginChecker from '../lib/margin-checker.js';
+import OrderPlacementService from '../lib/order-placement-service.js';
+import OptionsTradingService from '../lib/options-trading-service.js';
+
+const instance = { id: 1, is_active: 1, order_placement_enabled: 1, health_status: 'healthy', api_key: 'key' };
+
+// Margin calculator quoting `perUnit` per unit of quantity (or failing), with fixed cash
+function createRequest({ perUnit = 100, cash = 50000, marginDown = false } = {}) {
+  const calls = [];
+  const request = async (inst, endpoint, method, payload) => {
+    calls.push({ endpoint, payload });
+    if (endpoint === 'margin') {
+      if (marginDown) throw new Error('HTTP 404: Not Found');
+      const quantity = payload.positions.reduce((sum, position) => sum + Number(position.quantity), 0);
+      return { status: 'success', data: { total_margin_required: quantity * perUnit } };
+    }
+    if (endpoint === 'funds') {
+      return { status: 'success', data: { availablecash: String(cash) } };
+    }
+    if (endpoint === 'optionsymbol') {
+      return { status: 'success', symbol: `NIFTY${payload.offset}${payload.option_type}`, lotsize: 75 };
+    }
+    return { status: 'success', orderid: `ORD${calls.length}` };
+  };
+  return { request, calls };
+}
+
+const order = { symbol: 'NIFTY24NOVFUT', exchange: 'NFO', action: 'SHORT', quantity: 75, product: 'NRML', pricetype: 'MARKET' };
+
+test('checkMargin rejects orders that need more than the available cash', async () => {
+  const { request, calls } = createRequest({ perUnit: 1000, cash: 50000 });
+  const checker = new MarginChecker(request, { enabled: true });
+
+  const result = await checker.checkMargin(instance, [order]);
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.required, 75000);
+  assert.equal(result.available, 50000);
+  assert.equal(result.source, 'API');
+  assert.match(result.reason, /^Insufficient margin: requires ₹75,000, available ₹50,000$/);
+  // SHORT is sent to the calculator as a SELL
+  assert.equal(calls.find(call => call.endpoint === 'margin').payload.positions[0].action, 'SELL');
+});
+
+test('checkMargin falls back to the cached margin and skips when none is known', async () => {
+  const live = createRequest({ perUnit: 500 });
+  const checker = new MarginChecker(live.request, { enabled: true });
+  assert.equal((await checker.checkMargin(instance, [order])).allowed, true);
+
+  // Calculator down: the 500/unit quote is scaled to 150 units
+  checker.makeOpenAlgoRequest = createRequest({ marginDown: true }).request;
+  const cached = await checker.checkMargin(instance, [{ ...order, quantity: 150 }]);
+  assert.equal(cached.allowed, false);
+  assert.equal(cached.source, 'CACHE');
+  assert.equal(cached.required, 75000);
+  assert.match(cached.reason, /cached margin estimate/);
+
+  const unknown = await checker.checkMargin(instance, [{ ...order, symbol: 'BANKNIFTY24NOVFUT' }]);
+  assert.equal(unknown.allowed, true);
+  assert.equal(unknown.skipped, true);
+});
+
+test('margin and funds calls wait for a general_api token and funds are reused briefly', async () => {
+  const { request, calls } = createRequest({ perUnit: 100, cash: 50000 });
+  const tokens = [];
+  const rateLimiters = { acquireToken: async (instanceId, endpointType) => tokens.push(`${instanceId}:${endpointType}`) };
+  const checker = new MarginChecker(request, { enabled: true, rateLimiters, fundsTtlMs: 60000 });
+
+  await checker.checkMargin(instance, [order]);
+  await checker.checkMargin(instance, [{ ...order, quantity: 150 }]);
+
+  assert.deepEqual(calls.map(call => call.endpoint).sort(), ['funds', 'margin', 'margin']);
+  assert.deepEqual(tokens, Array(3).fill('1:general_api'));
+
+  checker.fundsTtlMs = 0;
+  await checker.getAvailableCash(instance);
+  assert.equal(calls.filter(call => call.endpoint === 'funds').length, 2);
+});
+
+test('orders checked against reused funds reserve the margin they were approved for', async () => {
+  const { request, calls } = createRequest({ perUnit: 400, cash: 50000 });
+  const checker = new MarginChecker(request, { enabled: true, fundsTtlMs: 60000 });
+
+  // 30,000 each: either fits on its own, both do not
+  const first = await checker.checkMargin(instance, [order]);
+  const second = await checker.checkMargin(instance, [order]);
+
+  assert.deepEqual([first.allowed, first.available], [true, 50000]);
+  assert.deepEqual([second.allowed, second.available], [false, 20000]);
+  assert.match(second.reason, /available ₹20,000 after ₹30,000 reserved by orders just checked$/);
+  assert.equal(calls.filter(call => call.endpoint === 'funds').length, 1);
+
+  // Fresh funds already reflect the placed order, so the reservation starts over
+  checker.fundsTtlMs = 0;
+  assert.equal((await checker.checkMargin(instance, [order])).allowed, true);
+});
+
+test('performPreflightChecks rejects unaffordable entries but not exits', async () => {
+  const { request } = createRequest({ perUnit: 1000, cash: 50000 });
+  const service = new OrderPlacementService({}, null, null, request);
+  service.marginChecker.enabled = true;
+
+  await assert.rejects(
+    () => service.performPreflightChecks(instance, order),
+    /Insufficient margin: requires ₹75,000/
+  );
+  assert.equal(await service.performPreflightChecks(instance, { ...order, action: 'COVER' }), true);
+});
+
+test('placeBasketOrder checks the whole basket before sending any leg', async () => {
+  const dbAsync = {
+    get: async (sql) => (sql.includes('is_primary_admin') ? { id: 9 } : instance)
+  };
+  const { request, calls } = createRequest({ perUnit: 400, cash: 100000 });
+  const service = new OptionsTradingService(dbAsync, request);
+  service.marginChecker.enabled = true;
+
+  // 4 legs x 75 = 300 units at 400/unit = 120000 > 100000
+  await assert.rejects(
+    () => service.placeBasketOrder(1, 'IRON_CONDOR', {
+      underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'OTM2', wing: 2, quantity: 1
+    }),
+    { statusCode: 400, message: /IRON_CONDOR basket rejected: Insufficient margin/ }
+  );
+
+  const marginCalls = calls.filter(call => call.endpoint === 'margin');
+  assert.equal(marginCalls.length, 1);
+  assert.equal(marginCalls[0].payload.positions.length, 4);
+  assert.equal(calls.filter(call => call.endpoint === 'placesmartorder').length, 0);
+});
+
+test('a basket whose hedge failed is priced on the legs it will still send', async () => {
+  const dbAsync = {
+    get: async (sql) => (sql.includes('is_primary_admin') ? { id: 9 } : instance)
+  };
+  const { request, calls } = createRequest({ perUnit: 400, cash: 50000 });
+  const failingRequest = async (inst, endpoint, method, payload) => {
+    if (endpoint === 'optionsymbol' && payload.offset === 'OTM4' && payload.option_type === 'CE') {
+      return { status: 'error', message: 'Symbol not found' };
+    }
+    return request(inst, endpoint, method, payload);
+  };
+  const service = new OptionsTradingService(dbAsync, failingRequest);
+  service.marginChecker.enabled = true;
+
+  // The full condor (120000) would not fit in 50000; the surviving put hedge (30000) does
+  const result = await service.placeBasketOrder(1, 'IRON_CONDOR', {
+    underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'OTM2', wing: 2, quantity: 1
+  });
+
+  assert.equal(result.status, 'partial_success');
+  assert.deepEqual(result.orders.map(leg => leg.symbol), ['NIFTYOTM4PE']);
+  const marginCalls = calls.filter(call => call.endpoint === 'margin');
+  assert.deepEqual(marginCalls[0].payload.positions.map(position => position.action), ['BUY']);
+  assert.equal(result.errors.filter(error => /hedge leg failed/.test(error.error)).length, 2);
+});
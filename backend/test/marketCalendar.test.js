@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up as addSchedules } from '../db/migrations/011_add_instance_schedules.js';
+import { up as addMarketCalendar } from '../db/migrations/012_add_market_calendar.js';
+import MarketCalendar, { getCalendarExchange, getMcxEveningEnd, parseHolidayList } from '../lib/market-calendar.js';
+import OrderPlacementService from '../lib/order-placement-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setupCalendar() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT)');
+  await addSchedules(dbAsync);
+  await addMarketCalendar(dbAsync);
+  return { sqlite, calendar: new MarketCalendar(dbAsync, { enforce: true }) };
+}
+
+// IST is UTC+05:30
+const ist = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+test('regular NSE session, weekends and segment aliases', async () => {
+  const { sqlite, calendar } = await setupCalendar();
+
+  assert.equal((await calendar.isMarketOpen('NSE', ist('2025-01-06', '09:14'))).open, false);
+  assert.equal((await calendar.isMarketOpen('NFO', ist('2025-01-06', '09:15'))).open, true);
+  assert.equal((await calendar.isMarketOpen('NSE', ist('2025-01-06', '15:30'))).open, false);
+  assert.equal((await calendar.isMarketOpen('NSE', ist('2025-01-06', '15:40'), { graceMinutes: 15 })).open, true);
+
+  const saturday = await calendar.isMarketOpen('NSE', ist('2025-01-04', '11:00'));
+  assert.equal(saturday.open, false);
+  assert.equal(saturday.reason, 'Weekend');
+
+  assert.equal(getCalendarExchange('bfo'), 'BSE');
+  sqlite.close();
+});
+
+test('MCX evening session and partial holidays', async () => {
+  const { sqlite, calendar } = await setupCalendar();
+
+  const evening = await calendar.isMarketOpen('MCX', ist('2025-01-06', '21:00'));
+  assert.equal(evening.open, true);
+  assert.equal(evening.session, 'EVENING');
+  // No US daylight saving in January: the evening session runs to 23:55
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-01-06', '23:45'))).open, true);
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-01-06', '23:55'))).open, false);
+  // ...and to 23:30 while it is in effect
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-07-07', '23:29'))).open, true);
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-07-07', '23:30'))).open, false);
+  assert.deepEqual(
+    ['2025-03-07', '2025-03-10', '2025-10-31', '2025-11-03'].map(getMcxEveningEnd),
+    ['23:55', '23:30', '23:30', '23:55']
+  );
+  const [mcx] = (await calendar.getStatus(ist('2025-07-07', '12:00'))).filter(status => status.exchange === 'MCX');
+  assert.deepEqual(mcx.sessions.map(session => session.end), ['17:00', '23:30']);
+  // NSE is closed at that time but MCX keeps services running
+  assert.equal(await calendar.isAnyMarketOpen(['NSE', 'MCX'], ist('2025-01-06', '21:00')), true);
+  assert.equal(await calendar.isAnyMarketOpen(['NSE', 'MCX'], ist('2025-01-06', '23:55')), false);
+
+  await calendar.importHolidays([
+    { exchange: 'MCX', date: '2025-01-07', description: 'Morning closed', session: 'DAY' },
+    { exchange: 'NSE', date: '2025-01-07', description: 'Exchange holiday' }
+  ]);
+
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-01-07', '10:00'))).open, false);
+  assert.equal((await calendar.isMarketOpen('MCX', ist('2025-01-07', '18:00'))).open, true);
+
+  const nseHoliday = await calendar.isMarketOpen('NSE', ist('2025-01-07', '10:00'));
+  assert.equal(nseHoliday.open, false);
+  assert.equal(nseHoliday.reason, 'Holiday: Exchange holiday');
+  sqlite.close();
+});
+
+test('Muhurat special session opens the market on a holiday', async () => {
+  const { sqlite, calendar } = await setupCalendar();
+
+  await calendar.importHolidays('exchange,date,description\nNSE,2025-10-21,Diwali Laxmi Pujan');
+  await calendar.addSpecialSession({
+    exchange: 'NSE',
+    session_date: '2025-10-21',
+    start_time: '13:45',
+    end_time: '14:45',
+    description: 'Muhurat Trading'
+  });
+
+  assert.equal((await calendar.isMarketOpen('NSE', ist('2025-10-21', '10:00'))).open, false);
+  const muhurat = await calendar.isMarketOpen('NSE', ist('2025-10-21', '14:00'));
+  assert.equal(muhurat.open, true);
+  assert.equal(muhurat.session, 'Muhurat Trading');
+
+  await assert.rejects(
+    () => calendar.addSpecialSession({ exchange: 'NSE', session_date: '2025-10-21', start_time: '15:00', end_time: '14:00' }),
+    { statusCode: 400 }
+  );
+  sqlite.close();
+});
+
+test('holiday import upserts and validates rows', async () => {
+  const { sqlite, calendar } = await setupCalendar();
+
+  assert.equal(await calendar.importHolidays('exchange,date,description\nNSE,2025-03-14,Holi\nBSE,2025-03-14,Holi'), 2);
+  assert.equal(await calendar.importHolidays([{ exchange: 'NSE', date: '2025-03-14', description: 'Holi (updated)' }]), 1);
+
+  const holidays = await calendar.getHolidays({ exchange: 'NSE', year: 2025 });
+  assert.equal(holidays.length, 1);
+  assert.equal(holidays[0].description, 'Holi (updated)');
+
+  assert.throws(() => parseHolidayList([{ exchange: 'XYZ', date: '2025-03-14' }]), /unknown exchange/);
+  assert.throws(() => parseHolidayList([{ exchange: 'NSE', date: '14-03-2025' }]), /YYYY-MM-DD/);
+  assert.throws(() => parseHolidayList([{ exchange: 'NSE', date: '2025-03-14', session: 'EVENING' }]), /no "EVENING" session/);
+  assert.throws(() => parseHolidayList('exchange,date'), { statusCode: 400 });
+  sqlite.close();
+});
+
+test('preflight rejects orders while the market is closed', async () => {
+  const closedCalendar = {
+    isMarketOpen: async (exchange) => ({ open: false, exchange, session: null, reason: 'Weekend' })
+  };
+  const service = new OrderPlacementService({}, null, null, null, closedCalendar);
+  const instance = { is_active: 1, order_placement_enabled: 1, health_status: 'healthy', switch_pending: 0 };
+  const params = { symbol: 'RELIANCE', action: 'BUY', exchange: 'NSE', quantity: 1 };
+
+  await assert.rejects(
+    () => service.performPreflightChecks(instance, params),
+    /Market closed for NSE: Weekend/
+  );
+
+  const openService = new OrderPlacementService({}, null, null, null, {
+    isMarketOpen: async (exchange) => ({ open: true, exchange, session: 'REGULAR', reason: null })
+  });
+  assert.equal(await openService.performPreflightChecks(instance, params), true);
+});
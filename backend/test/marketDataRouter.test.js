@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import MarketDataRouter from '../lib/market-data-router.js';
+import RuleEvaluator from '../lib/rule-evaluator.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setup({ openExchanges = ['NSE'] } = {}) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE instances (
+    id INTEGER PRIMARY KEY, name TEXT, is_active INTEGER, is_primary_admin INTEGER DEFAULT 0, is_secondary_admin INTEGER DEFAULT 0
+  )`);
+  await dbAsync.run("INSERT INTO instances VALUES (1, 'Primary', 1, 1, 0), (2, 'Secondary', 1, 0, 1), (3, 'Trader', 1, 0, 0)");
+
+  const subscriptions = [];
+  const instruments = [
+    { exchange: 'NSE', symbol: 'INFY', token: '1594' },
+    { exchange: 'NSE', symbol: 'TCS', token: '11536' },
+    { exchange: 'MCX', symbol: 'GOLD', token: '900' }
+  ];
+  const wsManager = {
+    currentInstance: { id: 1, name: 'Primary' },
+    getSubscribedInstruments: () => instruments,
+    getInstrument: (exchange, symbol) => instruments.find(i => i.exchange === exchange && i.symbol === symbol),
+    subscribeOnInstance: async (instance, symbols) => subscriptions.push({ instance_id: instance.id, symbols })
+  };
+  const alerts = [];
+  const alertService = { createAlert: async (alert) => alerts.push(alert) };
+  const marketCalendar = { isMarketOpen: async (exchange) => ({ open: openExchanges.includes(exchange) }) };
+
+  const router = new MarketDataRouter(dbAsync, wsManager, alertService, marketCalendar, {
+    freshWithinMs: 5000,
+    staleAfterMs: 30000,
+    sweepIntervalMs: 1000
+  });
+  return { sqlite, dbAsync, router, subscriptions, alerts };
+}
+
+test('merges stream ticks and polled quotes with source and freshness score', async () => {
+  const { sqlite, router } = await setup();
+  assert.equal(router.getLatestMarketData('NSE', 'INFY'), null);
+
+  router.ingest({ exchange: 'NSE', symbol: 'INFY', ltp: 1500 }, 'WEBSOCKET', 1, 10000);
+  router.ingest({ exchange: 'NSE', symbol: 'INFY', ltp: 1502 }, 'API_POLL', 1, 12000);
+
+  let quote = router.getLatestMarketData('NSE', 'INFY', 14000);
+  assert.deepEqual(
+    [quote.ltp, quote.source, quote.source_instance_id, quote.age_ms, quote.freshness, quote.is_stale],
+    [1502, 'API_POLL', 1, 2000, 1, false]
+  );
+
+  // Halfway between fresh (5s) and stale (30s)
+  quote = router.getLatestMarketData('NSE', 'INFY', 12000 + 17500);
+  assert.deepEqual([quote.freshness, quote.is_stale], [0.5, false]);
+
+  quote = router.getLatestMarketData('NSE', 'INFY', 12000 + 30001);
+  assert.deepEqual([quote.freshness, quote.is_stale], [0, true]);
+
+  const [report] = router.getFreshnessReport(20000);
+  assert.deepEqual(report.sources, {
+    WEBSOCKET: { instance_id: 1, age_ms: 10000 },
+    API_POLL: { instance_id: 1, age_ms: 8000 }
+  });
+  sqlite.close();
+});
+
+test('stale symbols are re-subscribed on the next market-data instance', async () => {
+  const { sqlite, router, subscriptions, alerts } = await setup();
+  router.ingest({ exchange: 'NSE', symbol: 'INFY', ltp: 1500 }, 'WEBSOCKET', 1, 0);
+  router.ingest({ exchange: 'NSE', symbol: 'TCS', ltp: 3900 }, 'WEBSOCKET', 1, 0);
+  router.ingest({ exchange: 'MCX', symbol: 'GOLD', ltp: 71000 }, 'WEBSOCKET', 1, 0);
+  router.ingest({ exchange: 'NSE', symbol: 'DELISTED', ltp: 10 }, 'WEBSOCKET', 1, 0);
+
+  assert.deepEqual(await router.sweep(20000), []);
+
+  // TCS keeps ticking; GOLD is stale but MCX is closed
+  router.ingest({ exchange: 'NSE', symbol: 'TCS', ltp: 3901 }, 'WEBSOCKET', 1, 35000);
+  const moved = await router.sweep(40000);
+  assert.deepEqual(moved.map(item => [item.symbol, item.from_instance_id, item.to_instance_id]), [['INFY', 1, 2]]);
+  assert.deepEqual(subscriptions, [{ instance_id: 2, symbols: [{ exchange: 'NSE', symbol: 'INFY', token: '1594' }] }]);
+  assert.equal(router.symbols.has('NSE:DELISTED'), false);
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].type, 'MARKET_DATA_SYMBOL_FAILOVER');
+  assert.equal(alerts[0].instance_id, 2);
+  assert.deepEqual(alerts[0].details.symbols, ['NSE:INFY']);
+
+  // The new instance gets a full stale window before INFY moves again, then it rotates back
+  assert.deepEqual(await router.sweep(60000), []);
+  router.ingest({ exchange: 'NSE', symbol: 'TCS', ltp: 3902 }, 'WEBSOCKET', 1, 65000);
+  const movedBack = await router.sweep(71000);
+  assert.deepEqual(movedBack.map(item => [item.symbol, item.from_instance_id, item.to_instance_id]), [['INFY', 2, 1]]);
+  assert.equal(router.getFreshnessReport(71000).find(item => item.symbol === 'INFY').failover_count, 2);
+  sqlite.close();
+});
+
+test('exit rules refuse to act on stale prices and alert once per position', async () => {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, symbol TEXT, exchange TEXT, token TEXT)');
+  await dbAsync.run('CREATE TABLE symbol_configs (symbol_id INTEGER, ts_type TEXT, ts_value REAL, trailing_activation_type TEXT, trailing_activation_value REAL)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY, watchlist_id INTEGER, symbol_id INTEGER, instance_id INTEGER, entry_price REAL,
+    direction TEXT, target_price REAL, sl_price REAL, trailing_stop_price REAL, trailing_activated INTEGER DEFAULT 0,
+    is_closed INTEGER DEFAULT 0, strategy_position_id INTEGER, sl_order_id TEXT, target_order_id TEXT
+  )`);
+  await dbAsync.run("INSERT INTO watchlist_symbols VALUES (7, 'INFY', 'NSE', '1594')");
+  await dbAsync.run(`INSERT INTO watchlist_positions (id, watchlist_id, symbol_id, instance_id, entry_price, direction, sl_price)
+    VALUES (3, 2, 7, 1, 1500, 'LONG', 1450)`);
+
+  const { sqlite: routerDb, router } = await setup();
+  const closed = [];
+  const alerts = [];
+  const positionManager = { closePosition: async (id, price, reason) => closed.push({ id, price, reason }) };
+  const wsManager = { getLatestMarketData: (exchange, symbol) => router.getLatestMarketData(exchange, symbol) };
+  const evaluator = new RuleEvaluator(dbAsync, positionManager, { createAlert: async (...args) => alerts.push(args) }, wsManager);
+
+  // Price below the stop, but last updated well past the stale threshold
+  router.ingest({ exchange: 'NSE', symbol: 'INFY', ltp: 1440 }, 'WEBSOCKET', 1, Date.now() - 45000);
+  assert.deepEqual(await evaluator.evaluateExitSignals(), { evaluated: 1, closed: 0, skipped_stale: 1, strategies: null });
+  await evaluator.evaluateExitSignals();
+  assert.deepEqual(closed, []);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0][0], 'EXIT_RULES_STALE_PRICE');
+  assert.match(alerts[0][2], /Exit rules paused for INFY: last price 45s old \(WEBSOCKET\)/);
+
+  router.ingest({ exchange: 'NSE', symbol: 'INFY', ltp: 1440 }, 'WEBSOCKET', 1);
+  assert.deepEqual(await evaluator.evaluateExitSignals(), { evaluated: 1, closed: 1, skipped_stale: 0, strategies: null });
+  assert.deepEqual(closed, [{ id: 3, price: 1440, reason: 'STOP_LOSS' }]);
+  routerDb.close();
+  sqlite.close();
+});
@@ -0,0 +1,199 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import AlertService from '../lib/alert-service.js';
+import NotificationService, { sanitizeChannelInput } from '../lib/notification-service.js';
+import { WebhookNotifier } from '../lib/notifiers.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const alert = {
+  id: 42, alert_type: 'ORDER_FAILED', severity: 'ERROR', title: 'Order Failed',
+  message: 'Order failed for NIFTY24NOVFUT: RMS rejected', details: { symbol: 'NIFTY24NOVFUT' }
+};
+
+// `respond(url, callNumber)` returns { status, body }; every request is recorded
+async function setup(respond = () => ({ status: 200, body: '{"ok":true}' })) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE notification_channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, channel_type TEXT, config_json TEXT, severities_json TEXT,
+    alert_types_json TEXT, is_enabled INTEGER DEFAULT 1, created_by TEXT, created_at DATETIME, updated_at DATETIME
+  )`);
+  await dbAsync.run(`CREATE TABLE notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, channel_id INTEGER, alert_id INTEGER, channel_type TEXT, attempt INTEGER,
+    status TEXT, http_status INTEGER, error TEXT, duration_ms INTEGER, attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbAsync.run(`CREATE TABLE alert_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, user_email TEXT, channel_id INTEGER, min_severity TEXT, alert_types_json TEXT,
+    watchlist_id INTEGER, quiet_hours_start TEXT, quiet_hours_end TEXT, timezone TEXT, is_enabled INTEGER DEFAULT 1,
+    created_at DATETIME, updated_at DATETIME
+  )`);
+
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+    const { status, body } = respond(url, requests.length);
+    return { ok: status >= 200 && status < 300, status, text: async () => body };
+  };
+  const service = new NotificationService(dbAsync, { fetch, maxAttempts: 3, retryDelayMs: 0 });
+  return { sqlite, dbAsync, service, requests };
+}
+
+test('sanitizeChannelInput validates each channel type and keeps masked secrets on update', async () => {
+  assert.throws(() => sanitizeChannelInput({ name: 'x', channel_type: 'PAGER' }), { statusCode: 400, message: /channel_type must be one of WEBHOOK, TELEGRAM, SLACK, SMS/ });
+  assert.throws(() => sanitizeChannelInput({ name: 'x', channel_type: 'TELEGRAM', config: { bot_token: 'abc' } }), { message: /chat_id is required/ });
+  assert.throws(() => sanitizeChannelInput({ name: 'x', channel_type: 'WEBHOOK', config: { url: 'ftp://host' } }), { message: /http\(s\) URL/ });
+  assert.throws(() => sanitizeChannelInput({ name: 'x', channel_type: 'SMS', config: { url: 'https://sms.example.com' } }), { message: /recipients is required/ });
+  assert.throws(() => sanitizeChannelInput({ name: 'x', channel_type: 'SLACK', config: { webhook_url: 'https://hooks.slack.com/x' }, severities: ['LOUD'] }), { message: /severities/ });
+
+  const { sqlite, service } = await setup();
+  const created = await service.createChannel({
+    name: 'Desk', channel_type: 'telegram', config: { bot_token: '123456:SECRET-TOKEN', chat_id: -100200 }, severities: 'error, critical'
+  }, 'admin@example.com');
+  assert.equal(created.channel_type, 'TELEGRAM');
+  assert.deepEqual(created.severities, ['ERROR', 'CRITICAL']);
+  assert.equal(created.config.bot_token, '••••OKEN');
+  assert.equal(created.config.chat_id, '-100200');
+
+  // Echoing the masked listing back does not overwrite the stored token
+  const updated = await service.updateChannel(created.id, { config: created.config, alert_types: ['ORDER_FAILED'] });
+  assert.deepEqual(updated.alert_types, ['ORDER_FAILED']);
+  assert.equal((await service.getChannel(created.id)).config.bot_token, '123456:SECRET-TOKEN');
+  await assert.rejects(() => service.updateChannel(999, {}), { statusCode: 404 });
+  sqlite.close();
+});
+
+test('alerts go to the channels subscribed to their severity and type', async () => {
+  const { sqlite, dbAsync, service, requests } = await setup();
+  await service.createChannel({ name: 'Hook', channel_type: 'WEBHOOK', config: { url: 'https://ops.example.com/hook', secret: 's3cret' } });
+  await service.createChannel({ name: 'Desk', channel_type: 'TELEGRAM', config: { bot_token: 'T0KEN', chat_id: '77' }, severities: ['ERROR', 'CRITICAL'] });
+  await service.createChannel({ name: 'Slack', channel_type: 'SLACK', config: { webhook_url: 'https://hooks.slack.com/services/A/B' }, alert_types: ['SAFE_SWITCH_FAILED'] });
+  await service.createChannel({ name: 'SMS', channel_type: 'SMS', config: { url: 'https://sms.example.com/send', recipients: '+9190000,+9191111', api_key: 'k' }, is_enabled: false });
+
+  const results = await service.dispatch(alert);
+  assert.deepEqual(results.map(result => [result.channel_id, result.status]), [[1, 'SENT'], [2, 'SENT']]);
+
+  const webhook = requests.find(request => request.url === 'https://ops.example.com/hook');
+  assert.equal(webhook.body.alert_type, 'ORDER_FAILED');
+  const expected = WebhookNotifier.sign('s3cret', webhook.headers['X-Simplifyed-Timestamp'], JSON.stringify(webhook.body));
+  assert.equal(webhook.headers['X-Simplifyed-Signature'], `sha256=${expected}`);
+
+  const telegram = requests.find(request => request.url.startsWith('https://api.telegram.org/'));
+  assert.equal(telegram.url, 'https://api.telegram.org/botT0KEN/sendMessage');
+  assert.deepEqual([telegram.body.chat_id, telegram.body.text], ['77', '[ERROR] Order Failed: Order failed for NIFTY24NOVFUT: RMS rejected']);
+
+  // INFO alerts skip the ERROR/CRITICAL-only Telegram channel
+  requests.length = 0;
+  await service.dispatch({ ...alert, id: 43, severity: 'INFO', alert_type: 'SAFE_SWITCH_FAILED' });
+  assert.deepEqual(requests.map(request => request.url), ['https://ops.example.com/hook', 'https://hooks.slack.com/services/A/B']);
+
+  const deliveries = await dbAsync.all('SELECT channel_id, alert_id, status FROM notification_deliveries ORDER BY id');
+  assert.equal(deliveries.length, 4);
+  assert.ok(deliveries.every(delivery => delivery.status === 'SENT'));
+  sqlite.close();
+});
+
+test('failed deliveries are retried on server errors and every attempt is recorded', async () => {
+  const { sqlite, service, requests } = await setup((url, callNumber) => (
+    url.includes('sms')
+      ? { status: 401, body: 'invalid api key' }
+      : (callNumber === 1 ? { status: 502, body: 'bad gateway' } : { status: 200, body: '{"ok":true}' })
+  ));
+  const desk = await service.createChannel({ name: 'Desk', channel_type: 'TELEGRAM', config: { bot_token: 'T', chat_id: '77' } });
+  const [result] = await service.dispatch(alert);
+  assert.deepEqual([result.status, result.attempts], ['SENT', 2]);
+
+  let deliveries = await service.getDeliveries({ channelId: desk.id });
+  assert.deepEqual(deliveries.map(delivery => [delivery.attempt, delivery.status, delivery.http_status]), [[2, 'SENT', 200], [1, 'FAILED', 502]]);
+  assert.equal(deliveries[0].channel_name, 'Desk');
+
+  // Client errors are not retried
+  await service.deleteChannel(desk.id);
+  const sms = await service.createChannel({ name: 'SMS', channel_type: 'SMS', config: { url: 'https://sms.example.com/send', recipients: ['+9190000'], api_key: 'k' } });
+  requests.length = 0;
+  const tested = await service.testChannel(sms.id);
+  assert.deepEqual([tested.status, tested.error], ['FAILED', 'HTTP 401: invalid api key']);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers.Authorization, 'k');
+  assert.deepEqual(requests[0].body, { to: '+9190000', message: `[INFO] Notification Test: Test notification for channel "SMS"` });
+
+  deliveries = await service.getDeliveries({ status: 'failed' });
+  assert.deepEqual(deliveries.map(delivery => [delivery.channel_id, delivery.alert_id]), [[sms.id, null], [desk.id, 42]]);
+  sqlite.close();
+});
+
+test('createAlert hands new alerts to the notification service', async () => {
+  const { sqlite, dbAsync } = await setup();
+  await dbAsync.run(`CREATE TABLE system_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, alert_type TEXT, severity TEXT, title TEXT, message TEXT, details_json TEXT,
+    instance_id INTEGER, watchlist_id INTEGER, is_resolved INTEGER
+  )`);
+  const dispatched = [];
+  const alertService = new AlertService(dbAsync);
+  alertService.setNotificationService({ dispatch: async (payload) => dispatched.push(payload) });
+
+  const alertId = await alertService.alertOrderFailed(3, 5, 'NIFTY24NOVFUT', 'RMS rejected', { action: 'BUY' });
+
+  assert.equal(dispatched.length, 1);
+  assert.equal(dispatched[0].id, alertId);
+  assert.deepEqual(
+    [dispatched[0].alert_type, dispatched[0].severity, dispatched[0].title, dispatched[0].instance_id, dispatched[0].watchlist_id],
+    ['ORDER_FAILED', 'ERROR', 'ORDER FAILED', 3, 5]
+  );
+  sqlite.close();
+});
+
+test('webhook header values are masked in listings and kept when echoed back', async () => {
+  const { sqlite, service, requests } = await setup();
+  const created = await service.createChannel({
+    name: 'Hook', channel_type: 'WEBHOOK',
+    config: { url: 'https://ops.example.com/hook', headers: { Authorization: 'Bearer abcdef123456', 'X-Env': 'prod' } }
+  });
+  assert.deepEqual(created.config.headers, { Authorization: '••••3456', 'X-Env': '••••' });
+  assert.deepEqual((await service.getChannels()).map(channel => channel.config.headers), [created.config.headers]);
+
+  // Masked values keep their stored value; changed and new headers are saved
+  await service.updateChannel(created.id, { config: { headers: { ...created.config.headers, 'X-Env': 'staging', 'X-Team': 'ops' } } });
+  assert.deepEqual((await service.getChannel(created.id)).config.headers, { Authorization: 'Bearer abcdef123456', 'X-Env': 'staging', 'X-Team': 'ops' });
+
+  await service.dispatch(alert);
+  assert.equal(requests[0].headers.Authorization, 'Bearer abcdef123456');
+  sqlite.close();
+});
+
+test('an SMS retry only resends to the recipients that failed', async () => {
+  const { sqlite, dbAsync, service, requests } = await setup((url, callNumber) => (
+    callNumber === 2 ? { status: 503, body: 'busy' } : { status: 200, body: 'queued' }
+  ));
+  await service.createChannel({ name: 'SMS', channel_type: 'SMS', config: { url: 'https://sms.example.com/send', recipients: '+9190000,+9191111,+9192222' } });
+
+  const [result] = await service.dispatch(alert);
+  assert.deepEqual([result.status, result.attempts], ['SENT', 2]);
+  assert.deepEqual(requests.map(request => request.body.to), ['+9190000', '+9191111', '+9192222', '+9191111']);
+
+  const failed = await dbAsync.get("SELECT http_status, error FROM notification_deliveries WHERE status = 'FAILED'");
+  assert.deepEqual({ ...failed }, { http_status: 503, error: '1/3 recipients failed: +9191111 (HTTP 503: busy)' });
+  sqlite.close();
+});
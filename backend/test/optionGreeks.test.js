@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  blackScholesPrice,
+  calculateGreeks,
+  impliedVolatility,
+  parseExpiryDate,
+  yearsToExpiry
+} from '../lib/option-greeks.js';
+import OptionsTradingService from '../lib/options-trading-service.js';
+
+const close = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('Black-Scholes prices and greeks match textbook values', () => {
+  // S=100, K=100, T=1y, r=5%, sigma=20%
+  close(blackScholesPrice('CE', 100, 100, 1, 0.05, 0.2), 10.4506);
+  close(blackScholesPrice('PE', 100, 100, 1, 0.05, 0.2), 5.5735);
+
+  const call = calculateGreeks('CE', 100, 100, 1, 0.05, 0.2);
+  close(call.delta, 0.6368);
+  close(call.gamma, 0.018762, 1e-5);
+  close(call.vega, 0.3752);
+  close(call.theta, -6.4140 / 365, 1e-4);
+
+  const put = calculateGreeks('PE', 100, 100, 1, 0.05, 0.2);
+  close(put.delta, -0.3632);
+  close(put.theta, -1.6579 / 365, 1e-4);
+});
+
+test('implied volatility round-trips through the pricer', () => {
+  for (const [type, strike, sigma] of [['CE', 24000, 0.14], ['PE', 23500, 0.22], ['CE', 25500, 0.35]]) {
+    const price = blackScholesPrice(type, 24000, strike, 7 / 365, 0.065, sigma);
+    close(impliedVolatility(type, price, 24000, strike, 7 / 365, 0.065), sigma, 1e-4);
+  }
+  // Below intrinsic value
+  assert.equal(impliedVolatility('CE', 100, 24000, 23500, 7 / 365, 0.065), null);
+});
+
+test('expiry parsing accepts OpenAlgo formats and expires at 15:30 IST', () => {
+  assert.equal(parseExpiryDate('28NOV24').toISOString(), '2024-11-28T10:00:00.000Z');
+  assert.equal(parseExpiryDate('28-NOV-2024').toISOString(), '2024-11-28T10:00:00.000Z');
+  assert.equal(parseExpiryDate('2024-11-28'), null);
+  close(yearsToExpiry(parseExpiryDate('28NOV24'), new Date('2024-11-27T10:00:00Z')), 1 / 365, 1e-9);
+});
+
+test('calculateStrikes keeps ITM2..OTM2 by default and widens on request', () => {
+  const service = new OptionsTradingService({}, async () => ({}));
+  assert.deepEqual(service.calculateStrikes(24012, 50), {
+    ITM2: 23900, ITM1: 23950, ATM: 24000, OTM1: 24050, OTM2: 24100
+  });
+  assert.deepEqual(Object.keys(service.calculateStrikes(24012, 50, 3)), ['ITM3', 'ITM2', 'ITM1', 'ATM', 'OTM1', 'OTM2', 'OTM3']);
+});
+
+test('getOptionChain merges quotes around ATM with local greeks', async () => {
+  const spot = 24012;
+  const now = new Date('2024-11-21T04:00:00Z');
+  const years = yearsToExpiry(parseExpiryDate('28NOV24'), now);
+  const requests = [];
+
+  const dbAsync = { get: async () => ({ id: 1, is_primary_admin: 1 }) };
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    requests.push(endpoint);
+    if (endpoint === 'optionsymbol') {
+      return { status: 'success', symbol: 'NIFTY28NOV2424000CE', exchange: 'NFO', lotsize: 75, underlying_ltp: spot };
+    }
+    const [, strike, type] = /(\d{5})(CE|PE)$/.exec(payload.symbol);
+    if (strike === '24100' && type === 'PE') {
+      return { status: 'error', message: 'No quote' };
+    }
+    return { status: 'success', data: { ltp: blackScholesPrice(type, spot, Number(strike), years, 0.065, 0.15), oi: 1000 } };
+  };
+
+  const tokens = [];
+  const rateLimiters = { acquireToken: async (instanceId, endpointType) => tokens.push(`${instanceId}:${endpointType}`) };
+  const service = new OptionsTradingService(dbAsync, makeRequest, rateLimiters);
+  const result = await service.getOptionChain('NIFTY', '28-NOV-24', { strikeCount: 2, riskFreeRate: 0.065, now });
+
+  assert.equal(result.atm_strike, 24000);
+  assert.equal(result.strike_int, 50);
+  assert.deepEqual(result.chain.map(row => row.strike), [23900, 23950, 24000, 24050, 24100]);
+  assert.equal(requests.filter(endpoint => endpoint === 'quotes').length, 10);
+  // Every quote waits for a general_api token on the admin instance
+  assert.deepEqual(tokens, Array(10).fill('1:general_api'));
+
+  const otmCall = result.chain.find(row => row.strike === 24100).ce;
+  assert.equal(otmCall.symbol, 'NIFTY28NOV2424100CE');
+  assert.equal(otmCall.offset, 'OTM2');
+  close(otmCall.iv, 15, 1e-2);
+  assert.ok(otmCall.delta > 0 && otmCall.delta < 0.5);
+
+  const itmPut = result.chain.find(row => row.strike === 24100).pe;
+  assert.equal(itmPut.offset, 'ITM2');
+  assert.equal(itmPut.iv, null);
+
+  await assert.rejects(() => service.getOptionChain('ACME', '28NOV24'), /strike_int is required/);
+});
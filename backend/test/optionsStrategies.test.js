@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildStrategyLegs,
+  offsetToSteps,
+  orderLegsForExecution,
+  stepsToOffset
+} from '../lib/options-strategies.js';
+import OptionsTradingService from '../lib/options-trading-service.js';
+
+const summarize = (legs) => legs.map(leg => `${leg.action} ${leg.ratio}x ${leg.option_type} ${leg.offset}`);
+
+function createService({ failSymbols = [] } = {}) {
+  const instances = {
+    admin: { id: 1, is_primary_admin: 1 },
+    trading: { id: 2, api_key: 'key' }
+  };
+  const dbAsync = {
+    get: async (sql) => (sql.includes('is_primary_admin') ? instances.admin : instances.trading)
+  };
+  const orders = [];
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    if (endpoint === 'optionsymbol') {
+      return { status: 'success', symbol: `NIFTY${payload.expiry_date}${payload.offset}${payload.option_type}`, lotsize: 75 };
+    }
+    if (endpoint !== 'placesmartorder') {
+      return { status: 'error', message: `${endpoint} not supported` };
+    }
+    orders.push(payload);
+    if (failSymbols.includes(payload.symbol)) {
+      return { status: 'error', message: 'Rejected by broker' };
+    }
+    return { status: 'success', orderid: `ORD${orders.length}` };
+  };
+  return { service: new OptionsTradingService(dbAsync, makeRequest), orders };
+}
+
+test('offsets convert to signed strike steps and back', () => {
+  assert.equal(offsetToSteps('ATM'), 0);
+  assert.equal(offsetToSteps('otm3'), 3);
+  assert.equal(offsetToSteps('ITM2'), -2);
+  assert.equal(stepsToOffset(-1), 'ITM1');
+  assert.equal(stepsToOffset(4), 'OTM4');
+  assert.throws(() => offsetToSteps('OTM'), { statusCode: 400 });
+});
+
+test('templates build legs from base offset and wing width', () => {
+  assert.deepEqual(summarize(buildStrategyLegs('IRON_CONDOR', { offset: 'OTM2', wing: 3 })), [
+    'SELL 1x CE OTM2', 'BUY 1x CE OTM5', 'SELL 1x PE OTM2', 'BUY 1x PE OTM5'
+  ]);
+  assert.deepEqual(summarize(buildStrategyLegs('IRON_FLY', {})), [
+    'SELL 1x CE ATM', 'BUY 1x CE OTM2', 'SELL 1x PE ATM', 'BUY 1x PE OTM2'
+  ]);
+  assert.deepEqual(summarize(buildStrategyLegs('BULL_PUT_SPREAD', { offset: 'ITM1', wing: 2 })), [
+    'SELL 1x PE ITM1', 'BUY 1x PE OTM1'
+  ]);
+  assert.deepEqual(summarize(buildStrategyLegs('CALL_RATIO_SPREAD', { wing: 1 })), [
+    'BUY 1x CE ATM', 'SELL 2x CE OTM1'
+  ]);
+  assert.deepEqual(summarize(buildStrategyLegs('STRANGLE', {})), ['BUY 1x CE OTM1', 'BUY 1x PE OTM1']);
+  assert.throws(() => buildStrategyLegs('BUTTERFLY', {}), /Unknown strategy/);
+  assert.throws(() => buildStrategyLegs('IRON_CONDOR', { wing: 0 }), /wing/);
+});
+
+test('custom legs keep their own ratio and expiry', () => {
+  const legs = buildStrategyLegs('CUSTOM', {
+    expiry_date: '28NOV24',
+    legs: [
+      { option_type: 'ce', action: 'sell', offset: 'ATM' },
+      { option_type: 'CE', action: 'BUY', offset: 'ATM', ratio: 2, expiry_date: '26DEC24' }
+    ]
+  });
+  assert.deepEqual(legs.map(leg => [leg.action, leg.ratio, leg.expiry_date]), [
+    ['SELL', 1, '28NOV24'],
+    ['BUY', 2, '26DEC24']
+  ]);
+  assert.throws(() => buildStrategyLegs('CUSTOM', { legs: [{ option_type: 'CE', action: 'BUY', offset: 'ATM', ratio: 0 }] }), /ratio/);
+});
+
+test('execution order puts hedge legs first', () => {
+  const ordered = orderLegsForExecution(buildStrategyLegs('IRON_CONDOR', { offset: 'OTM1' }));
+  assert.deepEqual(ordered.map(leg => leg.name), ['long_call', 'long_put', 'short_call', 'short_put']);
+});
+
+test('placeBasketOrder places hedges first with signed target positions', async () => {
+  const { service, orders } = createService();
+  const result = await service.placeBasketOrder(2, 'iron_condor', {
+    underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'OTM1', wing: 2, quantity: 2
+  });
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.strategy, 'IRON_CONDOR');
+  assert.deepEqual(orders.map(order => [order.action, order.quantity, order.position_size]), [
+    ['BUY', 150, 150],
+    ['BUY', 150, 150],
+    ['SELL', 150, -150],
+    ['SELL', 150, -150]
+  ]);
+  assert.equal(orders[0].symbol, 'NIFTY28NOV24OTM3CE');
+});
+
+test('placeBasketOrder skips short legs when a hedge leg fails', async () => {
+  const { service, orders } = createService({ failSymbols: ['NIFTY28NOV24OTM3PE'] });
+  const result = await service.placeBasketOrder(2, 'IRON_CONDOR', {
+    underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'OTM1', quantity: 1
+  });
+
+  assert.equal(result.status, 'partial_success');
+  assert.equal(orders.length, 2);
+  assert.deepEqual(result.errors.map(error => [error.leg, error.error]), [
+    ['long_put', 'Rejected by broker'],
+    ['short_call', 'Skipped: hedge leg failed'],
+    ['short_put', 'Skipped: hedge leg failed']
+  ]);
+});
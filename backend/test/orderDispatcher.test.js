@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import OrderDispatcher from '../lib/order-dispatcher.js';
+import { RateLimiterManager } from '../lib/rate-limiter.js';
+
+// One token per instance, refilled every 100ms
+function createLimiters() {
+  const manager = new RateLimiterManager(null);
+  manager.defaultLimits.smart_order = { maxTokens: 1, refillRate: 10 };
+  return manager;
+}
+
+const instances = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+
+test('dispatch runs instances in parallel and each queue in order', async () => {
+  const limiters = createLimiters();
+  const dispatcher = new OrderDispatcher(limiters);
+  const calls = [];
+  const progress = [];
+
+  // Like placeOrder, the worker takes the token
+  const worker = async (instance, task) => {
+    await limiters.acquireToken(instance.id, 'smart_order');
+    calls.push(`${instance.name}:${task}`);
+    if (instance.name === 'B' && task === 'Y') {
+      throw new Error('Rejected');
+    }
+    return { order_id: `${instance.name}${task}` };
+  };
+
+  const startedAt = Date.now();
+  const outcome = await dispatcher.dispatch(
+    instances.map(instance => ({ instance, tasks: ['X', 'Y', 'Z'] })),
+    worker,
+    { onProgress: (item, { completed, total }) => progress.push(`${completed}/${total}:${item.status}`) }
+  );
+  const elapsed = Date.now() - startedAt;
+
+  assert.equal(outcome.total, 6);
+  assert.equal(outcome.timed_out, false);
+  assert.deepEqual(calls.filter(call => call.startsWith('A')), ['A:X', 'A:Y', 'A:Z']);
+  assert.deepEqual(calls.filter(call => call.startsWith('B')), ['B:X', 'B:Y', 'B:Z']);
+  // Interleaved, not A then B
+  assert.deepEqual(calls.slice(0, 2).sort(), ['A:X', 'B:X']);
+  // Three tokens per instance at 100ms each, in parallel: ~200ms, not ~500ms
+  assert.ok(elapsed >= 190 && elapsed < 400, `elapsed ${elapsed}ms`);
+  assert.equal(progress.length, 6);
+  assert.equal(progress[5].split(':')[0], '6/6');
+  assert.deepEqual(outcome.outcomes.filter(item => item.status === 'error').map(item => item.error), ['Rejected']);
+});
+
+test('dispatch skips tasks that cannot start before the deadline', async () => {
+  const limiters = createLimiters();
+  const dispatcher = new OrderDispatcher(limiters);
+  const worker = async (instance) => {
+    await limiters.acquireToken(instance.id, 'smart_order');
+    return {};
+  };
+
+  const outcome = await dispatcher.dispatch(
+    [{ instance: instances[0], tasks: [1, 2, 3, 4, 5, 6] }],
+    worker,
+    { deadlineMs: 250 }
+  );
+
+  const statuses = outcome.outcomes.map(item => item.status);
+  assert.equal(outcome.timed_out, true);
+  assert.ok(statuses.filter(status => status === 'success').length >= 2);
+  assert.ok(statuses.includes('skipped'));
+  // Once the deadline is hit the rest of the queue is skipped, not sent late
+  assert.deepEqual(statuses.slice(statuses.indexOf('skipped')).filter(status => status !== 'skipped'), []);
+  assert.equal(outcome.outcomes.find(item => item.status === 'skipped').error, 'Deadline exceeded before the order could be sent');
+});
@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import OrderPlacementService from '../lib/order-placement-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+// Open NIFTY futures LIMIT buy and short (lot 75, tick 0.05) and one completed order
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, strategy_tag TEXT)');
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, lot_size INTEGER)');
+  await dbAsync.run('CREATE TABLE symbol_search_cache (symbol TEXT, exchange TEXT, tick_size REAL)');
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY, instance_id INTEGER, watchlist_id INTEGER, symbol_id INTEGER, order_id TEXT,
+    exchange TEXT, symbol TEXT, action TEXT, quantity INTEGER, product_type TEXT, pricetype TEXT,
+    price REAL, trigger_price REAL, status TEXT, updated_at DATETIME
+  )`);
+  await dbAsync.run("INSERT INTO instances (id, name, strategy_tag) VALUES (1, 'Alpha', 'scalper')");
+  await dbAsync.run('INSERT INTO watchlist_symbols (id, lot_size) VALUES (10, 75)');
+  await dbAsync.run("INSERT INTO symbol_search_cache VALUES ('NIFTY24NOVFUT', 'NFO', 0.05)");
+  await dbAsync.run(`INSERT INTO watchlist_orders VALUES
+    (1, 1, 5, 10, 'ORD1', 'NFO', 'NIFTY24NOVFUT', 'BUY', 75, 'NRML', 'LIMIT', 24000, 0, 'open', NULL),
+    (2, 1, 5, 10, 'ORD2', 'NFO', 'NIFTY24NOVFUT', 'BUY', 75, 'NRML', 'LIMIT', 24000, 0, 'complete', NULL),
+    (3, 1, 5, 10, 'ORD3', 'NFO', 'NIFTY24NOVFUT', 'SHORT', 75, 'NRML', 'LIMIT', 24200, 0, 'open', NULL)`);
+
+  const calls = [];
+  const tokens = [];
+  const alerts = [];
+  const service = new OrderPlacementService(
+    dbAsync,
+    { acquireToken: async (instanceId, type) => tokens.push(`${instanceId}:${type}`) },
+    { createAlert: async (...args) => alerts.push(args) },
+    async (instance, endpoint, method, payload) => {
+      calls.push({ endpoint, payload });
+      return { status: 'success', orderid: payload.orderid };
+    }
+  );
+  return { sqlite, dbAsync, service, calls, tokens, alerts };
+}
+
+test('modifyOrder sends the full order to modifyorder and updates the local row', async () => {
+  const { sqlite, dbAsync, service, calls, tokens, alerts } = await setup();
+
+  const result = await service.modifyOrder(1, { price: 23950.5, quantity: 150 });
+
+  assert.equal(result.order_id, 'ORD1');
+  assert.deepEqual(tokens, ['1:order_api']);
+  assert.deepEqual(calls, [{
+    endpoint: 'modifyorder',
+    payload: {
+      orderid: 'ORD1',
+      strategy: 'scalper',
+      exchange: 'NFO',
+      symbol: 'NIFTY24NOVFUT',
+      action: 'BUY',
+      product: 'NRML',
+      pricetype: 'LIMIT',
+      price: '23950.5',
+      quantity: '150',
+      disclosed_quantity: '0',
+      trigger_price: '0'
+    }
+  }]);
+
+  const row = await dbAsync.get('SELECT * FROM watchlist_orders WHERE id = 1');
+  assert.equal(row.price, 23950.5);
+  assert.equal(row.quantity, 150);
+  // Still working at the broker, so the status tracker keeps polling it
+  assert.equal(row.status, 'open');
+  assert.ok(row.updated_at);
+  assert.equal(alerts[0][0], 'ORDER_MODIFIED');
+  assert.equal(result.previous.price, 24000);
+  sqlite.close();
+});
+
+test('modifyOrder converts to SL-M with a trigger price and clears the limit price', async () => {
+  const { sqlite, dbAsync, service, calls } = await setup();
+
+  await service.modifyOrder(1, { pricetype: 'sl-m', trigger_price: 24100 });
+
+  assert.equal(calls[0].payload.pricetype, 'SL-M');
+  assert.equal(calls[0].payload.price, '0');
+  assert.equal(calls[0].payload.trigger_price, '24100');
+  const row = await dbAsync.get('SELECT pricetype, price, trigger_price FROM watchlist_orders WHERE id = 1');
+  assert.deepEqual({ ...row }, { pricetype: 'SL-M', price: 0, trigger_price: 24100 });
+  sqlite.close();
+});
+
+test('modifyOrder sends a SHORT order to the broker as a plain SELL', async () => {
+  const { sqlite, dbAsync, service, calls, alerts } = await setup();
+
+  await service.modifyOrder(3, { price: 24150 });
+
+  assert.equal(calls[0].payload.action, 'SELL');
+  assert.equal(calls[0].payload.price, '24150');
+  // The local row keeps the watchlist action
+  const row = await dbAsync.get('SELECT action, price FROM watchlist_orders WHERE id = 3');
+  assert.deepEqual({ ...row }, { action: 'SHORT', price: 24150 });
+  assert.match(alerts[0][2], /ORD3 SHORT 75/);
+  sqlite.close();
+});
+
+test('modifyOrder rejects invalid changes before calling the broker', async () => {
+  const { sqlite, service, calls, tokens } = await setup();
+
+  await assert.rejects(() => service.modifyOrder(2, { price: 23900 }), { statusCode: 400, message: 'Cannot modify order with status: complete' });
+  await assert.rejects(() => service.modifyOrder(99, { price: 23900 }), { statusCode: 404 });
+  await assert.rejects(() => service.modifyOrder(1, {}), { statusCode: 400, message: /at least one of/ });
+  await assert.rejects(() => service.modifyOrder(1, { price: 23900.03 }), { statusCode: 400, message: /tick size \(0.05\)/ });
+  await assert.rejects(() => service.modifyOrder(1, { quantity: 100 }), { statusCode: 400, message: /lot size \(75\)/ });
+  await assert.rejects(() => service.modifyOrder(1, { pricetype: 'SL' }), { statusCode: 400, message: 'SL orders require a trigger_price greater than 0' });
+  await assert.rejects(() => service.modifyOrder(1, { pricetype: 'STOP' }), { statusCode: 400, message: /Invalid pricetype/ });
+
+  assert.equal(calls.length, 0);
+  assert.equal(tokens.length, 0);
+  sqlite.close();
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import OrderPreviewService from '../lib/order-preview.js';
+import PositionManager from '../lib/position-manager.js';
+import { validateLotSize, validateTickSize } from '../lib/order-validators.js';
+
+const instance = { id: 7, name: 'Primary' };
+
+// Open-position counts and limits the position manager reads
+function createDb({ openPositions = 0, tickSize = 0.05 } = {}) {
+  const writes = [];
+  return {
+    writes,
+    get: async (sql) => {
+      if (sql.includes('position_limits')) {
+        return { max_open_positions: 2, max_positions_per_symbol: 5, max_capital_per_position: 50000, max_total_capital_deployed: null };
+      }
+      if (sql.includes('symbol_search_cache')) {
+        return { tick_size: tickSize };
+      }
+      return { count: openPositions, total: 0 };
+    },
+    all: async () => [],
+    run: async (sql) => {
+      writes.push(sql);
+      return { lastID: 1, changes: 1 };
+    }
+  };
+}
+
+function createOrderService({ preflightError = null } = {}) {
+  return {
+    quantityResolver: {
+      resolve: async () => ({ resolvedQty: 150, targetPos: 150, ltp: 200, ltpSource: 'quotes', qtyMode: 'CAPITAL' })
+    },
+    performPreflightChecks: async () => {
+      if (preflightError) throw new Error(preflightError);
+    },
+    buildExitAllOrder: async (inst, params) => ({
+      position: { exists: true, quantity: 75, rawQuantity: -75, direction: 'SHORT' },
+      order: { ...params, action: 'COVER', quantity: 75, position_size: 0, pricetype: 'MARKET' }
+    })
+  };
+}
+
+const symbolConfig = { symbol_id: 3, lot_size: 75, contract_multiplier: 1 };
+const orderParams = { symbol: 'NIFTY24NOV24000CE', exchange: 'NFO', action: 'BUY', quantity: 150, position_size: 150, product: 'MIS', pricetype: 'MARKET' };
+
+test('lot and tick validators return the rejection reason or null', () => {
+  assert.equal(validateLotSize(150, 75), null);
+  assert.match(validateLotSize(100, 75), /multiple of lot size \(75\)/);
+  assert.match(validateLotSize(0, 1), /positive integer/);
+  assert.equal(validateTickSize(101.35, 0.05), null);
+  assert.match(validateTickSize(101.33, 0.05), /tick size \(0.05\)/);
+  assert.equal(validateTickSize(101.33, null), null);
+});
+
+test('canOpenPosition dry run reports the violation without logging it', async () => {
+  const dbAsync = createDb({ openPositions: 2 });
+  const manager = new PositionManager(dbAsync, null);
+
+  const result = await manager.canOpenPosition(7, 3, 1, 75, 1000, { dryRun: true });
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.violation, 'MAX_POSITIONS');
+  assert.deepEqual(dbAsync.writes, []);
+});
+
+test('previewOrder returns the resolved order with blocking checks and position-limit warnings', async () => {
+  const dbAsync = createDb({ openPositions: 0 });
+  const service = new OrderPreviewService(dbAsync, createOrderService(), new PositionManager(dbAsync, null));
+
+  const row = await service.previewOrder(instance, symbolConfig, orderParams, { watchlistId: 1, uiAction: 'BUY' });
+  assert.equal(row.would_place, true);
+  assert.equal(row.estimated_capital, 30000);
+  assert.equal(row.resolver.resolved_qty, 150);
+
+  const blockedService = new OrderPreviewService(
+    createDb({ openPositions: 2 }),
+    createOrderService({ preflightError: 'Market is closed' }),
+    new PositionManager(createDb({ openPositions: 2 }), null)
+  );
+  const blocked = await blockedService.previewOrder(
+    instance,
+    symbolConfig,
+    { ...orderParams, quantity: 100, pricetype: 'LIMIT', price: 101.33 },
+    { watchlistId: 1, uiAction: 'BUY' }
+  );
+  assert.equal(blocked.would_place, false);
+  assert.deepEqual(blocked.blocked_by.map(item => item.check), ['PREFLIGHT', 'LOT_SIZE', 'TICK_SIZE']);
+  // place-orders does not enforce position limits, so the preview only warns about them
+  assert.equal(blocked.warnings.length, 1);
+  assert.match(blocked.warnings[0], /^MAX_POSITIONS \(GLOBAL\): Maximum open positions limit reached/);
+});
+
+test('previewOrder skips position limits for exits', async () => {
+  const dbAsync = createDb({ openPositions: 2 });
+  const service = new OrderPreviewService(dbAsync, createOrderService(), new PositionManager(dbAsync, null));
+
+  const row = await service.previewOrder(
+    instance,
+    symbolConfig,
+    { ...orderParams, action: 'SELL', position_size: 0 },
+    { watchlistId: 1, uiAction: 'EXIT', currentPosition: 150 }
+  );
+  assert.equal(row.would_place, true);
+  assert.deepEqual(row.blocked_by, []);
+});
+
+test('previewExitAll describes the closing order without placing it', async () => {
+  const service = new OrderPreviewService(createDb(), createOrderService(), null);
+
+  const row = await service.previewExitAll(instance, { symbol: 'NIFTY', exchange: 'NFO', product: 'MIS' });
+  assert.equal(row.action, 'COVER');
+  assert.equal(row.quantity, 75);
+  assert.equal(row.would_place, true);
+  assert.equal(row.message, 'COVER 75 NIFTY to close SHORT position');
+});
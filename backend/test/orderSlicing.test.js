@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import OrderPlacementService from '../lib/order-placement-service.js';
+import OrderStatusTracker from '../lib/order-status-tracker.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const instance = { id: 1, name: 'Alpha', is_active: 1, order_placement_enabled: 1, health_status: 'healthy' };
+const order = { symbol: 'NIFTY24NOVFUT', exchange: 'NFO', action: 'SHORT', quantity: 4000, product: 'NRML', pricetype: 'MARKET' };
+
+// `respond(endpoint, payload, callNumber)` answers broker calls
+async function setup(respond) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Alpha')");
+  await dbAsync.run(`CREATE TABLE watchlist_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, instance_id INTEGER, watchlist_id INTEGER, symbol_id INTEGER,
+    position_id INTEGER, order_id TEXT, orderid TEXT, exchange TEXT, symbol TEXT, action TEXT, quantity INTEGER,
+    order_type TEXT, price REAL, product_type TEXT, pricetype TEXT, status TEXT, trigger_price REAL,
+    response_json TEXT, message TEXT, filled_quantity INTEGER DEFAULT 0, average_price REAL,
+    parent_order_id INTEGER, slice_count INTEGER, placed_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME
+  )`);
+
+  const calls = [];
+  const alerts = [];
+  const service = new OrderPlacementService(
+    dbAsync,
+    { acquireToken: async () => ({ waitTime: 0 }) },
+    { createAlert: async (...args) => alerts.push(args) },
+    async (inst, endpoint, method, payload) => {
+      calls.push({ endpoint, payload });
+      return respond(endpoint, payload, calls.length);
+    }
+  );
+  service.marginChecker.enabled = false;
+  return { sqlite, dbAsync, service, calls, alerts };
+}
+
+test('splitQuantity cuts at the freeze quantity with the remainder last', async () => {
+  const { sqlite, service } = await setup(() => ({ status: 'success' }));
+  assert.deepEqual(service.splitQuantity(4000, 1800), [1800, 1800, 400]);
+  assert.deepEqual(service.splitQuantity(3600, 1800), [1800, 1800]);
+  sqlite.close();
+});
+
+test('without an interval the broker splits the order in one splitorder call', async () => {
+  const { sqlite, dbAsync, service, calls } = await setup(() => ({
+    status: 'success',
+    results: [
+      { order_num: 1, orderid: 'S1', quantity: 1800, status: 'success' },
+      { order_num: 2, orderid: 'S2', quantity: 1800, status: 'success' },
+      { order_num: 3, orderid: 'S3', quantity: 400, status: 'success' }
+    ]
+  }));
+
+  const result = await service.placeSlicedOrder(instance, order, { watchlist_id: 2, position_id: 9 }, { freezeQty: 1800 });
+
+  assert.equal(result.sliced, true);
+  assert.equal(result.placed_quantity, 4000);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].endpoint, 'splitorder');
+  // SHORT goes out as a plain SELL for the full quantity
+  assert.equal(calls[0].payload.action, 'SELL');
+  assert.equal(calls[0].payload.quantity, '4000');
+  assert.equal(calls[0].payload.splitsize, '1800');
+  assert.equal(calls[0].payload.position_size, undefined);
+
+  const rows = await dbAsync.all('SELECT id, order_id, quantity, position_id, parent_order_id, slice_count, status FROM watchlist_orders ORDER BY id');
+  assert.deepEqual(rows.map(row => ({ ...row })), [
+    { id: 1, order_id: null, quantity: 4000, position_id: 9, parent_order_id: null, slice_count: 3, status: 'pending' },
+    { id: 2, order_id: 'S1', quantity: 1800, position_id: null, parent_order_id: 1, slice_count: null, status: 'pending' },
+    { id: 3, order_id: 'S2', quantity: 1800, position_id: null, parent_order_id: 1, slice_count: null, status: 'pending' },
+    { id: 4, order_id: 'S3', quantity: 400, position_id: null, parent_order_id: 1, slice_count: null, status: 'pending' }
+  ]);
+  sqlite.close();
+});
+
+test('spaced slices are placed one by one and stop at the first failure', async () => {
+  const { sqlite, dbAsync, service, calls, alerts } = await setup((endpoint, payload, callNumber) => (
+    callNumber === 2
+      ? { status: 'error', message: 'Freeze limit exceeded' }
+      : { status: 'success', orderid: `S${callNumber}` }
+  ));
+
+  const startedAt = Date.now();
+  const result = await service.placeSlicedOrder(instance, order, {}, { freezeQty: 1800, intervalMs: 20 });
+
+  assert.ok(Date.now() - startedAt >= 20, 'slices are spaced');
+  assert.deepEqual(calls.map(call => [call.endpoint, call.payload.quantity]), [['placeorder', '1800'], ['placeorder', '1800']]);
+  assert.equal(result.placed_quantity, 1800);
+  assert.deepEqual(result.slices.map(slice => slice.status), ['success', 'error']);
+  const failed = await dbAsync.get('SELECT status, message FROM watchlist_orders WHERE id = 3');
+  assert.deepEqual({ ...failed }, { status: 'rejected', message: 'Freeze limit exceeded' });
+  assert.equal(alerts[0][0], 'ORDER_PARTIALLY_PLACED');
+  sqlite.close();
+});
+
+test('resolveAndPlaceOrderV2 slices quantities above the symbol freeze quantity', async () => {
+  const { sqlite, service, calls } = await setup(() => ({ status: 'success', results: [] }));
+  service.quantityResolver = { resolve: async () => ({ resolvedQty: 4000, targetPos: 4000 }) };
+  const placed = [];
+  service.placeOrder = async (...args) => placed.push(args);
+
+  const wlConfig = { symbol: 'NIFTY24NOVFUT', exchange: 'NFO', product_type: 'NRML', freeze_qty: 1800, slice_interval_ms: 0 };
+  await assert.rejects(() => service.resolveAndPlaceOrderV2(instance, wlConfig, 0, 'BUY'), /Sliced order failed/);
+  assert.equal(calls[0].endpoint, 'splitorder');
+
+  // At or below the freeze quantity the normal smart order is used
+  await service.resolveAndPlaceOrderV2(instance, { ...wlConfig, freeze_qty: 5000 }, 0, 'BUY');
+  assert.equal(placed.length, 1);
+  assert.equal(calls.length, 1);
+  sqlite.close();
+});
+
+test('the tracker rolls slice fills up into the parent order', async () => {
+  const { sqlite, dbAsync, service } = await setup(() => ({
+    status: 'success',
+    results: [
+      { orderid: 'S1', quantity: 1800, status: 'success' },
+      { orderid: 'S2', quantity: 1800, status: 'success' },
+      { orderid: 'S3', quantity: 400, status: 'success' }
+    ]
+  }));
+  await service.placeSlicedOrder(instance, order, {}, { freezeQty: 1800 });
+
+  let orderBook = [
+    { orderid: 'S1', status: 'complete', fillshares: '1800', avgprice: '24000' },
+    { orderid: 'S2', status: 'open', fillshares: '0', avgprice: '0' },
+    { orderid: 'S3', status: 'complete', fillshares: '400', avgprice: '24010' }
+  ];
+  const alerts = [];
+  const tracker = new OrderStatusTracker(dbAsync, { getOrderBook: async () => orderBook }, { createAlert: async (...args) => alerts.push(args) });
+
+  await tracker.updatePendingOrders();
+  let parent = await dbAsync.get('SELECT status, filled_quantity FROM watchlist_orders WHERE id = 1');
+  assert.deepEqual({ ...parent }, { status: 'open', filled_quantity: 2200 });
+
+  orderBook = orderBook.map(entry => (entry.orderid === 'S2' ? { ...entry, status: 'complete', fillshares: '1800', avgprice: '24005' } : entry));
+  await tracker.updatePendingOrders();
+  parent = await dbAsync.get('SELECT status, filled_quantity, average_price FROM watchlist_orders WHERE id = 1');
+  // (1800 * 24000 + 1800 * 24005 + 400 * 24010) / 4000
+  assert.deepEqual({ ...parent }, { status: 'complete', filled_quantity: 4000, average_price: 24003.25 });
+  assert.ok(alerts.some(alert => alert[0] === 'ORDER_COMPLETED' && alert[3].quantity === 4000));
+  sqlite.close();
+});
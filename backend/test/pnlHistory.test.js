@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up } from '../db/migrations/007_add_instance_pnl_snapshots.js';
+import {
+  downsampleSnapshots,
+  calculateDrawdownStats,
+  getPnlHistory
+} from '../lib/pnl-history.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const snapshots = [
+  { captured_at: '2025-01-06 03:45:00', current_balance: 100000, realized_pnl: 0, unrealized_pnl: 100, total_pnl: 100 },
+  { captured_at: '2025-01-06 03:45:30', current_balance: 100000, realized_pnl: 0, unrealized_pnl: 500, total_pnl: 500 },
+  { captured_at: '2025-01-06 03:47:00', current_balance: 100000, realized_pnl: 200, unrealized_pnl: 0, total_pnl: 200 },
+  { captured_at: '2025-01-06 03:49:30', current_balance: 100000, realized_pnl: 200, unrealized_pnl: 400, total_pnl: 600 },
+  { captured_at: '2025-01-06 03:50:00', current_balance: 100000, realized_pnl: 200, unrealized_pnl: 100, total_pnl: 300 }
+];
+
+test('downsampleSnapshots keeps last value and high/low per bucket', () => {
+  const points = downsampleSnapshots(snapshots, 300);
+
+  assert.equal(points.length, 2);
+  assert.equal(points[0].timestamp, '2025-01-06 03:45:00');
+  assert.equal(points[0].total_pnl, 600);
+  assert.equal(points[0].high_pnl, 600);
+  assert.equal(points[0].low_pnl, 100);
+  assert.equal(points[0].samples, 4);
+  assert.equal(points[1].total_pnl, 300);
+});
+
+test('calculateDrawdownStats measures drawdown from the running peak', () => {
+  const stats = calculateDrawdownStats(snapshots);
+
+  assert.equal(stats.peak_pnl, 600);
+  assert.equal(stats.trough_pnl, 100);
+  // 500 -> 200 is the deepest give-back
+  assert.equal(stats.max_drawdown, 300);
+  assert.equal(stats.max_drawdown_pct, 60);
+  assert.equal(stats.max_drawdown_peak_at, '2025-01-06 03:45:30');
+  assert.equal(stats.max_drawdown_trough_at, '2025-01-06 03:47:00');
+  assert.equal(stats.end_pnl, 300);
+});
+
+test('getPnlHistory filters by time range and validates interval', async () => {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY)');
+  await up(dbAsync);
+
+  for (const row of snapshots) {
+    await dbAsync.run(
+      'INSERT INTO instance_pnl_snapshots (instance_id, realized_pnl, unrealized_pnl, total_pnl, captured_at) VALUES (?, ?, ?, ?, ?)',
+      [1, row.realized_pnl, row.unrealized_pnl, row.total_pnl, row.captured_at]
+    );
+  }
+
+  const history = await getPnlHistory(dbAsync, 1, {
+    from: '2025-01-06T03:46:00Z',
+    to: '2025-01-06T03:55:00Z',
+    interval: 'raw'
+  });
+
+  assert.equal(history.points.length, 3);
+  assert.equal(history.stats.peak_pnl, 600);
+  assert.equal(history.stats.max_drawdown, 300);
+
+  await assert.rejects(
+    getPnlHistory(dbAsync, 1, { interval: '7m' }),
+    /Invalid interval/
+  );
+
+  sqlite.close();
+});
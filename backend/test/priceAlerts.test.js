@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import PriceAlertService, { sanitizePriceAlertInput } from '../lib/price-alert-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, watchlist_id INTEGER, exchange TEXT, symbol TEXT)');
+  await dbAsync.run(`CREATE TABLE price_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, watchlist_id INTEGER, symbol_id INTEGER, exchange TEXT, symbol TEXT,
+    condition_type TEXT, direction TEXT, threshold REAL, window_seconds INTEGER, trigger_mode TEXT DEFAULT 'ONE_SHOT',
+    cooldown_seconds INTEGER DEFAULT 300, severity TEXT DEFAULT 'WARNING', note TEXT, is_active INTEGER DEFAULT 1,
+    trigger_count INTEGER DEFAULT 0, last_triggered_at DATETIME, last_triggered_price REAL, created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await dbAsync.run("INSERT INTO watchlist_symbols (id, watchlist_id, exchange, symbol) VALUES (3, 1, 'NSE', 'INFY')");
+
+  const created = [];
+  const alertService = { createAlert: async (alert) => created.push(alert) };
+  const service = new PriceAlertService(dbAsync, alertService);
+  return { sqlite, dbAsync, service, created };
+}
+
+const tick = (fields) => ({ exchange: 'NSE', symbol: 'INFY', ...fields });
+const at = (seconds) => new Date(Date.UTC(2026, 2, 2, 4, 0, seconds));
+
+test('sanitizePriceAlertInput validates conditions and defaults', () => {
+  const alert = sanitizePriceAlertInput({ condition_type: 'price_cross', direction: 'up', threshold: '1500' });
+  assert.deepEqual(
+    [alert.condition_type, alert.direction, alert.threshold, alert.trigger_mode, alert.cooldown_seconds, alert.severity, alert.window_seconds],
+    ['PRICE_CROSS', 'UP', 1500, 'ONE_SHOT', 300, 'WARNING', null]
+  );
+  const spike = sanitizePriceAlertInput({ condition_type: 'VOLUME_SPIKE', direction: 'DOWN', threshold: 3 });
+  assert.deepEqual([spike.direction, spike.window_seconds], ['UP', 60]);
+
+  assert.throws(() => sanitizePriceAlertInput({ condition_type: 'RSI', threshold: 1 }), { statusCode: 400 });
+  assert.throws(() => sanitizePriceAlertInput({ condition_type: 'GAP_OPEN', threshold: 0 }), { message: /positive number/ });
+  assert.throws(() => sanitizePriceAlertInput({ condition_type: 'VOLUME_SPIKE', threshold: 1 }), { message: /greater than 1/ });
+  assert.throws(() => sanitizePriceAlertInput({ condition_type: 'VOLUME_SPIKE', threshold: 2, window_seconds: 5 }), { message: /window_seconds/ });
+  assert.throws(() => sanitizePriceAlertInput({ condition_type: 'PRICE_CROSS', threshold: 1, trigger_mode: 'TWICE' }), { message: /trigger_mode/ });
+});
+
+test('one-shot price cross fires once on the crossing tick and deactivates', async () => {
+  const { sqlite, service, created } = await setup();
+  await assert.rejects(() => service.createAlert(1, 99, { condition_type: 'PRICE_CROSS', threshold: 1500 }), { statusCode: 404 });
+  const alert = await service.createAlert(1, 3, { condition_type: 'PRICE_CROSS', direction: 'UP', threshold: 1500, note: 'breakout' }, 'trader@example.com');
+  assert.deepEqual([alert.exchange, alert.symbol, alert.created_by], ['NSE', 'INFY', 'trader@example.com']);
+
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1505 }), at(0)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1495 }), at(1)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1501 }), at(2)), [alert.id]);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1490 }), at(3)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1510 }), at(4)), []);
+
+  assert.equal(created.length, 1);
+  assert.equal(created[0].type, 'PRICE_ALERT');
+  assert.equal(created[0].title, 'INFY crossed above 1500');
+  assert.match(created[0].message, /LTP 1501\) - breakout$/);
+  assert.deepEqual([created[0].watchlist_id, created[0].details.price_alert_id], [1, alert.id]);
+
+  const stored = await service.getAlert(alert.id);
+  assert.deepEqual([stored.is_active, stored.trigger_count, stored.last_triggered_price], [0, 1, 1501]);
+
+  const reactivated = await service.updateAlert(alert.id, { is_active: true });
+  assert.equal(reactivated.is_active, 1);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1499 }), at(5)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1500 }), at(6)), [alert.id]);
+  sqlite.close();
+});
+
+test('recurring % change re-arms when the condition clears and honours the cooldown', async () => {
+  const { sqlite, service, created } = await setup();
+  const alert = await service.createAlert(1, 3, {
+    condition_type: 'PERCENT_CHANGE', direction: 'DOWN', threshold: 2, trigger_mode: 'RECURRING', cooldown_seconds: 60
+  });
+
+  assert.deepEqual(await service.handleTick(tick({ ltp: 980, close: 1000 }), at(0)), [alert.id]);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 975, close: 1000 }), at(5)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 990, close: 1000 }), at(10)), []);
+  // Re-armed, but still inside the cooldown
+  assert.deepEqual(await service.handleTick(tick({ ltp: 979, close: 1000 }), at(20)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 995, close: 1000 }), at(70)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 978, close: 1000 }), at(80)), [alert.id]);
+
+  assert.equal(created.length, 2);
+  assert.equal(created[0].title, 'INFY -2.00% from previous close');
+  assert.equal((await service.getAlert(alert.id)).is_active, 1);
+  sqlite.close();
+});
+
+test('gap at open fires once per trading day and volume spikes compare against the running average', async () => {
+  const { sqlite, service, created } = await setup();
+  const gap = await service.createAlert(1, 3, {
+    condition_type: 'GAP_OPEN', direction: 'EITHER', threshold: 1, trigger_mode: 'RECURRING', cooldown_seconds: 0
+  });
+
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1020, open: 1015, close: 1000 }), at(0)), [gap.id]);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1025, open: 1015, close: 1000 }), at(30)), []);
+  assert.match(created[0].title, /INFY gapped up \+1\.50%/);
+  await service.deleteAlert(gap.id);
+
+  const spike = await service.createAlert(1, 3, { condition_type: 'VOLUME_SPIKE', threshold: 3, window_seconds: 10 });
+  // 100 shares every 10s for a minute of baseline
+  for (let seconds = 0; seconds <= 60; seconds += 10) {
+    assert.deepEqual(await service.handleTick(tick({ ltp: 1000, volume: 1000 + seconds * 10 }), at(100 + seconds)), []);
+  }
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1001, volume: 1800 }), at(170)), []);
+  assert.deepEqual(await service.handleTick(tick({ ltp: 1002, volume: 2200 }), at(180)), [spike.id]);
+  assert.equal(created[1].title, 'INFY volume spike 3.5x');
+  sqlite.close();
+});
@@ -0,0 +1,208 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up } from '../db/migrations/009_add_safe_switch_runs.js';
+import { up as addSwitchPending } from '../db/migrations/010_add_instance_switch_pending.js';
+import { autoSwitchToAnalyzer } from '../lib/instance-updater.js';
+import { getSafeSwitchHistory } from '../lib/safe-switch-audit.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+async function setupDb() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, is_analyzer_mode INTEGER DEFAULT 0, last_updated DATETIME)');
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (7, 'Alpha')");
+  await up(dbAsync);
+  await addSwitchPending(dbAsync);
+  return { sqlite, dbAsync };
+}
+
+const instance = { id: 7, name: 'Alpha', strategy_tag: 'alpha' };
+
+test('successful safe-switch records all five steps', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'positionbook') return { status: 'success', data: { positions: [] } };
+    if (endpoint === 'analyzer') return { status: 'success', data: { mode: 'analyze' } };
+    return { status: 'success' };
+  };
+
+  const result = await autoSwitchToAnalyzer(instance, 'Target profit reached', dbAsync, makeRequest, {
+    trigger: { rule: 'target_profit', total_pnl: 5100 }
+  });
+  assert.equal(result.success, true);
+
+  const [run] = await getSafeSwitchHistory(dbAsync, 7);
+  assert.equal(run.status, 'success');
+  assert.equal(run.trigger_rule, 'target_profit');
+  assert.equal(run.trigger_pnl, 5100);
+  assert.deepEqual(run.steps.map(s => s.name), ['closeposition', 'cancelallorder', 'verify_positions', 'analyzer_toggle', 'verify_analyzer']);
+  assert.deepEqual(run.steps[0].request, { strategy: 'alpha' });
+  assert.ok(run.steps.every(s => s.status === 'success' && typeof s.duration_ms === 'number'));
+
+  sqlite.close();
+});
+
+test('failed step is audited and raises an alert', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const alerts = [];
+  const alertService = {
+    alertSafeSwitchFailed: async (instanceId, name, details) => {
+      alerts.push({ instanceId, name, details });
+    }
+  };
+
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'positionbook') return { status: 'success', data: { positions: [] } };
+    if (endpoint === 'analyzer/toggle') return { status: 'error', message: 'broker rejected' };
+    return { status: 'success' };
+  };
+
+  const result = await autoSwitchToAnalyzer(instance, 'Max loss reached', dbAsync, makeRequest, { alertService });
+  assert.equal(result.success, false);
+  assert.equal(result.failed_step, 'analyzer_toggle');
+
+  const [run] = await getSafeSwitchHistory(dbAsync, 7);
+  assert.equal(run.status, 'failed');
+  assert.equal(run.failed_step, 'analyzer_toggle');
+  assert.match(run.error_message, /Failed to enable analyzer mode/);
+  assert.equal(run.steps.length, 4);
+  assert.equal(run.steps[3].status, 'failed');
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].instanceId, 7);
+  assert.equal(alerts[0].details.run_id, run.id);
+
+  const row = await dbAsync.get('SELECT is_analyzer_mode FROM instances WHERE id = 7');
+  assert.equal(row.is_analyzer_mode, 0);
+
+  sqlite.close();
+});
+
+test('leftover positions are retried per symbol before switching', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const closeCalls = [];
+  let positionChecks = 0;
+
+  const makeRequest = async (inst, endpoint, method, payload) => {
+    if (endpoint === 'closeposition') {
+      closeCalls.push(payload);
+      return { status: 'success' };
+    }
+    if (endpoint === 'positionbook') {
+      positionChecks++;
+      // Still open on the first check, flat after the first retry
+      const positions = positionChecks === 1
+        ? [{ symbol: 'INFY', exchange: 'NSE', product: 'MIS', netqty: '10' }]
+        : [];
+      return { status: 'success', data: { positions } };
+    }
+    if (endpoint === 'analyzer') return { status: 'success', data: { mode: 'analyze' } };
+    return { status: 'success' };
+  };
+
+  const result = await autoSwitchToAnalyzer(instance, 'Max loss reached', dbAsync, makeRequest, {
+    maxCloseRetries: 3,
+    retryBaseDelayMs: 0
+  });
+  assert.equal(result.success, true);
+  assert.deepEqual(closeCalls[1], { strategy: 'alpha', symbol: 'INFY', exchange: 'NSE', product: 'MIS' });
+
+  const row = await dbAsync.get('SELECT is_analyzer_mode, switch_pending FROM instances WHERE id = 7');
+  assert.equal(row.is_analyzer_mode, 1);
+  assert.equal(row.switch_pending, 0);
+
+  sqlite.close();
+});
+
+test('exhausted retries leave the instance switch-pending and raise a critical alert', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const critical = [];
+  const alertService = {
+    alertSafeSwitchRetriesExhausted: async (instanceId, name, details) => {
+      critical.push(details);
+    },
+    alertSafeSwitchFailed: async () => {
+      throw new Error('should not be used for exhausted retries');
+    }
+  };
+
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'positionbook') {
+      return { status: 'success', data: { positions: [{ symbol: 'INFY', exchange: 'NSE', product: 'MIS', netqty: '10' }] } };
+    }
+    return { status: 'success' };
+  };
+
+  const result = await autoSwitchToAnalyzer(instance, 'Max loss reached', dbAsync, makeRequest, {
+    alertService,
+    maxCloseRetries: 2,
+    retryBaseDelayMs: 0
+  });
+  assert.equal(result.success, false);
+  assert.equal(result.failed_step, 'verify_positions');
+  assert.match(result.error, /after 2 close retries/);
+
+  assert.equal(critical.length, 1);
+  assert.deepEqual(critical[0].open_symbols, ['INFY']);
+
+  const row = await dbAsync.get('SELECT switch_pending, switch_pending_reason FROM instances WHERE id = 7');
+  assert.equal(row.switch_pending, 1);
+  assert.equal(row.switch_pending_reason, 'Max loss reached');
+
+  sqlite.close();
+});
+
+test('a resumed switch-pending run does not raise the exhausted alert again', async () => {
+  const { sqlite, dbAsync } = await setupDb();
+  const critical = [];
+  const alertService = {
+    alertSafeSwitchRetriesExhausted: async (instanceId, name, details) => {
+      critical.push(details);
+    },
+    alertSafeSwitchFailed: async () => {}
+  };
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'positionbook') {
+      return { status: 'success', data: { positions: [{ symbol: 'INFY', exchange: 'NSE', product: 'MIS', netqty: '10' }] } };
+    }
+    return { status: 'success' };
+  };
+  const options = { alertService, maxCloseRetries: 1, retryBaseDelayMs: 0 };
+
+  await autoSwitchToAnalyzer(instance, 'Max loss reached', dbAsync, makeRequest, options);
+  const pending = await dbAsync.get('SELECT * FROM instances WHERE id = 7');
+  assert.equal(pending.switch_pending, 1);
+
+  // Later polls resume from the stored row until the switch completes
+  await autoSwitchToAnalyzer({ ...instance, ...pending }, pending.switch_pending_reason, dbAsync, makeRequest, options);
+  await autoSwitchToAnalyzer({ ...instance, ...pending }, pending.switch_pending_reason, dbAsync, makeRequest, options);
+  assert.equal(critical.length, 1);
+
+  const history = await getSafeSwitchHistory(dbAsync, 7);
+  assert.equal(history.length, 3);
+  sqlite.close();
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up as addScopedLimits } from '../db/migrations/014_add_scoped_position_limits.js';
+import PositionManager from '../lib/position-manager.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+// Instance 1 holds two open positions on watchlist 1; instance 2 is flat
+async function setup() {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run('CREATE TABLE watchlists (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run('CREATE TABLE position_limits (id INTEGER PRIMARY KEY, max_open_positions INTEGER, max_positions_per_symbol INTEGER, is_active INTEGER, created_at DATETIME)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, watchlist_id INTEGER, symbol_id INTEGER, instance_id INTEGER,
+    entry_price REAL, quantity INTEGER, status TEXT, pnl REAL, exited_at DATETIME, entered_at DATETIME
+  )`);
+  await addScopedLimits(dbAsync);
+
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Aggressive'), (2, 'Steady')");
+  await dbAsync.run("INSERT INTO watchlists (id, name) VALUES (1, 'Momentum')");
+  await dbAsync.run(`INSERT INTO watchlist_positions (watchlist_id, symbol_id, instance_id, entry_price, quantity, status, entered_at)
+    VALUES (1, 1, 1, 100, 10, 'OPEN', datetime('now')), (1, 2, 1, 200, 10, 'OPEN', datetime('now'))`);
+
+  return { sqlite, dbAsync, manager: new PositionManager(dbAsync, null) };
+}
+
+test('instance limits block only the instance that reached them', async () => {
+  const { sqlite, dbAsync, manager } = await setup();
+  await manager.updateScopedLimits('INSTANCE', 1, { max_open_positions: 2 }, 'admin@example.com');
+
+  const blocked = await manager.canOpenPosition(1, 3, 1, 10, 1000);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.violation, 'MAX_POSITIONS');
+  assert.equal(blocked.scope, 'INSTANCE');
+
+  assert.equal((await manager.canOpenPosition(2, 3, 1, 10, 1000)).allowed, true);
+
+  const violations = await dbAsync.all('SELECT violation_type, scope, scope_id, instance_id FROM position_limit_violations');
+  assert.deepEqual(violations.map(row => ({ ...row })), [
+    { violation_type: 'MAX_POSITIONS', scope: 'INSTANCE', scope_id: 1, instance_id: 1 }
+  ]);
+  sqlite.close();
+});
+
+test('watchlist limits cap capital deployed across instances', async () => {
+  const { sqlite, manager } = await setup();
+  await manager.updateScopedLimits('WATCHLIST', 1, { max_total_capital_deployed: 5000 }, 'admin@example.com');
+
+  // 3000 already deployed on the watchlist
+  assert.equal((await manager.canOpenPosition(2, 3, 1, 10, 1500)).allowed, true);
+  const blocked = await manager.canOpenPosition(2, 3, 1, 10, 2500);
+  assert.equal(blocked.violation, 'MAX_TOTAL_CAPITAL');
+  assert.equal(blocked.scope, 'WATCHLIST');
+  assert.equal(blocked.scope_id, 1);
+  sqlite.close();
+});
+
+test('daily loss cap and trades per day count only today', async () => {
+  const { sqlite, dbAsync, manager } = await setup();
+  await dbAsync.run(`INSERT INTO watchlist_positions (watchlist_id, symbol_id, instance_id, entry_price, quantity, status, pnl, exited_at, entered_at)
+    VALUES (1, 4, 2, 100, 10, 'CLOSED', -400, datetime('now'), datetime('now')),
+           (1, 5, 2, 100, 10, 'CLOSED', -5000, datetime('now', '-2 days'), datetime('now', '-2 days'))`);
+
+  await manager.updateScopedLimits('INSTANCE', 2, { max_daily_loss: 500, max_trades_per_day: 5 }, 'admin@example.com');
+  assert.equal((await manager.canOpenPosition(2, 3, 1, 10, 1000)).allowed, true);
+
+  await manager.updateScopedLimits('INSTANCE', 2, { max_daily_loss: 400 }, 'admin@example.com');
+  assert.equal((await manager.canOpenPosition(2, 3, 1, 10, 1000)).violation, 'MAX_DAILY_LOSS');
+
+  await manager.updateScopedLimits('INSTANCE', 2, { max_trades_per_day: 1 }, 'admin@example.com');
+  const blocked = await manager.canOpenPosition(2, 3, 1, 10, 1000, { dryRun: true });
+  assert.equal(blocked.violation, 'MAX_TRADES_PER_DAY');
+  assert.equal((await dbAsync.get('SELECT COUNT(*) as count FROM position_limit_violations')).count, 1);
+  sqlite.close();
+});
+
+test('clearing every field removes the scope limits', async () => {
+  const { sqlite, manager } = await setup();
+  const saved = await manager.updateScopedLimits('INSTANCE', 1, { max_open_positions: 1, max_daily_loss: 1000 }, 'admin@example.com');
+  assert.equal(saved.max_open_positions, 1);
+  assert.equal((await manager.listScopedLimits())[0].scope_name, 'Aggressive');
+
+  assert.equal(await manager.updateScopedLimits('INSTANCE', 1, {}, 'admin@example.com'), null);
+  assert.equal(await manager.getScopedLimits('INSTANCE', 1), null);
+  assert.equal((await manager.canOpenPosition(1, 3, 1, 10, 1000)).allowed, true);
+  sqlite.close();
+});
@@ -0,0 +1,277 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up as addStrategyPositions } from '../db/migrations/013_add_strategy_positions.js';
+import PositionManager from '../lib/position-manager.js';
+import StrategyPositionManager, { calculateNetPremium, checkStrategyExit } from '../lib/strategy-position-manager.js';
+import OptionsTradingService from '../lib/options-trading-service.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+// Short 24000 CE @ 100 and long 24200 CE @ 40 (bear call spread, 75 qty each)
+async function setupStrategy(rules = {}) {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run('CREATE TABLE instances (id INTEGER PRIMARY KEY, name TEXT, order_placement_enabled INTEGER DEFAULT 0)');
+  await dbAsync.run('CREATE TABLE watchlists (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, watchlist_id INTEGER, exchange TEXT, symbol TEXT, token TEXT)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, watchlist_id INTEGER, symbol_id INTEGER, instance_id INTEGER,
+    entry_price REAL, quantity INTEGER, direction TEXT, status TEXT, exit_price REAL, exit_reason TEXT,
+    pnl REAL, exited_at DATETIME, closed_by TEXT, is_closed INTEGER DEFAULT 0, entered_at DATETIME
+  )`);
+  await dbAsync.run('CREATE TABLE market_data (exchange TEXT, symbol TEXT, ltp REAL)');
+  await addStrategyPositions(dbAsync);
+
+  await dbAsync.run("INSERT INTO instances (id, name) VALUES (1, 'Alpha')");
+  await dbAsync.run("INSERT INTO watchlists (id, name) VALUES (1, 'Options')");
+  await dbAsync.run("INSERT INTO watchlist_symbols (id, watchlist_id, exchange, symbol) VALUES (1, 1, 'NFO', 'NIFTY24000CE'), (2, 1, 'NFO', 'NIFTY24200CE')");
+  await dbAsync.run(`INSERT INTO watchlist_positions (id, watchlist_id, symbol_id, instance_id, entry_price, quantity, direction, status)
+    VALUES (1, 1, 1, 1, 100, 75, 'SHORT', 'OPEN'), (2, 1, 2, 1, 40, 75, 'LONG', 'OPEN')`);
+
+  const alerts = [];
+  const alertService = { createAlert: async (type, severity) => alerts.push({ type, severity }) };
+  const positionManager = new PositionManager(dbAsync, alertService);
+  const manager = new StrategyPositionManager(dbAsync, positionManager, alertService);
+
+  const strategy = await manager.createStrategyPosition({
+    instanceId: 1,
+    watchlistId: 1,
+    strategy: 'bear_call_spread',
+    underlying: 'NIFTY',
+    legs: [{ position_id: 1, leg: 'short_call' }, { position_id: 2, leg: 'long_call' }],
+    rules
+  });
+
+  return { sqlite, dbAsync, manager, strategy, alerts };
+}
+
+const prices = (shortLtp, longLtp) => async (exchange, symbol) => (symbol === 'NIFTY24000CE' ? shortLtp : longLtp);
+
+test('net premium is credit on short legs minus debit on long legs', () => {
+  assert.equal(calculateNetPremium([
+    { direction: 'SHORT', entry_price: 100, quantity: 75 },
+    { direction: 'LONG', entry_price: 40, quantity: 75 }
+  ]), 4500);
+});
+
+test('exit rules use combined MTM and the MTM peak', () => {
+  const rules = { target_pnl: 3000, stop_loss_pnl: 2000, trailing_activation_pnl: 1500, trailing_giveback_pnl: 500 };
+  assert.equal(checkStrategyExit(rules, 3000, 3000).reason, 'STRATEGY_TARGET');
+  assert.equal(checkStrategyExit(rules, -2000, 0).reason, 'STRATEGY_STOP_LOSS');
+  assert.equal(checkStrategyExit(rules, 1100, 1700).reason, 'STRATEGY_TRAILING_STOP');
+  // Peak never reached the activation level
+  assert.equal(checkStrategyExit(rules, 800, 1400), null);
+});
+
+test('strategy position groups legs and tracks combined MTM', async () => {
+  const { sqlite, manager, strategy } = await setupStrategy({ target_pnl: 3000 });
+
+  assert.equal(strategy.strategy, 'BEAR_CALL_SPREAD');
+  assert.equal(strategy.net_premium, 4500);
+  assert.deepEqual(strategy.legs.map(leg => leg.strategy_leg), ['short_call', 'long_call']);
+
+  // Short leg +20*75, long leg -10*75
+  const result = await manager.evaluateStrategies(prices(80, 30));
+  assert.deepEqual(result, { evaluated: 1, closed: 0 });
+
+  const updated = await manager.getStrategyPosition(strategy.id);
+  assert.equal(updated.current_mtm, 750);
+  assert.equal(updated.status, 'OPEN');
+
+  await assert.rejects(
+    () => manager.createStrategyPosition({ instanceId: 1, strategy: 'X', legs: [{ position_id: 1 }, { position_id: 2 }] }),
+    /already belongs to strategy/
+  );
+  sqlite.close();
+});
+
+test('target exits every leg together through closePosition', async () => {
+  const { sqlite, manager, strategy, alerts } = await setupStrategy({ target_pnl: 3000 });
+
+  // Short leg +60*75, long leg -25*75 = 2625... then 3375
+  await manager.evaluateStrategies(prices(40, 15));
+  const result = await manager.evaluateStrategies(prices(30, 10));
+  assert.equal(result.closed, 1);
+
+  const closed = await manager.getStrategyPosition(strategy.id);
+  assert.equal(closed.status, 'CLOSED');
+  assert.equal(closed.exit_reason, 'STRATEGY_TARGET');
+  assert.deepEqual(closed.legs.map(leg => [leg.status, leg.exit_reason, leg.pnl]), [
+    ['CLOSED', 'STRATEGY_TARGET', 5250],
+    ['CLOSED', 'STRATEGY_TARGET', -2250]
+  ]);
+  assert.ok(alerts.some(alert => alert.type === 'STRATEGY_CLOSED'));
+  sqlite.close();
+});
+
+test('trailing rule fires after giving back from the MTM peak', async () => {
+  const { sqlite, manager, strategy } = await setupStrategy({ trailing_activation_pnl: 1500, trailing_giveback_pnl: 750 });
+
+  await manager.evaluateStrategies(prices(70, 35)); // 2250 - 375 = 1875
+  let current = await manager.getStrategyPosition(strategy.id);
+  assert.equal(current.peak_mtm, 1875);
+  assert.equal(current.trailing_activated, 1);
+
+  await manager.evaluateStrategies(prices(85, 38)); // 1125 - 150 = 975 (gave back 900)
+  current = await manager.getStrategyPosition(strategy.id);
+  assert.equal(current.status, 'CLOSED');
+  assert.equal(current.exit_reason, 'STRATEGY_TRAILING_STOP');
+  sqlite.close();
+});
+
+test('per-leg failures leave the strategy EXIT_PARTIAL and raise a critical alert', async () => {
+  const { sqlite, manager, strategy, alerts } = await setupStrategy({ stop_loss_pnl: 1000 });
+  const originalClose = manager.positionManager.closePosition.bind(manager.positionManager);
+  let failLong = true;
+  manager.positionManager.closePosition = async (positionId, ...args) => {
+    if (positionId === 2 && failLong) {
+      throw new Error('Broker timeout');
+    }
+    return originalClose(positionId, ...args);
+  };
+
+  await manager.evaluateStrategies(prices(140, 50)); // -3000 + 750
+  let current = await manager.getStrategyPosition(strategy.id);
+  assert.equal(current.status, 'EXIT_PARTIAL');
+  assert.ok(alerts.some(alert => alert.type === 'STRATEGY_EXIT_PARTIAL' && alert.severity === 'CRITICAL'));
+
+  failLong = false;
+  await manager.evaluateStrategies(prices(140, 50));
+  current = await manager.getStrategyPosition(strategy.id);
+  assert.equal(current.status, 'CLOSED');
+  assert.deepEqual(current.legs.map(leg => leg.status), ['CLOSED', 'CLOSED']);
+  sqlite.close();
+});
+
+test('combined exit buys back short legs before selling their hedges', async () => {
+  const { sqlite, dbAsync, manager, alerts } = await setupStrategy();
+  // Basket legs are recorded hedge-first: long wings get the lower ids
+  await dbAsync.run("INSERT INTO watchlist_symbols (id, watchlist_id, exchange, symbol) VALUES (3, 1, 'NFO', 'NIFTY23800PE'), (4, 1, 'NFO', 'NIFTY23600PE'), (5, 1, 'NFO', 'NIFTY24400CE')");
+  await dbAsync.run(`INSERT INTO watchlist_positions (id, watchlist_id, symbol_id, instance_id, entry_price, quantity, direction, status)
+    VALUES (10, 1, 5, 1, 20, 75, 'LONG', 'OPEN'), (11, 1, 4, 1, 20, 75, 'LONG', 'OPEN'),
+           (12, 1, 1, 1, 100, 75, 'SHORT', 'OPEN'), (13, 1, 3, 1, 90, 75, 'SHORT', 'OPEN')`);
+  const condor = await manager.createStrategyPosition({
+    instanceId: 1,
+    watchlistId: 1,
+    strategy: 'iron_condor',
+    legs: [
+      { position_id: 10, leg: 'long_call' }, { position_id: 11, leg: 'long_put' },
+      { position_id: 12, leg: 'short_call' }, { position_id: 13, leg: 'short_put' }
+    ]
+  });
+
+  const originalClose = manager.positionManager.closePosition.bind(manager.positionManager);
+  const closeOrder = [];
+  let failShortPut = true;
+  manager.positionManager.closePosition = async (positionId, ...args) => {
+    closeOrder.push(positionId);
+    if (positionId === 13 && failShortPut) {
+      throw new Error('Broker timeout');
+    }
+    return originalClose(positionId, ...args);
+  };
+
+  let result = await manager.closeStrategyPosition(condor.id, 'MANUAL', 'admin', { 10: 10, 11: 10, 12: 50, 13: 50 });
+  // Shorts first; the put wing stays open because its short did not close
+  assert.deepEqual(closeOrder, [12, 13, 10]);
+  assert.equal(result.status, 'EXIT_PARTIAL');
+  assert.deepEqual(result.legs.map(leg => [leg.id, leg.status]), [[10, 'CLOSED'], [11, 'OPEN'], [12, 'CLOSED'], [13, 'OPEN']]);
+  assert.deepEqual(result.errors.map(error => error.position_id), [13, 11]);
+  assert.ok(alerts.some(alert => alert.type === 'STRATEGY_EXIT_PARTIAL'));
+
+  failShortPut = false;
+  closeOrder.length = 0;
+  result = await manager.closeStrategyPosition(condor.id, 'MANUAL', 'admin', { 11: 10, 13: 50 });
+  assert.deepEqual(closeOrder, [13, 11]);
+  assert.equal(result.status, 'CLOSED');
+  sqlite.close();
+});
+
+test('a placed basket records its legs as one strategy position', async () => {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await dbAsync.run(`CREATE TABLE instances (
+    id INTEGER PRIMARY KEY, name TEXT, api_key TEXT, is_active INTEGER, is_primary_admin INTEGER DEFAULT 0,
+    order_placement_enabled INTEGER DEFAULT 1
+  )`);
+  await dbAsync.run('CREATE TABLE watchlists (id INTEGER PRIMARY KEY, name TEXT)');
+  await dbAsync.run('CREATE TABLE watchlist_symbols (id INTEGER PRIMARY KEY, watchlist_id INTEGER, exchange TEXT, symbol TEXT, token TEXT, display_order INTEGER)');
+  await dbAsync.run('CREATE TABLE symbol_configs (symbol_id INTEGER, qty_type TEXT)');
+  await dbAsync.run(`CREATE TABLE watchlist_positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, watchlist_id INTEGER, symbol_id INTEGER, instance_id INTEGER,
+    entry_price REAL, quantity INTEGER, direction TEXT, status TEXT, order_type TEXT, product_type TEXT,
+    target_price REAL, sl_price REAL, trailing_stop_price REAL, highest_price_seen REAL, lowest_price_seen REAL,
+    trailing_activated INTEGER, entered_at DATETIME, entered_by TEXT
+  )`);
+  await addStrategyPositions(dbAsync);
+  await dbAsync.run("INSERT INTO instances (id, name, api_key, is_active, is_primary_admin) VALUES (1, 'Admin', 'a', 1, 1), (2, 'Alpha', 'b', 1, 0)");
+  await dbAsync.run("INSERT INTO watchlists (id, name) VALUES (1, 'Options')");
+  // The short call is already on the watchlist; the long call is added
+  await dbAsync.run("INSERT INTO watchlist_symbols (id, watchlist_id, exchange, symbol, display_order) VALUES (5, 1, 'NFO', 'NIFTYOTM2CE', 1)");
+
+  const ltps = { NIFTYOTM2CE: 100, NIFTYOTM4CE: 40 };
+  const sent = [];
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    if (endpoint === 'optionsymbol') {
+      return { status: 'success', symbol: `NIFTY${payload.offset}${payload.option_type}`, lotsize: 75 };
+    }
+    if (endpoint === 'quotes') {
+      return { status: 'success', data: { ltp: ltps[payload.symbol] } };
+    }
+    sent.push(endpoint);
+    return { status: 'success', orderid: `ORD${sent.length}` };
+  };
+
+  const alertService = { createAlert: async () => {} };
+  const positionManager = new PositionManager(dbAsync, alertService);
+  const service = new OptionsTradingService(dbAsync, makeRequest);
+  service.marginChecker.enabled = false;
+  service.setStrategyPositionManager(new StrategyPositionManager(dbAsync, positionManager, alertService));
+
+  const params = { underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'OTM2', wing: 2, quantity: 1 };
+  await assert.rejects(() => service.placeBasketOrder(2, 'BEAR_CALL_SPREAD', { ...params, watchlist_id: 9 }), /Watchlist 9 not found/);
+  await assert.rejects(
+    () => service.placeBasketOrder(2, 'BEAR_CALL_SPREAD', { ...params, watchlist_id: 1, rules: { target_pnl: -5 } }),
+    /target_pnl must be a positive number/
+  );
+  assert.equal(sent.length, 0);
+
+  const result = await service.placeBasketOrder(2, 'BEAR_CALL_SPREAD', { ...params, watchlist_id: 1, rules: { target_pnl: 3000 } });
+
+  assert.deepEqual(sent, ['placesmartorder', 'placesmartorder']);
+  const strategy = result.strategy_position;
+  assert.equal(strategy.strategy, 'BEAR_CALL_SPREAD');
+  assert.equal(strategy.instance_id, 2);
+  assert.equal(strategy.target_pnl, 3000);
+  // Short 100 - long 40, 75 each
+  assert.equal(strategy.net_premium, 4500);
+  assert.deepEqual(
+    strategy.legs.map(leg => [leg.symbol, leg.direction, leg.entry_price, leg.quantity, leg.status]),
+    [['NIFTYOTM4CE', 'LONG', 40, 75, 'OPEN'], ['NIFTYOTM2CE', 'SHORT', 100, 75, 'OPEN']]
+  );
+  assert.equal(strategy.legs[1].symbol_id, 5);
+  assert.equal((await dbAsync.get('SELECT COUNT(*) as count FROM watchlist_symbols')).count, 2);
+  sqlite.close();
+});
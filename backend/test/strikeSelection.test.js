@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStrikeSelector, selectStrikeFromChain } from '../lib/strike-selection.js';
+import { buildStrategyLegs } from '../lib/options-strategies.js';
+import OptionsTradingService from '../lib/options-trading-service.js';
+
+// Minimal chain around ATM 24000 (CE offsets from the call side, PE flipped)
+const chain = {
+  chain: [
+    { strike: 23900, ce: { offset: 'ITM2', ltp: 210, delta: 0.68 }, pe: { offset: 'OTM2', ltp: 60, delta: -0.3 } },
+    { strike: 23950, ce: { offset: 'ITM1', ltp: 170, delta: 0.6 }, pe: { offset: 'OTM1', ltp: 80, delta: -0.4 } },
+    { strike: 24000, ce: { offset: 'ATM', ltp: 120, delta: 0.5 }, pe: { offset: 'ATM', ltp: 110, delta: -0.5 } },
+    { strike: 24050, ce: { offset: 'OTM1', ltp: 85, delta: 0.41 }, pe: { offset: 'ITM1', ltp: 150, delta: -0.59 } },
+    { strike: 24100, ce: { offset: 'OTM2', ltp: 55, delta: 0.26 }, pe: { offset: 'ITM2', ltp: 190, delta: null } }
+  ]
+};
+
+test('strike selectors parse offsets, delta and premium targets', () => {
+  assert.deepEqual(parseStrikeSelector('otm2'), { mode: 'OFFSET', offset: 'OTM2' });
+  assert.deepEqual(parseStrikeSelector('delta:0.25'), { mode: 'DELTA', target: 0.25, selector: 'DELTA:0.25' });
+  assert.deepEqual(parseStrikeSelector('PREMIUM:100'), { mode: 'PREMIUM', target: 100, selector: 'PREMIUM:100' });
+  assert.throws(() => parseStrikeSelector('DELTA:1.5'), { statusCode: 400 });
+  assert.throws(() => parseStrikeSelector('PREMIUM:0'), { statusCode: 400 });
+  assert.throws(() => parseStrikeSelector('GAMMA:0.1'), /Invalid strike selector/);
+});
+
+test('selectStrikeFromChain picks the nearest delta or premium per option type', () => {
+  assert.equal(selectStrikeFromChain(chain, 'CE', 'DELTA:0.25').strike, 24100);
+  assert.equal(selectStrikeFromChain(chain, 'PE', 'DELTA:0.25').offset, 'OTM2');
+  assert.equal(selectStrikeFromChain(chain, 'CE', 'PREMIUM:100').offset, 'OTM1');
+  assert.deepEqual(selectStrikeFromChain(chain, 'PE', 'PREMIUM:100'), {
+    offset: 'ATM', strike: 24000, ltp: 110, delta: -0.5, iv: undefined, symbol: undefined, selector: 'PREMIUM:100'
+  });
+  assert.throws(() => selectStrikeFromChain({ chain: [] }, 'CE', 'DELTA:0.2'), /No CE strike/);
+});
+
+test('strategy templates keep delta selectors and carry the wing as a shift', () => {
+  const legs = buildStrategyLegs('IRON_CONDOR', { offset: 'DELTA:0.16', wing: 2 });
+  assert.deepEqual(legs.map(leg => [leg.name, leg.offset, leg.shift]), [
+    ['short_call', 'DELTA:0.16', undefined],
+    ['long_call', 'DELTA:0.16', 2],
+    ['short_put', 'DELTA:0.16', undefined],
+    ['long_put', 'DELTA:0.16', 2]
+  ]);
+  assert.throws(() => buildStrategyLegs('CUSTOM', { legs: [{ option_type: 'CE', action: 'BUY', offset: 'DELTA:2' }] }), /Leg 1/);
+});
+
+test('placeBasketOrder resolves selectors once per expiry and applies wing shifts', async () => {
+  const dbAsync = {
+    get: async (sql) => (sql.includes('is_primary_admin') ? { id: 1 } : { id: 2, api_key: 'key' })
+  };
+  const orders = [];
+  const makeRequest = async (instance, endpoint, method, payload) => {
+    if (endpoint === 'optionsymbol') {
+      return { status: 'success', symbol: `NIFTY${payload.offset}${payload.option_type}`, lotsize: 75 };
+    }
+    if (endpoint !== 'placesmartorder') {
+      return { status: 'error', message: `${endpoint} not supported` };
+    }
+    orders.push(payload);
+    return { status: 'success', orderid: `ORD${orders.length}` };
+  };
+  const service = new OptionsTradingService(dbAsync, makeRequest);
+  let chainCalls = 0;
+  service.getOptionChain = async () => {
+    chainCalls++;
+    return chain;
+  };
+
+  const result = await service.placeBasketOrder(2, 'IRON_CONDOR', {
+    underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'DELTA:0.3', wing: 2, quantity: 1
+  });
+
+  assert.equal(result.status, 'success');
+  assert.equal(chainCalls, 1);
+  assert.deepEqual(orders.map(order => order.symbol), ['NIFTYOTM4CE', 'NIFTYOTM4PE', 'NIFTYOTM2CE', 'NIFTYOTM2PE']);
+  assert.equal(result.orders[2].strike_selection.strike, 24100);
+});
+
+test('selector orders share a scanned chain until it expires', async () => {
+  const service = new OptionsTradingService({}, async () => ({ status: 'error' }));
+  let chainCalls = 0;
+  service.getOptionChain = async () => {
+    chainCalls++;
+    return chain;
+  };
+  const params = { underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'DELTA:0.3', option_type: 'CE' };
+
+  assert.equal((await service.resolveStrikeOffset(params)).offset, 'OTM2');
+  assert.equal((await service.resolveStrikeOffset({ ...params, offset: 'PREMIUM:80', option_type: 'PE' })).offset, 'OTM1');
+  assert.equal(chainCalls, 1);
+
+  service.selectorChainTtlMs = 0;
+  service.selectorChains.clear();
+  await service.resolveStrikeOffset(params);
+  await service.resolveStrikeOffset(params);
+  assert.equal(chainCalls, 3);
+});
+
+test('a failed chain scan is not reused', async () => {
+  const service = new OptionsTradingService({}, async () => ({ status: 'error' }));
+  let chainCalls = 0;
+  service.getOptionChain = async () => {
+    chainCalls++;
+    if (chainCalls === 1) {
+      throw new Error('Underlying LTP unavailable from OpenAlgo');
+    }
+    return chain;
+  };
+  const params = { underlying: 'NIFTY', expiry_date: '28NOV24', strike_int: 50, offset: 'DELTA:0.3', option_type: 'CE' };
+
+  await assert.rejects(() => service.resolveStrikeOffset(params), /Underlying LTP unavailable/);
+  assert.equal((await service.resolveStrikeOffset(params)).offset, 'OTM2');
+  assert.equal(chainCalls, 2);
+});
@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { up as addSwitchPolicies } from '../db/migrations/008_add_instance_switch_policies.js';
+import { up as addRuleTriggerDates } from '../db/migrations/023_add_switch_policy_rule_triggers.js';
+import {
+  DEFAULT_SWITCH_POLICY,
+  evaluateSwitchPolicies,
+  getClosedTradeResults,
+  countConsecutiveLosses,
+  countExecutedOrders,
+  getSwitchPolicy,
+  recordPolicyTrigger,
+  sanitizePolicyUpdate,
+  saveSwitchPolicy
+} from '../lib/switch-policies.js';
+
+function createDbAsync(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })
+  };
+}
+
+const instance = { id: 1, target_profit: 10000, target_loss: 5000 };
+// 09:50 UTC == 15:20 IST
+const afternoon = new Date('2025-01-06T09:50:00Z');
+const morning = new Date('2025-01-06T04:00:00Z');
+
+test('fixed targets still fire first', () => {
+  const decision = evaluateSwitchPolicies(instance, DEFAULT_SWITCH_POLICY, { total_pnl: 12000, peak_pnl: 12000, now: morning });
+  assert.equal(decision.rule, 'target_profit');
+  assert.equal(decision.reason, 'Target profit reached');
+});
+
+test('time cutoff fires after the configured IST time, once per day', () => {
+  const policy = { ...DEFAULT_SWITCH_POLICY, cutoff_enabled: 1, cutoff_time: '15:15' };
+
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 0, now: morning }), null);
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 0, now: afternoon }).rule, 'time_cutoff');
+
+  const fired = { ...policy, last_triggered_rule: 'time_cutoff', last_triggered_at: '2025-01-06 09:46:00' };
+  assert.equal(evaluateSwitchPolicies(instance, fired, { total_pnl: 0, now: afternoon }), null);
+});
+
+test('trailing profit lock fires on give-back from intraday peak', () => {
+  const policy = { ...DEFAULT_SWITCH_POLICY, trailing_lock_enabled: 1, trailing_lock_activation: 2000, trailing_lock_giveback_pct: 30 };
+
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 3000, peak_pnl: 4000, now: morning }), null);
+
+  const decision = evaluateSwitchPolicies(instance, policy, { total_pnl: 2500, peak_pnl: 4000, now: morning });
+  assert.equal(decision.rule, 'trailing_profit_lock');
+  assert.equal(decision.details.peak_pnl, 4000);
+
+  // Not armed below the activation level
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 0, peak_pnl: 1500, now: morning }), null);
+});
+
+test('each once-per-day rule stays spent after a different rule fires later that day', async () => {
+  const sqlite = new sqlite3.Database(':memory:');
+  const dbAsync = createDbAsync(sqlite);
+  await addSwitchPolicies(dbAsync);
+  await addRuleTriggerDates(dbAsync);
+  await saveSwitchPolicy(dbAsync, 1, { cutoff_enabled: 1, cutoff_time: '15:15', max_trades: 1 });
+  const trades = [{ orderid: '101', symbol: 'A', action: 'BUY', price: '100', quantity: '1' }];
+
+  let policy = await getSwitchPolicy(dbAsync, 1);
+  let decision = evaluateSwitchPolicies(instance, policy, { total_pnl: 0, trades, now: afternoon });
+  assert.equal(decision.rule, 'time_cutoff');
+  await recordPolicyTrigger(dbAsync, 1, decision, policy.timezone, afternoon);
+
+  // The operator puts the instance back live; max_trades fires next and becomes last_triggered_rule
+  policy = await getSwitchPolicy(dbAsync, 1);
+  decision = evaluateSwitchPolicies(instance, policy, { total_pnl: 0, trades, now: afternoon });
+  assert.equal(decision.rule, 'max_trades');
+  await recordPolicyTrigger(dbAsync, 1, decision, policy.timezone, afternoon);
+
+  policy = await getSwitchPolicy(dbAsync, 1);
+  assert.equal(policy.last_triggered_rule, 'max_trades');
+  assert.deepEqual(JSON.parse(policy.rule_trigger_dates), { time_cutoff: '2025-01-06', max_trades: '2025-01-06' });
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 0, trades, now: afternoon }), null);
+
+  // Both rules are armed again the next trading day
+  const nextDay = new Date('2025-01-07T09:50:00Z');
+  assert.equal(evaluateSwitchPolicies(instance, policy, { total_pnl: 0, trades, now: nextDay }).rule, 'time_cutoff');
+  sqlite.close();
+});
+
+test('max trades and consecutive losses read the tradebook', () => {
+  const trades = [
+    { symbol: 'A', action: 'BUY', price: '100', quantity: '10' },
+    { symbol: 'A', action: 'SELL', price: '110', quantity: '10' },
+    { symbol: 'B', action: 'SELL', price: '50', quantity: '5' },
+    { symbol: 'B', action: 'BUY', price: '55', quantity: '5' },
+    { symbol: 'A', action: 'BUY', price: '100', quantity: '10' },
+    { symbol: 'A', action: 'SELL', price: '95', quantity: '10' }
+  ];
+
+  const results = getClosedTradeResults(trades);
+  assert.deepEqual(results.map(r => r.pnl), [100, -25, -50]);
+  assert.equal(countConsecutiveLosses(results), 2);
+
+  const lossPolicy = { ...DEFAULT_SWITCH_POLICY, max_consecutive_losses: 2 };
+  assert.equal(evaluateSwitchPolicies(instance, lossPolicy, { total_pnl: 25, trades, now: morning }).rule, 'max_consecutive_losses');
+
+  const tradePolicy = { ...DEFAULT_SWITCH_POLICY, max_trades: 6 };
+  assert.equal(evaluateSwitchPolicies(instance, tradePolicy, { total_pnl: 25, trades, now: morning }).rule, 'max_trades');
+});
+
+test('max trades counts executed orders, not partial fills', () => {
+  const fills = [
+    { orderid: '101', symbol: 'A', action: 'BUY', price: '100', quantity: '4' },
+    { orderid: '101', symbol: 'A', action: 'BUY', price: '100', quantity: '6' },
+    { orderid: '102', symbol: 'A', action: 'SELL', price: '110', quantity: '3' },
+    { orderid: '102', symbol: 'A', action: 'SELL', price: '110', quantity: '3' },
+    { orderid: '102', symbol: 'A', action: 'SELL', price: '110', quantity: '4' }
+  ];
+  assert.equal(countExecutedOrders(fills), 2);
+  assert.equal(countExecutedOrders([...fills, { symbol: 'B', action: 'BUY', price: '50', quantity: '1' }]), 3);
+
+  const tradePolicy = { ...DEFAULT_SWITCH_POLICY, max_trades: 3 };
+  assert.equal(evaluateSwitchPolicies(instance, tradePolicy, { total_pnl: 25, trades: fills, now: morning }), null);
+  const decision = evaluateSwitchPolicies(instance, { ...tradePolicy, max_trades: 2 }, { total_pnl: 25, trades: fills, now: morning });
+  assert.deepEqual([decision.rule, decision.details.trade_count], ['max_trades', 2]);
+});
+
+test('sanitizePolicyUpdate validates fields', () => {
+  assert.deepEqual(
+    sanitizePolicyUpdate({ cutoff_enabled: true, cutoff_time: '15:15', max_trades: '0', unknown: 1 }),
+    { cutoff_enabled: 1, cutoff_time: '15:15', max_trades: null }
+  );
+  assert.throws(() => sanitizePolicyUpdate({ cutoff_time: '3pm' }), /HH:MM/);
+  assert.throws(() => sanitizePolicyUpdate({ timezone: 'Mars/Base' }), /timezone/);
+  assert.throws(() => sanitizePolicyUpdate({ trailing_lock_giveback_pct: 150 }), /between 0 and 100/);
+});
@@ -66,3 +66,90 @@ test('updateInstancesData calls auto switch and updates DB when target profit re
   const updated = runCalls.find(c => typeof c.params !== 'undefined' && c.params.includes(42));
   assert.ok(updated, 'Expected an update call with instance id 42');
 });
+
+test('a slow safe-switch runs beside the poll and does not hold up other instances', async () => {
+  const instances = [
+    { id: 1, name: 'Slow', target_profit: 100, target_loss: 50, is_analyzer_mode: false, strategy_tag: '' },
+    { id: 2, name: 'Next', target_profit: 1000, target_loss: 1000, is_analyzer_mode: false, strategy_tag: '' }
+  ];
+  const runs = [];
+  const dbAsync = {
+    all: async () => instances,
+    run: async (sql, params) => {
+      runs.push({ sql, params });
+      return { lastID: 1, changes: 1 };
+    }
+  };
+
+  let releaseClose;
+  const closeGate = new Promise(resolve => { releaseClose = resolve; });
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'funds') {
+      return { status: 'success', data: { availablecash: '1000' } };
+    }
+    if (endpoint === 'tradebook') {
+      return { status: 'success', data: { trades: [ { symbol: 'A', action: 'BUY', price: '10', quantity: '10' }, { symbol: 'A', action: 'SELL', price: '20', quantity: '10' } ] } };
+    }
+    if (endpoint === 'positionbook') {
+      return { status: 'success', data: { positions: [] } };
+    }
+    if (endpoint === 'closeposition' && inst.id === 1) {
+      await closeGate;
+    }
+    if (endpoint === 'analyzer') {
+      return { status: 'success', data: { mode: 'analyze' } };
+    }
+    return { status: 'success' };
+  };
+
+  const switches = await updateInstancesData(dbAsync, makeRequest);
+  assert.equal(switches.length, 1);
+  const pnlUpdates = runs.filter(call => call.sql.includes('SET current_balance')).map(call => call.params[5]);
+  assert.deepEqual(pnlUpdates, [1, 2]);
+
+  // The next poll sees the switch still running and does not start another
+  assert.deepEqual(await updateInstancesData(dbAsync, makeRequest), []);
+
+  releaseClose();
+  const [result] = await Promise.all(switches);
+  assert.equal(result.success, true);
+});
+
+test('the fired rule is recorded only after its safe-switch succeeds', async () => {
+  const instance = { id: 5, name: 'Gamma', target_profit: 100, target_loss: 50, is_analyzer_mode: false, strategy_tag: '' };
+  const runs = [];
+  const dbAsync = {
+    all: async () => [instance],
+    run: async (sql, params) => {
+      runs.push({ sql, params });
+      return { lastID: 1, changes: 1 };
+    }
+  };
+  let analyzerMode = 'live';
+  const makeRequest = async (inst, endpoint) => {
+    if (endpoint === 'funds') {
+      return { status: 'success', data: { availablecash: '1000' } };
+    }
+    if (endpoint === 'tradebook') {
+      return { status: 'success', data: [ { symbol: 'A', action: 'BUY', price: '10', quantity: '10' }, { symbol: 'A', action: 'SELL', price: '20', quantity: '10' } ] };
+    }
+    if (endpoint === 'positionbook') {
+      return { status: 'success', data: [] };
+    }
+    if (endpoint === 'analyzer') {
+      return { status: 'success', data: { mode: analyzerMode } };
+    }
+    return { status: 'success' };
+  };
+  const triggerRecords = () => runs.filter(call => call.sql.includes('last_triggered_rule'));
+
+  // Analyzer mode does not verify: the switch fails and the rule stays armed
+  let [result] = await Promise.all(await updateInstancesData(dbAsync, makeRequest));
+  assert.equal(result.success, false);
+  assert.equal(triggerRecords().length, 0);
+
+  analyzerMode = 'analyze';
+  [result] = await Promise.all(await updateInstancesData(dbAsync, makeRequest));
+  assert.equal(result.success, true);
+  assert.deepEqual(triggerRecords().map(call => [call.params[0], call.params[1], call.params[4]]), [['target_profit', 'Target profit reached', 5]]);
+});